@@ -0,0 +1,124 @@
+// src/components/chat/ChatMembers.js
+// Members panel for a group or channel: rename, add/remove members, leave.
+// Management controls only show for admins; the relay enforces it anyway.
+
+import { chatService } from "../../modules/chat/chatService.js";
+import { isConversationAdmin, parseUsernames } from "../../modules/chat/chatHelpers.js";
+import { getUserInitials, escapeHtml } from "../../utils/formatters.js";
+import { createScope } from "../../utils/helpers.js";
+
+function roleOf(conversation, member) {
+  if (String(conversation.ownerId) === String(member.id)) return "Owner";
+  if (isConversationAdmin(conversation, member.id)) return "Admin";
+  return "";
+}
+
+export default function initChatMembers(container, { scope = createScope() } = {}) {
+  if (!container) return () => {};
+
+  let message = "";
+  let renderedFor = null;
+
+  function render() {
+    const { me } = chatService.getState();
+    const conversation = chatService.getActiveConversation();
+
+    if (!conversation || conversation.type === "direct") {
+      container.innerHTML = "";
+      renderedFor = null;
+      return;
+    }
+
+    // typing in one of the forms: don't wipe it because someone else posted
+    if (renderedFor === conversation.id && container.contains(document.activeElement)) return;
+    renderedFor = conversation.id;
+
+    const admin = isConversationAdmin(conversation, me?.id);
+    const isGroup = conversation.type === "group";
+
+    // a channel's members follow the community, so only groups are managed here
+    const manage = admin && isGroup ? `
+      <form class="chat-members-form" data-form="rename">
+        <input name="name" maxlength="50" value="${escapeHtml(conversation.name || "")}" aria-label="Group name" />
+        <button type="submit">Rename</button>
+      </form>
+      <form class="chat-members-form" data-form="add">
+        <input name="usernames" placeholder="Add usernames, comma separated" aria-label="Add members" />
+        <button type="submit">Add</button>
+      </form>
+    ` : "";
+
+    const members = conversation.members.map(member => {
+      const role = roleOf(conversation, member);
+      const removable = admin && isGroup && role !== "Owner" && String(member.id) !== String(me?.id);
+
+      return `
+        <li class="chat-member">
+          <span class="chat-avatar">${escapeHtml(getUserInitials(member.username))}</span>
+          <span class="chat-member-name">${escapeHtml(member.username)}${String(member.id) === String(me?.id) ? " (you)" : ""}</span>
+          ${role ? `<span class="chat-member-role">${role}</span>` : ""}
+          ${removable ? `<button class="chat-member-remove" data-user-id="${escapeHtml(member.id)}">Remove</button>` : ""}
+        </li>
+      `;
+    }).join("");
+
+    const policy = conversation.postPolicy === "admins"
+      ? `<p class="chat-members-note">Only admins can post here.</p>`
+      : "";
+
+    container.innerHTML = `
+      ${policy}
+      ${manage}
+      ${message ? `<div class="chat-members-msg">${escapeHtml(message)}</div>` : ""}
+      <ul class="chat-member-list">${members}</ul>
+      <button class="chat-leave">${isGroup ? "Leave group" : "Leave channel"}</button>
+    `;
+  }
+
+  function show(result) {
+    message = result.success ? "" : result.message;
+    renderedFor = null;
+    render();
+  }
+
+  scope.on(container, "submit", async (e) => {
+    e.preventDefault();
+    const form = e.target.closest("form[data-form]");
+    const conversation = chatService.getActiveConversation();
+    if (!form || !conversation) return;
+
+    const button = form.querySelector("button");
+    button.disabled = true;
+    try {
+      if (form.dataset.form === "rename") {
+        show(chatService.renameConversation(conversation.id, form.elements.name.value));
+      } else {
+        const result = await chatService.addMembers(conversation.id, parseUsernames(form.elements.usernames.value));
+        if (!scope.disposed) show(result);
+      }
+    } finally {
+      if (button.isConnected) button.disabled = false;
+    }
+  });
+
+  scope.on(container, "click", (e) => {
+    const conversation = chatService.getActiveConversation();
+    if (!conversation) return;
+
+    const remove = e.target.closest(".chat-member-remove");
+    if (remove) {
+      show(chatService.removeMember(conversation.id, remove.dataset.userId));
+      return;
+    }
+
+    if (e.target.closest(".chat-leave")) {
+      const label = conversation.type === "channel" ? `#${conversation.name}` : `"${conversation.name}"`;
+      if (confirm(`Leave ${label}?`)) show(chatService.leaveConversation(conversation.id));
+    }
+  });
+
+  scope.add(chatService.subscribe(render));
+  render();
+
+  return () => scope.dispose();
+}
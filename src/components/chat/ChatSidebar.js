@@ -0,0 +1,141 @@
+// src/components/chat/ChatSidebar.js
+// Conversation list for the chat dock, with "message someone" and
+// "new group" forms on top
+
+import { chatService } from "../../modules/chat/chatService.js";
+import {
+  conversationTitle,
+  formatBadgeCount,
+  formatMessageTime,
+  messagePreview,
+  parseUsernames
+} from "../../modules/chat/chatHelpers.js";
+import { getUserInitials, escapeHtml } from "../../utils/formatters.js";
+import { createScope } from "../../utils/helpers.js";
+
+export default function initChatSidebar(container, { scope = createScope() } = {}) {
+  if (!container) return () => {};
+
+  container.innerHTML = `
+    <form class="chat-new" autocomplete="off">
+      <input class="chat-new-input" placeholder="Message a username…" maxlength="20" />
+      <button type="submit" class="chat-new-btn" aria-label="Start chat">+</button>
+    </form>
+    <button type="button" class="chat-group-toggle">New group</button>
+    <form class="chat-group-form" autocomplete="off" hidden>
+      <input name="name" placeholder="Group name" maxlength="50" />
+      <input name="usernames" placeholder="Usernames, comma separated" />
+      <button type="submit">Create group</button>
+    </form>
+    <div class="chat-new-error" hidden></div>
+    <ul class="chat-conversations"></ul>
+  `;
+
+  const form = container.querySelector(".chat-new");
+  const input = container.querySelector(".chat-new-input");
+  const groupToggle = container.querySelector(".chat-group-toggle");
+  const groupForm = container.querySelector(".chat-group-form");
+  const errorEl = container.querySelector(".chat-new-error");
+  const list = container.querySelector(".chat-conversations");
+
+  function showError(message) {
+    errorEl.textContent = message || "";
+    errorEl.hidden = !message;
+  }
+
+  function render() {
+    const { me, activeId, status } = chatService.getState();
+    const conversations = chatService.listConversations();
+
+    input.disabled = status !== "online";
+    groupToggle.disabled = status !== "online";
+
+    if (conversations.length === 0) {
+      list.innerHTML = `<li class="chat-empty">${status === "online" ? "No conversations yet" : "Connecting…"}</li>`;
+      return;
+    }
+
+    list.innerHTML = conversations.map(conversation => {
+      const title = conversationTitle(conversation, me?.id);
+      const last = conversation.lastMessage;
+      const unread = chatService.getUnreadCount(conversation.id);
+      const typing = chatService.getTypingUsers(conversation.id).length > 0;
+      const preview = typing
+        ? `<span class="chat-conversation-preview typing">typing…</span>`
+        : `<span class="chat-conversation-preview">${escapeHtml(messagePreview(last))}</span>`;
+
+      return `
+        <li class="chat-conversation ${conversation.id === activeId ? "active" : ""} ${unread ? "unread" : ""}" data-id="${escapeHtml(conversation.id)}">
+          <span class="chat-avatar">${escapeHtml(getUserInitials(title))}</span>
+          <span class="chat-conversation-text">
+            <span class="chat-conversation-title">${escapeHtml(title)}</span>
+            ${preview}
+          </span>
+          <span class="chat-conversation-side">
+            ${last ? `<span class="chat-conversation-time">${escapeHtml(formatMessageTime(last.sentAt))}</span>` : ""}
+            ${unread ? `<span class="chat-badge">${formatBadgeCount(unread)}</span>` : ""}
+          </span>
+        </li>
+      `;
+    }).join("");
+  }
+
+  scope.on(form, "submit", async (e) => {
+    e.preventDefault();
+    showError("");
+
+    const button = form.querySelector("button");
+    button.disabled = true;
+    try {
+      const result = await chatService.startDirectChat(input.value);
+      if (scope.disposed) return;
+
+      if (result.success) input.value = "";
+      else showError(result.message);
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  scope.on(input, "input", () => showError(""));
+
+  scope.on(groupToggle, "click", () => {
+    groupForm.hidden = !groupForm.hidden;
+    showError("");
+    if (!groupForm.hidden) groupForm.elements.name.focus();
+  });
+
+  scope.on(groupForm, "submit", async (e) => {
+    e.preventDefault();
+    showError("");
+
+    const button = groupForm.querySelector("button");
+    button.disabled = true;
+    try {
+      const result = await chatService.createGroup(
+        groupForm.elements.name.value,
+        parseUsernames(groupForm.elements.usernames.value)
+      );
+      if (scope.disposed) return;
+
+      if (result.success) {
+        groupForm.reset();
+        groupForm.hidden = true;
+      } else {
+        showError(result.message);
+      }
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  scope.on(list, "click", (e) => {
+    const item = e.target.closest(".chat-conversation");
+    if (item) chatService.setActive(item.dataset.id);
+  });
+
+  scope.add(chatService.subscribe(render));
+  render();
+
+  return () => scope.dispose();
+}
@@ -0,0 +1,166 @@
+// src/components/chat/ChatWindow.js
+// Docked chat panel opened from the floating chat button: conversation
+// sidebar on the left, the active conversation on the right.
+
+import { chatService } from "../../modules/chat/chatService.js";
+import {
+  conversationSubtitle,
+  conversationTitle,
+  formatBadgeCount,
+  typingLabel
+} from "../../modules/chat/chatHelpers.js";
+import { createScope } from "../../utils/helpers.js";
+import initChatSidebar from "./ChatSidebar.js";
+import initMessageList from "./Messagelist.js";
+import initMessageInput from "./MessageInput.js";
+import initChatMembers from "./ChatMembers.js";
+
+// Load CSS once
+if (!document.getElementById("chat-css")) {
+  const link = document.createElement("link");
+  link.id = "chat-css";
+  link.rel = "stylesheet";
+  link.href = "src/utils/css/chat.css/chat.css";
+  document.head.appendChild(link);
+}
+
+const STATUS_LABELS = {
+  online: "Connected",
+  connecting: "Connecting…",
+  offline: "Offline — reconnecting",
+  "signed-out": ""
+};
+
+function renderDock(dock) {
+  dock.innerHTML = `
+    <header class="chat-dock-header">
+      <span class="chat-dock-title">Messages</span>
+      <span class="chat-status"></span>
+      <button class="chat-dock-close" aria-label="Close chat">&times;</button>
+    </header>
+
+    <div class="chat-signed-out" hidden>
+      <p>Sign in to chat with other builders.</p>
+      <a href="#login" class="chat-signin">Log In</a>
+    </div>
+
+    <div class="chat-dock-body">
+      <nav class="chat-sidebar"></nav>
+      <section class="chat-window">
+        <header class="chat-window-header">
+          <span class="chat-window-title"></span>
+          <span class="chat-window-subtitle"></span>
+          <button class="chat-members-toggle" hidden>Members</button>
+        </header>
+        <div class="chat-members" hidden></div>
+        <div class="chat-error" hidden></div>
+        <div class="chat-messages"></div>
+        <div class="chat-typing" aria-live="polite"></div>
+        <div class="chat-input"></div>
+      </section>
+    </div>
+  `;
+}
+
+export default function initChatDock(fab, { scope = createScope() } = {}) {
+  if (!fab) return () => {};
+
+  chatService.init();
+
+  const dock = document.createElement("aside");
+  dock.className = "chat-dock";
+  dock.hidden = true;
+  dock.setAttribute("aria-label", "Chat");
+  renderDock(dock);
+  document.body.appendChild(dock);
+  scope.add(() => dock.remove());
+
+  const statusEl = dock.querySelector(".chat-status");
+  const signedOut = dock.querySelector(".chat-signed-out");
+  const body = dock.querySelector(".chat-dock-body");
+  const titleEl = dock.querySelector(".chat-window-title");
+  const subtitleEl = dock.querySelector(".chat-window-subtitle");
+  const membersToggle = dock.querySelector(".chat-members-toggle");
+  const membersPanel = dock.querySelector(".chat-members");
+  const errorEl = dock.querySelector(".chat-error");
+  const typingEl = dock.querySelector(".chat-typing");
+
+  const badge = document.createElement("span");
+  badge.className = "chat-fab-badge";
+  badge.hidden = true;
+  fab.appendChild(badge);
+  scope.add(() => badge.remove());
+
+  initChatSidebar(dock.querySelector(".chat-sidebar"), { scope });
+  initMessageList(dock.querySelector(".chat-messages"), { scope });
+  initMessageInput(dock.querySelector(".chat-input"), { scope });
+  initChatMembers(membersPanel, { scope });
+
+  let shownMembersFor = null;
+
+  function render() {
+    const state = chatService.getState();
+    const isSignedOut = state.status === "signed-out";
+
+    dock.dataset.status = state.status;
+    statusEl.textContent = STATUS_LABELS[state.status] || "";
+    signedOut.hidden = !isSignedOut;
+    body.hidden = isSignedOut;
+
+    const active = chatService.getActiveConversation();
+    titleEl.textContent = active ? conversationTitle(active, state.me?.id) : "";
+    subtitleEl.textContent = active ? conversationSubtitle(active) : "";
+    dock.classList.toggle("has-active", Boolean(active));
+
+    const hasMembers = Boolean(active && active.type !== "direct");
+    membersToggle.hidden = !hasMembers;
+    // the panel belongs to one conversation; switching closes it
+    membersPanel.hidden = !hasMembers || shownMembersFor !== active.id;
+    membersToggle.classList.toggle("active", !membersPanel.hidden);
+
+    errorEl.textContent = state.error || "";
+    errorEl.hidden = !state.error;
+
+    typingEl.textContent = active ? typingLabel(chatService.getTypingUsers(active.id)) : "";
+
+    const unread = isSignedOut ? 0 : chatService.getTotalUnread();
+    badge.textContent = formatBadgeCount(unread);
+    badge.hidden = unread === 0;
+    fab.setAttribute("aria-label", unread ? `Open Chat (${unread} unread)` : "Open Chat");
+  }
+
+  function setOpen(open) {
+    dock.hidden = !open;
+    fab.setAttribute("aria-expanded", String(open));
+    fab.classList.toggle("open", open);
+    chatService.setVisible(open);
+    if (open) dock.querySelector(".chat-input-text:not(:disabled), .chat-new-input")?.focus();
+  }
+
+  scope.on(fab, "click", () => setOpen(dock.hidden));
+  scope.on(dock.querySelector(".chat-dock-close"), "click", () => setOpen(false));
+  scope.on(dock.querySelector(".chat-signin"), "click", () => setOpen(false));
+  scope.on(document, "keydown", (e) => {
+    if (e.key === "Escape" && !dock.hidden) setOpen(false);
+  });
+
+  // narrow screens show one pane at a time; the title doubles as "back"
+  scope.on(titleEl, "click", () => {
+    if (window.matchMedia("(max-width: 640px)").matches) chatService.setActive(null);
+  });
+
+  scope.on(membersToggle, "click", () => {
+    const activeId = chatService.getState().activeId;
+    shownMembersFor = shownMembersFor === activeId ? null : activeId;
+    render();
+  });
+
+  // e.g. the "Chat" buttons on a community page
+  scope.on(window, "chat:open", () => setOpen(true));
+
+  fab.setAttribute("aria-expanded", "false");
+  scope.add(chatService.subscribe(render));
+  render();
+
+  return () => scope.dispose();
+}
@@ -0,0 +1,79 @@
+// src/components/chat/MessageInput.js
+// Composer for the active conversation. Enter sends, Shift+Enter adds a line.
+
+import { chatService } from "../../modules/chat/chatService.js";
+import { canPostIn } from "../../modules/chat/chatHelpers.js";
+import { createScope } from "../../utils/helpers.js";
+
+const MAX_LENGTH = 2000;
+
+export default function initMessageInput(container, { scope = createScope() } = {}) {
+  if (!container) return () => {};
+
+  container.innerHTML = `
+    <form class="chat-input-form" autocomplete="off">
+      <textarea class="chat-input-text" rows="1" maxlength="${MAX_LENGTH}" placeholder="Write a message…"></textarea>
+      <button type="submit" class="chat-send" aria-label="Send">
+        <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M22 2 11 13"/><path d="M22 2 15 22l-4-9-9-4z"/>
+        </svg>
+      </button>
+    </form>
+  `;
+
+  const form = container.querySelector("form");
+  const textarea = container.querySelector("textarea");
+  const button = container.querySelector("button");
+
+  function resize() {
+    textarea.style.height = "auto";
+    textarea.style.height = `${Math.min(textarea.scrollHeight, 120)}px`;
+  }
+
+  function render() {
+    const { activeId, me } = chatService.getState();
+    const conversation = chatService.getActiveConversation();
+    const allowed = !conversation || canPostIn(conversation, me?.id);
+    const refusal = chatService.getMessageRefusal();
+    const usable = Boolean(activeId && me && allowed && !refusal);
+
+    textarea.disabled = !usable;
+    button.disabled = !usable;
+    textarea.placeholder = refusal || (allowed ? "Write a message…" : `Only admins can post in #${conversation.name}`);
+  }
+
+  function submit() {
+    const text = textarea.value;
+    if (!text.trim()) return;
+
+    if (!chatService.sendMessage(text).success) return render();
+    textarea.value = "";
+    resize();
+    textarea.focus();
+  }
+
+  scope.on(form, "submit", (e) => {
+    e.preventDefault();
+    submit();
+  });
+
+  scope.on(textarea, "keydown", (e) => {
+    if (e.key === "Enter" && !e.shiftKey && !e.isComposing) {
+      e.preventDefault();
+      submit();
+    }
+  });
+
+  scope.on(textarea, "input", () => {
+    resize();
+    if (textarea.value.trim()) chatService.notifyTyping();
+    else chatService.stopTyping();
+  });
+
+  scope.on(textarea, "blur", () => chatService.stopTyping());
+
+  scope.add(chatService.subscribe(render));
+  render();
+
+  return () => scope.dispose();
+}
@@ -0,0 +1,131 @@
+// src/components/chat/Messagelist.js
+// Messages of the active conversation, grouped by day, oldest at the top
+
+import { chatService } from "../../modules/chat/chatService.js";
+import { deliveryStatus, formatDayLabel, formatMessageTime, isSameDay } from "../../modules/chat/chatHelpers.js";
+import { escapeHtml } from "../../utils/formatters.js";
+import { createScope } from "../../utils/helpers.js";
+
+// [icon, label] for each state one of my messages can be in
+const STATUS_LABELS = {
+  sending: ["◷", "Sending"],
+  sent: ["✓", "Sent"],
+  delivered: ["✓✓", "Delivered"],
+  read: ["✓✓", "Seen"],
+  failed: ["!", "Not sent"]
+};
+
+function senderName(conversation, userId) {
+  return conversation?.members.find(m => String(m.id) === String(userId))?.username || "Former member";
+}
+
+function renderMessage(message, conversation, meId, showSender) {
+  if (message.system) {
+    return `<li class="chat-system">${escapeHtml(message.text)}</li>`;
+  }
+
+  const mine = String(message.from) === String(meId);
+  const state = mine ? deliveryStatus(message, conversation, meId) : null;
+  const [icon, label] = STATUS_LABELS[state] || [];
+
+  const status = icon
+    ? `<span class="chat-message-status ${state}" title="${label}" aria-label="${label}">${icon}</span>`
+    : "";
+  const retry = state === "failed"
+    ? `<button class="chat-retry" data-client-id="${escapeHtml(message.clientId)}">Retry</button>`
+    : "";
+
+  return `
+    <li class="chat-message ${mine ? "mine" : "theirs"}">
+      ${showSender && !mine ? `<div class="chat-sender">${escapeHtml(senderName(conversation, message.from))}</div>` : ""}
+      <div class="chat-bubble">${escapeHtml(message.text)}</div>
+      <div class="chat-message-meta">
+        <time>${escapeHtml(formatMessageTime(message.sentAt))}</time>
+        ${status}
+        ${retry}
+      </div>
+    </li>
+  `;
+}
+
+export default function initMessageList(container, { scope = createScope() } = {}) {
+  if (!container) return () => {};
+
+  let renderedFor = null;
+  let renderedFirst = null;
+
+  function isNearBottom() {
+    return container.scrollHeight - container.scrollTop - container.clientHeight < 48;
+  }
+
+  function render() {
+    const { me, activeId } = chatService.getState();
+
+    if (!activeId) {
+      container.innerHTML = `<div class="chat-placeholder">Pick a conversation or message someone by username.</div>`;
+      renderedFor = null;
+      return;
+    }
+
+    const conversation = chatService.getActiveConversation();
+    const messages = chatService.getMessages(activeId);
+    const history = chatService.getHistory(activeId);
+
+    // keep the reader's place unless they were already at the bottom
+    const switched = renderedFor !== activeId;
+    const stickToBottom = switched || isNearBottom();
+    const first = messages[0]?.clientId || messages[0]?.id || null;
+    const prepended = !switched && !stickToBottom && first !== renderedFirst;
+    const fromBottom = container.scrollHeight - container.scrollTop;
+
+    // in groups and channels, name the sender at the start of each run
+    const multi = conversation && conversation.type !== "direct";
+
+    let lastDay = null;
+    let lastSender = null;
+    const items = messages.map(message => {
+      const newDay = lastDay === null || !isSameDay(lastDay, message.sentAt);
+      const divider = newDay
+        ? `<li class="chat-day">${escapeHtml(formatDayLabel(message.sentAt))}</li>`
+        : "";
+      const showSender = multi && (newDay || lastSender !== message.from);
+
+      lastDay = message.sentAt;
+      lastSender = message.system ? null : message.from;
+      return divider + renderMessage(message, conversation, me?.id, showSender);
+    }).join("");
+
+    const top = history.loading
+      ? `<li class="chat-history-note">Loading…</li>`
+      : history.hasMore
+        ? `<li class="chat-history-note"><button class="chat-load-older">Load earlier messages</button></li>`
+        : "";
+
+    const empty = history.loaded && messages.length === 0
+      ? `<li class="chat-history-note">No messages yet. Say hi!</li>`
+      : "";
+
+    container.innerHTML = `<ul class="chat-message-list">${top}${items}${empty}</ul>`;
+
+    if (stickToBottom) container.scrollTop = container.scrollHeight;
+    else if (prepended) container.scrollTop = container.scrollHeight - fromBottom;
+
+    renderedFor = activeId;
+    renderedFirst = first;
+  }
+
+  scope.on(container, "click", (e) => {
+    if (e.target.closest(".chat-load-older")) {
+      chatService.loadOlder();
+      return;
+    }
+
+    const retry = e.target.closest(".chat-retry");
+    if (retry) chatService.retryMessage(retry.dataset.clientId);
+  });
+
+  scope.add(chatService.subscribe(render));
+  render();
+
+  return () => scope.dispose();
+}
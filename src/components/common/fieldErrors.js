@@ -0,0 +1,67 @@
+// src/components/common/fieldErrors.js
+// Inline, per-field error messages rendered right below an input
+
+const ERROR_STYLE = 'color:#e5484d;font-size:12px;margin:-4px 0 8px;text-align:left';
+const INVALID_BORDER = '#e5484d';
+
+function errorElementFor(input) {
+  const next = input.nextElementSibling;
+  return next?.classList.contains('field-error') ? next : null;
+}
+
+export function setFieldError(input, message) {
+  if (!input) return;
+  if (!message) {
+    clearFieldError(input);
+    return;
+  }
+
+  let el = errorElementFor(input);
+  if (!el) {
+    el = document.createElement('div');
+    el.className = 'field-error';
+    el.style.cssText = ERROR_STYLE;
+    el.setAttribute('role', 'alert');
+    input.insertAdjacentElement('afterend', el);
+  }
+
+  el.textContent = message;
+  if (input.dataset.borderColor === undefined) input.dataset.borderColor = input.style.borderColor;
+  input.style.borderColor = INVALID_BORDER;
+  input.setAttribute('aria-invalid', 'true');
+}
+
+export function clearFieldError(input) {
+  if (!input) return;
+
+  errorElementFor(input)?.remove();
+  if (input.dataset.borderColor !== undefined) {
+    input.style.borderColor = input.dataset.borderColor;
+    delete input.dataset.borderColor;
+  }
+  input.removeAttribute('aria-invalid');
+}
+
+/**
+ * Show `errors` ({ fieldName: message }) on the matching inputs in `fields`
+ * ({ fieldName: inputEl }) and clear the rest. Focuses the first invalid one.
+ */
+export function showFieldErrors(fields, errors = {}) {
+  let first = null;
+
+  Object.entries(fields).forEach(([name, input]) => {
+    setFieldError(input, errors[name]);
+    if (errors[name] && !first) first = input;
+  });
+
+  first?.focus();
+}
+
+/**
+ * Clear a field's error as soon as the user edits it.
+ */
+export function clearOnInput(...inputs) {
+  inputs.forEach(input => {
+    input?.addEventListener('input', () => clearFieldError(input));
+  });
+}
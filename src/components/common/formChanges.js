@@ -0,0 +1,44 @@
+// src/components/common/formChanges.js
+// Tracks whether a form's values differ from what was last saved, for
+// "unsaved changes" indicators and prompts.
+
+function snapshot(form) {
+  return JSON.stringify([...form.elements]
+    .filter(el => el.name)
+    .map(el => [el.name, el.type === "checkbox" || el.type === "radio" ? el.checked : el.value]));
+}
+
+/**
+ * `onChange(dirty)` runs whenever the form goes from saved to changed or
+ * back. Call markSaved() after filling the form from saved values, and
+ * again after saving.
+ */
+export function trackChanges(form, { scope, onChange = () => {} }) {
+  let saved = snapshot(form);
+  let dirty = false;
+
+  function check() {
+    const next = snapshot(form) !== saved;
+    if (next !== dirty) {
+      dirty = next;
+      onChange(dirty);
+    }
+    return dirty;
+  }
+
+  scope.on(form, "input", check);
+  scope.on(form, "change", check);
+
+  return {
+    check,
+
+    isDirty() {
+      return dirty;
+    },
+
+    markSaved() {
+      saved = snapshot(form);
+      check();
+    }
+  };
+}
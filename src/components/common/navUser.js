@@ -0,0 +1,34 @@
+// src/components/common/navUser.js
+// Signed-in state in the top nav: user chip, or login / sign up links
+
+import { getUser } from "../../modules/auth-module/session-manager/session.js";
+import { getUserInitials, escapeHtml } from "../../utils/formatters.js";
+
+export default function initNavUser(container) {
+  if (!container) return;
+
+  function render() {
+    const user = getUser();
+
+    if (!user) {
+      container.innerHTML = `
+        <a href="#login" class="nav-auth-link">Log In</a>
+        <a href="#register" class="nav-auth-link primary">Sign Up</a>
+      `;
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="nav-user-chip" title="${escapeHtml(user.email || '')}">
+        <span class="nav-user-avatar">${escapeHtml(getUserInitials(user.username))}</span>
+        <span class="nav-user-name">${escapeHtml(user.username)}</span>
+      </div>
+    `;
+  }
+
+  window.addEventListener("session:login", render);
+  window.addEventListener("session:logout", render);
+  window.addEventListener("session:update", render);
+
+  render();
+}
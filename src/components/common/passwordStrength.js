@@ -0,0 +1,44 @@
+// src/components/common/passwordStrength.js
+// Strength bar shown under a new-password input
+
+import { scorePassword } from '../../utils/validators.js';
+
+const COLORS = ['#e5484d', '#f76b15', '#ffc53d', '#46a758', '#30a46c'];
+
+/**
+ * Insert a meter after `input` that updates as the user types.
+ * `getContext` returns { username, email } to penalise passwords built from them.
+ */
+export function attachStrengthMeter(input, getContext = () => ({})) {
+  const meter = document.createElement('div');
+  meter.className = 'password-strength';
+  meter.style.cssText = 'margin:-2px 0 8px;font-size:12px;text-align:left;display:none';
+  meter.innerHTML = `
+    <div style="height:4px;border-radius:2px;background:#e5e7eb;overflow:hidden">
+      <div class="password-strength-bar" style="height:100%;width:0;transition:width 0.2s ease,background 0.2s ease"></div>
+    </div>
+    <div class="password-strength-text" style="margin-top:4px;color:#666"></div>
+  `;
+  input.insertAdjacentElement('afterend', meter);
+
+  const bar = meter.querySelector('.password-strength-bar');
+  const text = meter.querySelector('.password-strength-text');
+
+  function update() {
+    if (!input.value) {
+      meter.style.display = 'none';
+      return;
+    }
+
+    const { score, label, reasons } = scorePassword(input.value, getContext());
+    meter.style.display = 'block';
+    bar.style.width = `${(score + 1) * 20}%`;
+    bar.style.background = COLORS[score];
+    text.textContent = reasons[0] ? `${label} · ${reasons[0]}` : label;
+  }
+
+  input.addEventListener('input', update);
+  update();
+
+  return meter;
+}
@@ -0,0 +1,24 @@
+// src/components/common/sectionState.js
+// Empty and error placeholders for sections that load their own content.
+// Error placeholders carry a Retry button (.section-retry) for the section
+// to listen for.
+
+import { escapeHtml } from "../../utils/formatters.js";
+
+export function renderEmpty(message, { href = "", linkText = "" } = {}) {
+  return `
+    <div class="section-state">
+      <span>${escapeHtml(message)}</span>
+      ${href ? `<a href="${escapeHtml(href)}" class="see-all">${escapeHtml(linkText)}</a>` : ""}
+    </div>
+  `;
+}
+
+export function renderError(message) {
+  return `
+    <div class="section-state error" role="alert">
+      <span>${escapeHtml(message)}</span>
+      <button type="button" class="section-retry">Retry</button>
+    </div>
+  `;
+}
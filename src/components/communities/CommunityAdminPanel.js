@@ -0,0 +1,229 @@
+// src/components/communities/CommunityAdminPanel.js
+// Staff tools for one community: edit details and rank names (admins), and
+// promote, demote, kick and ban members. Buttons only appear for actions the
+// signed-in user may take; the service checks again when they run.
+
+import { communitiesService } from "../../modules/communities/communitiesService.js";
+import {
+  ROLES, DESCRIPTION_MAX, NAME_MAX, RANK_MAX, permissionError, rankName, roleLevel, sameId
+} from "../../modules/communities/communitiesHelpers.js";
+import { showFieldErrors, clearOnInput } from "../common/fieldErrors.js";
+import { escapeHtml, formatRelativeTime, getUserInitials } from "../../utils/formatters.js";
+import { createScope } from "../../utils/helpers.js";
+
+// staff first, then A–Z
+function byRank(a, b) {
+  return roleLevel(b.role) - roleLevel(a.role) || a.name.localeCompare(b.name);
+}
+
+export default function initCommunityAdminPanel(container, { scope = createScope(), communityId } = {}) {
+  if (!container) return () => {};
+
+  communitiesService.init();
+
+  container.innerHTML = `
+    <div class="empty-state admin-denied" hidden></div>
+    <div class="admin-body" hidden>
+      <div class="admin-msg" role="status"></div>
+
+      <section class="community-section admin-details" hidden>
+        <h3>Details</h3>
+        <form class="admin-form admin-details-form" novalidate>
+          <label for="adminName">Name</label>
+          <input id="adminName" name="name" maxlength="${NAME_MAX}" autocomplete="off" />
+          <label for="adminIcon">Icon link</label>
+          <input id="adminIcon" name="icon" placeholder="https://…" autocomplete="off" />
+          <label for="adminDescription">Description</label>
+          <textarea id="adminDescription" name="description" rows="4" maxlength="${DESCRIPTION_MAX}"></textarea>
+          <label for="adminShoutRole">Who can post shouts</label>
+          <select id="adminShoutRole" name="shoutRole"></select>
+          <button type="submit" class="admin-save">Save details</button>
+        </form>
+      </section>
+
+      <section class="community-section admin-ranks" hidden>
+        <h3>Rank names</h3>
+        <form class="admin-form admin-ranks-form" novalidate>
+          ${[...ROLES].reverse().map(role => `
+            <label for="adminRank-${role}">${escapeHtml(role[0].toUpperCase() + role.slice(1))}</label>
+            <input id="adminRank-${role}" name="${role}" maxlength="${RANK_MAX}" autocomplete="off" />
+          `).join("")}
+          <button type="submit" class="admin-save">Save rank names</button>
+        </form>
+      </section>
+
+      <section class="community-section">
+        <h3>Members</h3>
+        <ul class="admin-members"></ul>
+      </section>
+
+      <section class="community-section admin-bans" hidden>
+        <h3>Banned</h3>
+        <ul class="admin-members admin-banned"></ul>
+      </section>
+    </div>
+  `;
+
+  const message = container.querySelector(".admin-msg");
+  const detailsForm = container.querySelector(".admin-details-form");
+  const ranksForm = container.querySelector(".admin-ranks-form");
+  const detailFields = {
+    name: detailsForm.elements.name,
+    icon: detailsForm.elements.icon,
+    description: detailsForm.elements.description,
+    shoutRole: detailsForm.elements.shoutRole
+  };
+  const rankFields = Object.fromEntries(ROLES.map(role => [role, ranksForm.elements[role]]));
+
+  let filled = false;
+
+  function say(text, ok = false) {
+    message.textContent = text;
+    message.classList.toggle("ok", ok);
+  }
+
+  function community() {
+    return communitiesService.getCommunity(communityId);
+  }
+
+  // only on first render and after saving, so typing isn't overwritten
+  function fillForms() {
+    const current = community();
+    detailFields.name.value = current.name;
+    detailFields.icon.value = current.icon || "";
+    detailFields.description.value = current.description || "";
+    // rank names may have changed, so the options are rebuilt too
+    detailFields.shoutRole.innerHTML = ROLES.map(role => `
+      <option value="${role}">${escapeHtml(rankName(current, role))} and above</option>
+    `).join("");
+    detailFields.shoutRole.value = current.shoutRole;
+    ROLES.forEach(role => { rankFields[role].value = rankName(current, role); });
+  }
+
+  function memberActions(current, member) {
+    const me = communitiesService.getState().me;
+    const allowed = (action, options = {}) => !permissionError(current, me.id, action, { targetId: member.id, ...options });
+    const up = ROLES[roleLevel(member.role) + 1];
+    const down = ROLES[roleLevel(member.role) - 1];
+
+    return [
+      up && allowed("setRole", { role: up }) && { action: "promote", label: `Make ${rankName(current, up)}` },
+      down && allowed("setRole", { role: down }) && { action: "demote", label: `Make ${rankName(current, down)}` },
+      allowed("kick") && { action: "kick", label: "Kick" },
+      allowed("ban") && { action: "ban", label: "Ban", danger: true }
+    ].filter(Boolean);
+  }
+
+  function renderRow(user, meta, actions) {
+    return `
+      <li class="admin-member" data-user-id="${escapeHtml(user.id)}" data-username="${escapeHtml(user.name)}">
+        <span class="member-avatar">${escapeHtml(getUserInitials(user.name))}</span>
+        <span class="admin-member-text">
+          <span class="admin-member-name">${escapeHtml(user.name)}</span>
+          <span class="admin-member-meta">${escapeHtml(meta)}</span>
+        </span>
+        <span class="admin-member-actions">
+          ${actions.map(({ action, label, danger }) => `
+            <button type="button" class="admin-btn ${danger ? "danger" : ""}" data-action="${action}">${escapeHtml(label)}</button>
+          `).join("")}
+        </span>
+      </li>
+    `;
+  }
+
+  function render() {
+    const current = community();
+    const me = communitiesService.getState().me;
+
+    if (!current || !me) return;
+
+    const staff = communitiesService.can(communityId, "kick");
+    const denied = container.querySelector(".admin-denied");
+    denied.hidden = staff;
+    denied.textContent = `Only ${current.name} staff can manage it.`;
+    container.querySelector(".admin-body").hidden = !staff;
+    if (!staff) return;
+
+    if (!filled) {
+      filled = true;
+      fillForms();
+    }
+
+    const canEdit = communitiesService.can(communityId, "edit");
+    container.querySelector(".admin-details").hidden = !canEdit;
+    container.querySelector(".admin-ranks").hidden = !canEdit;
+
+    container.querySelector(".admin-members").innerHTML = [...current.memberList]
+      .sort(byRank)
+      .map(member => renderRow(member, `${rankName(current, member.role)}${sameId(member.id, me.id) ? " · You" : ""}`, memberActions(current, member)))
+      .join("");
+
+    const bans = communitiesService.can(communityId, "unban") ? current.bans : [];
+    container.querySelector(".admin-bans").hidden = bans.length === 0;
+    container.querySelector(".admin-banned").innerHTML = bans
+      .map(ban => renderRow(ban, `Banned ${formatRelativeTime(ban.at)}`, [{ action: "unban", label: "Unban" }]))
+      .join("");
+  }
+
+  async function save(form, run) {
+    const button = form.querySelector(".admin-save");
+    button.disabled = true;
+    const result = await run();
+    if (scope.disposed) return;
+
+    button.disabled = false;
+    if (result.success) {
+      fillForms();
+      say("Saved", true);
+    } else {
+      say(result.errors ? "" : result.message);
+    }
+    return result;
+  }
+
+  scope.on(detailsForm, "submit", async (e) => {
+    e.preventDefault();
+    const result = await save(detailsForm, () => communitiesService.updateCommunity(communityId, {
+      name: detailFields.name.value,
+      icon: detailFields.icon.value.trim(),
+      description: detailFields.description.value.trim(),
+      shoutRole: detailFields.shoutRole.value
+    }));
+    if (result) showFieldErrors(detailFields, result.errors || {});
+  });
+
+  scope.on(ranksForm, "submit", async (e) => {
+    e.preventDefault();
+    const ranks = Object.fromEntries(ROLES.map(role => [role, rankFields[role].value]));
+    const result = await save(ranksForm, () => communitiesService.updateCommunity(communityId, { ranks }));
+    if (result) showFieldErrors(rankFields, result.errors || {});
+  });
+
+  clearOnInput(...Object.values(detailFields), ...Object.values(rankFields));
+
+  scope.on(container, "click", async (e) => {
+    const button = e.target.closest(".admin-member [data-action]");
+    if (!button) return;
+
+    const { userId, username } = button.closest(".admin-member").dataset;
+    const actions = {
+      promote: () => communitiesService.promote(communityId, userId),
+      demote: () => communitiesService.demote(communityId, userId),
+      kick: () => confirm(`Kick ${username}? They can join again.`) && communitiesService.kick(communityId, userId),
+      ban: () => confirm(`Ban ${username}? They won't be able to join again until unbanned.`) && communitiesService.ban(communityId, userId),
+      unban: () => communitiesService.unban(communityId, userId)
+    };
+
+    button.disabled = true;
+    const result = await actions[button.dataset.action]?.();
+    if (scope.disposed) return;
+
+    button.disabled = false;
+    if (result) say(result.success ? "" : result.message);
+  });
+
+  scope.add(communitiesService.subscribe(render));
+  render();
+
+  return () => scope.dispose();
+}
@@ -0,0 +1,53 @@
+// src/components/communities/CommunityCard.js
+// Community tile for the discover grid and Home recommendations. The tile
+// carries data-community-id; the owning list handles opening it.
+
+import { communityIcon, formatMembers } from "../../modules/communities/communitiesHelpers.js";
+import { escapeHtml } from "../../utils/formatters.js";
+import { renderJoinButton } from "./essentials/JoinButton.js";
+
+/**
+ * `note` is an optional line under the name (e.g. why it was recommended).
+ * `footer` is extra markup at the bottom of the card.
+ */
+export default function renderCommunityCard(community, { note = "", footer = "" } = {}) {
+  return `
+    <div class="continue-card community-tile" data-community-id="${escapeHtml(community.id)}" tabindex="0">
+      <div class="card-image">
+        <span class="card-badge">Community</span>
+        <img class="card-icon" src="${escapeHtml(communityIcon(community))}" alt="" />
+      </div>
+      <div class="card-content">
+        <div class="card-title">${escapeHtml(community.name)}</div>
+        ${note ? `<div class="card-note">${escapeHtml(note)}</div>` : ""}
+        <div class="card-rating">
+          <span>${formatMembers(community.members)} ${community.members === 1 ? "member" : "members"}</span>
+          <span>· ${escapeHtml(community.creator)}</span>
+        </div>
+        <div class="community-card-actions">${renderJoinButton(community)}</div>
+        ${footer}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Open a community tile on click or Enter. Buttons inside it (anything with
+ * a data-action) are left to their own handlers.
+ */
+export function bindCommunityCards(container, scope, { onOpen } = {}) {
+  function open(tile) {
+    if (onOpen) onOpen(tile.dataset.communityId, tile);
+    else window.navigateToPage?.("community", { id: tile.dataset.communityId });
+  }
+
+  scope.on(container, "click", (e) => {
+    const tile = e.target.closest(".community-tile");
+    if (!tile || e.target.closest("[data-action]")) return;
+    open(tile);
+  });
+
+  scope.on(container, "keydown", (e) => {
+    if (e.key === "Enter" && e.target.classList?.contains("community-tile")) open(e.target);
+  });
+}
@@ -0,0 +1,107 @@
+// src/components/communities/CommunityList.js
+// A searchable list of communities that keeps itself in sync with the
+// communities service: the sidebar of joined communities ("list" layout) or
+// the discover grid of cards with Join buttons ("grid" layout).
+
+import { communitiesService } from "../../modules/communities/communitiesService.js";
+import { communityIcon, formatMembers, matchesQuery, sameId } from "../../modules/communities/communitiesHelpers.js";
+import { escapeHtml } from "../../utils/formatters.js";
+import { createScope } from "../../utils/helpers.js";
+import { renderError } from "../common/sectionState.js";
+import renderCommunityCard, { bindCommunityCards } from "./CommunityCard.js";
+import { bindJoinButtons } from "./essentials/JoinButton.js";
+
+function renderItem(community, activeId) {
+  return `
+    <div class="community-item ${sameId(community.id, activeId) ? "active" : ""}" data-community-id="${escapeHtml(community.id)}"
+      role="button" tabindex="0">
+      <img src="${escapeHtml(communityIcon(community))}" alt="" />
+      <div class="community-meta">
+        <div class="community-name">${escapeHtml(community.name)}</div>
+        <div class="community-members">${formatMembers(community.members)} members</div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * `filter` is 'joined' or 'discover'. `empty(query)` returns the markup
+ * shown when nothing matches. `onOpen(id)` defaults to the community route.
+ */
+export default function initCommunityList(container, {
+  scope = createScope(),
+  filter = "joined",
+  layout = "list",
+  activeId = null,
+  placeholder = "Search communities",
+  empty = (query) => `<div class="empty">${query ? "No matches" : "Nothing here yet"}</div>`,
+  onOpen = (id) => window.navigateToPage?.("community", { id })
+} = {}) {
+  if (!container) return () => {};
+
+  communitiesService.init();
+
+  container.innerHTML = `
+    <div class="search-communities">
+      <input type="search" placeholder="${escapeHtml(placeholder)}" aria-label="${escapeHtml(placeholder)}" />
+    </div>
+    <div class="${layout === "grid" ? "library-grid community-grid" : "communities-list"}"></div>
+  `;
+
+  const input = container.querySelector(".search-communities input");
+  const items = container.querySelector(layout === "grid" ? ".community-grid" : ".communities-list");
+
+  function render() {
+    const { status, error } = communitiesService.getState();
+    const query = input.value;
+
+    if (status === "loading") {
+      items.innerHTML = `<div class="empty">Loading communities…</div>`;
+      return;
+    }
+    if (status === "error") {
+      items.innerHTML = renderError(error);
+      return;
+    }
+
+    const list = (filter === "discover" ? communitiesService.getDiscover() : communitiesService.getJoined())
+      .filter(c => matchesQuery(c, query));
+
+    if (list.length === 0) {
+      items.innerHTML = empty(query);
+      return;
+    }
+
+    items.innerHTML = layout === "grid"
+      ? list.map(c => renderCommunityCard(c)).join("")
+      : list.map(c => renderItem(c, activeId)).join("");
+  }
+
+  scope.on(input, "input", render);
+
+  scope.on(items, "click", (e) => {
+    if (e.target.closest(".section-retry")) communitiesService.refresh();
+  });
+
+  if (layout === "grid") {
+    bindJoinButtons(items, scope);
+    bindCommunityCards(items, scope, { onOpen });
+  } else {
+    scope.on(items, "click", (e) => {
+      const item = e.target.closest(".community-item");
+      if (item) onOpen(item.dataset.communityId);
+    });
+    scope.on(items, "keydown", (e) => {
+      const item = e.target.closest?.(".community-item");
+      if (item && (e.key === "Enter" || e.key === " ")) {
+        e.preventDefault();
+        onOpen(item.dataset.communityId);
+      }
+    });
+  }
+
+  scope.add(communitiesService.subscribe(render));
+  render();
+
+  return () => scope.dispose();
+}
@@ -0,0 +1,231 @@
+// src/components/communities/CommunityStore.js
+// A community's store: items with their price and stock, and a Buy button for
+// members. Admins also get an item form to add and edit items, and can
+// remove them. Purchases go through storeService, which keeps the wallet.
+
+import { storeService } from "../../modules/store/storeService.js";
+import { ITEM_NAME_MAX, PRICE_MAX, STOCK_MAX, formatPrice, formatStock, isSoldOut } from "../../modules/store/storeHelpers.js";
+import { communitiesService } from "../../modules/communities/communitiesService.js";
+import { communityIcon, sameId } from "../../modules/communities/communitiesHelpers.js";
+import { requireAuth } from "../../modules/auth-module/session-manager/session.js";
+import { showFieldErrors, clearOnInput } from "../common/fieldErrors.js";
+import { renderEmpty, renderError } from "../common/sectionState.js";
+import { escapeHtml } from "../../utils/formatters.js";
+import { createScope } from "../../utils/helpers.js";
+
+export default function initCommunityStore(container, { scope = createScope(), communityId } = {}) {
+  if (!container) return () => {};
+
+  storeService.init();
+
+  container.innerHTML = `
+    <div class="store-toolbar">
+      <span class="store-note"></span>
+      <button type="button" class="store-add-btn" hidden>+ Add item</button>
+    </div>
+
+    <form class="admin-form store-item-form" novalidate hidden>
+      <h4 class="store-form-title"></h4>
+      <label for="storeItemName">Name</label>
+      <input id="storeItemName" name="name" maxlength="${ITEM_NAME_MAX}" autocomplete="off" />
+      <label for="storeItemImage">Image link</label>
+      <input id="storeItemImage" name="image" placeholder="https://…" autocomplete="off" />
+      <label for="storeItemPrice">Price</label>
+      <input id="storeItemPrice" name="price" type="number" min="0" max="${PRICE_MAX}" step="1" />
+      <label for="storeItemStock">Stock</label>
+      <input id="storeItemStock" name="stock" type="number" min="0" max="${STOCK_MAX}" step="1" placeholder="Unlimited" />
+      <div class="store-form-actions">
+        <button type="button" class="admin-btn store-cancel">Cancel</button>
+        <button type="submit" class="admin-save">Save item</button>
+      </div>
+    </form>
+
+    <div class="store-msg" role="status"></div>
+    <div class="store-grid"></div>
+  `;
+
+  const form = container.querySelector(".store-item-form");
+  const fields = {
+    name: form.elements.name,
+    image: form.elements.image,
+    price: form.elements.price,
+    stock: form.elements.stock
+  };
+  const message = container.querySelector(".store-msg");
+
+  // a store opened before shows straight away and refreshes in place
+  let status = storeService.getItems(communityId) ? "ready" : "loading";
+  // the item being edited, or null when the form adds a new one
+  let editingId = null;
+
+  function say(text, ok = false) {
+    message.textContent = text;
+    message.classList.toggle("ok", ok);
+  }
+
+  function items() {
+    return storeService.getItems(communityId) || [];
+  }
+
+  function openForm(item = null) {
+    editingId = item?.id ?? null;
+    form.querySelector(".store-form-title").textContent = item ? `Edit ${item.name}` : "New item";
+    fields.name.value = item?.name || "";
+    fields.image.value = item?.image || "";
+    fields.price.value = item ? item.price : "";
+    fields.stock.value = item && item.stock !== null ? item.stock : "";
+    showFieldErrors(fields, {});
+    form.hidden = false;
+    fields.name.focus();
+  }
+
+  function closeForm() {
+    editingId = null;
+    form.hidden = true;
+  }
+
+  function buyButton(item) {
+    if (storeService.owns(communityId, item.id)) return `<button type="button" class="store-buy owned" disabled>Owned</button>`;
+    if (isSoldOut(item)) return `<button type="button" class="store-buy" disabled>Sold out</button>`;
+    if (storeService.isPending(item.id)) return `<button type="button" class="store-buy" disabled>Buying…</button>`;
+
+    const member = communitiesService.isMember(communityId);
+    return `<button type="button" class="store-buy" data-action="buy" ${member ? "" : "disabled"}>Buy</button>`;
+  }
+
+  function renderItem(item, manage) {
+    return `
+      <div class="store-item" data-item-id="${escapeHtml(item.id)}">
+        <img class="store-item-image" src="${escapeHtml(communityIcon({ name: item.name, icon: item.image }))}" alt="" />
+        <div class="store-item-name">${escapeHtml(item.name)}</div>
+        <div class="store-item-meta">
+          <span class="store-price">${escapeHtml(formatPrice(item.price))}</span>
+          <span class="store-stock ${isSoldOut(item) ? "sold-out" : ""}">${escapeHtml(formatStock(item))}</span>
+        </div>
+        ${buyButton(item)}
+        ${manage ? `
+          <div class="store-item-admin">
+            <button type="button" class="admin-btn" data-action="edit">Edit</button>
+            <button type="button" class="admin-btn danger" data-action="remove">Remove</button>
+          </div>
+        ` : ""}
+      </div>
+    `;
+  }
+
+  function render() {
+    const community = communitiesService.getCommunity(communityId);
+    const manage = storeService.canManage(communityId);
+    const note = container.querySelector(".store-note");
+
+    container.querySelector(".store-add-btn").hidden = !manage;
+    if (!manage && !form.hidden) closeForm();
+
+    if (!storeService.getState().me) note.textContent = "Sign in and join to buy items.";
+    else if (community && !communitiesService.isMember(communityId)) note.textContent = `Join ${community.name} to buy from its store.`;
+    else note.textContent = "";
+
+    const grid = container.querySelector(".store-grid");
+    if (status === "loading") {
+      grid.innerHTML = `<div class="empty">Loading store…</div>`;
+    } else if (status === "error") {
+      grid.innerHTML = renderError("Could not load this store");
+    } else if (!items().length) {
+      grid.innerHTML = renderEmpty(manage ? "Nothing for sale yet. Add the first item." : "Nothing for sale yet");
+    } else {
+      grid.innerHTML = items().map(item => renderItem(item, manage)).join("");
+    }
+  }
+
+  async function load() {
+    const result = await storeService.loadItems(communityId);
+    if (scope.disposed) return;
+
+    status = result.success ? "ready" : "error";
+    render();
+  }
+
+  async function buy(item) {
+    if (!requireAuth()) return;
+    if (storeService.getState().status !== "ready") {
+      say("Still loading your wallet, try again in a moment");
+      return;
+    }
+
+    const left = storeService.getBalance() - item.price;
+    if (left < 0) {
+      say(`You need ${formatPrice(-left)} more for ${item.name}`);
+      return;
+    }
+    if (!confirm(`Buy ${item.name} for ${formatPrice(item.price)}? You'll have ${formatPrice(left)} left.`)) return;
+
+    const result = await storeService.buy(communityId, item.id);
+    if (scope.disposed) return;
+    say(result.success ? `${item.name} is in your inventory` : result.message, result.success);
+  }
+
+  async function remove(item) {
+    if (!confirm(`Remove ${item.name} from the store? People who bought it keep it.`)) return;
+
+    const result = await storeService.removeItem(communityId, item.id);
+    if (scope.disposed) return;
+    if (result.success && sameId(editingId, item.id)) closeForm();
+    say(result.success ? "" : result.message);
+  }
+
+  scope.on(form, "submit", async (e) => {
+    e.preventDefault();
+
+    const button = form.querySelector(".admin-save");
+    const details = Object.fromEntries(Object.entries(fields).map(([name, input]) => [name, input.value]));
+    button.disabled = true;
+    const result = editingId === null
+      ? await storeService.createItem(communityId, details)
+      : await storeService.updateItem(communityId, editingId, details);
+    if (scope.disposed) return;
+
+    button.disabled = false;
+    showFieldErrors(fields, result.errors || {});
+    if (result.success) {
+      closeForm();
+      say("Saved", true);
+    } else {
+      say(result.errors ? "" : result.message);
+    }
+  });
+
+  clearOnInput(...Object.values(fields));
+
+  scope.on(container, "click", (e) => {
+    if (e.target.closest(".store-add-btn")) {
+      openForm();
+      return;
+    }
+    if (e.target.closest(".store-cancel")) {
+      closeForm();
+      return;
+    }
+    if (e.target.closest(".section-retry")) {
+      status = "loading";
+      render();
+      load();
+      return;
+    }
+
+    const button = e.target.closest(".store-item [data-action]");
+    if (!button) return;
+
+    const item = items().find(i => sameId(i.id, button.closest(".store-item").dataset.itemId));
+    if (!item) return;
+
+    const actions = { buy, edit: openForm, remove };
+    actions[button.dataset.action]?.(item);
+  });
+
+  scope.add(storeService.subscribe(render));
+  scope.add(communitiesService.subscribe(render));
+  render();
+  load();
+
+  return () => scope.dispose();
+}
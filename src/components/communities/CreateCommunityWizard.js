@@ -0,0 +1,188 @@
+// src/components/communities/CreateCommunityWizard.js
+// "Create community" button and the three-step dialog behind it: name, icon,
+// then description and a preview. Creating opens the new community.
+
+import { communitiesService } from "../../modules/communities/communitiesService.js";
+import { communityIcon, isIconUrl, validateCommunity, NAME_MAX, DESCRIPTION_MAX } from "../../modules/communities/communitiesHelpers.js";
+import { requireAuth } from "../../modules/auth-module/session-manager/session.js";
+import { showFieldErrors, clearOnInput } from "../common/fieldErrors.js";
+import { escapeHtml } from "../../utils/formatters.js";
+import { createScope } from "../../utils/helpers.js";
+
+const STEPS = [
+  { title: "Name your community", fields: ["name"] },
+  { title: "Pick an icon", fields: ["icon"] },
+  { title: "Describe it", fields: ["description"] }
+];
+
+export default function initCreateCommunityButton(button, { scope = createScope() } = {}) {
+  if (!button) return () => {};
+
+  button.setAttribute("aria-haspopup", "dialog");
+
+  const dialog = document.createElement("dialog");
+  dialog.className = "create-community-dialog";
+  dialog.innerHTML = `
+    <form class="create-community-body" novalidate>
+      <div class="create-community-header">
+        <h2 class="create-community-title"></h2>
+        <button type="button" class="create-community-close" aria-label="Close">&times;</button>
+      </div>
+      <div class="create-community-progress" aria-hidden="true">
+        ${STEPS.map(() => `<span></span>`).join("")}
+      </div>
+
+      <div class="create-community-step" data-step="0">
+        <label for="newCommunityName">Name</label>
+        <input id="newCommunityName" name="name" maxlength="${NAME_MAX}" autocomplete="off" />
+        <p class="create-community-hint">You can change this later from the admin panel.</p>
+      </div>
+
+      <div class="create-community-step" data-step="1">
+        <div class="create-community-icon-row">
+          <img class="create-community-icon-preview" alt="" />
+          <div>
+            <label for="newCommunityIcon">Image link</label>
+            <input id="newCommunityIcon" name="icon" placeholder="https://…" autocomplete="off" />
+          </div>
+        </div>
+        <p class="create-community-hint">Leave it empty to use your community's initials.</p>
+      </div>
+
+      <div class="create-community-step" data-step="2">
+        <label for="newCommunityDescription">Description</label>
+        <textarea id="newCommunityDescription" name="description" rows="4" maxlength="${DESCRIPTION_MAX}"
+          placeholder="What's your community about?"></textarea>
+        <div class="create-community-summary"></div>
+      </div>
+
+      <div class="create-community-msg" role="alert"></div>
+
+      <div class="create-community-footer">
+        <button type="button" class="create-community-back">Back</button>
+        <button type="submit" class="create-community-next"></button>
+      </div>
+    </form>
+  `;
+  document.body.appendChild(dialog);
+  scope.add(() => dialog.remove());
+
+  const form = dialog.querySelector("form");
+  const fields = {
+    name: form.elements.name,
+    icon: form.elements.icon,
+    description: form.elements.description
+  };
+  const preview = dialog.querySelector(".create-community-icon-preview");
+  const message = dialog.querySelector(".create-community-msg");
+  const next = dialog.querySelector(".create-community-next");
+
+  let step = 0;
+  let busy = false;
+
+  function values() {
+    return {
+      name: fields.name.value,
+      icon: fields.icon.value.trim(),
+      description: fields.description.value.trim()
+    };
+  }
+
+  function showStep(index) {
+    step = index;
+    dialog.querySelector(".create-community-title").textContent = STEPS[step].title;
+    dialog.querySelectorAll(".create-community-step").forEach(el => {
+      el.hidden = Number(el.dataset.step) !== step;
+    });
+    dialog.querySelectorAll(".create-community-progress span").forEach((dot, i) => {
+      dot.classList.toggle("done", i <= step);
+    });
+    dialog.querySelector(".create-community-back").hidden = step === 0;
+    next.textContent = step === STEPS.length - 1 ? "Create community" : "Next";
+    message.textContent = "";
+
+    if (step === 2) {
+      const { name, icon } = values();
+      dialog.querySelector(".create-community-summary").innerHTML = `
+        <img src="${escapeHtml(communityIcon({ name, icon }))}" alt="" />
+        <strong>${escapeHtml(name.trim())}</strong>
+      `;
+    }
+
+    fields[STEPS[step].fields[0]].focus();
+  }
+
+  function updatePreview() {
+    const icon = fields.icon.value.trim();
+    preview.src = communityIcon({ name: fields.name.value, icon: isIconUrl(icon) ? icon : "" });
+  }
+
+  // errors for this step's fields only, so later steps don't nag early
+  function stepErrors(index) {
+    const errors = validateCommunity(values());
+    return Object.fromEntries(STEPS[index].fields.filter(f => errors[f]).map(f => [f, errors[f]]));
+  }
+
+  async function submit() {
+    const errors = stepErrors(step);
+    showFieldErrors({ [STEPS[step].fields[0]]: fields[STEPS[step].fields[0]] }, errors);
+    if (Object.keys(errors).length) return;
+
+    if (step < STEPS.length - 1) {
+      showStep(step + 1);
+      return;
+    }
+
+    busy = true;
+    next.disabled = true;
+    const result = await communitiesService.create(values());
+    busy = false;
+    next.disabled = false;
+    if (scope.disposed) return;
+
+    if (!result.success) {
+      // send them back to the step with the problem
+      const badStep = STEPS.findIndex(s => s.fields.some(f => result.errors?.[f]));
+      if (badStep >= 0 && badStep !== step) showStep(badStep);
+      showFieldErrors(fields, result.errors || {});
+      message.textContent = result.errors ? "" : result.message;
+      return;
+    }
+
+    dialog.close();
+    window.navigateToPage?.("community", { id: result.community.id });
+  }
+
+  function open() {
+    if (!requireAuth()) return;
+
+    form.reset();
+    showFieldErrors(fields, {});
+    updatePreview();
+    dialog.showModal();
+    showStep(0);
+  }
+
+  clearOnInput(...Object.values(fields));
+
+  scope.on(fields.icon, "input", updatePreview);
+  scope.on(fields.name, "input", updatePreview);
+
+  scope.on(form, "submit", (e) => {
+    e.preventDefault();
+    if (!busy) submit();
+  });
+
+  scope.on(dialog, "click", (e) => {
+    // backdrop clicks land on the dialog element itself
+    if (e.target === dialog || e.target.closest(".create-community-close")) {
+      dialog.close();
+      return;
+    }
+    if (e.target.closest(".create-community-back") && step > 0) showStep(step - 1);
+  });
+
+  scope.on(button, "click", open);
+
+  return () => scope.dispose();
+}
@@ -0,0 +1,252 @@
+// src/components/communities/ShoutBox.js
+// A community's shouts: a composer for members allowed to post, the pinned
+// shout, then everything else newest first. Older shouts load as the list is
+// scrolled to the end (or from the "Load older shouts" button). Shout text
+// goes through renderMarkdown, never straight into innerHTML.
+
+import { communitiesService } from "../../modules/communities/communitiesService.js";
+import { SHOUT_MAX, permissionError, sameId } from "../../modules/communities/communitiesHelpers.js";
+import { renderEmpty, renderError } from "../common/sectionState.js";
+import { escapeHtml, formatRelativeTime, getUserInitials } from "../../utils/formatters.js";
+import { renderMarkdown } from "../../utils/markdown.js";
+import { createScope } from "../../utils/helpers.js";
+
+const PAGE_SIZE = 10;
+const MINUTE = 60 * 1000;
+
+export default function initShoutBox(container, { scope = createScope(), communityId, pageSize = PAGE_SIZE } = {}) {
+  if (!container) return () => {};
+
+  communitiesService.init();
+
+  container.innerHTML = `
+    <form class="shout-composer" novalidate hidden>
+      <textarea name="text" rows="2" maxlength="${SHOUT_MAX}"
+        placeholder="Shout something… **bold**, links and @mentions work"></textarea>
+      <div class="shout-composer-footer">
+        <span class="shout-count"></span>
+        <button type="submit" class="shout-post">Post</button>
+      </div>
+    </form>
+    <p class="shout-note" hidden></p>
+    <div class="shout-msg" role="status"></div>
+    <ul class="shout-list shout-pinned"></ul>
+    <ul class="shout-list shout-feed"></ul>
+    <div class="shout-more" hidden>
+      <button type="button" class="shout-load-more">Load older shouts</button>
+    </div>
+  `;
+
+  const form = container.querySelector(".shout-composer");
+  const input = form.elements.text;
+  const count = container.querySelector(".shout-count");
+  const message = container.querySelector(".shout-msg");
+  const more = container.querySelector(".shout-more");
+
+  let status = "loading";
+  let shouts = [];
+  let pinned = null;
+  let hasMore = false;
+  let loadingMore = false;
+  // a newer reload wins over a slower one still in flight
+  let loadId = 0;
+  let observer = null;
+
+  function say(text) {
+    message.textContent = text;
+  }
+
+  function me() {
+    return communitiesService.getState().me;
+  }
+
+  function renderComposer() {
+    const community = communitiesService.getCommunity(communityId);
+    const allowed = Boolean(community) && communitiesService.can(communityId, "shout");
+    const note = container.querySelector(".shout-note");
+
+    form.hidden = !allowed;
+    note.hidden = allowed || !community;
+    if (!me()) note.textContent = "Sign in and join to post shouts.";
+    else if (!communitiesService.isMember(communityId)) note.textContent = "Join this community to post shouts.";
+    else if (community) note.textContent = permissionError(community, me().id, "shout") || "";
+
+    count.textContent = `${input.value.length}/${SHOUT_MAX}`;
+  }
+
+  function renderTime(at) {
+    const date = new Date(at);
+    return `<time datetime="${date.toISOString()}" data-at="${at}" title="${escapeHtml(date.toLocaleString())}">${formatRelativeTime(at)}</time>`;
+  }
+
+  function renderShout(shout) {
+    const user = me();
+    const canDelete = user && (sameId(shout.author.id, user.id) || communitiesService.can(communityId, "deleteShout"));
+    const canPin = communitiesService.can(communityId, "pinShout");
+
+    return `
+      <li class="shout-item ${shout.pinned ? "pinned" : ""}" data-shout-id="${escapeHtml(shout.id)}">
+        <span class="member-avatar">${escapeHtml(getUserInitials(shout.author.username))}</span>
+        <div class="shout-main">
+          <div class="shout-header">
+            <strong>${escapeHtml(shout.author.username)}</strong>
+            ${renderTime(shout.createdAt)}
+            ${shout.pinned ? `<span class="shout-badge">Pinned</span>` : ""}
+            <span class="shout-actions">
+              ${canPin ? `<button type="button" class="shout-btn" data-action="${shout.pinned ? "unpin" : "pin"}">${shout.pinned ? "Unpin" : "Pin"}</button>` : ""}
+              ${canDelete ? `<button type="button" class="shout-btn danger" data-action="delete">Delete</button>` : ""}
+            </span>
+          </div>
+          <div class="shout-text">${renderMarkdown(shout.text, { me: user?.username })}</div>
+        </div>
+      </li>
+    `;
+  }
+
+  function renderList() {
+    const list = container.querySelector(".shout-feed");
+    container.querySelector(".shout-pinned").innerHTML = pinned ? renderShout(pinned) : "";
+
+    if (status === "loading") list.innerHTML = `<li class="empty">Loading shouts…</li>`;
+    else if (status === "error") list.innerHTML = `<li>${renderError("Could not load shouts")}</li>`;
+    else if (!shouts.length && !pinned) list.innerHTML = `<li>${renderEmpty("No shouts yet")}</li>`;
+    else list.innerHTML = shouts.map(renderShout).join("");
+
+    more.hidden = status !== "ready" || !hasMore;
+    more.querySelector("button").disabled = loadingMore;
+  }
+
+  // the newest shouts again, as many as are already on screen
+  async function reload() {
+    const id = ++loadId;
+    const result = await communitiesService.listShouts(communityId, { limit: Math.max(pageSize, shouts.length) });
+    if (scope.disposed || id !== loadId) return;
+
+    if (result.success) {
+      ({ shouts, pinned, hasMore } = result);
+      status = "ready";
+    } else if (status !== "ready") {
+      status = "error";
+    }
+    renderList();
+  }
+
+  async function loadMore() {
+    if (loadingMore || !hasMore || status !== "ready") return;
+
+    const id = loadId;
+    loadingMore = true;
+    renderList();
+
+    const result = await communitiesService.listShouts(communityId, { before: shouts[shouts.length - 1]?.createdAt ?? null, limit: pageSize });
+    loadingMore = false;
+    if (scope.disposed) return;
+
+    // a reload while this was loading already has the right list
+    if (id === loadId) {
+      if (result.success) {
+        shouts = [...shouts, ...result.shouts];
+        hasMore = result.hasMore;
+      } else {
+        say(result.message);
+      }
+    }
+    renderList();
+
+    // observing again re-checks, in case the end of the list is still in view
+    observer?.unobserve(more);
+    observer?.observe(more);
+  }
+
+  async function post() {
+    const button = form.querySelector(".shout-post");
+    if (button.disabled) return;
+    button.disabled = true;
+    const result = await communitiesService.postShout(communityId, input.value);
+    if (scope.disposed) return;
+
+    button.disabled = false;
+    if (result.success) {
+      // the service tells subscribers, which reloads the list
+      input.value = "";
+      renderComposer();
+      say("");
+    } else {
+      say(result.message);
+    }
+  }
+
+  scope.on(form, "submit", (e) => {
+    e.preventDefault();
+    post();
+  });
+
+  scope.on(input, "input", () => {
+    count.textContent = `${input.value.length}/${SHOUT_MAX}`;
+  });
+
+  scope.on(input, "keydown", (e) => {
+    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      post();
+    }
+  });
+
+  scope.on(container, "click", async (e) => {
+    if (e.target.closest(".shout-load-more")) {
+      loadMore();
+      return;
+    }
+    if (e.target.closest(".section-retry")) {
+      status = "loading";
+      renderList();
+      reload();
+      return;
+    }
+
+    const button = e.target.closest(".shout-item [data-action]");
+    if (!button) return;
+
+    const { shoutId } = button.closest(".shout-item").dataset;
+    const actions = {
+      pin: () => communitiesService.pinShout(communityId, shoutId, true),
+      unpin: () => communitiesService.pinShout(communityId, shoutId, false),
+      delete: () => confirm("Delete this shout?") && communitiesService.deleteShout(communityId, shoutId)
+    };
+
+    button.disabled = true;
+    const result = await actions[button.dataset.action]?.();
+    if (scope.disposed) return;
+
+    button.disabled = false;
+    if (result) say(result.success ? "" : result.message);
+  });
+
+  // older shouts load once the end of the list scrolls into view
+  if ("IntersectionObserver" in window) {
+    observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) loadMore();
+    });
+    observer.observe(more);
+    scope.add(() => observer.disconnect());
+  }
+
+  // "5m ago" keeps counting while the page is open
+  scope.interval(() => {
+    container.querySelectorAll("time[data-at]").forEach(el => {
+      el.textContent = formatRelativeTime(Number(el.dataset.at));
+    });
+  }, MINUTE);
+
+  // roles, membership and shouts from other tabs all arrive this way
+  scope.add(communitiesService.subscribe(() => {
+    renderComposer();
+    reload();
+  }));
+
+  renderComposer();
+  renderList();
+  reload();
+
+  return () => scope.dispose();
+}
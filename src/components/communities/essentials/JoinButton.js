@@ -0,0 +1,49 @@
+// src/components/communities/essentials/JoinButton.js
+// Join / Leave button for a community. renderJoinButton() gives the markup;
+// bindJoinButtons() handles every button inside a container, so cards and
+// banners re-rendered from the service keep working. The button carries a
+// data-action, so card click handlers that skip data-action leave it alone.
+
+import { communitiesService } from "../../../modules/communities/communitiesService.js";
+import { requireAuth } from "../../../modules/auth-module/session-manager/session.js";
+import { rankName } from "../../../modules/communities/communitiesHelpers.js";
+import { escapeHtml } from "../../../utils/formatters.js";
+
+export function renderJoinButton(community) {
+  const id = community.id;
+  const joined = communitiesService.isMember(id);
+  const pending = communitiesService.isPending(id);
+  const owner = joined && String(community.ownerId) === String(communitiesService.getState().me?.id);
+
+  // owners can't leave, so there is nothing to press
+  if (owner) return `<span class="join-btn owner">${escapeHtml(rankName(community, "owner"))}</span>`;
+
+  return `
+    <button type="button" class="join-btn ${joined ? "joined" : ""}" data-action="${joined ? "leave" : "join"}"
+      data-community-id="${escapeHtml(id)}" ${pending ? "disabled" : ""}
+      aria-label="${joined ? "Leave" : "Join"} ${escapeHtml(community.name)}">${joined ? "Joined" : "Join"}</button>
+  `;
+}
+
+export function bindJoinButtons(container, scope) {
+  scope.on(container, "click", async (e) => {
+    const button = e.target.closest(".join-btn[data-community-id]");
+    if (!button) return;
+    if (!requireAuth()) return;
+
+    const id = button.dataset.communityId;
+    const community = communitiesService.getCommunity(id);
+
+    let result;
+    if (button.dataset.action === "leave") {
+      if (!confirm(`Leave ${community?.name || "this community"}?`)) return;
+      result = await communitiesService.leave(id);
+    } else {
+      result = await communitiesService.join(id);
+    }
+
+    if (!result.success && !scope.disposed) alert(result.message);
+  });
+}
+
+export default renderJoinButton;
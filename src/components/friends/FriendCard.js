@@ -0,0 +1,34 @@
+// src/components/friends/FriendCard.js
+// One row in a friends or requests list. Buttons carry data-action and the
+// row carries data-user-id / data-request-id; the owning list handles clicks.
+
+import { getUserInitials, escapeHtml } from "../../utils/formatters.js";
+import { presenceLabel, presenceClass } from "../../modules/presence/presenceHelpers.js";
+
+/**
+ * `actions` is a list of { action, label, danger? }. Pass `presence` to show
+ * a status dot and label (friends only), and `profile` (their profile
+ * settings, if they let us see them) for their display name and colour.
+ */
+export default function renderFriendCard(user, { meta = "", requestId = null, actions = [], presence = null, profile = null } = {}) {
+  const name = profile?.displayName || user.username;
+
+  const buttons = actions.map(({ action, label, danger }) => `
+    <button type="button" class="friend-card-btn ${danger ? "danger" : ""}" data-action="${action}">${escapeHtml(label)}</button>
+  `).join("");
+
+  return `
+    <li class="friend-card" data-user-id="${escapeHtml(user.id)}" data-username="${escapeHtml(user.username)}"
+      ${requestId ? `data-request-id="${escapeHtml(requestId)}"` : ""}>
+      <span class="friend-card-avatar ${presence ? `has-presence ${presenceClass(presence)}` : ""}"
+        ${profile ? `style="background:${escapeHtml(profile.colour)}"` : ""}>${escapeHtml(getUserInitials(name))}</span>
+      <span class="friend-card-text">
+        <span class="friend-card-name">${escapeHtml(name)}</span>
+        ${name !== user.username ? `<span class="friend-card-meta">@${escapeHtml(user.username)}</span>` : ""}
+        ${presence ? `<span class="friend-card-presence ${presenceClass(presence)}">${escapeHtml(presenceLabel(presence))}</span>` : ""}
+        ${meta ? `<span class="friend-card-meta">${escapeHtml(meta)}</span>` : ""}
+      </span>
+      <span class="friend-card-actions">${buttons}</span>
+    </li>
+  `;
+}
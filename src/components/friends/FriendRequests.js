@@ -0,0 +1,161 @@
+// src/components/friends/FriendRequests.js
+// Pending friend requests: incoming ones to accept or decline, outgoing ones
+// to cancel. Also exports the "add by username" form used here and on Home.
+
+import { friendsService } from "../../modules/friends/friendsService.js";
+import { countLabel } from "../../modules/friends/friendsHelpers.js";
+import SettingsService from "../../modules/settings/settingsService.js";
+import { formatRelativeTime, escapeHtml } from "../../utils/formatters.js";
+import { createScope } from "../../utils/helpers.js";
+import renderFriendCard from "./FriendCard.js";
+
+/**
+ * Username field + Send button. `onSent(result)` runs after a successful
+ * request, e.g. to close the dialog it lives in.
+ */
+export function initSendRequestForm(container, { scope = createScope(), onSent } = {}) {
+  if (!container) return () => {};
+
+  friendsService.init();
+
+  container.innerHTML = `
+    <form class="friend-request-form" autocomplete="off">
+      <input name="username" placeholder="Username" maxlength="21" aria-label="Username" />
+      <button type="submit">Send request</button>
+    </form>
+    <div class="friend-request-msg" hidden></div>
+  `;
+
+  const form = container.querySelector("form");
+  const input = form.elements.username;
+  const msg = container.querySelector(".friend-request-msg");
+
+  function show(text, ok = false) {
+    msg.textContent = text || "";
+    msg.classList.toggle("ok", ok);
+    msg.hidden = !text;
+  }
+
+  scope.on(form, "submit", async (e) => {
+    e.preventDefault();
+    show("");
+
+    const button = form.querySelector("button");
+    button.disabled = true;
+    try {
+      const result = await friendsService.sendRequest(input.value);
+      if (scope.disposed) return;
+
+      if (!result.success) {
+        show(result.message);
+        return;
+      }
+
+      input.value = "";
+      show(result.status === "accepted"
+        ? `You and ${result.user.username} are now friends`
+        : `Friend request sent to ${result.user.username}`, true);
+      onSent?.(result);
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  scope.on(input, "input", () => show(""));
+
+  return () => scope.dispose();
+}
+
+export default function initFriendRequests(container, { scope = createScope() } = {}) {
+  if (!container) return () => {};
+
+  friendsService.init();
+
+  let message = "";
+
+  function render() {
+    const { status, error } = friendsService.getState();
+    const incoming = friendsService.getIncoming();
+    const outgoing = friendsService.getOutgoing();
+
+    if (status === "loading") {
+      container.innerHTML = `<div class="friends-empty">Loading requests…</div>`;
+      return;
+    }
+    if (status === "error") {
+      container.innerHTML = `<div class="friends-empty error">${escapeHtml(error)}</div>`;
+      return;
+    }
+
+    const incomingRows = incoming.map(request => renderFriendCard(request.from, {
+      requestId: request.id,
+      profile: SettingsService.getVisibleProfile(request.from.id, "incoming"),
+      meta: `Sent ${formatRelativeTime(request.createdAt)}`,
+      actions: [
+        { action: "accept", label: "Accept" },
+        { action: "decline", label: "Decline" },
+        { action: "block", label: "Block", danger: true }
+      ]
+    })).join("");
+
+    const outgoingRows = outgoing.map(request => renderFriendCard(request.to, {
+      requestId: request.id,
+      profile: SettingsService.getVisibleProfile(request.to.id, "outgoing"),
+      meta: `Sent ${formatRelativeTime(request.createdAt)}`,
+      actions: [{ action: "cancel", label: "Cancel" }]
+    })).join("");
+
+    container.innerHTML = `
+      ${message ? `<div class="friend-request-msg">${escapeHtml(message)}</div>` : ""}
+
+      <h3 class="friends-subtitle">Incoming · ${countLabel(incoming.length, "request")}</h3>
+      ${incoming.length
+        ? `<ul class="friend-cards">${incomingRows}</ul>`
+        : `<div class="friends-empty">No one has sent you a request</div>`}
+
+      <h3 class="friends-subtitle">Sent · ${countLabel(outgoing.length, "request")}</h3>
+      ${outgoing.length
+        ? `<ul class="friend-cards">${outgoingRows}</ul>`
+        : `<div class="friends-empty">No pending requests</div>`}
+    `;
+  }
+
+  async function run(button, action) {
+    button.disabled = true;
+    const result = await action();
+    if (scope.disposed) return;
+
+    message = result.success ? "" : result.message;
+    render();
+  }
+
+  scope.on(container, "click", (e) => {
+    const button = e.target.closest("[data-action]");
+    const card = button?.closest(".friend-card");
+    if (!card) return;
+
+    const { requestId, userId, username } = card.dataset;
+
+    switch (button.dataset.action) {
+      case "accept":
+        run(button, () => friendsService.acceptRequest(requestId));
+        break;
+      case "decline":
+        run(button, () => friendsService.declineRequest(requestId));
+        break;
+      case "cancel":
+        run(button, () => friendsService.cancelRequest(requestId));
+        break;
+      case "block":
+        if (confirm(`Block ${username}? They won't be able to send you requests.`)) {
+          run(button, () => friendsService.blockUser({ id: userId, username }));
+        }
+        break;
+    }
+  });
+
+  scope.add(friendsService.subscribe(render));
+  render();
+
+  return () => scope.dispose();
+}
@@ -0,0 +1,127 @@
+// src/components/friends/FriendsList.js
+// The signed-in user's friends (message, unfriend, block) and the users
+// they've blocked.
+
+import { friendsService } from "../../modules/friends/friendsService.js";
+import { countLabel, formatFriendSince } from "../../modules/friends/friendsHelpers.js";
+import { chatService } from "../../modules/chat/chatService.js";
+import { presenceService } from "../../modules/presence/presenceService.js";
+import { byPresence } from "../../modules/presence/presenceHelpers.js";
+import SettingsService from "../../modules/settings/settingsService.js";
+import { formatRelativeTime, escapeHtml } from "../../utils/formatters.js";
+import { createScope } from "../../utils/helpers.js";
+import renderFriendCard from "./FriendCard.js";
+
+export default function initFriendsList(container, { scope = createScope() } = {}) {
+  if (!container) return () => {};
+
+  friendsService.init();
+
+  let message = "";
+
+  function render() {
+    const { status, error } = friendsService.getState();
+    const friends = friendsService.getFriends();
+    const blocked = friendsService.getBlocked();
+
+    if (status === "loading") {
+      container.innerHTML = `<div class="friends-empty">Loading friends…</div>`;
+      return;
+    }
+    if (status === "error") {
+      container.innerHTML = `<div class="friends-empty error">${escapeHtml(error)}</div>`;
+      return;
+    }
+
+    const friendRows = [...friends]
+      .sort(byPresence(friend => presenceService.getPresence(friend.user.id)))
+      .map(({ user, since }) => renderFriendCard(user, {
+        presence: presenceService.getPresence(user.id),
+        profile: SettingsService.getVisibleProfile(user.id, "friend"),
+        meta: formatFriendSince(since),
+        actions: [
+          { action: "message", label: "Message" },
+          { action: "unfriend", label: "Unfriend" },
+          { action: "block", label: "Block", danger: true }
+        ]
+      }))
+      .join("");
+
+    const blockedRows = blocked.map(({ user, createdAt }) => renderFriendCard(user, {
+      meta: `Blocked ${formatRelativeTime(createdAt)}`,
+      actions: [{ action: "unblock", label: "Unblock" }]
+    })).join("");
+
+    container.innerHTML = `
+      ${message ? `<div class="friend-request-msg">${escapeHtml(message)}</div>` : ""}
+
+      <h3 class="friends-subtitle">${countLabel(friends.length, "friend")}</h3>
+      ${friends.length
+        ? `<ul class="friend-cards">${friendRows}</ul>`
+        : `<div class="friends-empty">No friends yet. Send someone a request above.</div>`}
+
+      ${blocked.length ? `
+        <h3 class="friends-subtitle">Blocked</h3>
+        <ul class="friend-cards">${blockedRows}</ul>
+      ` : ""}
+    `;
+  }
+
+  async function run(button, action) {
+    button.disabled = true;
+    const result = await action();
+    if (scope.disposed) return;
+
+    message = result.success ? "" : result.message;
+    render();
+  }
+
+  async function openChat(button, username) {
+    chatService.init();
+    button.disabled = true;
+
+    const result = await chatService.startDirectChat(username);
+    if (scope.disposed) return;
+
+    button.disabled = false;
+    if (result.success) {
+      window.dispatchEvent(new CustomEvent("chat:open"));
+    } else {
+      message = result.message;
+      render();
+    }
+  }
+
+  scope.on(container, "click", (e) => {
+    const button = e.target.closest("[data-action]");
+    const card = button?.closest(".friend-card");
+    if (!card) return;
+
+    const { userId, username } = card.dataset;
+
+    switch (button.dataset.action) {
+      case "message":
+        openChat(button, username);
+        break;
+      case "unfriend":
+        if (confirm(`Remove ${username} from your friends?`)) {
+          run(button, () => friendsService.removeFriend(userId));
+        }
+        break;
+      case "block":
+        if (confirm(`Block ${username}? This also removes them from your friends.`)) {
+          run(button, () => friendsService.blockUser({ id: userId, username }));
+        }
+        break;
+      case "unblock":
+        run(button, () => friendsService.unblockUser(userId));
+        break;
+    }
+  });
+
+  scope.add(friendsService.subscribe(render));
+  scope.add(presenceService.subscribe(render));
+  render();
+
+  return () => scope.dispose();
+}
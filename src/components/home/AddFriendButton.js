@@ -0,0 +1,61 @@
+// src/components/home/AddFriendButton.js
+// Makes the "Add Friend" tile on Home open a small dialog for sending a
+// friend request by username.
+
+import { requireAuth } from "../../modules/auth-module/session-manager/session.js";
+import { createScope } from "../../utils/helpers.js";
+import { initSendRequestForm } from "../friends/FriendRequests.js";
+
+export default function initAddFriendButton(tile, { scope = createScope() } = {}) {
+  if (!tile) return () => {};
+
+  tile.setAttribute("role", "button");
+  tile.setAttribute("tabindex", "0");
+  tile.setAttribute("aria-haspopup", "dialog");
+
+  const dialog = document.createElement("dialog");
+  dialog.className = "add-friend-dialog";
+  dialog.innerHTML = `
+    <div class="add-friend-dialog-body">
+      <div class="add-friend-dialog-header">
+        <h2>Add a friend</h2>
+        <button type="button" class="add-friend-close" aria-label="Close">&times;</button>
+      </div>
+      <div class="add-friend-form"></div>
+      <a href="#friends" class="see-all add-friend-manage">Manage friends &amp; requests</a>
+    </div>
+  `;
+  document.body.appendChild(dialog);
+  scope.add(() => dialog.remove());
+
+  let formScope = null;
+
+  function open() {
+    if (!requireAuth()) return;
+
+    // fresh form each time so an old message doesn't linger
+    formScope?.dispose();
+    formScope = createScope();
+    initSendRequestForm(dialog.querySelector(".add-friend-form"), { scope: formScope });
+
+    dialog.showModal();
+    dialog.querySelector("input")?.focus();
+  }
+
+  scope.add(() => formScope?.dispose());
+
+  scope.on(tile, "click", open);
+  scope.on(tile, "keydown", (e) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      open();
+    }
+  });
+
+  scope.on(dialog, "click", (e) => {
+    // backdrop clicks land on the dialog element itself
+    if (e.target === dialog || e.target.closest(".add-friend-close, .add-friend-manage")) dialog.close();
+  });
+
+  return () => scope.dispose();
+}
@@ -0,0 +1,101 @@
+// src/components/home/FriendsSection.js
+// The friends row on Home. Keeps the "Add Friend" tile first and fills the
+// rest from the friends service, online friends first, each with a presence
+// dot. Clicking a friend opens a chat with them.
+
+import { friendsService } from "../../modules/friends/friendsService.js";
+import { chatService } from "../../modules/chat/chatService.js";
+import { presenceService } from "../../modules/presence/presenceService.js";
+import { presenceLabel, presenceClass, byPresence } from "../../modules/presence/presenceHelpers.js";
+import { getUserInitials, escapeHtml } from "../../utils/formatters.js";
+import { createScope } from "../../utils/helpers.js";
+import { renderEmpty, renderError } from "../common/sectionState.js";
+
+const SKELETONS = 4;
+
+function renderFriend({ user }) {
+  const presence = presenceService.getPresence(user.id);
+
+  return `
+    <div class="friend-item ${presenceClass(presence)}" role="button" tabindex="0" data-username="${escapeHtml(user.username)}"
+      title="${escapeHtml(`${user.username} · ${presenceLabel(presence)}`)}">
+      <div class="friend-avatar">${escapeHtml(getUserInitials(user.username))}</div>
+      <span class="friend-name">${escapeHtml(user.username)}</span>
+    </div>
+  `;
+}
+
+function renderSkeletons() {
+  return Array.from({ length: SKELETONS }, () => `
+    <div class="friend-item skeleton-friend" aria-hidden="true">
+      <div class="friend-avatar skeleton"></div>
+      <span class="skeleton skeleton-line"></span>
+    </div>
+  `).join("");
+}
+
+export default function initFriendsSection(container, { scope = createScope() } = {}) {
+  if (!container) return () => {};
+
+  friendsService.init();
+
+  const addTile = container.querySelector(".friend-item.add-friend");
+
+  function render() {
+    const { status, error } = friendsService.getState();
+    const friends = friendsService.getFriends();
+
+    let html;
+    if (status === "signed-out") {
+      html = renderEmpty("Sign in to see your friends", { href: "#login", linkText: "Log in" });
+    } else if (status === "loading") {
+      html = renderSkeletons();
+    } else if (status === "error") {
+      html = renderError(error);
+    } else if (friends.length === 0) {
+      html = renderEmpty("No friends yet — add someone to get started");
+    } else {
+      html = [...friends]
+        .sort(byPresence(friend => presenceService.getPresence(friend.user.id)))
+        .map(renderFriend)
+        .join("");
+    }
+
+    container.innerHTML = html;
+    // same node, so listeners on it survive the re-render
+    if (addTile) container.prepend(addTile);
+  }
+
+  async function openChat(item) {
+    chatService.init();
+    const result = await chatService.startDirectChat(item.dataset.username);
+    if (scope.disposed) return;
+
+    if (result.success) window.dispatchEvent(new CustomEvent("chat:open"));
+    else alert(result.message);
+  }
+
+  scope.on(container, "click", (e) => {
+    if (e.target.closest(".section-retry")) {
+      friendsService.refresh();
+      return;
+    }
+
+    const item = e.target.closest(".friend-item[data-username]");
+    if (item) openChat(item);
+  });
+
+  scope.on(container, "keydown", (e) => {
+    const item = e.target.closest?.(".friend-item[data-username]");
+    if (item && (e.key === "Enter" || e.key === " ")) {
+      e.preventDefault();
+      openChat(item);
+    }
+  });
+
+  scope.add(friendsService.subscribe(render));
+  scope.add(presenceService.subscribe(render));
+  render();
+
+  return () => scope.dispose();
+}
@@ -0,0 +1,108 @@
+// src/components/home/RecommendedSection.js
+// "Recommended For You" on Home: resources and communities ranked by the
+// recommendations service, each with the reason it was picked and buttons
+// to hide it or say "not interested".
+
+import { recommendationsService, recommendationKey } from "../../modules/recommendations/recommendationsService.js";
+import { requireAuth } from "../../modules/auth-module/session-manager/session.js";
+import { createScope } from "../../utils/helpers.js";
+import { renderEmpty, renderError } from "../common/sectionState.js";
+import renderResourceCard, { renderResourceSkeletons, bindResourceCards } from "../resources/ResouceCard.js";
+import renderCommunityCard, { bindCommunityCards } from "../communities/CommunityCard.js";
+import { bindJoinButtons } from "../communities/essentials/JoinButton.js";
+
+function renderFeedback() {
+  return `
+    <div class="rec-actions">
+      <button type="button" class="rec-btn" data-action="dismiss" title="Hide this recommendation">Hide</button>
+      <button type="button" class="rec-btn" data-action="not-interested" title="Show fewer like this">Not interested</button>
+    </div>
+  `;
+}
+
+function renderRecommendation(rec) {
+  // the two strongest reasons; more than that crowds the card
+  const note = rec.reasons.slice(0, 2).join(" · ");
+
+  return rec.kind === "community"
+    ? renderCommunityCard(rec.item, { note, footer: renderFeedback() })
+    : renderResourceCard(rec.item, { note, footer: renderFeedback() });
+}
+
+function keyOf(card) {
+  return card.classList.contains("community-tile")
+    ? recommendationKey("community", card.dataset.communityId)
+    : recommendationKey("resource", card.dataset.resourceId);
+}
+
+export default function initRecommendedSection(container, { scope = createScope(), limit = 4 } = {}) {
+  if (!container) return () => {};
+
+  let result = null;
+  let loadId = 0;
+
+  function render() {
+    if (!result) {
+      container.innerHTML = renderResourceSkeletons(limit);
+      return;
+    }
+    if (!result.success) {
+      container.innerHTML = renderError(result.message);
+      return;
+    }
+    if (result.recommendations.length === 0) {
+      container.innerHTML = renderEmpty("No recommendations yet", { href: "#resources", linkText: "Browse resources" });
+      return;
+    }
+
+    container.innerHTML = result.recommendations.map(renderRecommendation).join("");
+  }
+
+  async function reload({ quiet = false } = {}) {
+    const id = ++loadId;
+    if (!quiet) {
+      result = null;
+      render();
+    }
+
+    const next = await recommendationsService.getRecommendations(limit);
+    if (scope.disposed || id !== loadId) return;
+
+    result = next;
+    render();
+  }
+
+  function feedback(card, action) {
+    if (!requireAuth()) return;
+
+    const key = keyOf(card);
+    const outcome = action === "dismiss"
+      ? recommendationsService.dismiss(key)
+      : recommendationsService.notInterested(key);
+    if (!outcome.success) alert(outcome.message);
+  }
+
+  bindResourceCards(container, scope);
+  bindCommunityCards(container, scope);
+  bindJoinButtons(container, scope);
+
+  scope.on(container, "click", (e) => {
+    if (e.target.closest(".section-retry")) {
+      reload();
+      return;
+    }
+
+    const card = e.target.closest(".resource-tile, .community-tile");
+    if (!card) return;
+
+    const action = e.target.closest("[data-action]")?.dataset.action;
+    if (action === "dismiss" || action === "not-interested") feedback(card, action);
+  });
+
+  // favourites, friends, views and feedback all change the ranking
+  scope.add(recommendationsService.subscribe(() => reload({ quiet: Boolean(result) })));
+
+  reload();
+
+  return () => scope.dispose();
+}
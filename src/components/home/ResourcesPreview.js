@@ -0,0 +1,16 @@
+// src/components/home/ResourcesPreview.js
+// The latest resources, previewed on Home.
+
+import { resourcesService } from "../../modules/resources/resourcesService.js";
+import { createScope } from "../../utils/helpers.js";
+import { renderEmpty } from "../common/sectionState.js";
+import initResourceList from "../resources/ResourceList.js";
+
+export default function initResourcesPreview(container, { scope = createScope(), limit = 4 } = {}) {
+  return initResourceList(container, {
+    scope,
+    skeletons: limit,
+    load: () => resourcesService.getLatest(limit),
+    empty: () => renderEmpty("No resources have been published yet")
+  });
+}
@@ -0,0 +1,20 @@
+// src/components/resources/FavouritesList.js
+// The signed-in user's favourite resources. Reloads when one is added or
+// removed anywhere on the page.
+
+import { resourcesService } from "../../modules/resources/resourcesService.js";
+import { createScope } from "../../utils/helpers.js";
+import { renderEmpty } from "../common/sectionState.js";
+import initResourceList from "./ResourceList.js";
+
+export default function initFavouritesList(container, { scope = createScope(), limit = null } = {}) {
+  return initResourceList(container, {
+    scope,
+    skeletons: limit || 4,
+    reloadOnChange: true,
+    load: () => resourcesService.listFavourites({ limit }),
+    empty: (result) => result.signedOut
+      ? renderEmpty("Sign in to keep your favourite resources here", { href: "#login", linkText: "Log in" })
+      : renderEmpty("Tap ♡ on a resource to save it here")
+  });
+}
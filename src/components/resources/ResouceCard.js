@@ -0,0 +1,90 @@
+// src/components/resources/ResouceCard.js
+// Resource tile used by the Home sections and the favourites list, plus its
+// loading skeleton and the shared click handling (open / favourite).
+
+import { resourcesService } from "../../modules/resources/resourcesService.js";
+import { libraryService } from "../../modules/library/libraryService.js";
+import { formatRating } from "../../modules/resources/resourcesHelpers.js";
+import { requireAuth } from "../../modules/auth-module/session-manager/session.js";
+import { escapeHtml } from "../../utils/formatters.js";
+
+/**
+ * `note` is an optional line under the title (e.g. why it was recommended).
+ * `footer` is extra markup at the bottom of the card; buttons in it should
+ * carry a data-action so opening the card ignores them.
+ */
+export default function renderResourceCard(resource, { note = "", footer = "" } = {}) {
+  const favourite = resourcesService.isFavourite(resource.id);
+
+  return `
+    <div class="continue-card resource-tile" data-resource-id="${escapeHtml(resource.id)}" tabindex="0">
+      <div class="card-image">
+        <span class="card-badge">${escapeHtml(resource.category)}</span>
+        <button type="button" class="card-fav ${favourite ? "active" : ""}" data-action="favourite"
+          aria-pressed="${favourite}" aria-label="${favourite ? "Remove from favourites" : "Add to favourites"}">${favourite ? "♥" : "♡"}</button>
+        ${escapeHtml(resource.icon || "📄")}
+      </div>
+      <div class="card-content">
+        <div class="card-title">${escapeHtml(resource.title)}</div>
+        ${note ? `<div class="card-note">${escapeHtml(note)}</div>` : ""}
+        <div class="card-rating">
+          <span class="rating-icon">👍</span>
+          <span>${formatRating(resource.rating)}</span>
+          <span>· ${escapeHtml(resource.author)}</span>
+        </div>
+        ${footer}
+      </div>
+    </div>
+  `;
+}
+
+export function renderResourceSkeletons(count = 4) {
+  return Array.from({ length: count }, () => `
+    <div class="continue-card skeleton-card" aria-hidden="true">
+      <div class="card-image skeleton"></div>
+      <div class="card-content">
+        <div class="skeleton skeleton-line"></div>
+        <div class="skeleton skeleton-line short"></div>
+      </div>
+    </div>
+  `).join("");
+}
+
+function openResource(card) {
+  libraryService.recordView({
+    kind: "resource",
+    id: card.dataset.resourceId,
+    title: card.querySelector(".card-title")?.textContent
+  });
+  window.navigateToPage?.("resources");
+}
+
+/**
+ * Favourite toggles and opening a card, for every tile inside `container`.
+ * Favouriting while signed out goes to the login page. Other data-action
+ * buttons are left to the owning list.
+ */
+export function bindResourceCards(container, scope) {
+  scope.on(container, "click", (e) => {
+    const card = e.target.closest(".resource-tile");
+    if (!card) return;
+
+    const action = e.target.closest("[data-action]")?.dataset.action;
+    if (action === "favourite") {
+      if (!requireAuth()) return;
+
+      const result = resourcesService.toggleFavourite(card.dataset.resourceId);
+      if (!result.success) alert(result.message);
+      return;
+    }
+    if (action) return;
+
+    openResource(card);
+  });
+
+  scope.on(container, "keydown", (e) => {
+    if (e.key === "Enter" && e.target.classList?.contains("resource-tile")) {
+      openResource(e.target);
+    }
+  });
+}
@@ -0,0 +1,75 @@
+// src/components/resources/ResourceList.js
+// A grid of resource cards that loads itself: skeletons while `load()` is
+// pending, then the cards, an empty state or an error with Retry.
+
+import { resourcesService } from "../../modules/resources/resourcesService.js";
+import { createScope } from "../../utils/helpers.js";
+import { renderEmpty, renderError } from "../common/sectionState.js";
+import renderResourceCard, { renderResourceSkeletons, bindResourceCards } from "./ResouceCard.js";
+
+/**
+ * `load()` resolves { success, resources, message }. `empty(result)` returns
+ * the empty-state markup. `note(resource)` adds a line under a card's title.
+ * With `reloadOnChange`, favourite changes re-run `load()` instead of only
+ * re-rendering (for lists that are made of favourites).
+ */
+export default function initResourceList(container, {
+  scope = createScope(),
+  load,
+  empty = () => renderEmpty("Nothing here yet"),
+  note = () => "",
+  skeletons = 4,
+  reloadOnChange = false
+} = {}) {
+  if (!container) return () => {};
+
+  let result = null;
+  let loadId = 0;
+
+  function render() {
+    if (!result) {
+      container.innerHTML = renderResourceSkeletons(skeletons);
+      return;
+    }
+    if (!result.success) {
+      container.innerHTML = renderError(result.message);
+      return;
+    }
+    if (result.resources.length === 0) {
+      container.innerHTML = empty(result);
+      return;
+    }
+
+    container.innerHTML = result.resources
+      .map(resource => renderResourceCard(resource, { note: note(resource) }))
+      .join("");
+  }
+
+  async function reload({ quiet = false } = {}) {
+    const id = ++loadId;
+    if (!quiet) {
+      result = null;
+      render();
+    }
+
+    const next = await load();
+    if (scope.disposed || id !== loadId) return;
+
+    result = next;
+    render();
+  }
+
+  bindResourceCards(container, scope);
+  scope.on(container, "click", (e) => {
+    if (e.target.closest(".section-retry")) reload();
+  });
+
+  scope.add(resourcesService.subscribe(() => {
+    if (reloadOnChange) reload({ quiet: Boolean(result) });
+    else render();
+  }));
+
+  reload();
+
+  return () => scope.dispose();
+}
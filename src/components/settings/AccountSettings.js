@@ -0,0 +1,34 @@
+// src/components/settings/AccountSettings.js
+// Account panel: the account fields and two-factor settings from
+// settingsService.initSettings, changing email and password, and when the
+// account was created.
+
+import { initSettings } from "../../modules/settings/settingsService.js";
+import initCredentialSettings from "./CredentialSettings.js";
+import { getUser } from "../../modules/auth-module/session-manager/session.js";
+import { createScope } from "../../utils/helpers.js";
+
+export default function initAccountSettings(container, { scope = createScope(), onDirtyChange = () => {} } = {}) {
+  if (!container) return () => {};
+
+  container.innerHTML = `
+    <div class="settings-account-fields"></div>
+    <div class="settings-credentials"></div>
+    <p class="settings-hint settings-member-since"></p>
+  `;
+
+  initSettings(container.querySelector(".settings-account-fields"), { scope, onDirtyChange });
+  initCredentialSettings(container.querySelector(".settings-credentials"), { scope });
+
+  function renderSince() {
+    const createdAt = getUser()?.createdAt;
+    container.querySelector(".settings-member-since").textContent = createdAt
+      ? `Member since ${new Date(createdAt).toLocaleDateString([], { day: "numeric", month: "long", year: "numeric" })}`
+      : "";
+  }
+
+  scope.on(window, "session:update", renderSince);
+  renderSince();
+
+  return () => scope.dispose();
+}
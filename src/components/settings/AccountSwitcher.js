@@ -0,0 +1,132 @@
+// src/components/settings/AccountSwitcher.js
+// Panel listing every account signed in on this device
+
+import { getUserInitials, escapeHtml } from "../../utils/formatters.js";
+
+let switcherOpen = false;
+
+/**
+ * Open the switcher next to `anchorEl` (the settings button).
+ */
+export function openAccountSwitcher(anchorEl) {
+  if (switcherOpen || !anchorEl || !window.SessionManager) return;
+
+  const panel = document.createElement("div");
+  panel.id = "account-switcher";
+
+  document.body.appendChild(panel);
+  renderAccounts(panel);
+  positionSwitcher(panel, anchorEl);
+
+  switcherOpen = true;
+
+  panel.addEventListener("click", handleClick);
+  // defer so the click that opened the panel doesn't close it
+  setTimeout(() => {
+    document.addEventListener("click", outsideClose);
+    document.addEventListener("keydown", escClose);
+  }, 0);
+}
+
+function renderAccounts(panel) {
+  const accounts = window.SessionManager.getAccounts();
+
+  panel.innerHTML = `
+    <div class="settings-dropdown account-switcher">
+      <div class="account-switcher-title">Switch Accounts</div>
+
+      ${accounts.map(({ user, active }) => `
+        <div class="account-row ${active ? "active" : ""}" data-id="${escapeHtml(String(user.id))}">
+          <button class="account-select" data-action="select" ${active ? "disabled" : ""}>
+            <span class="user-avatar">${escapeHtml(getUserInitials(user.username))}</span>
+            <span class="user-details">
+              <span class="user-name">${escapeHtml(user.username)}</span>
+              <span class="user-email">${escapeHtml(user.email || "")}</span>
+            </span>
+            ${active ? `<span class="account-active">Active</span>` : ""}
+          </button>
+          <button class="account-remove" data-action="remove" title="Sign out of ${escapeHtml(user.username)}" aria-label="Remove account">&times;</button>
+        </div>
+      `).join("")}
+
+      <div class="account-switcher-error" hidden></div>
+      <div class="settings-divider"></div>
+
+      <button class="settings-item" data-action="add">
+        <svg viewBox="0 0 24 24">
+          <line x1="12" y1="5" x2="12" y2="19"/>
+          <line x1="5" y1="12" x2="19" y2="12"/>
+        </svg>
+        Add Account
+      </button>
+    </div>
+  `;
+}
+
+async function handleClick(e) {
+  const btn = e.target.closest("[data-action]");
+  if (!btn) return;
+
+  const panel = document.getElementById("account-switcher");
+  const id = btn.closest(".account-row")?.dataset.id;
+
+  switch (btn.dataset.action) {
+    case "select": {
+      const switched = await window.SessionManager.switchAccount(id);
+      if (switched) {
+        closeAccountSwitcher();
+        return;
+      }
+      renderAccounts(panel);
+      showError(panel, "That session has expired. Please sign in again.");
+      break;
+    }
+    case "remove":
+      await window.SessionManager.removeAccount(id);
+      if (window.SessionManager.getAccounts().length === 0) {
+        closeAccountSwitcher();
+        return;
+      }
+      renderAccounts(panel);
+      break;
+    case "add":
+      closeAccountSwitcher();
+      window.navigateToPage?.("login", { add: 1 });
+      break;
+  }
+}
+
+function showError(panel, message) {
+  const el = panel.querySelector(".account-switcher-error");
+  if (!el) return;
+  el.textContent = message;
+  el.hidden = false;
+}
+
+function positionSwitcher(panel, anchor) {
+  const rect = anchor.getBoundingClientRect();
+  panel.style.top = `${rect.bottom + 8}px`;
+  panel.style.right = `${window.innerWidth - rect.right}px`;
+}
+
+export function closeAccountSwitcher() {
+  const panel = document.getElementById("account-switcher");
+  if (!panel) return;
+
+  panel.remove();
+  switcherOpen = false;
+  document.removeEventListener("click", outsideClose);
+  document.removeEventListener("keydown", escClose);
+}
+
+function outsideClose(e) {
+  const panel = document.getElementById("account-switcher");
+  // the panel re-renders in place, so check the event path rather than contains()
+  if (panel && !e.composedPath().includes(panel)) {
+    closeAccountSwitcher();
+  }
+}
+
+function escClose(e) {
+  if (e.key === "Escape") closeAccountSwitcher();
+}
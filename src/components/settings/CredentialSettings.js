@@ -0,0 +1,112 @@
+// src/components/settings/CredentialSettings.js
+// Change email and change password forms. Both ask for the current password;
+// a new email only replaces the old one once its confirmation link is opened.
+
+import SettingsService from "../../modules/settings/settingsService.js";
+import { getUser } from "../../modules/auth-module/session-manager/session.js";
+import { showFieldErrors, clearOnInput } from "../common/fieldErrors.js";
+import { attachStrengthMeter } from "../common/passwordStrength.js";
+import { escapeHtml } from "../../utils/formatters.js";
+import { createScope } from "../../utils/helpers.js";
+
+export default function initCredentialSettings(container, { scope = createScope() } = {}) {
+  if (!container) return () => {};
+
+  container.innerHTML = `
+    <h2>Email</h2>
+    <form class="settings-form settings-email-form" novalidate>
+      <p class="settings-hint settings-email-current"></p>
+
+      <label for="newEmail">New email</label>
+      <input id="newEmail" name="email" type="email" autocomplete="email" />
+
+      <label for="emailPassword">Current password</label>
+      <input id="emailPassword" name="password" type="password" autocomplete="current-password" />
+
+      <div class="settings-actions">
+        <button type="submit">Send confirmation link</button>
+      </div>
+      <div class="settings-msg" role="status"></div>
+    </form>
+
+    <h2>Password</h2>
+    <form class="settings-form settings-password-form" novalidate>
+      <label for="currentPassword">Current password</label>
+      <input id="currentPassword" name="currentPassword" type="password" autocomplete="current-password" />
+
+      <label for="newPassword">New password</label>
+      <input id="newPassword" name="newPassword" type="password" autocomplete="new-password" />
+
+      <label for="confirmPassword">Confirm new password</label>
+      <input id="confirmPassword" name="confirm" type="password" autocomplete="new-password" />
+
+      <div class="settings-actions">
+        <button type="submit">Change password</button>
+      </div>
+      <div class="settings-msg" role="status"></div>
+    </form>
+  `;
+
+  const emailForm = container.querySelector(".settings-email-form");
+  const passwordForm = container.querySelector(".settings-password-form");
+
+  function fieldsOf(form) {
+    return Object.fromEntries([...form.elements].filter(el => el.name).map(el => [el.name, el]));
+  }
+
+  function valuesOf(form) {
+    return Object.fromEntries(Object.entries(fieldsOf(form)).map(([name, el]) => [name, el.value]));
+  }
+
+  function renderEmail() {
+    const user = getUser();
+    container.querySelector(".settings-email-current").innerHTML = user?.pendingEmail
+      ? `Signed in as <strong>${escapeHtml(user.email)}</strong>. Waiting for you to open the link we sent to <strong>${escapeHtml(user.pendingEmail)}</strong>.`
+      : `Signed in as <strong>${escapeHtml(user?.email || "")}</strong>.`;
+  }
+
+  /**
+   * Submit `form` through `save`, showing field errors in place. Passwords
+   * are cleared either way so they don't linger in the page.
+   */
+  function wire(form, save, { onSaved = () => {} } = {}) {
+    const fields = fieldsOf(form);
+    const button = form.querySelector("button[type=submit]");
+    const message = form.querySelector(".settings-msg");
+
+    clearOnInput(...Object.values(fields));
+
+    scope.on(form, "submit", async (e) => {
+      e.preventDefault();
+      if (button.disabled) return;
+
+      button.disabled = true;
+      message.textContent = "";
+      const result = await save(valuesOf(form));
+      if (scope.disposed) return;
+
+      button.disabled = false;
+      Object.values(fields).filter(el => el.type === "password").forEach(el => {
+        el.value = "";
+        el.dispatchEvent(new Event("input"));
+      });
+      showFieldErrors(fields, result.errors || {});
+      message.textContent = result.errors ? "" : result.message || "";
+
+      if (result.success) {
+        form.reset();
+        onSaved(result);
+      }
+    });
+  }
+
+  attachStrengthMeter(passwordForm.elements.newPassword, () => getUser() || {});
+
+  wire(emailForm, SettingsService.changeEmail, { onSaved: renderEmail });
+  wire(passwordForm, SettingsService.changePassword);
+
+  scope.on(window, "session:update", renderEmail);
+  renderEmail();
+
+  return () => scope.dispose();
+}
@@ -0,0 +1,145 @@
+// src/components/settings/DataSettings.js
+// Your data panel: download everything the app holds on you as JSON or a
+// ZIP, and delete the account. Deletion waits out a grace period during
+// which signing back in and coming here cancels it.
+
+import SettingsService from "../../modules/settings/settingsService.js";
+import { downloadAccountData } from "../../modules/settings/accountData.js";
+import { getUser } from "../../modules/auth-module/session-manager/session.js";
+import { showFieldErrors, clearOnInput } from "../common/fieldErrors.js";
+import { createScope } from "../../utils/helpers.js";
+
+const DELETE_PROMPT = "Delete your account? You'll be signed out on every device, and your account, friends, community memberships, shouts and chats will be gone for good once the grace period ends.";
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString([], { day: "numeric", month: "long", year: "numeric" });
+}
+
+export default function initDataSettings(container, { scope = createScope() } = {}) {
+  if (!container) return () => {};
+
+  container.innerHTML = `
+    <h2>Your data</h2>
+
+    <section class="settings-group settings-export">
+      <h3>Download your data</h3>
+      <p class="settings-hint">
+        Your profile, settings, friends, communities, chat history and favourites.
+        JSON is a single file; the ZIP has one file for each.
+      </p>
+      <div class="settings-actions">
+        <button type="button" data-format="json">Download JSON</button>
+        <button type="button" data-format="zip">Download ZIP</button>
+      </div>
+      <div class="settings-msg" role="status"></div>
+    </section>
+
+    <section class="settings-group settings-danger">
+      <h3>Delete account</h3>
+      <div class="settings-deletion"></div>
+    </section>
+  `;
+
+  const exportSection = container.querySelector(".settings-export");
+  const deletion = container.querySelector(".settings-deletion");
+
+  scope.on(exportSection, "click", async (e) => {
+    const button = e.target.closest("[data-format]");
+    if (!button) return;
+
+    const buttons = exportSection.querySelectorAll("[data-format]");
+    const message = exportSection.querySelector(".settings-msg");
+    buttons.forEach(b => (b.disabled = true));
+    message.textContent = "Gathering your data…";
+
+    const result = await downloadAccountData(button.dataset.format);
+    if (scope.disposed) return;
+
+    buttons.forEach(b => (b.disabled = false));
+    message.textContent = result.message;
+  });
+
+  function renderScheduled(deletionScheduledAt) {
+    deletion.innerHTML = `
+      <p>Your account will be deleted on <strong>${formatDate(deletionScheduledAt)}</strong>.</p>
+      <div class="settings-actions">
+        <button type="button" class="settings-keep">Keep my account</button>
+      </div>
+      <div class="settings-msg" role="status"></div>
+    `;
+
+    const button = deletion.querySelector(".settings-keep");
+    scope.on(button, "click", async () => {
+      button.disabled = true;
+      const result = await SettingsService.cancelAccountDeletion();
+      if (scope.disposed) return;
+
+      // on success session:update re-renders the form
+      if (!result.success) {
+        button.disabled = false;
+        deletion.querySelector(".settings-msg").textContent = result.message;
+      }
+    });
+  }
+
+  function renderForm() {
+    deletion.innerHTML = `
+      <form class="settings-form settings-delete-form" novalidate>
+        <p class="settings-hint">
+          You'll be signed out everywhere. After a grace period your account,
+          friends, community memberships, shouts and chat messages are deleted,
+          and communities you own pass to their highest-ranked member; sign back
+          in before then to cancel. Settings, favourites and store purchases
+          saved in this browser aren't touched.
+        </p>
+
+        <label for="deletePassword">Current password</label>
+        <input id="deletePassword" name="password" type="password" autocomplete="current-password" />
+
+        <div class="settings-actions">
+          <button type="submit" class="settings-delete">Delete my account</button>
+        </div>
+        <div class="settings-msg" role="status"></div>
+      </form>
+    `;
+
+    const form = deletion.querySelector("form");
+    const fields = { password: form.elements.password };
+    const button = form.querySelector("button[type=submit]");
+    const message = form.querySelector(".settings-msg");
+
+    clearOnInput(fields.password);
+
+    scope.on(form, "submit", async (e) => {
+      e.preventDefault();
+      if (button.disabled || !confirm(DELETE_PROMPT)) return;
+
+      button.disabled = true;
+      message.textContent = "";
+      // signs this account out on success, switching to the next one or to login
+      const result = await SettingsService.deleteAccount({ password: fields.password.value });
+      if (scope.disposed) return;
+
+      button.disabled = false;
+      fields.password.value = "";
+      showFieldErrors(fields, result.errors || {});
+      message.textContent = result.errors ? "" : result.message || "";
+    });
+  }
+
+  // only when deletion is scheduled or cancelled, so a typed password survives other updates
+  let shown;
+  function render() {
+    const scheduled = getUser()?.deletionScheduledAt || null;
+    if (scheduled === shown) return;
+
+    shown = scheduled;
+    if (scheduled) renderScheduled(scheduled);
+    else renderForm();
+  }
+
+  scope.on(window, "session:update", render);
+  render();
+
+  return () => scope.dispose();
+}
@@ -0,0 +1,150 @@
+// src/components/settings/PrivacySettings.js
+// Privacy panel: who can reach you and see you, saved through settingsService
+// to the auth backend, which enforces it, plus what this device remembers
+// about you and ways to clear it.
+
+import SettingsService from "../../modules/settings/settingsService.js";
+import { PRIVACY_AUDIENCES, AUDIENCE_LABELS } from "../../modules/settings/settingsHelpers.js";
+import { libraryService } from "../../modules/library/libraryService.js";
+import { recommendationsService } from "../../modules/recommendations/recommendationsService.js";
+import { trackChanges } from "../common/formChanges.js";
+import { createScope } from "../../utils/helpers.js";
+
+const CONTROLS = [
+  { name: "friendRequests", label: "Who can send me friend requests" },
+  { name: "messages", label: "Who can message me", hint: "Applies to direct chats and adding you to groups." },
+  { name: "profileVisibility", label: "Who can see my profile", hint: "Your display name, bio and colour. Everyone still sees your username." },
+  { name: "onlineStatus", label: "Who can see when I'm online", hint: "Only friends ever see your status; Nobody shows you as offline." }
+];
+
+const ACTIONS = {
+  "clear-history": {
+    confirm: "Clear everything you've recently viewed? Your Library and recommendations will start fresh.",
+    run: () => libraryService.clearRecentViews(),
+    done: "Recently viewed cleared."
+  },
+  "reset-recommendations": {
+    confirm: "Bring back hidden recommendations and forget what you marked as not interested?",
+    run: () => recommendationsService.resetFeedback(),
+    done: "Recommendation feedback reset."
+  }
+};
+
+export default function initPrivacySettings(container, { scope = createScope(), onDirtyChange = () => {} } = {}) {
+  if (!container) return () => {};
+
+  container.innerHTML = `
+    <h2>Privacy</h2>
+
+    <form class="settings-form settings-privacy-form" novalidate>
+      ${CONTROLS.map(({ name, label, hint }) => `
+        <label for="privacy-${name}">${label}</label>
+        <select id="privacy-${name}" name="${name}">
+          ${PRIVACY_AUDIENCES[name].map(audience => `<option value="${audience}">${AUDIENCE_LABELS[audience]}</option>`).join("")}
+        </select>
+        ${hint ? `<span class="settings-hint">${hint}</span>` : ""}
+      `).join("")}
+
+      <label class="settings-check">
+        <input type="checkbox" name="hideFromRecent" />
+        Don't show me in other people's Recent Users
+      </label>
+
+      <div class="settings-actions">
+        <button type="button" class="settings-discard" disabled>Discard</button>
+        <button type="submit" class="settings-save" disabled>Save</button>
+      </div>
+      <div class="settings-msg" role="status"></div>
+    </form>
+
+    <section class="settings-group">
+      <h3>Your data on this device</h3>
+      <div class="settings-row">
+        <span>
+          <strong>Recently viewed</strong>
+          <span class="settings-hint">Resources, communities and people you opened, used by your Library and recommendations.</span>
+        </span>
+        <button type="button" data-action="clear-history">Clear</button>
+      </div>
+      <div class="settings-row">
+        <span>
+          <strong>Recommendation feedback</strong>
+          <span class="settings-hint">Recommendations you hid or marked as not interested.</span>
+        </span>
+        <button type="button" data-action="reset-recommendations">Reset</button>
+      </div>
+      <div class="settings-msg settings-data-msg" role="status"></div>
+    </section>
+  `;
+
+  const form = container.querySelector("form");
+  const message = form.querySelector(".settings-msg");
+
+  const changes = trackChanges(form, {
+    scope,
+    onChange(dirty) {
+      form.querySelector(".settings-save").disabled = !dirty;
+      form.querySelector(".settings-discard").disabled = !dirty;
+      onDirtyChange(dirty);
+    }
+  });
+
+  function values() {
+    return {
+      ...Object.fromEntries(CONTROLS.map(({ name }) => [name, form.elements[name].value])),
+      hideFromRecent: form.elements.hideFromRecent.checked
+    };
+  }
+
+  function fill() {
+    const saved = SettingsService.getSettings("privacy");
+    CONTROLS.forEach(({ name }) => (form.elements[name].value = saved[name]));
+    form.elements.hideFromRecent.checked = saved.hideFromRecent;
+    changes.markSaved();
+  }
+
+  scope.on(form.querySelector(".settings-discard"), "click", () => {
+    message.textContent = "";
+    fill();
+  });
+
+  scope.on(form, "submit", async (e) => {
+    e.preventDefault();
+
+    const button = form.querySelector(".settings-save");
+    button.disabled = true;
+    const result = await SettingsService.saveSettings("privacy", values());
+    if (scope.disposed) return;
+
+    if (!result.success) {
+      message.textContent = result.message;
+      changes.check();
+      button.disabled = false;
+      return;
+    }
+
+    fill();
+    message.textContent = "Saved.";
+    scope.timeout(() => (message.textContent = ""), 2000);
+  });
+
+  scope.on(container.querySelector(".settings-group"), "click", (e) => {
+    const action = ACTIONS[e.target.closest("[data-action]")?.dataset.action];
+    if (!action || !confirm(action.confirm)) return;
+
+    action.run();
+    container.querySelector(".settings-data-msg").textContent = action.done;
+  });
+
+  // e.g. the online toggle on the Friends page in another tab, or a different account
+  scope.add(SettingsService.subscribe(() => {
+    if (!changes.isDirty()) fill();
+  }));
+  scope.on(window, "session:update", (e) => {
+    if (e.detail?.switched) fill();
+  });
+
+  fill();
+
+  return () => scope.dispose();
+}
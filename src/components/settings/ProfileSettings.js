@@ -0,0 +1,141 @@
+// src/components/settings/ProfileSettings.js
+// Profile panel: display name, bio, website and profile colour, with a
+// preview of how they look together. Saved through settingsService.
+
+import SettingsService from "../../modules/settings/settingsService.js";
+import { BIO_MAX, DISPLAY_NAME_MAX, PROFILE_COLOURS } from "../../modules/settings/settingsHelpers.js";
+import { getUser } from "../../modules/auth-module/session-manager/session.js";
+import { showFieldErrors, clearOnInput } from "../common/fieldErrors.js";
+import { trackChanges } from "../common/formChanges.js";
+import { escapeHtml, getUserInitials } from "../../utils/formatters.js";
+import { createScope } from "../../utils/helpers.js";
+
+export default function initProfileSettings(container, { scope = createScope(), onDirtyChange = () => {} } = {}) {
+  if (!container) return () => {};
+
+  container.innerHTML = `
+    <h2>Profile</h2>
+    <div class="settings-profile-preview"></div>
+
+    <form class="settings-form settings-profile-form" novalidate>
+      <label for="profileDisplayName">Display name</label>
+      <input id="profileDisplayName" name="displayName" maxlength="${DISPLAY_NAME_MAX}" autocomplete="nickname" />
+
+      <label for="profileBio">Bio</label>
+      <textarea id="profileBio" name="bio" rows="3" maxlength="${BIO_MAX}" placeholder="What do you like to build?"></textarea>
+      <div class="settings-hint settings-bio-count"></div>
+
+      <label for="profileWebsite">Website</label>
+      <input id="profileWebsite" name="website" type="url" placeholder="https://…" autocomplete="url" />
+
+      <fieldset class="settings-colours">
+        <legend>Profile colour</legend>
+        ${PROFILE_COLOURS.map(colour => `
+          <label class="settings-colour" style="--swatch:${colour}">
+            <input type="radio" name="colour" value="${colour}" aria-label="${colour}" />
+          </label>
+        `).join("")}
+      </fieldset>
+
+      <div class="settings-actions">
+        <button type="button" class="settings-discard" disabled>Discard</button>
+        <button type="submit" class="settings-save" disabled>Save</button>
+      </div>
+      <div class="settings-msg" role="status"></div>
+    </form>
+  `;
+
+  const form = container.querySelector("form");
+  const fields = {
+    displayName: form.elements.displayName,
+    bio: form.elements.bio,
+    website: form.elements.website
+  };
+  const message = container.querySelector(".settings-msg");
+
+  const changes = trackChanges(form, {
+    scope,
+    onChange(dirty) {
+      form.querySelector(".settings-save").disabled = !dirty;
+      form.querySelector(".settings-discard").disabled = !dirty;
+      onDirtyChange(dirty);
+    }
+  });
+
+  function values() {
+    return {
+      displayName: fields.displayName.value.trim(),
+      bio: fields.bio.value.trim(),
+      website: fields.website.value.trim(),
+      colour: form.elements.colour.value
+    };
+  }
+
+  function renderPreview() {
+    const { displayName, bio, colour } = values();
+    const username = getUser()?.username || "";
+
+    container.querySelector(".settings-profile-preview").innerHTML = `
+      <span class="settings-profile-avatar" style="background:${escapeHtml(colour)}">${escapeHtml(getUserInitials(displayName || username))}</span>
+      <span>
+        <strong>${escapeHtml(displayName || username)}</strong>
+        ${displayName ? `<span class="settings-hint">@${escapeHtml(username)}</span>` : ""}
+        <span class="settings-profile-bio">${escapeHtml(bio || "No bio yet")}</span>
+      </span>
+    `;
+    container.querySelector(".settings-bio-count").textContent = `${fields.bio.value.length}/${BIO_MAX}`;
+  }
+
+  function fill() {
+    const saved = SettingsService.getSettings("profile");
+    fields.displayName.value = saved.displayName;
+    fields.bio.value = saved.bio;
+    fields.website.value = saved.website;
+    form.elements.colour.value = saved.colour;
+
+    showFieldErrors(fields, {});
+    changes.markSaved();
+    renderPreview();
+  }
+
+  scope.on(form, "input", renderPreview);
+  clearOnInput(...Object.values(fields));
+
+  scope.on(form.querySelector(".settings-discard"), "click", () => {
+    message.textContent = "";
+    fill();
+  });
+
+  scope.on(form, "submit", async (e) => {
+    e.preventDefault();
+
+    const button = form.querySelector(".settings-save");
+    button.disabled = true;
+    const result = await SettingsService.saveSettings("profile", values());
+    if (scope.disposed) return;
+
+    showFieldErrors(fields, result.errors || {});
+    if (!result.success) {
+      message.textContent = result.errors ? "" : result.message;
+      changes.check();
+      button.disabled = false;
+      return;
+    }
+
+    fill();
+    message.textContent = "Saved.";
+    scope.timeout(() => (message.textContent = ""), 2000);
+  });
+
+  // saved from another tab, or a different account: show it unless typing would be lost
+  scope.add(SettingsService.subscribe(() => {
+    if (!changes.isDirty()) fill();
+  }));
+  scope.on(window, "session:update", (e) => {
+    if (e.detail?.switched) fill();
+  });
+
+  fill();
+
+  return () => scope.dispose();
+}
@@ -0,0 +1,62 @@
+// src/components/settings/SettingPanel.js
+// The settings page layout: a side nav across the settings sections and the
+// open section beside it. Sections report unsaved changes, which mark their
+// nav link and ask before you leave them.
+
+import initProfileSettings from "./ProfileSettings.js";
+import initAccountSettings from "./AccountSettings.js";
+import initPrivacySettings from "./PrivacySettings.js";
+import initDataSettings from "./DataSettings.js";
+import { createScope } from "../../utils/helpers.js";
+
+export const SETTINGS_SECTIONS = [
+  { id: "profile", label: "Profile", init: initProfileSettings },
+  { id: "account", label: "Account", init: initAccountSettings },
+  { id: "privacy", label: "Privacy", init: initPrivacySettings },
+  { id: "data", label: "Your data", init: initDataSettings }
+];
+
+const LEAVE_PROMPT = "You have unsaved changes. Leave without saving?";
+
+export default function initSettingPanel(container, { scope = createScope(), section = "profile" } = {}) {
+  if (!container) return () => {};
+
+  const active = SETTINGS_SECTIONS.find(s => s.id === section) || SETTINGS_SECTIONS[0];
+  let dirty = false;
+
+  container.innerHTML = `
+    <div class="settings-page">
+      <nav class="settings-nav" aria-label="Settings">
+        <h1>Settings</h1>
+        ${SETTINGS_SECTIONS.map(s => `
+          <a href="#settings/${s.id}" class="${s === active ? "active" : ""}" ${s === active ? `aria-current="page"` : ""}>
+            ${s.label}
+            ${s === active ? `<span class="settings-unsaved" title="Unsaved changes" hidden></span>` : ""}
+          </a>
+        `).join("")}
+      </nav>
+      <section class="settings-content"></section>
+    </div>
+  `;
+
+  function setDirty(next) {
+    dirty = next;
+    container.querySelector(".settings-unsaved").hidden = !dirty;
+  }
+
+  // only the side nav can ask first; other links change the route regardless
+  scope.on(container.querySelector(".settings-nav"), "click", (e) => {
+    const link = e.target.closest("a");
+    if (link && dirty && !link.classList.contains("active") && !confirm(LEAVE_PROMPT)) e.preventDefault();
+  });
+
+  scope.on(window, "beforeunload", (e) => {
+    if (!dirty) return;
+    e.preventDefault();
+    e.returnValue = "";
+  });
+
+  active.init(container.querySelector(".settings-content"), { scope, onDirtyChange: setDirty });
+
+  return () => scope.dispose();
+}
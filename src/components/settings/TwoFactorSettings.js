@@ -0,0 +1,203 @@
+// src/components/settings/TwoFactorSettings.js
+// Account settings section for enrolling in / managing TOTP two-factor auth
+
+import { authAPI } from "../../modules/auth-module/auth.js";
+import { getToken } from "../../modules/auth-module/session-manager/session.js";
+import { escapeHtml } from "../../utils/formatters.js";
+import { createScope } from "../../utils/helpers.js";
+
+export default function initTwoFactorSettings(container, { scope = createScope() } = {}) {
+  if (!container) return () => {};
+
+  // "loading" | "off" | "setup" | "codes" | "on" | "disable" | "regenerate"
+  let view = "loading";
+  let status = { enabled: false, backupCodesRemaining: 0 };
+  let setup = null;
+  let backupCodes = [];
+  let message = "";
+
+  async function loadStatus() {
+    view = "loading";
+    render();
+
+    const result = await authAPI.getTwoFactorStatus(getToken());
+    if (scope.disposed) return;
+
+    if (!result.success) {
+      message = result.message;
+      view = "off";
+    } else {
+      status = result;
+      view = result.enabled ? "on" : "off";
+    }
+    render();
+  }
+
+  function render() {
+    const note = message ? `<div class="twofa-msg">${escapeHtml(message)}</div>` : "";
+
+    switch (view) {
+      case "loading":
+        container.innerHTML = `<p class="twofa-muted">Loading two-factor status…</p>`;
+        break;
+
+      case "off":
+        container.innerHTML = `
+          <p>Two-factor authentication is <strong>off</strong>. Add a second step to sign-in with an authenticator app.</p>
+          ${note}
+          <button data-action="start">Set up two-factor</button>
+        `;
+        break;
+
+      case "setup":
+        container.innerHTML = `
+          <p>Add this account to your authenticator app, then enter the 6-digit code it shows.</p>
+          <label>Secret key</label>
+          <input class="twofa-secret" readonly value="${escapeHtml(setup.secret.match(/.{1,4}/g).join(" "))}" />
+          <label>Setup URI</label>
+          <input class="twofa-uri" readonly value="${escapeHtml(setup.otpauthUri)}" />
+          <label>Verification code</label>
+          <input class="twofa-code" inputmode="numeric" autocomplete="one-time-code" maxlength="6" placeholder="123456" />
+          ${note}
+          <button data-action="enable">Verify &amp; turn on</button>
+          <button data-action="cancel">Cancel</button>
+        `;
+        break;
+
+      case "codes":
+        container.innerHTML = `
+          <p>Two-factor authentication is <strong>on</strong>. Save these backup codes somewhere safe — each one signs you in once if you lose your device.</p>
+          <ul class="twofa-codes">${backupCodes.map(code => `<li>${escapeHtml(code)}</li>`).join("")}</ul>
+          <button data-action="copy">Copy codes</button>
+          <button data-action="done">Done</button>
+        `;
+        break;
+
+      case "on":
+        container.innerHTML = `
+          <p>Two-factor authentication is <strong>on</strong>. ${status.backupCodesRemaining} backup code${status.backupCodesRemaining === 1 ? "" : "s"} left.</p>
+          ${note}
+          <button data-action="regenerate">New backup codes</button>
+          <button data-action="disable">Turn off</button>
+        `;
+        break;
+
+      case "regenerate":
+        container.innerHTML = `
+          <p>Enter a current code to replace your backup codes. The old ones will stop working.</p>
+          <label>Verification code</label>
+          <input class="twofa-code" autocomplete="one-time-code" placeholder="123456" />
+          ${note}
+          <button data-action="confirm-regenerate">Generate codes</button>
+          <button data-action="cancel">Cancel</button>
+        `;
+        break;
+
+      case "disable":
+        container.innerHTML = `
+          <p>Confirm it's you to turn off two-factor authentication.</p>
+          <label>Password</label>
+          <input class="twofa-password" type="password" autocomplete="current-password" />
+          <label>Verification or backup code</label>
+          <input class="twofa-code" autocomplete="one-time-code" placeholder="123456" />
+          ${note}
+          <button data-action="confirm-disable">Turn off</button>
+          <button data-action="cancel">Cancel</button>
+        `;
+        break;
+    }
+  }
+
+  function field(selector) {
+    return container.querySelector(selector)?.value.trim() || "";
+  }
+
+  async function run(action) {
+    message = "";
+    const token = getToken();
+
+    switch (action) {
+      case "start": {
+        const result = await authAPI.setupTwoFactor(token);
+        if (!result.success) {
+          message = result.message;
+          break;
+        }
+        setup = result;
+        view = "setup";
+        break;
+      }
+
+      case "enable": {
+        const result = await authAPI.enableTwoFactor(token, field(".twofa-code"));
+        if (!result.success) {
+          message = result.message;
+          break;
+        }
+        setup = null;
+        backupCodes = result.backupCodes;
+        view = "codes";
+        break;
+      }
+
+      case "confirm-regenerate": {
+        const result = await authAPI.regenerateBackupCodes(token, field(".twofa-code"));
+        if (!result.success) {
+          message = result.message;
+          break;
+        }
+        backupCodes = result.backupCodes;
+        view = "codes";
+        break;
+      }
+
+      case "confirm-disable": {
+        const result = await authAPI.disableTwoFactor(token, field(".twofa-password"), field(".twofa-code"));
+        if (!result.success) {
+          message = result.message;
+          break;
+        }
+        await loadStatus();
+        return;
+      }
+
+      case "copy":
+        navigator.clipboard?.writeText(backupCodes.join("\n")).catch(() => {});
+        return;
+
+      case "regenerate":
+      case "disable":
+        view = action;
+        break;
+
+      case "cancel":
+      case "done":
+        await loadStatus();
+        return;
+    }
+
+    if (!scope.disposed) render();
+  }
+
+  scope.on(container, "click", async (e) => {
+    const btn = e.target.closest("button[data-action]");
+    if (!btn) return;
+
+    e.preventDefault();
+    btn.disabled = true;
+    try {
+      await run(btn.dataset.action);
+    } catch (err) {
+      console.error("[2FA]", err);
+      message = "Something went wrong. Please try again.";
+      if (!scope.disposed) render();
+    } finally {
+      // still on screen when the action didn't re-render (e.g. copy)
+      if (btn.isConnected) btn.disabled = false;
+    }
+  });
+
+  loadStatus();
+
+  return () => scope.dispose();
+}
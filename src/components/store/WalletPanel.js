@@ -0,0 +1,106 @@
+// src/components/store/WalletPanel.js
+// The signed-in user's wallet: balance, then either their inventory (items
+// bought from any community store) or their transaction history.
+
+import { storeService } from "../../modules/store/storeService.js";
+import { formatAmount, formatPrice } from "../../modules/store/storeHelpers.js";
+import { communityIcon } from "../../modules/communities/communitiesHelpers.js";
+import { renderEmpty, renderError } from "../common/sectionState.js";
+import { escapeHtml, formatRelativeTime } from "../../utils/formatters.js";
+import { createScope } from "../../utils/helpers.js";
+
+const VIEWS = [
+  { id: "inventory", label: "Inventory" },
+  { id: "history", label: "History" }
+];
+
+export default function initWalletPanel(container, { scope = createScope(), view = "inventory" } = {}) {
+  if (!container) return () => {};
+
+  storeService.init();
+
+  container.innerHTML = `
+    <div class="wallet-balance">
+      <span>Balance</span>
+      <strong></strong>
+    </div>
+    <div class="wallet-tabs" role="tablist">
+      ${VIEWS.map(v => `<button type="button" role="tab" data-view="${v.id}">${v.label}</button>`).join("")}
+    </div>
+    <ul class="wallet-list"></ul>
+  `;
+
+  const list = container.querySelector(".wallet-list");
+
+  function renderOwned(owned) {
+    return `
+      <li class="wallet-row">
+        <img src="${escapeHtml(communityIcon({ name: owned.name, icon: owned.image }))}" alt="" />
+        <span class="wallet-row-text">
+          <span class="wallet-row-title">${escapeHtml(owned.name)}</span>
+          <span class="wallet-row-meta">
+            <a href="#communities/${encodeURIComponent(owned.communityId)}/store">${escapeHtml(owned.communityName)}</a>
+            · ${formatRelativeTime(owned.acquiredAt)}
+          </span>
+        </span>
+      </li>
+    `;
+  }
+
+  function renderTransaction(tx) {
+    return `
+      <li class="wallet-row">
+        <span class="wallet-row-text">
+          <span class="wallet-row-title">${escapeHtml(tx.description)}</span>
+          <span class="wallet-row-meta">${formatRelativeTime(tx.at)} · Balance ${escapeHtml(formatPrice(tx.balance))}</span>
+        </span>
+        <span class="wallet-amount ${tx.amount < 0 ? "out" : "in"}">${escapeHtml(formatAmount(tx.amount))}</span>
+      </li>
+    `;
+  }
+
+  function render() {
+    const { status, error } = storeService.getState();
+
+    container.querySelectorAll(".wallet-tabs button").forEach(button => {
+      const active = button.dataset.view === view;
+      button.classList.toggle("active", active);
+      button.setAttribute("aria-selected", String(active));
+    });
+    container.querySelector(".wallet-balance strong").textContent =
+      status === "ready" ? formatPrice(storeService.getBalance()) : "—";
+
+    if (status === "signed-out") {
+      list.innerHTML = `<li>${renderEmpty("Sign in to see your wallet", { href: "#login", linkText: "Sign in" })}</li>`;
+    } else if (status === "loading") {
+      list.innerHTML = `<li class="empty">Loading…</li>`;
+    } else if (status === "error") {
+      list.innerHTML = `<li>${renderError(error)}</li>`;
+    } else if (view === "inventory") {
+      const inventory = storeService.getInventory();
+      list.innerHTML = inventory.length
+        ? inventory.map(renderOwned).join("")
+        : `<li>${renderEmpty("Nothing here yet. Items you buy show up here.")}</li>`;
+    } else {
+      list.innerHTML = storeService.getTransactions().map(renderTransaction).join("");
+    }
+  }
+
+  scope.on(container, "click", (e) => {
+    if (e.target.closest(".section-retry")) {
+      storeService.refresh();
+      return;
+    }
+
+    const tab = e.target.closest(".wallet-tabs [data-view]");
+    if (!tab) return;
+
+    view = tab.dataset.view;
+    render();
+  });
+
+  scope.add(storeService.subscribe(render));
+  render();
+
+  return () => scope.dispose();
+}
@@ -1,8 +1,29 @@
 // src/main.js
 
+import "./modules/auth-module/session-manager/sessionManager.js";
 import "./modules/auth-module/auth.js"
 import initRouter from "./router.js";
+import initNavUser from "./components/common/navUser.js";
+import initChatDock from "./components/chat/ChatWindow.js";
+import { presenceService } from "./modules/presence/presenceService.js";
+import { communitiesService } from "./modules/communities/communitiesService.js";
+import { configureRecommendations } from "./modules/recommendations/recommendationsService.js";
+
+// recommend communities from the communities service
+configureRecommendations({
+  communities: {
+    async list() {
+      const result = await communitiesService.list();
+      if (!result.success) throw new Error(result.message);
+      return result.communities;
+    },
+    subscribe: (fn) => communitiesService.subscribe(fn)
+  }
+});
 
 document.addEventListener("DOMContentLoaded", () => {
+  initNavUser(document.getElementById("navUser"));
+  initChatDock(document.querySelector(".chat-fab"));
+  presenceService.init();
   initRouter();
 });
\ No newline at end of file
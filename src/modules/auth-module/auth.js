@@ -14,7 +14,7 @@ export function initAuth() {
 }
 
 /* --------- */
-export async function bootLogin(containerId = 'app') {
+async function bootForm(containerId, rendererName, label, ...args) {
   const container = typeof containerId === 'string' 
     ? document.getElementById(containerId) 
     : containerId;
@@ -26,42 +26,67 @@ export async function bootLogin(containerId = 'app') {
 
   try {
     const mod = await import('./register-login/renders/render.js');
-    if (mod && typeof mod.renderLogin === 'function') {
-      mod.renderLogin(container);
+    if (mod && typeof mod[rendererName] === 'function') {
+      mod[rendererName](container, ...args);
     } else {
-      throw new Error('renderLogin not exported from module');
+      throw new Error(`${rendererName} not exported from module`);
     }
   } catch (err) {
-    console.error('[Auth] Failed to load login renderer:', err);
-    container.innerHTML = '<div class="auth-error">Unable to load login form. Please try again later.</div>';
+    console.error(`[Auth] Failed to load ${label} renderer:`, err);
+    container.innerHTML = `<div class="auth-error">Unable to load ${label} form. Please try again later.</div>`;
   }
 }
 
-export async function bootRegister(containerId = 'app') {
-  const container = typeof containerId === 'string' 
-    ? document.getElementById(containerId) 
-    : containerId;
-  
-  if (!container) {
-    console.error('[Auth] Container not found:', containerId);
-    return;
-  }
+export function bootLogin(containerId = 'app') {
+  return bootForm(containerId, 'renderLogin', 'login');
+}
 
-  try {
-    const mod = await import('./register-login/renders/render.js');
-    if (mod && typeof mod.renderRegister === 'function') {
-      mod.renderRegister(container);
-    } else {
-      throw new Error('renderRegister not exported from module');
-    }
-  } catch (err) {
-    console.error('[Auth] Failed to load register renderer:', err);
-    container.innerHTML = '<div class="auth-error">Unable to load registration form. Please try again later.</div>';
-  }
+export function bootRegister(containerId = 'app') {
+  return bootForm(containerId, 'renderRegister', 'registration');
+}
+
+export function bootForgotPassword(containerId = 'app') {
+  return bootForm(containerId, 'renderForgotPassword', 'password reset');
+}
+
+export function bootResetPassword(containerId = 'app', token = '', options = {}) {
+  return bootForm(containerId, 'renderResetPassword', 'password reset', token, options);
+}
+
+/* ============ CONFIG ============ */
+// The client talks to the local auth server (`npm run auth:dev`) by default.
+// Set window.AUTH_CONFIG = { useMock: true } before main.js loads, or call
+// configureAuth({ useMock: true }), to use the in-browser mock instead.
+const authConfig = {
+  baseUrl: 'http://localhost:4000',
+  useMock: false,
+  ...(window.AUTH_CONFIG || {})
+};
+
+export function configureAuth(options = {}) {
+  Object.assign(authConfig, options);
+  return { ...authConfig };
+}
+
+// services with a server side of their own (friends, communities) fall back to a local one with the mock
+export function isMockAuth() {
+  return Boolean(authConfig.useMock);
 }
 
 /* ============ MOCK API ============ */
-export const authAPI = {
+const needsServer = (feature) => async () => ({
+  success: false,
+  message: `${feature} needs the local auth server (npm run auth:dev)`
+});
+const mockUnavailable = needsServer('Two-factor authentication');
+// the mock has no stored passwords to check or change
+const mockCredentialsUnavailable = needsServer('Changing your email or password');
+const mockDeletionUnavailable = needsServer('Deleting your account');
+// the friends and communities services keep their own local sources in mock mode
+const mockFriendsUnavailable = needsServer('Friends');
+const mockCommunitiesUnavailable = needsServer('Communities');
+
+const mockAPI = {
   async login(email, password) {
     await new Promise(r => setTimeout(r, 800));
     
@@ -88,7 +113,349 @@ export const authAPI = {
       user: { id: Date.now(), username, email },
       message: 'Registration successful! Please login.'
     };
+  },
+
+  async logout() {
+    return { success: true };
+  },
+
+  async refresh() {
+    return { success: false, message: 'Token refresh is not available in mock mode' };
+  },
+
+  async me() {
+    const user = window.SessionManager?.getUser();
+    return user
+      ? { success: true, user }
+      : { success: false, message: 'Not authenticated' };
+  },
+
+  async updateAccount(token, { username, privacy } = {}) {
+    await new Promise(r => setTimeout(r, 300));
+    const user = window.SessionManager?.getUser();
+    if (!user) return { success: false, message: 'Not authenticated' };
+
+    // no user directory in mock mode, so every free-looking name is free
+    return {
+      success: true,
+      user: {
+        ...user,
+        ...(username !== undefined ? { username } : {}),
+        ...(privacy !== undefined ? { privacy: { ...user.privacy, ...privacy } } : {})
+      }
+    };
+  },
+
+  changePassword: mockCredentialsUnavailable,
+  requestEmailChange: mockCredentialsUnavailable,
+  confirmEmailChange: mockCredentialsUnavailable,
+  deleteAccount: mockDeletionUnavailable,
+  cancelAccountDeletion: mockDeletionUnavailable,
+
+  async lookupUser(token, username) {
+    const name = String(username || '').trim();
+    if (!name) return { success: false, message: 'No user with that username' };
+
+    // there is no user directory in mock mode, so every name "exists"
+    const id = name.toLowerCase() === 'demo' ? 1 : `mock-${name.toLowerCase()}`;
+    return { success: true, user: { id, username: name } };
+  },
+
+  async requestPasswordReset(email) {
+    await new Promise(r => setTimeout(r, 500));
+    console.log(`[Auth] Mock password reset link for ${email}: #reset-password?token=mock-reset`);
+    return { success: true, message: 'If that email is registered, a reset link is on its way.' };
+  },
+
+  async verifyResetToken(token) {
+    return token === 'mock-reset'
+      ? { success: true }
+      : { success: false, message: 'This reset link is invalid or has expired' };
+  },
+
+  async resetPassword(token, password) {
+    await new Promise(r => setTimeout(r, 500));
+    return token === 'mock-reset'
+      ? { success: true, message: 'Password updated. You can now sign in.' }
+      : { success: false, message: 'This reset link is invalid or has expired' };
+  },
+
+  async getTwoFactorStatus() {
+    return { success: true, enabled: false, backupCodesRemaining: 0 };
+  },
+
+  verifyTwoFactorLogin: mockUnavailable,
+  setupTwoFactor: mockUnavailable,
+  enableTwoFactor: mockUnavailable,
+  disableTwoFactor: mockUnavailable,
+  regenerateBackupCodes: mockUnavailable,
+
+  listFriends: mockFriendsUnavailable,
+  sendFriendRequest: mockFriendsUnavailable,
+  respondToFriendRequest: mockFriendsUnavailable,
+  cancelFriendRequest: mockFriendsUnavailable,
+  unfriend: mockFriendsUnavailable,
+  blockUser: mockFriendsUnavailable,
+  unblockUser: mockFriendsUnavailable,
+
+  listCommunities: mockCommunitiesUnavailable,
+  getCommunity: mockCommunitiesUnavailable,
+  createCommunity: mockCommunitiesUnavailable,
+  joinCommunity: mockCommunitiesUnavailable,
+  leaveCommunity: mockCommunitiesUnavailable,
+  updateCommunity: mockCommunitiesUnavailable,
+  setCommunityRole: mockCommunitiesUnavailable,
+  kickFromCommunity: mockCommunitiesUnavailable,
+  banFromCommunity: mockCommunitiesUnavailable,
+  unbanFromCommunity: mockCommunitiesUnavailable,
+  listShouts: mockCommunitiesUnavailable,
+  postShout: mockCommunitiesUnavailable,
+  pinShout: mockCommunitiesUnavailable,
+  deleteShout: mockCommunitiesUnavailable
+};
+
+/* ============ SERVER API ============ */
+async function request(method, path, { body, token } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  let res;
+  try {
+    res = await fetch(`${authConfig.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+  } catch (err) {
+    console.error('[Auth] Auth server unreachable:', err);
+    return { success: false, message: 'Unable to reach the auth server. Is it running?' };
+  }
+
+  try {
+    return await res.json();
+  } catch {
+    return { success: false, message: `Unexpected response from auth server (${res.status})` };
   }
+}
+
+const serverAPI = {
+  login(email, password) {
+    return request('POST', '/auth/login', { body: { email, password } });
+  },
+
+  register(username, email, password) {
+    return request('POST', '/auth/register', { body: { username, email, password } });
+  },
+
+  logout(refreshToken, token) {
+    return request('POST', '/auth/logout', { body: { refreshToken }, token });
+  },
+
+  refresh(refreshToken) {
+    return request('POST', '/auth/refresh', { body: { refreshToken } });
+  },
+
+  me(token) {
+    return request('GET', '/auth/me', { token });
+  },
+
+  updateAccount(token, changes) {
+    return request('PUT', '/auth/me', { body: changes, token });
+  },
+
+  changePassword(token, currentPassword, newPassword) {
+    return request('POST', '/auth/password', { body: { currentPassword, newPassword }, token });
+  },
+
+  requestEmailChange(token, password, email) {
+    return request('POST', '/auth/email', { body: { password, email }, token });
+  },
+
+  confirmEmailChange(verificationToken) {
+    return request('POST', '/auth/email/verify', { body: { token: verificationToken } });
+  },
+
+  deleteAccount(token, password) {
+    return request('POST', '/auth/account/delete', { body: { password }, token });
+  },
+
+  cancelAccountDeletion(token) {
+    return request('DELETE', '/auth/account/delete', { token });
+  },
+
+  lookupUser(token, username) {
+    return request('GET', `/auth/users/lookup?${new URLSearchParams({ username })}`, { token });
+  },
+
+  requestPasswordReset(email) {
+    return request('POST', '/auth/password-reset/request', { body: { email } });
+  },
+
+  verifyResetToken(token) {
+    return request('POST', '/auth/password-reset/verify', { body: { token } });
+  },
+
+  resetPassword(token, password) {
+    return request('POST', '/auth/password-reset/confirm', { body: { token, password } });
+  },
+
+  verifyTwoFactorLogin(challengeToken, code) {
+    return request('POST', '/auth/login/2fa', { body: { challengeToken, code } });
+  },
+
+  getTwoFactorStatus(token) {
+    return request('GET', '/auth/2fa', { token });
+  },
+
+  setupTwoFactor(token) {
+    return request('POST', '/auth/2fa/setup', { token });
+  },
+
+  enableTwoFactor(token, code) {
+    return request('POST', '/auth/2fa/enable', { body: { code }, token });
+  },
+
+  disableTwoFactor(token, password, code) {
+    return request('POST', '/auth/2fa/disable', { body: { password, code }, token });
+  },
+
+  regenerateBackupCodes(token, code) {
+    return request('POST', '/auth/2fa/backup-codes', { body: { code }, token });
+  },
+
+  listFriends(token) {
+    return request('GET', '/friends', { token });
+  },
+
+  sendFriendRequest(token, userId) {
+    return request('POST', '/friends/requests', { body: { userId }, token });
+  },
+
+  respondToFriendRequest(token, requestId, accept) {
+    return request('POST', '/friends/requests/respond', { body: { requestId, accept }, token });
+  },
+
+  cancelFriendRequest(token, requestId) {
+    return request('POST', '/friends/requests/cancel', { body: { requestId }, token });
+  },
+
+  unfriend(token, userId) {
+    return request('POST', '/friends/unfriend', { body: { userId }, token });
+  },
+
+  blockUser(token, userId) {
+    return request('POST', '/friends/block', { body: { userId }, token });
+  },
+
+  unblockUser(token, userId) {
+    return request('POST', '/friends/unblock', { body: { userId }, token });
+  },
+
+  listCommunities() {
+    return request('GET', '/communities');
+  },
+
+  getCommunity(communityId) {
+    return request('GET', `/communities?${new URLSearchParams({ id: communityId })}`);
+  },
+
+  createCommunity(token, details) {
+    return request('POST', '/communities', { body: details, token });
+  },
+
+  joinCommunity(token, communityId) {
+    return request('POST', '/communities/join', { body: { communityId }, token });
+  },
+
+  leaveCommunity(token, communityId) {
+    return request('POST', '/communities/leave', { body: { communityId }, token });
+  },
+
+  updateCommunity(token, communityId, changes) {
+    return request('POST', '/communities/update', { body: { communityId, changes }, token });
+  },
+
+  setCommunityRole(token, communityId, userId, role) {
+    return request('POST', '/communities/role', { body: { communityId, userId, role }, token });
+  },
+
+  kickFromCommunity(token, communityId, userId) {
+    return request('POST', '/communities/kick', { body: { communityId, userId }, token });
+  },
+
+  banFromCommunity(token, communityId, userId) {
+    return request('POST', '/communities/ban', { body: { communityId, userId }, token });
+  },
+
+  unbanFromCommunity(token, communityId, userId) {
+    return request('POST', '/communities/unban', { body: { communityId, userId }, token });
+  },
+
+  listShouts(communityId, { before = null, limit = 10 } = {}) {
+    const query = { communityId, limit, ...(before !== null ? { before } : {}) };
+    return request('GET', `/communities/shouts?${new URLSearchParams(query)}`);
+  },
+
+  postShout(token, communityId, text) {
+    return request('POST', '/communities/shouts', { body: { communityId, text }, token });
+  },
+
+  pinShout(token, communityId, shoutId, pinned) {
+    return request('POST', '/communities/shouts/pin', { body: { communityId, shoutId, pinned }, token });
+  },
+
+  deleteShout(token, communityId, shoutId) {
+    return request('POST', '/communities/shouts/delete', { body: { communityId, shoutId }, token });
+  }
+};
+
+function backend() {
+  return authConfig.useMock ? mockAPI : serverAPI;
+}
+
+export const authAPI = {
+  login: (email, password) => backend().login(email, password),
+  register: (username, email, password) => backend().register(username, email, password),
+  logout: (refreshToken, token) => backend().logout(refreshToken, token),
+  refresh: (refreshToken) => backend().refresh(refreshToken),
+  me: (token) => backend().me(token),
+  updateAccount: (token, changes) => backend().updateAccount(token, changes),
+  changePassword: (token, currentPassword, newPassword) => backend().changePassword(token, currentPassword, newPassword),
+  requestEmailChange: (token, password, email) => backend().requestEmailChange(token, password, email),
+  confirmEmailChange: (verificationToken) => backend().confirmEmailChange(verificationToken),
+  deleteAccount: (token, password) => backend().deleteAccount(token, password),
+  cancelAccountDeletion: (token) => backend().cancelAccountDeletion(token),
+  lookupUser: (token, username) => backend().lookupUser(token, username),
+  requestPasswordReset: (email) => backend().requestPasswordReset(email),
+  verifyResetToken: (token) => backend().verifyResetToken(token),
+  resetPassword: (token, password) => backend().resetPassword(token, password),
+  verifyTwoFactorLogin: (challengeToken, code) => backend().verifyTwoFactorLogin(challengeToken, code),
+  getTwoFactorStatus: (token) => backend().getTwoFactorStatus(token),
+  setupTwoFactor: (token) => backend().setupTwoFactor(token),
+  enableTwoFactor: (token, code) => backend().enableTwoFactor(token, code),
+  disableTwoFactor: (token, password, code) => backend().disableTwoFactor(token, password, code),
+  regenerateBackupCodes: (token, code) => backend().regenerateBackupCodes(token, code),
+  listFriends: (token) => backend().listFriends(token),
+  sendFriendRequest: (token, userId) => backend().sendFriendRequest(token, userId),
+  respondToFriendRequest: (token, requestId, accept) => backend().respondToFriendRequest(token, requestId, accept),
+  cancelFriendRequest: (token, requestId) => backend().cancelFriendRequest(token, requestId),
+  unfriend: (token, userId) => backend().unfriend(token, userId),
+  blockUser: (token, userId) => backend().blockUser(token, userId),
+  unblockUser: (token, userId) => backend().unblockUser(token, userId),
+  listCommunities: () => backend().listCommunities(),
+  getCommunity: (communityId) => backend().getCommunity(communityId),
+  createCommunity: (token, details) => backend().createCommunity(token, details),
+  joinCommunity: (token, communityId) => backend().joinCommunity(token, communityId),
+  leaveCommunity: (token, communityId) => backend().leaveCommunity(token, communityId),
+  updateCommunity: (token, communityId, changes) => backend().updateCommunity(token, communityId, changes),
+  setCommunityRole: (token, communityId, userId, role) => backend().setCommunityRole(token, communityId, userId, role),
+  kickFromCommunity: (token, communityId, userId) => backend().kickFromCommunity(token, communityId, userId),
+  banFromCommunity: (token, communityId, userId) => backend().banFromCommunity(token, communityId, userId),
+  unbanFromCommunity: (token, communityId, userId) => backend().unbanFromCommunity(token, communityId, userId),
+  listShouts: (communityId, options) => backend().listShouts(communityId, options),
+  postShout: (token, communityId, text) => backend().postShout(token, communityId, text),
+  pinShout: (token, communityId, shoutId, pinned) => backend().pinShout(token, communityId, shoutId, pinned),
+  deleteShout: (token, communityId, shoutId) => backend().deleteShout(token, communityId, shoutId)
 };
 
 /* ============ EXPORTS ============ */
@@ -96,5 +463,8 @@ export default {
   initAuth,
   bootLogin,
   bootRegister,
+  bootForgotPassword,
+  bootResetPassword,
+  configureAuth,
   authAPI
 };
\ No newline at end of file
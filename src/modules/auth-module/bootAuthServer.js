@@ -0,0 +1,109 @@
+// src/modules/auth-module/bootAuthServer.js
+// Starts the local auth server used in development (`npm run auth:dev`).
+//
+// Environment:
+//   AUTH_PORT    port to listen on (default 4000)
+//   AUTH_STORE   "memory" to keep users (and friends, communities) in memory only
+//   AUTH_FILE    JSON file for the user store (default .data/auth.json)
+//   FRIENDS_FILE JSON file for friends (default .data/friends.json)
+//   COMMUNITIES_FILE JSON file for communities (default .data/communities.json)
+//   AUTH_SECRET  token signing secret (default: generated and kept in the store)
+//   AUTH_OUTBOX  file that "sent" emails are appended to (default .data/outbox.log)
+//   AUTH_APP_URL app URL used in emailed links when the request has no Origin
+//   CHAT_RELAY_URL chat relay told about deleted accounts (default
+//                http://localhost:4100; "none" when there is no relay)
+//   SERVICE_KEY  key the chat relay uses for /internal (default: read from, or
+//                generated into, SERVICE_KEY_FILE, default .data/service.key,
+//                where the relay finds it too)
+
+const fs = require('fs');
+const path = require('path');
+const { createAuthServer } = require('./server/authServer.js');
+const { createUserStore } = require('./server/userStore.js');
+const { createOutbox } = require('./server/outbox.js');
+const { createFriendsStore } = require('../friends/server/friendsStore.js');
+const { createCommunitiesStore } = require('../communities/server/communitiesStore.js');
+const { hashPassword, randomToken } = require('./server/crypto.js');
+
+const PORT = Number(process.env.AUTH_PORT) || 4000;
+const FILE = process.env.AUTH_STORE === 'memory'
+  ? null
+  : path.resolve(process.env.AUTH_FILE || path.join(process.cwd(), '.data', 'auth.json'));
+const FRIENDS_FILE = process.env.AUTH_STORE === 'memory'
+  ? null
+  : path.resolve(process.env.FRIENDS_FILE || path.join(process.cwd(), '.data', 'friends.json'));
+const COMMUNITIES_FILE = process.env.AUTH_STORE === 'memory'
+  ? null
+  : path.resolve(process.env.COMMUNITIES_FILE || path.join(process.cwd(), '.data', 'communities.json'));
+const OUTBOX = path.resolve(process.env.AUTH_OUTBOX || path.join(process.cwd(), '.data', 'outbox.log'));
+const RELAY_URL = process.env.CHAT_RELAY_URL || 'http://localhost:4100';
+const SERVICE_KEY_FILE = path.resolve(process.env.SERVICE_KEY_FILE || path.join(process.cwd(), '.data', 'service.key'));
+
+// the relay runs as another process, so the key is shared through a file
+function loadServiceKey() {
+  if (process.env.SERVICE_KEY) return process.env.SERVICE_KEY;
+  if (fs.existsSync(SERVICE_KEY_FILE)) return fs.readFileSync(SERVICE_KEY_FILE, 'utf8').trim();
+
+  const key = randomToken();
+  fs.mkdirSync(path.dirname(SERVICE_KEY_FILE), { recursive: true });
+  fs.writeFileSync(SERVICE_KEY_FILE, key, { mode: 0o600 });
+  return key;
+}
+
+// deleted accounts go from the chat store too; the server retries until this resolves
+function createRelayClient(serviceKey) {
+  return {
+    async deleteUser(userId) {
+      const res = await fetch(`${RELAY_URL}/internal/users/delete`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Service ${serviceKey}` },
+        body: JSON.stringify({ userId })
+      });
+      const body = await res.json();
+      if (!body.success) throw new Error(body.message || `Chat relay answered ${res.status}`);
+    }
+  };
+}
+
+async function boot() {
+  const store = createUserStore({ file: FILE });
+
+  let secret = process.env.AUTH_SECRET || store.getMeta('secret');
+  if (!secret) {
+    secret = randomToken();
+    store.setMeta('secret', secret);
+  }
+
+  // keep the old mock credentials working
+  if (!store.findUserByEmail('demo@example.com')) {
+    store.createUser({
+      username: 'demo',
+      email: 'demo@example.com',
+      passwordHash: await hashPassword('demo123')
+    });
+  }
+
+  const serviceKey = loadServiceKey();
+  const server = createAuthServer({
+    store,
+    secret,
+    outbox: createOutbox({ file: OUTBOX }),
+    friends: createFriendsStore({ file: FRIENDS_FILE }),
+    communities: createCommunitiesStore({ file: COMMUNITIES_FILE }),
+    serviceKey,
+    relay: RELAY_URL === 'none' ? null : createRelayClient(serviceKey),
+    appUrl: process.env.AUTH_APP_URL
+  });
+
+  server.listen(PORT, () => {
+    console.log(`[AuthServer] Listening on http://localhost:${PORT}`);
+    console.log(`[AuthServer] Store: ${FILE || 'in-memory'}`);
+    console.log(`[AuthServer] Outbox: ${OUTBOX}`);
+    console.log(`[AuthServer] Service key: ${process.env.SERVICE_KEY ? 'from SERVICE_KEY' : SERVICE_KEY_FILE}`);
+  });
+}
+
+boot().catch((err) => {
+  console.error('[AuthServer] Failed to start:', err);
+  process.exit(1);
+});
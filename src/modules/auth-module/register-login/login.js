@@ -1,10 +1,13 @@
 
 import { authAPI } from '../auth.js';
+import { validateEmail, validateRequired, validateFields } from '../../../utils/validators.js';
+import { showFieldErrors, clearOnInput } from '../../../components/common/fieldErrors.js';
 
 export function createLoginForm() {
   const container = document.createElement('div');
   container.style.cssText = `
-    min-height: 100vh;
+    min-height: calc(100vh - 152px);
+    border-radius: 16px;
     background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
     display: flex;
     align-items: center;
@@ -33,15 +36,25 @@ export function createLoginForm() {
     
     <div id="error" style="display:none;padding:12px;background:#fee;color:#c33;border-radius:8px;margin-bottom:16px;font-size:14px"></div>
     
-    <input type="email" id="email" placeholder="Email" required style="width:100%;padding:12px;margin:8px 0;border-radius:8px;border:1px solid #ddd;font-size:15px;box-sizing:border-box">
-    
-    <input type="password" id="password" placeholder="Password" required style="width:100%;padding:12px;margin:8px 0;border-radius:8px;border:1px solid #ddd;font-size:15px;box-sizing:border-box">
+    <div id="credentials-step">
+      <input type="email" id="email" placeholder="Email" required style="width:100%;padding:12px;margin:8px 0;border-radius:8px;border:1px solid #ddd;font-size:15px;box-sizing:border-box">
+      
+      <input type="password" id="password" placeholder="Password" required style="width:100%;padding:12px;margin:8px 0;border-radius:8px;border:1px solid #ddd;font-size:15px;box-sizing:border-box">
+      
+      <div style="display:flex;justify-content:space-between;align-items:center;margin-top:12px;font-size:13px">
+        <label style="display:flex;align-items:center;cursor:pointer">
+          <input type="checkbox" id="remember" style="margin-right:6px"> Remember me
+        </label>
+        <a href="#forgot-password" id="forgot-link" style="color:#3b82f6;text-decoration:none;font-weight:500">Forgot password?</a>
+      </div>
+    </div>
     
-    <div style="display:flex;justify-content:space-between;align-items:center;margin-top:12px;font-size:13px">
-      <label style="display:flex;align-items:center;cursor:pointer">
-        <input type="checkbox" id="remember" style="margin-right:6px"> Remember me
-      </label>
-      <a href="#forgot" id="forgot-link" style="color:#3b82f6;text-decoration:none;font-weight:500">Forgot password?</a>
+    <div id="twofa-step" style="display:none">
+      <p style="margin:0 0 8px;color:#444;font-size:14px">Enter the 6-digit code from your authenticator app, or one of your backup codes.</p>
+      
+      <input type="text" id="code" placeholder="123456" autocomplete="one-time-code" maxlength="9" style="width:100%;padding:12px;margin:8px 0;border-radius:8px;border:1px solid #ddd;font-size:20px;letter-spacing:4px;text-align:center;box-sizing:border-box">
+      
+      <a href="#login" id="back-link" style="display:inline-block;margin-top:8px;color:#3b82f6;text-decoration:none;font-size:13px;font-weight:500">&larr; Use a different account</a>
     </div>
     
     <button type="submit" id="submit-btn" style="margin-top:20px;width:100%;padding:14px;border-radius:10px;background:linear-gradient(90deg,#3b82f6,#7c3aed);color:#fff;border:none;font-size:16px;font-weight:600;cursor:pointer;transition:all 0.3s">
@@ -59,10 +72,50 @@ export function createLoginForm() {
   const passwordInput = form.querySelector('#password');
   const rememberCheck = form.querySelector('#remember');
   const submitBtn = form.querySelector('#submit-btn');
+  const credentialsStep = form.querySelector('#credentials-step');
+  const twoFactorStep = form.querySelector('#twofa-step');
+  const codeInput = form.querySelector('#code');
+  const fields = { email: emailInput, password: passwordInput };
+
+  // set while waiting for the second factor
+  let challenge = null;
+
+  form.noValidate = true;
+  clearOnInput(emailInput, passwordInput, codeInput);
+
+  function restoreButton() {
+    submitBtn.disabled = false;
+    submitBtn.textContent = challenge ? 'Verify' : 'Sign In';
+    submitBtn.style.background = 'linear-gradient(90deg,#3b82f6,#7c3aed)';
+    submitBtn.style.cursor = 'pointer';
+  }
+
+  function showStep(twoFactor) {
+    credentialsStep.style.display = twoFactor ? 'none' : 'block';
+    twoFactorStep.style.display = twoFactor ? 'block' : 'none';
+    restoreButton();
+    (twoFactor ? codeInput : emailInput).focus();
+  }
+
+  function completeLogin(result, rememberMe) {
+    // the router sends the user back to the page they came from
+    window.dispatchEvent(new CustomEvent('session:login', {
+      detail: { user: result.user, token: result.token, refreshToken: result.refreshToken, rememberMe }
+    }));
+  }
+
+  form.querySelector('#back-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    challenge = null;
+    codeInput.value = '';
+    passwordInput.value = '';
+    errorDiv.style.display = 'none';
+    showStep(false);
+  });
 
   form.querySelector('#forgot-link').addEventListener('click', (e) => {
     e.preventDefault();
-    alert('Password reset coming soon!');
+    if (window.navigateToPage) window.navigateToPage('forgot-password');
   });
 
   form.querySelector('#register-link').addEventListener('click', (e) => {
@@ -70,21 +123,61 @@ export function createLoginForm() {
     if (window.navigateToPage) window.navigateToPage('register');
   });
 
+  async function submitCode() {
+    const code = codeInput.value.trim();
+    const codeError = code ? null : 'Enter your verification code';
+
+    showFieldErrors({ code: codeInput }, codeError ? { code: codeError } : {});
+    if (codeError) return;
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Verifying...';
+    submitBtn.style.background = '#ccc';
+    submitBtn.style.cursor = 'not-allowed';
+
+    try {
+      const result = await authAPI.verifyTwoFactorLogin(challenge.token, code);
+
+      if (!result.success) {
+        errorDiv.textContent = result.message;
+        errorDiv.style.display = 'block';
+        codeInput.select();
+        restoreButton();
+        return;
+      }
+
+      completeLogin(result, challenge.rememberMe);
+    } catch (err) {
+      errorDiv.textContent = 'An error occurred. Please try again.';
+      errorDiv.style.display = 'block';
+      restoreButton();
+    }
+  }
+
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
+
+    if (challenge) {
+      errorDiv.style.display = 'none';
+      errorDiv.textContent = '';
+      await submitCode();
+      return;
+    }
     
-    const email = emailInput.value;
+    const email = emailInput.value.trim();
     const password = passwordInput.value;
     const rememberMe = rememberCheck.checked;
 
     errorDiv.style.display = 'none';
     errorDiv.textContent = '';
 
-    if (!email || !password) {
-      errorDiv.textContent = 'Email and password are required';
-      errorDiv.style.display = 'block';
-      return;
-    }
+    const { valid, errors } = validateFields({
+      email: validateEmail(email),
+      password: validateRequired(password, 'Password')
+    });
+
+    showFieldErrors(fields, errors);
+    if (!valid) return;
 
     submitBtn.disabled = true;
     submitBtn.textContent = 'Signing In...';
@@ -97,25 +190,21 @@ export function createLoginForm() {
       if (!result.success) {
         errorDiv.textContent = result.message;
         errorDiv.style.display = 'block';
-        submitBtn.disabled = false;
-        submitBtn.textContent = 'Sign In';
-        submitBtn.style.background = 'linear-gradient(90deg,#3b82f6,#7c3aed)';
-        submitBtn.style.cursor = 'pointer';
+        restoreButton();
         return;
       }
 
-      window.dispatchEvent(new CustomEvent('session:login', {
-        detail: { user: result.user, token: result.token, rememberMe }
-      }));
+      if (result.twoFactorRequired) {
+        challenge = { token: result.challengeToken, rememberMe };
+        showStep(true);
+        return;
+      }
 
-      if (window.navigateToPage) window.navigateToPage('dashboard');
+      completeLogin(result, rememberMe);
     } catch (err) {
       errorDiv.textContent = 'An error occurred. Please try again.';
       errorDiv.style.display = 'block';
-      submitBtn.disabled = false;
-      submitBtn.textContent = 'Sign In';
-      submitBtn.style.background = 'linear-gradient(90deg,#3b82f6,#7c3aed)';
-      submitBtn.style.cursor = 'pointer';
+      restoreButton();
     }
   });
 
@@ -0,0 +1,239 @@
+
+import { authAPI } from '../auth.js';
+import { validateEmail, validatePassword, validateConfirm, validateFields } from '../../../utils/validators.js';
+import { setFieldError, showFieldErrors, clearOnInput } from '../../../components/common/fieldErrors.js';
+import { attachStrengthMeter } from '../../../components/common/passwordStrength.js';
+
+const inputStyle = 'width:100%;padding:12px;margin:8px 0;border-radius:8px;border:1px solid #ddd;font-size:15px;box-sizing:border-box';
+const buttonGradient = 'linear-gradient(90deg,#3b82f6,#7c3aed)';
+
+function createShell() {
+  const container = document.createElement('div');
+  container.style.cssText = `
+    min-height: calc(100vh - 152px);
+    border-radius: 16px;
+    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    padding: 20px;
+  `;
+
+  const form = document.createElement('form');
+  form.style.cssText = `
+    max-width: 420px;
+    width: 100%;
+    background: white;
+    border-radius: 16px;
+    padding: 32px;
+    box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+  `;
+
+  container.appendChild(form);
+  return { container, form };
+}
+
+function banner() {
+  return `<div style="width:80px;height:80px;border-radius:50%;background:linear-gradient(135deg,#e0e7ff,#c7d2fe);margin:12px auto;display:flex;align-items:center;justify-content:center;font-size:32px">🔑</div>`;
+}
+
+function setBusy(button, busy, label) {
+  button.disabled = busy;
+  button.textContent = label;
+  button.style.background = busy ? '#ccc' : buttonGradient;
+  button.style.cursor = busy ? 'not-allowed' : 'pointer';
+}
+
+function show(el, text) {
+  el.textContent = text;
+  el.style.display = 'block';
+}
+
+function hide(el) {
+  el.textContent = '';
+  el.style.display = 'none';
+}
+
+function wireLoginLink(form) {
+  form.querySelector('#login-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    if (window.navigateToPage) window.navigateToPage('login');
+  });
+}
+
+/* request a reset link */
+export function createForgotPasswordForm() {
+  const { container, form } = createShell();
+
+  form.innerHTML = `
+    ${banner()}
+    <h2 style="text-align:center;margin-bottom:8px;font-size:28px;font-weight:700">Forgot Password</h2>
+    <p style="text-align:center;margin-top:0;margin-bottom:24px;color:#666;font-size:14px">Enter your email and we'll send you a reset link</p>
+
+    <div id="error" style="display:none;padding:12px;background:#fee;color:#c33;border-radius:8px;margin-bottom:16px;font-size:14px"></div>
+
+    <div id="success" style="display:none;padding:12px;background:#efe;color:#0a0;border-radius:8px;margin-bottom:16px;font-size:14px"></div>
+
+    <input type="email" id="email" placeholder="Email" required style="${inputStyle}">
+
+    <button type="submit" id="submit-btn" style="margin-top:20px;width:100%;padding:14px;border-radius:10px;background:${buttonGradient};color:#fff;border:none;font-size:16px;font-weight:600;cursor:pointer;transition:all 0.3s">
+      Send Reset Link
+    </button>
+
+    <p style="text-align:center;margin-top:16px;color:#666;font-size:14px">
+      Remembered it?
+      <a href="#login" id="login-link" style="color:#3b82f6;font-weight:600;text-decoration:none">Sign In</a>
+    </p>
+  `;
+
+  const errorDiv = form.querySelector('#error');
+  const successDiv = form.querySelector('#success');
+  const emailInput = form.querySelector('#email');
+  const submitBtn = form.querySelector('#submit-btn');
+
+  form.noValidate = true;
+  clearOnInput(emailInput);
+  wireLoginLink(form);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const email = emailInput.value.trim();
+    hide(errorDiv);
+    hide(successDiv);
+
+    const emailError = validateEmail(email);
+    setFieldError(emailInput, emailError);
+    if (emailError) return;
+
+    setBusy(submitBtn, true, 'Sending...');
+
+    try {
+      const result = await authAPI.requestPasswordReset(email);
+
+      if (!result.success) {
+        show(errorDiv, result.message);
+        setBusy(submitBtn, false, 'Send Reset Link');
+        return;
+      }
+
+      show(successDiv, result.message);
+      setBusy(submitBtn, false, 'Resend Link');
+    } catch (err) {
+      show(errorDiv, 'An error occurred. Please try again.');
+      setBusy(submitBtn, false, 'Send Reset Link');
+    }
+  });
+
+  return container;
+}
+
+/* choose a new password with the emailed token; `scope` is the page's, so
+   leaving the page cancels the redirect to login */
+export function createResetPasswordForm(token, { scope = null } = {}) {
+  const { container, form } = createShell();
+
+  form.innerHTML = `
+    ${banner()}
+    <h2 style="text-align:center;margin-bottom:8px;font-size:28px;font-weight:700">Reset Password</h2>
+    <p style="text-align:center;margin-top:0;margin-bottom:24px;color:#666;font-size:14px">Choose a new password for your account</p>
+
+    <div id="error" style="display:none;padding:12px;background:#fee;color:#c33;border-radius:8px;margin-bottom:16px;font-size:14px"></div>
+
+    <div id="success" style="display:none;padding:12px;background:#efe;color:#0a0;border-radius:8px;margin-bottom:16px;font-size:14px"></div>
+
+    <div id="fields">
+      <input type="password" id="password" placeholder="New Password" required style="${inputStyle}">
+
+      <input type="password" id="confirm" placeholder="Confirm New Password" required style="${inputStyle}">
+
+      <button type="submit" id="submit-btn" style="margin-top:20px;width:100%;padding:14px;border-radius:10px;background:${buttonGradient};color:#fff;border:none;font-size:16px;font-weight:600;cursor:pointer;transition:all 0.3s">
+        Update Password
+      </button>
+    </div>
+
+    <p style="text-align:center;margin-top:16px;color:#666;font-size:14px">
+      <a href="#forgot-password" id="forgot-link" style="color:#3b82f6;font-weight:600;text-decoration:none">Request a new link</a>
+      &middot;
+      <a href="#login" id="login-link" style="color:#3b82f6;font-weight:600;text-decoration:none">Sign In</a>
+    </p>
+  `;
+
+  const errorDiv = form.querySelector('#error');
+  const successDiv = form.querySelector('#success');
+  const fields = form.querySelector('#fields');
+  const passwordInput = form.querySelector('#password');
+  const confirmInput = form.querySelector('#confirm');
+  const submitBtn = form.querySelector('#submit-btn');
+
+  form.noValidate = true;
+  clearOnInput(passwordInput, confirmInput);
+  attachStrengthMeter(passwordInput);
+  wireLoginLink(form);
+  form.querySelector('#forgot-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    if (window.navigateToPage) window.navigateToPage('forgot-password');
+  });
+
+  function invalidLink(message) {
+    fields.style.display = 'none';
+    show(errorDiv, message || 'This reset link is invalid or has expired');
+  }
+
+  if (!token) {
+    invalidLink();
+    return container;
+  }
+
+  // check the link up front so an expired one doesn't waste the user's typing
+  fields.style.display = 'none';
+  authAPI.verifyResetToken(token)
+    .then((result) => {
+      if (result.success) fields.style.display = 'block';
+      else invalidLink(result.message);
+    })
+    .catch(() => invalidLink('Could not check this reset link. Please try again.'));
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const password = passwordInput.value;
+    const confirm = confirmInput.value;
+    hide(errorDiv);
+    hide(successDiv);
+
+    const { valid, errors } = validateFields({
+      password: validatePassword(password),
+      confirm: validateConfirm(password, confirm)
+    });
+
+    showFieldErrors({ password: passwordInput, confirm: confirmInput }, errors);
+    if (!valid) return;
+
+    setBusy(submitBtn, true, 'Updating...');
+
+    try {
+      const result = await authAPI.resetPassword(token, password);
+
+      if (!result.success) {
+        show(errorDiv, result.message);
+        setBusy(submitBtn, false, 'Update Password');
+        return;
+      }
+
+      fields.style.display = 'none';
+      show(successDiv, `${result.message} Redirecting to login...`);
+
+      const toLogin = () => {
+        if (window.navigateToPage) window.navigateToPage('login');
+      };
+      if (scope) scope.timeout(toLogin, 2000);
+      else setTimeout(toLogin, 2000);
+    } catch (err) {
+      show(errorDiv, 'An error occurred. Please try again.');
+      setBusy(submitBtn, false, 'Update Password');
+    }
+  });
+
+  return container;
+}
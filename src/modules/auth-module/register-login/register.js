@@ -1,10 +1,21 @@
 
 
+import { authAPI } from '../auth.js';
+import {
+  validateUsername,
+  validateEmail,
+  validatePassword,
+  validateConfirm,
+  validateFields
+} from '../../../utils/validators.js';
+import { showFieldErrors, clearOnInput } from '../../../components/common/fieldErrors.js';
+import { attachStrengthMeter } from '../../../components/common/passwordStrength.js';
 
 export function createRegisterForm() {
   const container = document.createElement('div');
   container.style.cssText = `
-    min-height: 100vh;
+    min-height: calc(100vh - 152px);
+    border-radius: 16px;
     background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
     display: flex;
     align-items: center;
@@ -60,6 +71,11 @@ export function createRegisterForm() {
   const passwordInput = form.querySelector('#password');
   const confirmInput = form.querySelector('#confirm');
   const submitBtn = form.querySelector('#submit-btn');
+  const fields = { username: usernameInput, email: emailInput, password: passwordInput, confirm: confirmInput };
+
+  form.noValidate = true;
+  clearOnInput(...Object.values(fields));
+  attachStrengthMeter(passwordInput, () => ({ username: usernameInput.value, email: emailInput.value }));
 
   form.querySelector('#login-link').addEventListener('click', (e) => {
     e.preventDefault();
@@ -69,8 +85,8 @@ export function createRegisterForm() {
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
     
-    const username = usernameInput.value;
-    const email = emailInput.value;
+    const username = usernameInput.value.trim();
+    const email = emailInput.value.trim();
     const password = passwordInput.value;
     const confirm = confirmInput.value;
 
@@ -79,29 +95,15 @@ export function createRegisterForm() {
     errorDiv.textContent = '';
     successDiv.textContent = '';
 
-    if (!username || !email || !password || !confirm) {
-      errorDiv.textContent = 'All fields are required';
-      errorDiv.style.display = 'block';
-      return;
-    }
-
-    if (username.length < 3) {
-      errorDiv.textContent = 'Username must be at least 3 characters';
-      errorDiv.style.display = 'block';
-      return;
-    }
-
-    if (password.length < 6) {
-      errorDiv.textContent = 'Password must be at least 6 characters';
-      errorDiv.style.display = 'block';
-      return;
-    }
+    const { valid, errors } = validateFields({
+      username: validateUsername(username),
+      email: validateEmail(email),
+      password: validatePassword(password, { username, email }),
+      confirm: validateConfirm(password, confirm)
+    });
 
-    if (password !== confirm) {
-      errorDiv.textContent = 'Passwords do not match';
-      errorDiv.style.display = 'block';
-      return;
-    }
+    showFieldErrors(fields, errors);
+    if (!valid) return;
 
     submitBtn.disabled = true;
     submitBtn.textContent = 'Creating Account...';
@@ -3,9 +3,10 @@
 
 import { createLoginForm } from '../login.js';
 import { createRegisterForm } from '../register.js';
+import { createForgotPasswordForm, createResetPasswordForm } from '../passwordReset.js';
 
 // Re-export the low-level creators so other modules can import them directly:
-export { createLoginForm, createRegisterForm };
+export { createLoginForm, createRegisterForm, createForgotPasswordForm, createResetPasswordForm };
 
 /* render login.js */
 export function renderLogin(container) {
@@ -21,7 +22,20 @@ export function renderRegister(container) {
   container.appendChild(registerElement);
 }
 
+/* render passwordReset.js */
+export function renderForgotPassword(container) {
+  container.innerHTML = '';
+  container.appendChild(createForgotPasswordForm());
+}
+
+export function renderResetPassword(container, token, options) {
+  container.innerHTML = '';
+  container.appendChild(createResetPasswordForm(token, options));
+}
+
 export default {
   renderLogin,
-  renderRegister
+  renderRegister,
+  renderForgotPassword,
+  renderResetPassword
 };
\ No newline at end of file
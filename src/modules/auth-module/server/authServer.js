@@ -0,0 +1,884 @@
+// src/modules/auth-module/server/authServer.js
+// HTTP API for local development: register / login / logout / refresh / me
+// (read and update), changing the password or email (both re-check the
+// current password; a new email only takes over once its link is opened),
+// deleting the account after a grace period the user can cancel in, plus
+// password reset and TOTP two-factor authentication.
+//
+// It also keeps what the privacy settings depend on, so they hold whichever
+// client is asking: each user's `privacy` (on their record, changed through
+// PUT /auth/me) and friends under /friends. Communities live here too, under
+// /communities, so their roles hold the same way. The chat relay checks
+// messages, presence and community channels against them through /internal,
+// using the shared service key.
+
+const http = require('http');
+const crypto = require('crypto');
+const {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  randomToken,
+  sha256
+} = require('./crypto.js');
+const { createOutbox } = require('./outbox.js');
+const { privacyOf, mergePrivacy, privacyAllows, privacyRefusal } = require('./privacy.js');
+const { createFriendsStore } = require('../../friends/server/friendsStore.js');
+const { createCommunitiesStore } = require('../../communities/server/communitiesStore.js');
+const {
+  generateSecret,
+  verifyTotp,
+  otpauthUri,
+  generateBackupCodes,
+  normalizeBackupCode
+} = require('./totp.js');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const RESET_TTL = 30 * 60 * 1000;
+const EMAIL_CHANGE_TTL = 24 * 60 * 60 * 1000;
+const DELETION_GRACE = 7 * 24 * 60 * 60 * 1000;
+const CHALLENGE_TTL = 5 * 60 * 1000;
+// how often accounts past their deletion date are purged
+const PURGE_INTERVAL = 60 * 1000;
+// users the relay may ask about at once; a presence watch list at most
+const MAX_ACCESS_USERS = 500;
+// wrong codes a sign-in challenge survives before the password is needed again
+const CHALLENGE_MAX_ATTEMPTS = 5;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// keep in step with src/utils/validators.js (an ES module, so it can't be required here)
+const USERNAME_RE = /^[A-Za-z0-9_]{3,20}$/;
+const RESERVED_USERNAMES = [
+  'admin', 'administrator', 'root', 'system', 'support', 'moderator', 'mod', 'staff',
+  'dynablocks', 'official', 'help', 'settings', 'account', 'login', 'register', 'me',
+  'null', 'undefined'
+];
+const PASSWORD_MIN = 8;
+
+/* ============ HTTP HELPERS ============ */
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (chunks.length === 0) return resolve({});
+
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch {
+        return reject(new HttpError(400, 'Invalid JSON body'));
+      }
+      // handlers read fields straight off the body: null, numbers and arrays won't do
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return reject(new HttpError(400, 'Invalid JSON body'));
+      }
+      resolve(body);
+    });
+
+    req.on('error', reject);
+  });
+}
+
+function checkUsername(username) {
+  if (!USERNAME_RE.test(username)) {
+    throw new HttpError(400, 'Username must be 3-20 letters, numbers or underscores');
+  }
+  if (RESERVED_USERNAMES.includes(username.toLowerCase())) throw new HttpError(400, 'That username is reserved');
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// what other signed-in users may see, e.g. when starting a chat; their
+// privacy settings let the client explain a refusal before asking
+function profileOf(user) {
+  return { id: user.id, username: user.username, privacy: privacyOf(user) };
+}
+
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    createdAt: user.createdAt,
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+    // a new address waiting for its confirmation link to be opened
+    pendingEmail: user.pendingEmail || null,
+    // when the account goes for good, unless the user cancels before then
+    deletionScheduledAt: user.deletionScheduledAt || null,
+    privacy: privacyOf(user)
+  };
+}
+
+/* ============ SERVER ============ */
+
+function createAuthServer({
+  store,
+  secret,
+  outbox = createOutbox(),
+  friends = createFriendsStore(),
+  communities = createCommunitiesStore(),
+  // `relay.deleteUser(userId)` resolves once the chat relay has forgotten a deleted account
+  relay = null,
+  // shared with the chat relay for /internal; without one those routes refuse
+  serviceKey = null,
+  appUrl = 'http://localhost:8080/',
+  accessTtl = 60 * 60 * 1000,
+  refreshTtl = 30 * 24 * 60 * 60 * 1000
+}) {
+  if (!store || !secret) throw new Error('createAuthServer requires a store and a secret');
+
+  function issueTokens(user, sessionId = randomToken(12)) {
+    const refreshSecret = randomToken();
+    const existing = store.getSession(sessionId);
+
+    const session = {
+      id: sessionId,
+      userId: user.id,
+      refreshHash: sha256(refreshSecret),
+      expiresAt: Date.now() + refreshTtl
+    };
+
+    if (existing) store.updateSession(sessionId, session);
+    else store.createSession({ ...session, createdAt: Date.now() });
+
+    const now = Date.now();
+    const token = signToken({ userId: user.id, sid: sessionId, iat: now, exp: now + accessTtl }, secret);
+
+    return { token, refreshToken: `${sessionId}.${refreshSecret}` };
+  }
+
+  /**
+   * Resolve the Authorization header to { user, session } or throw 401.
+   */
+  function authenticate(req) {
+    const payload = verifyToken(bearerToken(req), secret);
+    const session = payload && store.getSession(payload.sid);
+    const user = session && store.findUserById(payload.userId);
+
+    if (!user || session.userId !== user.id) {
+      throw new HttpError(401, 'Not authenticated');
+    }
+
+    return { user, session };
+  }
+
+  // the chat relay, calling /internal with `Authorization: Service <key>`
+  function authenticateService(req) {
+    const header = Buffer.from(req.headers.authorization || '');
+    const expected = Buffer.from(`Service ${serviceKey}`);
+    if (!serviceKey || header.length !== expected.length || !crypto.timingSafeEqual(header, expected)) {
+      throw new HttpError(401, 'Not authenticated');
+    }
+  }
+
+  // a store result as a response, or the HttpError it failed with
+  function outcome(result) {
+    if (!result.success) throw new HttpError(result.status || 400, result.message);
+    return { body: result };
+  }
+
+  function otherUser(me, id) {
+    const user = store.findUserById(String(id ?? ''));
+    if (!user) throw new HttpError(404, 'No user with that username');
+    if (user.id === me.id) throw new HttpError(400, "You can't do that to yourself");
+    return user;
+  }
+
+  // names in the friends store are from when the link was made; show today's
+  function currentName(person) {
+    return { ...person, username: store.findUserById(person.id)?.username || person.username };
+  }
+
+  /**
+   * Check a 6-digit TOTP code or, failing that, a backup code (which is
+   * used up). Returns true when the code is valid for this user.
+   */
+  function verifySecondFactor(user, code) {
+    const twoFactor = user.twoFactor;
+    if (!twoFactor?.enabled) return false;
+
+    const step = verifyTotp(twoFactor.secret, code, { lastStep: twoFactor.lastStep ?? -1 });
+    if (step !== null) {
+      store.updateUser(user.id, { twoFactor: { ...twoFactor, lastStep: step } });
+      return true;
+    }
+
+    const hash = sha256(normalizeBackupCode(code));
+    if (normalizeBackupCode(code).length === 8 && twoFactor.backupCodes.includes(hash)) {
+      store.updateUser(user.id, {
+        twoFactor: { ...twoFactor, backupCodes: twoFactor.backupCodes.filter(h => h !== hash) }
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  // challenge id -> { failures, exp }; in memory, like the challenges' short lives
+  const challengeAttempts = new Map();
+
+  function newChallenge(user) {
+    const now = Date.now();
+    challengeAttempts.forEach((entry, id) => {
+      if (entry.exp <= now) challengeAttempts.delete(id);
+    });
+
+    const cid = randomToken(12);
+    challengeAttempts.set(cid, { failures: 0, exp: now + CHALLENGE_TTL });
+    return signToken({ type: '2fa', cid, userId: user.id, iat: now, exp: now + CHALLENGE_TTL }, secret);
+  }
+
+  /**
+   * Check a second-factor code against the challenge `payload`. A challenge
+   * signs in once, and dies after CHALLENGE_MAX_ATTEMPTS wrong codes so the
+   * codes can't be guessed through it.
+   */
+  function answerChallenge(payload, user, code) {
+    const attempts = challengeAttempts.get(payload.cid);
+    if (!attempts || attempts.failures >= CHALLENGE_MAX_ATTEMPTS) {
+      throw new HttpError(401, 'Your sign-in attempt expired, please start again');
+    }
+
+    if (!verifySecondFactor(user, code)) {
+      attempts.failures++;
+      if (attempts.failures >= CHALLENGE_MAX_ATTEMPTS) {
+        challengeAttempts.delete(payload.cid);
+        throw new HttpError(401, 'Too many incorrect codes, please sign in again');
+      }
+      throw new HttpError(401, 'Invalid verification code');
+    }
+
+    challengeAttempts.delete(payload.cid);
+  }
+
+  // changes to how the user signs in need the current password again
+  async function reauthenticate(user, password) {
+    if (!await verifyPassword(String(password || ''), user.passwordHash)) {
+      throw new HttpError(401, 'Incorrect password');
+    }
+  }
+
+  function isDue(user) {
+    return Boolean(user.deletionScheduledAt && user.deletionScheduledAt <= Date.now());
+  }
+
+  /**
+   * Accounts whose grace period is over, with their friends, community
+   * memberships and shouts. The relay is told too; it may be down, so who
+   * it still has to forget is kept in the store and asked about again on
+   * the next run.
+   */
+  async function purgeDeletedAccounts() {
+    store.findUsers(isDue).forEach(user => {
+      friends.removeUser(user.id);
+      communities.removeUser(user.id);
+      store.deleteUser(user.id);
+      if (relay) store.setMeta('relayDeletions', [...(store.getMeta('relayDeletions') || []), user.id]);
+    });
+
+    for (const userId of store.getMeta('relayDeletions') || []) {
+      try {
+        await relay.deleteUser(userId);
+      } catch (err) {
+        console.error('[AuthServer] Chat relay could not delete user', userId, '-', err.message);
+        return;
+      }
+      store.setMeta('relayDeletions', store.getMeta('relayDeletions').filter(id => id !== userId));
+    }
+  }
+
+  function newBackupCodes() {
+    const codes = generateBackupCodes();
+    return { codes, hashes: codes.map(code => sha256(normalizeBackupCode(code))) };
+  }
+
+  /**
+   * Link back into the SPA, e.g. appLink(req, 'reset-password', { token }).
+   * Prefers the Origin of the request so links open the app that asked.
+   */
+  function appLink(req, route, query = {}) {
+    const base = req.headers.origin ? `${req.headers.origin}/` : appUrl;
+    const search = new URLSearchParams(query).toString();
+    return `${base}#${route}${search ? `?${search}` : ''}`;
+  }
+
+  const routes = {
+    async 'POST /auth/register'({ body }) {
+      const username = String(body.username || '').trim();
+      const email = String(body.email || '').trim();
+      const password = String(body.password || '');
+
+      if (!username || !email || !password) throw new HttpError(400, 'All fields are required');
+      checkUsername(username);
+      if (!EMAIL_RE.test(email)) throw new HttpError(400, 'Invalid email address');
+      if (password.length < PASSWORD_MIN) {
+        throw new HttpError(400, `Password must be at least ${PASSWORD_MIN} characters`);
+      }
+
+      if (store.findUserByEmail(email)) throw new HttpError(409, 'Email already registered');
+      if (store.findUserByUsername(username)) throw new HttpError(409, 'Username already taken');
+
+      const user = store.createUser({ username, email, passwordHash: await hashPassword(password) });
+
+      return {
+        status: 201,
+        body: { success: true, user: publicUser(user), message: 'Registration successful! Please login.' }
+      };
+    },
+
+    async 'POST /auth/login'({ body }) {
+      const user = store.findUserByEmail(body.email);
+      const valid = user && await verifyPassword(String(body.password || ''), user.passwordHash);
+
+      if (!valid) throw new HttpError(401, 'Invalid email or password');
+
+      if (user.twoFactor?.enabled) {
+        return {
+          body: {
+            success: true,
+            twoFactorRequired: true,
+            challengeToken: newChallenge(user),
+            message: 'Enter the 6-digit code from your authenticator app'
+          }
+        };
+      }
+
+      return { body: { success: true, ...issueTokens(user), user: publicUser(user) } };
+    },
+
+    async 'POST /auth/login/2fa'({ body }) {
+      const payload = verifyToken(body.challengeToken, secret);
+      const user = payload?.type === '2fa' && store.findUserById(payload.userId);
+
+      if (!user) throw new HttpError(401, 'Your sign-in attempt expired, please start again');
+      answerChallenge(payload, user, body.code);
+
+      return { body: { success: true, ...issueTokens(user), user: publicUser(store.findUserById(user.id)) } };
+    },
+
+    async 'POST /auth/logout'({ req, body }) {
+      const payload = verifyToken(bearerToken(req), secret);
+      const [sessionId] = String(body.refreshToken || '').split('.');
+
+      if (payload?.sid) store.deleteSession(payload.sid);
+      if (sessionId) store.deleteSession(sessionId);
+
+      return { body: { success: true } };
+    },
+
+    async 'POST /auth/refresh'({ body }) {
+      const [sessionId, refreshSecret] = String(body.refreshToken || '').split('.');
+      const session = sessionId && store.getSession(sessionId);
+
+      if (!session || !refreshSecret || session.refreshHash !== sha256(refreshSecret)) {
+        throw new HttpError(401, 'Session expired, please login again');
+      }
+
+      const user = store.findUserById(session.userId);
+      if (!user) {
+        store.deleteSession(sessionId);
+        throw new HttpError(401, 'Session expired, please login again');
+      }
+
+      // rotate the refresh token so a leaked one only works once
+      return { body: { success: true, ...issueTokens(user, sessionId), user: publicUser(user) } };
+    },
+
+    async 'GET /auth/me'({ req }) {
+      const { user } = authenticate(req);
+      return { body: { success: true, user: publicUser(user) } };
+    },
+
+    // account details the user may change without re-authenticating
+    async 'PUT /auth/me'({ req, body }) {
+      const { user } = authenticate(req);
+      const changes = {};
+
+      if (body.username !== undefined) {
+        const username = String(body.username || '').trim();
+        // accounts made before a name was reserved may keep it
+        if (username !== user.username) checkUsername(username);
+
+        const taken = store.findUserByUsername(username);
+        if (taken && taken.id !== user.id) throw new HttpError(409, 'Username already taken');
+        changes.username = username;
+      }
+
+      if (body.privacy !== undefined) {
+        const { privacy, error } = mergePrivacy(privacyOf(user), body.privacy);
+        if (error) throw new HttpError(400, error);
+        changes.privacy = privacy;
+      }
+
+      const updated = store.updateUser(user.id, changes);
+      return { body: { success: true, user: publicUser(updated) } };
+    },
+
+    async 'POST /auth/password'({ req, body }) {
+      const { user, session } = authenticate(req);
+      await reauthenticate(user, body.currentPassword);
+
+      const password = String(body.newPassword || '');
+      if (password.length < PASSWORD_MIN) {
+        throw new HttpError(400, `Password must be at least ${PASSWORD_MIN} characters`);
+      }
+      if (await verifyPassword(password, user.passwordHash)) {
+        throw new HttpError(400, 'Choose a password different from your current one');
+      }
+
+      store.updateUser(user.id, { passwordHash: await hashPassword(password) });
+      // sign out everywhere else the old password was used
+      store.deleteSessionsForUser(user.id, session.id);
+
+      outbox.send({
+        to: user.email,
+        subject: 'Your DynaBlocks password was changed',
+        text: `Hi ${user.username},\n\nYour password was just changed and your other devices were signed out. ` +
+          `If this wasn't you, reset your password straight away:\n\n${appLink(req, 'forgot-password')}`
+      });
+
+      return { body: { success: true, message: 'Password changed. Your other devices have been signed out.' } };
+    },
+
+    async 'POST /auth/email'({ req, body }) {
+      const { user } = authenticate(req);
+      await reauthenticate(user, body.password);
+
+      const email = String(body.email || '').trim().toLowerCase();
+      if (!EMAIL_RE.test(email)) throw new HttpError(400, 'Invalid email address');
+      if (email === user.email) throw new HttpError(400, "That's already your email");
+      if (store.findUserByEmail(email)) throw new HttpError(409, 'Email already registered');
+
+      const token = store.createToken('email-change', user.id, EMAIL_CHANGE_TTL, { email });
+      const updated = store.updateUser(user.id, { pendingEmail: email });
+
+      outbox.send({
+        to: email,
+        subject: 'Confirm your new DynaBlocks email',
+        text: `Hi ${user.username},\n\nOpen this link to use this address for your account. ` +
+          `It expires in 24 hours.\n\n${appLink(req, 'verify-email', { token })}`
+      });
+
+      return {
+        body: { success: true, user: publicUser(updated), message: `We sent a confirmation link to ${email}.` }
+      };
+    },
+
+    // the emailed link is the proof, so this works from any browser
+    async 'POST /auth/email/verify'({ req, body }) {
+      const record = store.consumeToken('email-change', String(body.token || ''));
+      const user = record && store.findUserById(record.userId);
+      if (!user) throw new HttpError(400, 'This confirmation link is invalid or has expired');
+
+      const taken = store.findUserByEmail(record.email);
+      if (taken && taken.id !== user.id) throw new HttpError(409, 'Email already registered');
+
+      const previous = user.email;
+      const updated = store.updateUser(user.id, { email: record.email, pendingEmail: null });
+
+      outbox.send({
+        to: previous,
+        subject: 'Your DynaBlocks email was changed',
+        text: `Hi ${user.username},\n\nYour account now uses ${record.email}. ` +
+          `If this wasn't you, reset your password straight away:\n\n${appLink(req, 'forgot-password')}`
+      });
+
+      return { body: { success: true, user: publicUser(updated), message: 'Your email address is confirmed.' } };
+    },
+
+    /* ---- account deletion ---- */
+
+    // signs the user out everywhere; signing back in before the date lets them cancel
+    async 'POST /auth/account/delete'({ req, body }) {
+      const { user } = authenticate(req);
+      await reauthenticate(user, body.password);
+
+      const deletionScheduledAt = user.deletionScheduledAt || Date.now() + DELETION_GRACE;
+      store.updateUser(user.id, { deletionScheduledAt });
+      store.deleteSessionsForUser(user.id);
+
+      const date = new Date(deletionScheduledAt).toUTCString();
+      outbox.send({
+        to: user.email,
+        subject: 'Your DynaBlocks account will be deleted',
+        text: `Hi ${user.username},\n\nYour account will be deleted on ${date}, along with your friends, ` +
+          'community memberships, shouts and chat messages. Communities you own pass to their highest-ranked member. ' +
+          'Settings, favourites and store purchases saved in your browser stay there until you clear them.\n\n' +
+          `Changed your mind? Sign in before then and cancel from your settings:\n\n${appLink(req, 'settings/data')}`
+      });
+
+      return { body: { success: true, deletionScheduledAt, message: `Your account will be deleted on ${date}.` } };
+    },
+
+    async 'DELETE /auth/account/delete'({ req }) {
+      const { user } = authenticate(req);
+      if (!user.deletionScheduledAt) throw new HttpError(400, "Your account isn't scheduled for deletion");
+      // past the date but not yet purged
+      if (isDue(user)) throw new HttpError(410, 'Your account has already been deleted');
+
+      const updated = store.updateUser(user.id, { deletionScheduledAt: null });
+      return { body: { success: true, user: publicUser(updated), message: 'Your account will not be deleted.' } };
+    },
+
+    async 'GET /auth/users/lookup'({ req, query }) {
+      authenticate(req);
+
+      const user = store.findUserByUsername(String(query.username || '').trim());
+      if (!user) throw new HttpError(404, 'No user with that username');
+
+      return { body: { success: true, user: profileOf(user) } };
+    },
+
+    /* ---- friends ---- */
+
+    async 'GET /friends'({ req }) {
+      const { user } = authenticate(req);
+      const lists = friends.list(user.id);
+
+      return {
+        body: {
+          success: true,
+          friends: lists.friends.map(f => ({ ...f, user: currentName(f.user) })),
+          incoming: lists.incoming.map(r => ({ ...r, from: currentName(r.from) })),
+          outgoing: lists.outgoing.map(r => ({ ...r, to: currentName(r.to) })),
+          blocked: lists.blocked.map(b => ({ ...b, user: currentName(b.user) }))
+        }
+      };
+    },
+
+    // turned away as the other user's friend request setting says
+    async 'POST /friends/requests'({ req, body }) {
+      const { user } = authenticate(req);
+      const other = otherUser(user, body.userId);
+
+      return outcome(friends.sendRequest(profileOf(user), profileOf(other), {
+        allows: relationship => privacyAllows(privacyOf(other), 'friendRequests', relationship)
+      }));
+    },
+
+    async 'POST /friends/requests/respond'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(friends.respond(profileOf(user), body.requestId, Boolean(body.accept)));
+    },
+
+    async 'POST /friends/requests/cancel'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(friends.cancel(profileOf(user), body.requestId));
+    },
+
+    async 'POST /friends/unfriend'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(friends.unfriend(profileOf(user), String(body.userId ?? '')));
+    },
+
+    async 'POST /friends/block'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(friends.block(profileOf(user), profileOf(otherUser(user, body.userId))));
+    },
+
+    async 'POST /friends/unblock'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(friends.unblock(profileOf(user), String(body.userId ?? '')));
+    },
+
+    /* ---- communities ---- */
+
+    // anyone may browse; `id` for a single community
+    async 'GET /communities'({ query }) {
+      if (query.id === undefined) return { body: { success: true, communities: communities.list() } };
+
+      const community = communities.get(query.id);
+      if (!community) throw new HttpError(404, 'Community not found');
+      return { body: { success: true, community } };
+    },
+
+    async 'POST /communities'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(communities.create(profileOf(user), body));
+    },
+
+    async 'POST /communities/join'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(communities.join(profileOf(user), body.communityId));
+    },
+
+    async 'POST /communities/leave'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(communities.leave(profileOf(user), body.communityId));
+    },
+
+    async 'POST /communities/update'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(communities.update(profileOf(user), body.communityId, body.changes || {}));
+    },
+
+    async 'POST /communities/role'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(communities.setRole(profileOf(user), body.communityId, body.userId, body.role));
+    },
+
+    async 'POST /communities/kick'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(communities.kick(profileOf(user), body.communityId, body.userId));
+    },
+
+    async 'POST /communities/ban'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(communities.ban(profileOf(user), body.communityId, body.userId));
+    },
+
+    async 'POST /communities/unban'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(communities.unban(profileOf(user), body.communityId, body.userId));
+    },
+
+    // newest first; `before` is the createdAt to page back from
+    async 'GET /communities/shouts'({ query }) {
+      const before = query.before ? Number(query.before) : null;
+      return { body: { success: true, ...communities.listShouts(query.communityId, { before, limit: query.limit }) } };
+    },
+
+    async 'POST /communities/shouts'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(communities.postShout(profileOf(user), body.communityId, body.text));
+    },
+
+    async 'POST /communities/shouts/pin'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(communities.pinShout(profileOf(user), body.communityId, body.shoutId, body.pinned !== false));
+    },
+
+    async 'POST /communities/shouts/delete'({ req, body }) {
+      const { user } = authenticate(req);
+      return outcome(communities.deleteShout(profileOf(user), body.communityId, body.shoutId));
+    },
+
+    /* ---- internal: the chat relay ---- */
+
+    /**
+     * What `viewer` may do to each of `users` (comma separated): message
+     * them (null, or why not) and see their presence.
+     */
+    async 'GET /internal/access'({ req, query }) {
+      authenticateService(req);
+
+      const viewerId = String(query.viewer || '');
+      const ids = [...new Set(String(query.users || '').split(',').filter(Boolean))];
+      if (ids.length > MAX_ACCESS_USERS) throw new HttpError(400, `Ask about at most ${MAX_ACCESS_USERS} users`);
+
+      const users = ids.map(id => {
+        const user = store.findUserById(id);
+        if (!user) return { id, exists: false, message: 'No user with that username', presence: false };
+
+        const privacy = privacyOf(user);
+        const relationship = friends.relationship(viewerId, id);
+        const canMessage = relationship !== 'blocked' && privacyAllows(privacy, 'messages', relationship);
+
+        return {
+          id,
+          exists: true,
+          username: user.username,
+          message: canMessage ? null : privacyRefusal('messages', user.username),
+          presence: privacyAllows(privacy, 'onlineStatus', relationship)
+        };
+      });
+
+      return { body: { success: true, users } };
+    },
+
+    // the community (null if there's none) and `user`'s role in it (null if not a member)
+    async 'GET /internal/membership'({ req, query }) {
+      authenticateService(req);
+      return { body: { success: true, ...communities.membership(String(query.community || ''), String(query.user || '')) } };
+    },
+
+    /* ---- two-factor authentication ---- */
+
+    async 'GET /auth/2fa'({ req }) {
+      const { user } = authenticate(req);
+      return {
+        body: {
+          success: true,
+          enabled: Boolean(user.twoFactor?.enabled),
+          backupCodesRemaining: user.twoFactor?.backupCodes?.length || 0
+        }
+      };
+    },
+
+    async 'POST /auth/2fa/setup'({ req }) {
+      const { user } = authenticate(req);
+      if (user.twoFactor?.enabled) throw new HttpError(409, 'Two-factor authentication is already on');
+
+      const pendingSecret = generateSecret();
+      store.updateUser(user.id, { twoFactor: { enabled: false, pendingSecret } });
+
+      return {
+        body: { success: true, secret: pendingSecret, otpauthUri: otpauthUri(pendingSecret, user.email) }
+      };
+    },
+
+    async 'POST /auth/2fa/enable'({ req, body }) {
+      const { user } = authenticate(req);
+      const pendingSecret = user.twoFactor?.pendingSecret;
+
+      if (user.twoFactor?.enabled) throw new HttpError(409, 'Two-factor authentication is already on');
+      if (!pendingSecret) throw new HttpError(400, 'Start two-factor setup first');
+
+      const step = verifyTotp(pendingSecret, body.code);
+      if (step === null) throw new HttpError(400, 'That code is not valid, check your device clock and try again');
+
+      const { codes, hashes } = newBackupCodes();
+      store.updateUser(user.id, {
+        twoFactor: { enabled: true, secret: pendingSecret, lastStep: step, backupCodes: hashes }
+      });
+
+      return { body: { success: true, backupCodes: codes, user: publicUser(user) } };
+    },
+
+    async 'POST /auth/2fa/disable'({ req, body }) {
+      const { user } = authenticate(req);
+      if (!user.twoFactor?.enabled) throw new HttpError(400, 'Two-factor authentication is not on');
+
+      const passwordOk = await verifyPassword(String(body.password || ''), user.passwordHash);
+      if (!passwordOk) throw new HttpError(401, 'Incorrect password');
+      if (!verifySecondFactor(user, body.code)) throw new HttpError(401, 'Invalid verification code');
+
+      store.updateUser(user.id, { twoFactor: null });
+      return { body: { success: true, user: publicUser(user) } };
+    },
+
+    async 'POST /auth/2fa/backup-codes'({ req, body }) {
+      const { user } = authenticate(req);
+      if (!verifySecondFactor(user, body.code)) throw new HttpError(401, 'Invalid verification code');
+
+      const { codes, hashes } = newBackupCodes();
+      const current = store.findUserById(user.id);
+      store.updateUser(user.id, { twoFactor: { ...current.twoFactor, backupCodes: hashes } });
+
+      return { body: { success: true, backupCodes: codes } };
+    },
+
+    /* ---- password reset ---- */
+
+    async 'POST /auth/password-reset/request'({ req, body }) {
+      const user = store.findUserByEmail(body.email);
+
+      if (user) {
+        const token = store.createToken('password-reset', user.id, RESET_TTL);
+        outbox.send({
+          to: user.email,
+          subject: 'Reset your DynaBlocks password',
+          text: `Hi ${user.username},\n\nUse this link to choose a new password. ` +
+            `It expires in 30 minutes.\n\n${appLink(req, 'reset-password', { token })}`
+        });
+      }
+
+      // same answer either way so the endpoint can't be used to probe emails
+      return {
+        body: { success: true, message: 'If that email is registered, a reset link is on its way.' }
+      };
+    },
+
+    async 'POST /auth/password-reset/verify'({ body }) {
+      if (!store.findToken('password-reset', String(body.token || ''))) {
+        throw new HttpError(400, 'This reset link is invalid or has expired');
+      }
+      return { body: { success: true } };
+    },
+
+    async 'POST /auth/password-reset/confirm'({ body }) {
+      const password = String(body.password || '');
+      if (password.length < PASSWORD_MIN) {
+        throw new HttpError(400, `Password must be at least ${PASSWORD_MIN} characters`);
+      }
+
+      const record = store.consumeToken('password-reset', String(body.token || ''));
+      const user = record && store.findUserById(record.userId);
+      if (!user) throw new HttpError(400, 'This reset link is invalid or has expired');
+
+      store.updateUser(user.id, { passwordHash: await hashPassword(password) });
+      // sign out everywhere the old password was used
+      store.deleteSessionsForUser(user.id);
+
+      return { body: { success: true, message: 'Password updated. You can now sign in.' } };
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return sendJson(res, 204);
+
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const handler = routes[`${req.method} ${pathname}`];
+
+    if (!handler) return sendJson(res, 404, { success: false, message: 'Not found' });
+
+    try {
+      const body = req.method === 'GET' ? {} : await readJson(req);
+      const result = await handler({ req, body, query: Object.fromEntries(searchParams) });
+      sendJson(res, result.status || 200, result.body);
+    } catch (err) {
+      if (err instanceof HttpError) {
+        sendJson(res, err.status, { success: false, message: err.message });
+        return;
+      }
+
+      console.error('[AuthServer]', req.method, pathname, err);
+      sendJson(res, 500, { success: false, message: 'Internal server error' });
+    }
+  });
+
+  // on a timer, so accounts go on time whether or not anyone is using the server
+  let purging = false;
+  function runPurge() {
+    if (purging) return;
+    purging = true;
+    purgeDeletedAccounts()
+      .catch(err => console.error('[AuthServer] Purge failed:', err))
+      .finally(() => { purging = false; });
+  }
+
+  let purgeTimer = null;
+  server.on('listening', () => {
+    runPurge();
+    purgeTimer = setInterval(runPurge, PURGE_INTERVAL);
+    purgeTimer.unref();
+  });
+  server.on('close', () => clearInterval(purgeTimer));
+
+  return server;
+}
+
+module.exports = { createAuthServer, HttpError, publicUser, profileOf };
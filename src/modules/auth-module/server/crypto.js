@@ -0,0 +1,94 @@
+// src/modules/auth-module/server/crypto.js
+// Password hashing and token signing for the local auth server (Node only)
+
+const crypto = require('crypto');
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/* ============ PASSWORDS ============ */
+
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, key) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt}$${key.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  return new Promise((resolve) => {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, key) => {
+      if (err) return resolve(false);
+
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === key.length && crypto.timingSafeEqual(expected, key));
+    });
+  });
+}
+
+/* ============ TOKENS ============ */
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Token format: base64url(JSON payload) + "." + base64url(HMAC-SHA256).
+ * `exp` is in ms since epoch, matching what the client SessionManager reads.
+ */
+function signToken(payload, secret) {
+  const body = base64url(JSON.stringify(payload));
+  return `${body}.${sign(body, secret)}`;
+}
+
+/**
+ * Returns the payload of a valid, unexpired token, otherwise null.
+ */
+function verifyToken(token, secret) {
+  if (typeof token !== 'string') return null;
+
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(sign(body, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (typeof payload.exp === 'number' && payload.exp <= Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  randomToken,
+  sha256
+};
@@ -0,0 +1,29 @@
+// src/modules/auth-module/server/outbox.js
+// Stand-in for outgoing email in development: messages are printed to the
+// console and, when a file is given, appended to it as JSON lines.
+
+const fs = require('fs');
+const path = require('path');
+
+function createOutbox({ file = null } = {}) {
+  return {
+    send({ to, subject, text }) {
+      const message = { to, subject, text, sentAt: new Date().toISOString() };
+
+      console.log(`\n[Outbox] To: ${to}\n[Outbox] Subject: ${subject}\n${text}\n`);
+
+      if (file) {
+        try {
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.appendFileSync(file, JSON.stringify(message) + '\n');
+        } catch (err) {
+          console.error(`[Outbox] Could not write ${file}:`, err.message);
+        }
+      }
+
+      return message;
+    }
+  };
+}
+
+module.exports = { createOutbox };
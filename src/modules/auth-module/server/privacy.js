@@ -0,0 +1,84 @@
+// src/modules/auth-module/server/privacy.js
+// The privacy policy as the auth server enforces it, for friend requests and
+// for what the chat relay asks about messages and presence. Each user's
+// settings live on their user record as `privacy`.
+//
+// Keep in step with PRIVACY_AUDIENCES, DEFAULT_SETTINGS.privacy and
+// privacyAllows() in src/modules/settings/settingsHelpers.js (an ES module,
+// so it can't be required here); the browser uses those to explain a refusal
+// before asking.
+
+// who each privacy setting can be opened up to, widest first
+const PRIVACY_AUDIENCES = {
+  friendRequests: ['everyone', 'friends-of-friends', 'nobody'],
+  messages: ['everyone', 'friends', 'nobody'],
+  profileVisibility: ['everyone', 'friends', 'nobody'],
+  onlineStatus: ['friends', 'nobody']
+};
+
+const DEFAULT_PRIVACY = {
+  friendRequests: 'everyone',
+  messages: 'everyone',
+  profileVisibility: 'everyone',
+  onlineStatus: 'friends',
+  hideFromRecent: false
+};
+
+const REFUSALS = {
+  friendRequests: username => `${username} isn't accepting friend requests from you`,
+  messages: username => `${username} isn't accepting messages from you`
+};
+
+// the user's settings with defaults filled in
+function privacyOf(user) {
+  const saved = user?.privacy || {};
+  return Object.fromEntries(Object.keys(DEFAULT_PRIVACY).map(key => [key, saved[key] ?? DEFAULT_PRIVACY[key]]));
+}
+
+/**
+ * `changes` applied over `current`, or an error message when a value isn't
+ * one of the options. Unknown keys are dropped.
+ */
+function mergePrivacy(current, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { error: 'Invalid privacy settings' };
+  }
+
+  const next = { ...current };
+  for (const [setting, audiences] of Object.entries(PRIVACY_AUDIENCES)) {
+    if (changes[setting] === undefined) continue;
+    if (!audiences.includes(changes[setting])) return { error: `Pick one of the options for ${setting}` };
+    next[setting] = changes[setting];
+  }
+  if (changes.hideFromRecent !== undefined) {
+    if (typeof changes.hideFromRecent !== 'boolean') return { error: 'Pick one of the options for hideFromRecent' };
+    next.hideFromRecent = changes.hideFromRecent;
+  }
+
+  return { privacy: next };
+}
+
+/**
+ * Whether someone standing in `relationship` to a user ('self', 'friend',
+ * 'friend-of-friend', 'none') may do `setting` to them.
+ */
+function privacyAllows(privacy, setting, relationship = 'none') {
+  if (relationship === 'self') return true;
+
+  switch ({ ...DEFAULT_PRIVACY, ...privacy }[setting]) {
+    case 'everyone':
+      return true;
+    case 'friends-of-friends':
+      return relationship === 'friend' || relationship === 'friend-of-friend';
+    case 'friends':
+      return relationship === 'friend';
+    default:
+      return false;
+  }
+}
+
+function privacyRefusal(setting, username) {
+  return REFUSALS[setting]?.(username) || `${username} has limited who can do that`;
+}
+
+module.exports = { PRIVACY_AUDIENCES, DEFAULT_PRIVACY, privacyOf, mergePrivacy, privacyAllows, privacyRefusal };
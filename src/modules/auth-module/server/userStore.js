@@ -0,0 +1,204 @@
+// src/modules/auth-module/server/userStore.js
+// User and session storage for the local auth server.
+// Backed by a JSON file when `file` is given, otherwise kept in memory.
+
+const fs = require('fs');
+const path = require('path');
+const { randomToken, sha256 } = require('./crypto.js');
+
+function emptyData() {
+  return { meta: {}, users: {}, sessions: {}, tokens: {} };
+}
+
+function loadData(file) {
+  if (!file || !fs.existsSync(file)) return emptyData();
+
+  try {
+    return { ...emptyData(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (err) {
+    console.error(`[AuthStore] Could not read ${file}, starting empty:`, err.message);
+    return emptyData();
+  }
+}
+
+function createUserStore({ file = null } = {}) {
+  const data = loadData(file);
+
+  function save() {
+    if (!file) return;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  return {
+    save,
+
+    /* ---- meta ---- */
+
+    getMeta(key) {
+      return data.meta[key];
+    },
+
+    setMeta(key, value) {
+      data.meta[key] = value;
+      save();
+    },
+
+    /* ---- users ---- */
+
+    findUserById(id) {
+      return data.users[id] || null;
+    },
+
+    findUserByEmail(email) {
+      const wanted = normalizeEmail(email);
+      return Object.values(data.users).find(u => u.email === wanted) || null;
+    },
+
+    findUserByUsername(username) {
+      const wanted = String(username || '').trim().toLowerCase();
+      return Object.values(data.users).find(u => u.username.toLowerCase() === wanted) || null;
+    },
+
+    createUser({ username, email, passwordHash }) {
+      const id = String(data.meta.nextUserId || 1);
+      data.meta.nextUserId = Number(id) + 1;
+
+      const user = {
+        id,
+        username: String(username).trim(),
+        email: normalizeEmail(email),
+        passwordHash,
+        createdAt: new Date().toISOString()
+      };
+
+      data.users[id] = user;
+      save();
+      return user;
+    },
+
+    updateUser(id, changes) {
+      const user = data.users[id];
+      if (!user) return null;
+
+      Object.assign(user, changes);
+      save();
+      return user;
+    },
+
+    // the user and everything that lets anyone act as them
+    deleteUser(id) {
+      if (!data.users[id]) return;
+
+      delete data.users[id];
+      for (const [sessionId, session] of Object.entries(data.sessions)) {
+        if (session.userId === id) delete data.sessions[sessionId];
+      }
+      for (const [hash, record] of Object.entries(data.tokens)) {
+        if (record.userId === id) delete data.tokens[hash];
+      }
+      save();
+    },
+
+    // users matching `test`, e.g. accounts whose deletion is due
+    findUsers(test) {
+      return Object.values(data.users).filter(test);
+    },
+
+    /* ---- sessions (one per refresh token) ---- */
+
+    createSession(session) {
+      data.sessions[session.id] = session;
+      save();
+      return session;
+    },
+
+    getSession(id) {
+      const session = data.sessions[id];
+      if (!session) return null;
+
+      if (session.expiresAt <= Date.now()) {
+        delete data.sessions[id];
+        save();
+        return null;
+      }
+
+      return session;
+    },
+
+    updateSession(id, changes) {
+      const session = data.sessions[id];
+      if (!session) return null;
+
+      Object.assign(session, changes);
+      save();
+      return session;
+    },
+
+    deleteSession(id) {
+      if (!data.sessions[id]) return;
+      delete data.sessions[id];
+      save();
+    },
+
+    deleteSessionsForUser(userId, exceptId = null) {
+      let changed = false;
+
+      for (const [id, session] of Object.entries(data.sessions)) {
+        if (session.userId === userId && id !== exceptId) {
+          delete data.sessions[id];
+          changed = true;
+        }
+      }
+
+      if (changed) save();
+    },
+
+    /* ---- one-time tokens (password reset, ...) ---- */
+
+    /**
+     * Create a single-use token. Only its hash is stored; the raw value is
+     * returned once so it can be sent to the user.
+     */
+    createToken(type, userId, ttl, extra = {}) {
+      const raw = randomToken();
+      const now = Date.now();
+
+      // drop expired tokens and older tokens of the same kind for this user
+      for (const [hash, record] of Object.entries(data.tokens)) {
+        if (record.expiresAt <= now || (record.type === type && record.userId === userId)) {
+          delete data.tokens[hash];
+        }
+      }
+
+      data.tokens[sha256(raw)] = { ...extra, type, userId, createdAt: now, expiresAt: now + ttl };
+      save();
+      return raw;
+    },
+
+    findToken(type, raw) {
+      const record = data.tokens[sha256(raw)];
+      if (!record || record.type !== type) return null;
+      if (record.expiresAt <= Date.now()) return null;
+      return record;
+    },
+
+    consumeToken(type, raw) {
+      const record = this.findToken(type, raw);
+      if (record) {
+        delete data.tokens[sha256(raw)];
+        save();
+      }
+      return record;
+    }
+  };
+}
+
+module.exports = { createUserStore };
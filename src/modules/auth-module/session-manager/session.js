@@ -8,6 +8,10 @@ export function getUser() {
   return window.SessionManager?.getUser() || null;
 }
 
+export function getToken() {
+  return window.SessionManager?.getToken() || null;
+}
+
 export function requireAuth() {
   if (!isAuthenticated()) {
     if (window.navigateToPage) {
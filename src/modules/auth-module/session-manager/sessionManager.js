@@ -0,0 +1,540 @@
+// src/modules/auth-module/session-manager/sessionManager.js
+// Owns the signed-in session: persistence, expiry and cross-tab sync.
+// Also keeps every account signed in on this device so users can switch.
+// Exposed as window.SessionManager for session.js and the settings modules.
+
+import { authAPI } from '../auth.js';
+
+const TOKEN_KEY = 'auth_token';
+const USER_KEY = 'user_data';
+const REFRESH_KEY = 'refresh_token';
+const REMEMBER_KEY = 'remember_me';
+// signed-in accounts, kept in the same storage as their session would be
+const ACCOUNTS_KEY = 'session_accounts';
+// localStorage key used only to broadcast session changes to other tabs
+const BROADCAST_KEY = 'session_event';
+
+// refresh the access token this long before it expires
+const REFRESH_MARGIN = 60 * 1000;
+// setTimeout overflows past ~24.8 days
+const MAX_TIMER_DELAY = 2147483647;
+
+/* ============ TOKEN HELPERS ============ */
+
+/**
+ * Decode the payload of a token issued by authAPI.
+ * Handles both the signed server format (`payload.signature`, base64url)
+ * and the plain base64 JSON issued by the mock.
+ * Returns null when the token cannot be read.
+ */
+export function decodeToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  try {
+    const [body] = token.split('.');
+    const base64 = body.replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Expiry of a token in ms since epoch, or null if it never expires.
+ */
+export function getTokenExpiry(token) {
+  const payload = decodeToken(token);
+  if (!payload || typeof payload.exp !== 'number') return null;
+  return payload.exp;
+}
+
+export function isTokenExpired(token) {
+  const exp = getTokenExpiry(token);
+  return exp !== null && exp <= Date.now();
+}
+
+/* ============ STORAGE ============ */
+
+function readStore(storage) {
+  try {
+    const token = storage.getItem(TOKEN_KEY);
+    const raw = storage.getItem(USER_KEY);
+    if (!token || !raw) return null;
+    return { token, refreshToken: storage.getItem(REFRESH_KEY), user: JSON.parse(raw) };
+  } catch {
+    return null;
+  }
+}
+
+function clearStore(storage) {
+  try {
+    storage.removeItem(TOKEN_KEY);
+    storage.removeItem(REFRESH_KEY);
+    storage.removeItem(USER_KEY);
+  } catch {
+    /* storage unavailable */
+  }
+}
+
+function readAccounts(storage) {
+  try {
+    const accounts = JSON.parse(storage.getItem(ACCOUNTS_KEY));
+    return Array.isArray(accounts) ? accounts : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeAccounts(storage, accounts) {
+  try {
+    if (accounts.length) storage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+    else storage.removeItem(ACCOUNTS_KEY);
+  } catch {
+    /* storage unavailable */
+  }
+}
+
+function sameId(a, b) {
+  return a !== undefined && a !== null && String(a) === String(b);
+}
+
+function broadcast(type) {
+  try {
+    localStorage.setItem(BROADCAST_KEY, JSON.stringify({ type, at: Date.now() }));
+    localStorage.removeItem(BROADCAST_KEY);
+  } catch {
+    /* storage unavailable */
+  }
+}
+
+/* ============ SESSION MANAGER ============ */
+
+export const SessionManager = {
+  _user: null,
+  _token: null,
+  _refreshToken: null,
+  // whether this tab's session is the remembered one in localStorage, which
+  // other tabs share; a session-only login leaves that one alone
+  _remember: false,
+  _expiryTimer: null,
+  _initialized: false,
+
+  /**
+   * Restore a persisted session and start listening for session events.
+   */
+  init() {
+    if (this._initialized) return;
+    this._initialized = true;
+
+    this._restore();
+
+    window.addEventListener('session:login', (e) => this._handleLogin(e.detail || {}));
+    // someone found the active token rejected while we still hold it: sign
+    // out that account only and move on to the next, like removeAccount()
+    window.addEventListener('session:logout', () => {
+      if (this._token) this.removeAccount(this._user.id);
+    });
+    window.addEventListener('storage', (e) => this._handleStorage(e));
+  },
+
+  getUser() {
+    return this.isAuthenticated() ? this._user : null;
+  },
+
+  getToken() {
+    return this.isAuthenticated() ? this._token : null;
+  },
+
+  isAuthenticated() {
+    if (!this._token || !this._user) return false;
+
+    if (isTokenExpired(this._token)) {
+      this._expire();
+      return false;
+    }
+
+    return true;
+  },
+
+  isRemembered() {
+    return this._remember;
+  },
+
+  /**
+   * Store a new session. rememberMe keeps it in localStorage across restarts,
+   * otherwise it lives in sessionStorage for this tab only.
+   */
+  login({ user, token, refreshToken = null, rememberMe = false } = {}) {
+    if (!user || !token) {
+      console.warn('[Session] login called without user or token');
+      return false;
+    }
+
+    if (isTokenExpired(token)) {
+      console.warn('[Session] Refusing expired token');
+      return false;
+    }
+
+    this._activate({ user, token, refreshToken, rememberMe });
+    broadcast('login');
+    return true;
+  },
+
+  /**
+   * Sign out of every account on this device, here and in every other tab.
+   * Callers are expected to dispatch `session:logout` themselves.
+   */
+  logout() {
+    // revoke server-side; the local session is cleared regardless
+    this._allAccounts().forEach(account => {
+      authAPI.logout(account.refreshToken, account.token).catch(() => {});
+    });
+    if (this._token && !this._findAccount(this._user?.id)) {
+      authAPI.logout(this._refreshToken, this._token).catch(() => {});
+    }
+
+    // every account goes, so the shared session too even if it wasn't ours
+    this._remember = true;
+    this._clear();
+    writeAccounts(localStorage, []);
+    writeAccounts(sessionStorage, []);
+    broadcast('logout');
+  },
+
+  /**
+   * Replace the signed-in user's details (after the server accepted a
+   * change) and emit `session:update` so open pages re-render. The tokens
+   * stay as they are.
+   */
+  updateUser(user) {
+    if (!this.isAuthenticated() || !sameId(user?.id, this._user.id)) return false;
+
+    this._store({ ...this._user, ...user }, this._token, this._refreshToken);
+    window.dispatchEvent(new CustomEvent('session:update', { detail: { user: this._user } }));
+    return true;
+  },
+
+  /* ---- multiple accounts ---- */
+
+  /**
+   * Accounts signed in on this device, active one first.
+   */
+  getAccounts() {
+    const activeId = this.isAuthenticated() ? this._user.id : null;
+
+    return this._allAccounts()
+      .map(account => ({
+        user: account.user,
+        remembered: account.remember,
+        active: sameId(account.user.id, activeId)
+      }))
+      .sort((a, b) => Number(b.active) - Number(a.active));
+  },
+
+  /**
+   * Make another signed-in account the active one. Emits `session:update`
+   * so open pages re-render. Resolves to false if the account's session
+   * could not be resumed (it is then removed from the list).
+   */
+  async switchAccount(userId) {
+    const account = this._findAccount(userId);
+    if (!account) return false;
+    if (sameId(userId, this._user?.id) && this.isAuthenticated()) return true;
+
+    let { user, token, refreshToken } = account;
+
+    if (isTokenExpired(token)) {
+      let result = null;
+      try {
+        result = refreshToken ? await authAPI.refresh(refreshToken) : null;
+      } catch {
+        result = null;
+      }
+
+      if (!result?.success) {
+        this._dropAccount(userId);
+        return false;
+      }
+
+      user = result.user || user;
+      token = result.token;
+      refreshToken = result.refreshToken || refreshToken;
+    }
+
+    this._activate({ user, token, refreshToken, rememberMe: account.remember });
+    broadcast('login');
+
+    window.dispatchEvent(new CustomEvent('session:update', { detail: { user, switched: true } }));
+    return true;
+  },
+
+  /**
+   * Sign a single account out of this device. Removing the active account
+   * switches to the next one, or ends the session if none is left.
+   */
+  async removeAccount(userId) {
+    const account = this._findAccount(userId);
+    const wasActive = sameId(userId, this._user?.id);
+
+    if (account) authAPI.logout(account.refreshToken, account.token).catch(() => {});
+    this._dropAccount(userId);
+
+    if (!wasActive) return;
+
+    for (const next of this._allAccounts()) {
+      if (await this.switchAccount(next.user.id)) return;
+    }
+
+    const shared = this._remember;
+    this._clear();
+    if (shared) broadcast('logout');
+    window.dispatchEvent(new CustomEvent('session:logout', { detail: { reason: 'removed' } }));
+  },
+
+  /* ---- internals ---- */
+
+  /**
+   * Make a session the active one and persist it.
+   */
+  _activate({ user, token, refreshToken = null, rememberMe = false }) {
+    // a session-only login keeps to this tab: other tabs may still be
+    // using the remembered session in localStorage, unless that session is
+    // the one this tab is leaving
+    const leavesShared = this._remember && sameId(readStore(localStorage)?.user?.id, this._user?.id);
+    if (rememberMe || leavesShared) clearStore(localStorage);
+    clearStore(sessionStorage);
+
+    try {
+      const storage = rememberMe ? localStorage : sessionStorage;
+      storage.setItem(TOKEN_KEY, token);
+      storage.setItem(USER_KEY, JSON.stringify(user));
+      if (refreshToken) storage.setItem(REFRESH_KEY, refreshToken);
+
+      if (rememberMe) localStorage.setItem(REMEMBER_KEY, '1');
+      else if (leavesShared) localStorage.removeItem(REMEMBER_KEY);
+    } catch (e) {
+      console.warn('[Session] Could not persist session:', e);
+    }
+
+    this._remember = rememberMe;
+    this._user = user;
+    this._token = token;
+    this._refreshToken = refreshToken;
+    this._saveAccount({ user, token, refreshToken, remember: rememberMe });
+    this._scheduleExpiry();
+  },
+
+  _allAccounts() {
+    return [
+      ...readAccounts(localStorage).map(a => ({ ...a, remember: true })),
+      ...readAccounts(sessionStorage).map(a => ({ ...a, remember: false }))
+    ].filter(a => a.user && a.token);
+  },
+
+  _findAccount(userId) {
+    return this._allAccounts().find(a => sameId(a.user.id, userId)) || null;
+  },
+
+  _saveAccount({ user, token, refreshToken, remember }) {
+    this._dropAccount(user.id);
+
+    const storage = remember ? localStorage : sessionStorage;
+    writeAccounts(storage, [...readAccounts(storage), { user, token, refreshToken }]);
+  },
+
+  _dropAccount(userId) {
+    [localStorage, sessionStorage].forEach(storage => {
+      const accounts = readAccounts(storage);
+      const kept = accounts.filter(a => !sameId(a.user?.id, userId));
+      if (kept.length !== accounts.length) writeAccounts(storage, kept);
+    });
+  },
+
+  /**
+   * Exchange the refresh token for a new access token.
+   * Resolves to true when the session was extended.
+   */
+  async refresh() {
+    // another tab sharing this session may have rotated the tokens already
+    if (this._adoptStored()) return true;
+
+    const refreshToken = this._refreshToken;
+    if (!refreshToken) return false;
+
+    let result;
+    try {
+      result = await authAPI.refresh(refreshToken);
+    } catch {
+      return false;
+    }
+
+    if (!result?.success) return this._adoptStored();
+    // the session may have changed while the request was in flight
+    if (this._refreshToken !== refreshToken) return false;
+
+    this._store(result.user || this._user, result.token, result.refreshToken || refreshToken);
+    return true;
+  },
+
+  /* ---- internals ---- */
+
+  _handleLogin(detail) {
+    // login() already ran if the event carried the token we hold
+    if (detail.token && detail.token === this._token) return;
+    this.login(detail);
+  },
+
+  _restore() {
+    // this tab's own session-only login wins over the shared remembered one
+    const own = readStore(sessionStorage);
+    const stored = own || readStore(localStorage);
+
+    if (!stored) {
+      this._user = null;
+      this._token = null;
+      return;
+    }
+
+    // localStorage only ever holds a remembered session
+    this._remember = !own;
+
+    if (isTokenExpired(stored.token)) {
+      clearStore(own ? sessionStorage : localStorage);
+      this._user = null;
+      this._token = null;
+      return;
+    }
+
+    this._user = stored.user;
+    this._token = stored.token;
+    this._refreshToken = stored.refreshToken;
+    this._saveAccount({ ...stored, remember: this.isRemembered() });
+    this._scheduleExpiry();
+  },
+
+  /**
+   * Replace the tokens of the current session in whichever storage holds it.
+   */
+  _store(user, token, refreshToken) {
+    try {
+      const storage = this.isRemembered() ? localStorage : sessionStorage;
+      storage.setItem(TOKEN_KEY, token);
+      storage.setItem(USER_KEY, JSON.stringify(user));
+      if (refreshToken) storage.setItem(REFRESH_KEY, refreshToken);
+    } catch (e) {
+      console.warn('[Session] Could not persist session:', e);
+    }
+
+    this._user = user;
+    this._token = token;
+    this._refreshToken = refreshToken;
+    this._saveAccount({ user, token, refreshToken, remember: this.isRemembered() });
+    this._scheduleExpiry();
+  },
+
+  /**
+   * Pick up a newer, still valid token for this user from storage.
+   */
+  _adoptStored() {
+    const stored = readStore(this.isRemembered() ? localStorage : sessionStorage);
+
+    if (!stored || stored.token === this._token || isTokenExpired(stored.token)) return false;
+    if (String(stored.user?.id) !== String(this._user?.id)) return false;
+
+    this._user = stored.user;
+    this._token = stored.token;
+    this._refreshToken = stored.refreshToken;
+    this._scheduleExpiry();
+    return true;
+  },
+
+  _clear() {
+    clearTimeout(this._expiryTimer);
+    this._expiryTimer = null;
+    this._user = null;
+    this._token = null;
+    this._refreshToken = null;
+
+    // only touch the shared session if it was ours
+    clearStore(sessionStorage);
+    if (this._remember) {
+      clearStore(localStorage);
+      try {
+        localStorage.removeItem(REMEMBER_KEY);
+      } catch {
+        /* storage unavailable */
+      }
+    }
+    this._remember = false;
+  },
+
+  _expire() {
+    if (this._user) this._dropAccount(this._user.id);
+    const shared = this._remember;
+    this._clear();
+    if (shared) broadcast('logout');
+    window.dispatchEvent(new CustomEvent('session:logout', { detail: { reason: 'expired' } }));
+  },
+
+  _scheduleExpiry() {
+    clearTimeout(this._expiryTimer);
+    this._expiryTimer = null;
+
+    const exp = getTokenExpiry(this._token);
+    if (exp === null) return;
+
+    const margin = this._refreshToken ? REFRESH_MARGIN : 0;
+    const delay = Math.min(Math.max(exp - margin - Date.now(), 0), MAX_TIMER_DELAY);
+
+    this._expiryTimer = setTimeout(async () => {
+      if (this._refreshToken && await this.refresh()) return;
+
+      // re-check in case the delay was clamped or the refresh failed early
+      if (isTokenExpired(this._token)) this._expire();
+      else if (getTokenExpiry(this._token) - Date.now() > margin) this._scheduleExpiry();
+      else this._expiryTimer = setTimeout(() => this._expire(), Math.max(exp - Date.now(), 0));
+    }, delay);
+  },
+
+  _handleStorage(e) {
+    if (e.storageArea !== localStorage || e.key !== BROADCAST_KEY || !e.newValue) return;
+
+    let message;
+    try {
+      message = JSON.parse(e.newValue);
+    } catch {
+      return;
+    }
+
+    if (message.type === 'logout') {
+      if (!this._token) return;
+      this._clear();
+      window.dispatchEvent(new CustomEvent('session:logout', { detail: { reason: 'remote' } }));
+      return;
+    }
+
+    if (message.type === 'login') {
+      // sessionStorage is per-tab, so only remembered sessions can be picked
+      // up, and a session-only login in this tab stays put
+      if (this._token && !this._remember) return;
+      const stored = readStore(localStorage);
+      if (!stored || stored.token === this._token || isTokenExpired(stored.token)) return;
+
+      clearStore(sessionStorage);
+      this._remember = true;
+      this._user = stored.user;
+      this._token = stored.token;
+      this._refreshToken = stored.refreshToken;
+      this._scheduleExpiry();
+
+      window.dispatchEvent(new CustomEvent('session:login', {
+        detail: { user: stored.user, token: stored.token, refreshToken: stored.refreshToken, rememberMe: true }
+      }));
+    }
+  }
+};
+
+window.SessionManager = SessionManager;
+SessionManager.init();
+
+export default SessionManager;
@@ -0,0 +1,86 @@
+// src/modules/chat/bootChatRelay.js
+// Starts the local chat relay used in development (`npm run chat:dev`).
+//
+// Environment:
+//   CHAT_PORT      port to listen on (default 4100)
+//   CHAT_STORE     "memory" to keep conversations in memory only
+//   CHAT_FILE      JSON file for the chat store (default .data/chat.json)
+//   CHAT_AUTH_URL  auth server used to check tokens (default http://localhost:4000)
+//   CHAT_AUTH      "insecure" to trust the user a client claims to be, for use
+//                  with the in-browser auth mock (AUTH_CONFIG.useMock); privacy
+//                  settings aren't checked then
+//   SERVICE_KEY    key shared with the auth server for its /internal routes and
+//                  the relay's own (default: read from SERVICE_KEY_FILE,
+//                  default .data/service.key, which the auth server writes)
+
+const fs = require('fs');
+const path = require('path');
+const { createChatRelay } = require('./server/chatRelay.js');
+const { createChatStore } = require('./server/chatStore.js');
+
+const PORT = Number(process.env.CHAT_PORT) || 4100;
+const FILE = process.env.CHAT_STORE === 'memory'
+  ? null
+  : path.resolve(process.env.CHAT_FILE || path.join(process.cwd(), '.data', 'chat.json'));
+const AUTH_URL = process.env.CHAT_AUTH_URL || 'http://localhost:4000';
+const INSECURE = process.env.CHAT_AUTH === 'insecure';
+const SERVICE_KEY_FILE = path.resolve(process.env.SERVICE_KEY_FILE || path.join(process.cwd(), '.data', 'service.key'));
+
+// read when first needed, so the relay can start before the auth server has written it
+let serviceKey = process.env.SERVICE_KEY || null;
+function getServiceKey() {
+  if (!serviceKey && fs.existsSync(SERVICE_KEY_FILE)) serviceKey = fs.readFileSync(SERVICE_KEY_FILE, 'utf8').trim();
+  if (!serviceKey) throw new Error(`No service key: set SERVICE_KEY or start the auth server to write ${SERVICE_KEY_FILE}`);
+  return serviceKey;
+}
+
+async function askAuthServer(route, params) {
+  const res = await fetch(`${AUTH_URL}${route}?${new URLSearchParams(params)}`, {
+    headers: { Authorization: `Service ${getServiceKey()}` }
+  });
+  const body = await res.json();
+  if (!body.success) throw new Error(body.message || `Auth server answered ${res.status}`);
+  return body;
+}
+
+const directory = {
+  async access(viewerId, userIds) {
+    const { users } = await askAuthServer('/internal/access', { viewer: viewerId, users: userIds.join(',') });
+    return users;
+  },
+
+  async membership(communityId, userId) {
+    const { community, role } = await askAuthServer('/internal/membership', { community: communityId, user: userId });
+    return { community, role };
+  }
+};
+
+async function verifyWithAuthServer({ token }) {
+  if (!token) return null;
+
+  try {
+    const res = await fetch(`${AUTH_URL}/auth/me`, { headers: { Authorization: `Bearer ${token}` } });
+    const body = await res.json();
+    return body.success ? body.user : null;
+  } catch (err) {
+    console.error(`[ChatRelay] Auth server unreachable at ${AUTH_URL}:`, err.message);
+    return null;
+  }
+}
+
+async function trustClient({ user }) {
+  return user && user.id !== undefined && user.username ? user : null;
+}
+
+const server = createChatRelay({
+  store: createChatStore({ file: FILE }),
+  verifyUser: INSECURE ? trustClient : verifyWithAuthServer,
+  directory: INSECURE ? null : directory,
+  serviceKey: getServiceKey
+});
+
+server.listen(PORT, () => {
+  console.log(`[ChatRelay] Listening on ws://localhost:${PORT}`);
+  console.log(`[ChatRelay] Store: ${FILE || 'in-memory'}`);
+  console.log(`[ChatRelay] Auth: ${INSECURE ? 'trusting clients (insecure)' : AUTH_URL}`);
+});
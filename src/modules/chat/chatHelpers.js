@@ -0,0 +1,164 @@
+// src/modules/chat/chatHelpers.js
+// Small pure helpers shared by the chat service and components
+
+/**
+ * Both members of a direct chat derive the same id, whoever opens it first.
+ * Keep in step with directConversationId() in server/chatRelay.js.
+ */
+export function directConversationId(a, b) {
+  return `dm:${[String(a), String(b)].sort().join(':')}`;
+}
+
+// keep in step with communityChannelId() in server/chatRelay.js
+export function communityChannelId(communityId, channel) {
+  return `community:${communityId}:${channel}`;
+}
+
+// the channels the relay creates for every community
+export const COMMUNITY_CHANNELS = ['general', 'announcements'];
+
+/**
+ * Id the client attaches to an outgoing message so the relay's ack can be
+ * matched back to the optimistic copy.
+ */
+export function createClientId() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `c-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export function otherMembers(conversation, meId) {
+  return (conversation?.members || []).filter(m => String(m.id) !== String(meId));
+}
+
+export function conversationTitle(conversation, meId) {
+  if (conversation?.type === 'channel') return `#${conversation.name}`;
+  if (conversation?.type === 'group' && conversation.name) return conversation.name;
+
+  const others = otherMembers(conversation, meId);
+  return others.map(m => m.username).join(', ') || 'Just you';
+}
+
+/**
+ * Second line under the title: the community for channels, the member
+ * count for groups, nothing for direct chats.
+ */
+export function conversationSubtitle(conversation) {
+  if (conversation?.type === 'channel') return conversation.communityName || 'Community';
+  if (conversation?.type === 'group') {
+    const count = conversation.members.length;
+    return `${count} member${count === 1 ? '' : 's'}`;
+  }
+  return '';
+}
+
+export function isConversationAdmin(conversation, userId) {
+  if (!conversation || conversation.type === 'direct') return false;
+  const id = String(userId);
+  return String(conversation.ownerId) === id || (conversation.admins || []).map(String).includes(id);
+}
+
+// mirrors canPost() in server/chatRelay.js so the composer can explain itself
+export function canPostIn(conversation, userId) {
+  if (!conversation) return false;
+  return conversation.postPolicy !== 'admins' || isConversationAdmin(conversation, userId);
+}
+
+/**
+ * "alice, bob , carol" → ['alice', 'bob', 'carol'] without blanks or repeats
+ */
+export function parseUsernames(input) {
+  const seen = new Set();
+  return String(input || '')
+    .split(/[\s,]+/)
+    .map(name => name.trim().replace(/^@/, ''))
+    .filter(name => name && !seen.has(name.toLowerCase()) && seen.add(name.toLowerCase()));
+}
+
+export function isSameDay(a, b) {
+  const da = new Date(a);
+  const db = new Date(b);
+  return da.getFullYear() === db.getFullYear()
+    && da.getMonth() === db.getMonth()
+    && da.getDate() === db.getDate();
+}
+
+/**
+ * "14:05" for today, "Mon" within the last week, otherwise "12 Mar".
+ */
+export function formatMessageTime(timestamp, now = Date.now()) {
+  const date = new Date(timestamp);
+
+  if (isSameDay(timestamp, now)) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  if (now - timestamp < 6 * 24 * 60 * 60 * 1000) {
+    return date.toLocaleDateString([], { weekday: 'short' });
+  }
+  return date.toLocaleDateString([], { day: 'numeric', month: 'short' });
+}
+
+export function formatDayLabel(timestamp, now = Date.now()) {
+  if (isSameDay(timestamp, now)) return 'Today';
+  if (isSameDay(timestamp, now - 24 * 60 * 60 * 1000)) return 'Yesterday';
+  return new Date(timestamp).toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long' });
+}
+
+/**
+ * Insert or replace messages (matched by clientId, else id), keeping the
+ * list ordered by send time.
+ */
+export function mergeMessages(existing, incoming) {
+  const byKey = new Map(existing.map(m => [m.clientId || m.id, m]));
+  incoming.forEach(m => byKey.set(m.clientId || m.id, m));
+  return [...byKey.values()].sort((a, b) => a.sentAt - b.sentAt);
+}
+
+export function messagePreview(message, max = 40) {
+  if (!message) return 'No messages yet';
+  const text = String(message.text || '').replace(/\s+/g, ' ');
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Newest message in `messages` that someone other than `meId` sent and the
+ * relay has stored (it has an id).
+ */
+export function latestFromOthers(messages, meId) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const message = messages[i];
+    if (message.id && String(message.from) !== String(meId)) return message;
+  }
+  return null;
+}
+
+/**
+ * Where one of my messages has got to: 'sending' and 'failed' come from
+ * the client, 'sent' / 'delivered' / 'read' from the other members'
+ * receipts on the conversation.
+ */
+export function deliveryStatus(message, conversation, meId) {
+  if (!message.id) return message.status || 'sending';
+
+  const id = Number(message.id);
+  const others = Object.entries(conversation?.receipts || {})
+    .filter(([userId]) => userId !== String(meId))
+    .map(([, receipt]) => receipt);
+
+  if (others.some(r => Number(r.read) >= id)) return 'read';
+  if (others.some(r => Number(r.delivered) >= id)) return 'delivered';
+  return 'sent';
+}
+
+/**
+ * "alice is typing…", "alice and bob are typing…", "3 people are typing…"
+ */
+export function typingLabel(usernames) {
+  if (usernames.length === 0) return '';
+  if (usernames.length === 1) return `${usernames[0]} is typing…`;
+  if (usernames.length === 2) return `${usernames[0]} and ${usernames[1]} are typing…`;
+  return `${usernames.length} people are typing…`;
+}
+
+export function formatBadgeCount(count) {
+  return count > 99 ? '99+' : String(count);
+}
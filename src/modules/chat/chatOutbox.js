@@ -0,0 +1,78 @@
+// src/modules/chat/chatOutbox.js
+// Messages that haven't been acknowledged by the relay yet, kept in
+// localStorage per user so they survive a reload and go out, in order,
+// once the socket reconnects.
+
+const STORAGE_PREFIX = 'chat_outbox_';
+
+function storageKey(userId) {
+  return `${STORAGE_PREFIX}${userId}`;
+}
+
+function read(userId) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(storageKey(userId)) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function write(userId, entries) {
+  try {
+    if (entries.length === 0) localStorage.removeItem(storageKey(userId));
+    else localStorage.setItem(storageKey(userId), JSON.stringify(entries));
+    return true;
+  } catch (err) {
+    console.error('[Chat] Could not persist outbox:', err);
+    return false;
+  }
+}
+
+/**
+ * createOutbox(userId) → { list, add, remove, has }
+ *
+ * Entries are { clientId, conversationId, text, sentAt }, oldest first.
+ * The list is re-read on every call so tabs of the same user share it.
+ */
+export function createOutbox(userId) {
+  // quota or privacy mode: keep the queue for this page load at least
+  let fallback = null;
+
+  function load() {
+    return fallback || read(userId);
+  }
+
+  function save(entries) {
+    fallback = write(userId, entries) ? null : entries;
+  }
+
+  return {
+    list() {
+      return load();
+    },
+
+    add(entry) {
+      const entries = load().filter(e => e.clientId !== entry.clientId);
+      entries.push({
+        clientId: entry.clientId,
+        conversationId: entry.conversationId,
+        text: entry.text,
+        sentAt: entry.sentAt
+      });
+      save(entries);
+    },
+
+    remove(clientId) {
+      const entries = load();
+      const next = entries.filter(e => e.clientId !== clientId);
+      if (next.length !== entries.length) save(next);
+    },
+
+    has(clientId) {
+      return load().some(e => e.clientId === clientId);
+    }
+  };
+}
+
+export default createOutbox;
@@ -0,0 +1,789 @@
+// src/modules/chat/chatService.js
+// Client-side chat state: conversations, messages and the relay connection.
+// Components subscribe() and re-render from getState(); they never talk to
+// the socket directly.
+
+import { createChatSocket } from './chatSocket.js';
+import { createOutbox } from './chatOutbox.js';
+import { authAPI } from '../auth-module/auth.js';
+import { friendsService } from '../friends/friendsService.js';
+import { libraryService } from '../library/libraryService.js';
+import SettingsService from '../settings/settingsService.js';
+import { privacyAllows, privacyRefusal } from '../settings/settingsHelpers.js';
+import {
+  directConversationId,
+  communityChannelId,
+  createClientId,
+  mergeMessages,
+  latestFromOthers,
+  otherMembers
+} from './chatHelpers.js';
+
+/* ============ CONFIG ============ */
+// Talks to the local relay (`npm run chat:dev`) by default. Set
+// window.CHAT_CONFIG = { url: 'ws://…' } before main.js loads, or call
+// configureChat(), to point somewhere else.
+const chatConfig = {
+  url: 'ws://localhost:4100',
+  ...(window.CHAT_CONFIG || {})
+};
+
+export function configureChat(options = {}) {
+  Object.assign(chatConfig, options);
+  return { ...chatConfig };
+}
+
+/* ============ STATE ============ */
+const HISTORY_PAGE = 50;
+// how long to wait for the relay to answer an export
+const EXPORT_TIMEOUT = 15000;
+const UNREAD_PREFIX = 'chat_unread_';
+// resend "typing" at most this often while the user keeps typing…
+const TYPING_THROTTLE = 3000;
+// …say "stopped" after this long without a keystroke…
+const TYPING_IDLE = 4000;
+// …and drop someone else's indicator if we hear nothing for this long
+const TYPING_TIMEOUT = 6000;
+
+const state = {
+  // 'signed-out' | 'connecting' | 'online' | 'offline'
+  status: 'signed-out',
+  me: null,
+  error: null,
+  activeId: null,
+  // the dock is open, so the active conversation counts as read
+  visible: false,
+  conversations: new Map(),
+  messages: new Map(),
+  // conversationId -> { loaded, loading, hasMore }
+  history: new Map(),
+  // conversationId -> unread count, cached per user so the badge survives a reload
+  unread: new Map(),
+  // conversationId -> Map(userId -> username)
+  typing: new Map()
+};
+
+const listeners = new Set();
+let socket = null;
+let outbox = null;
+let initialized = false;
+let pendingActiveId = null;
+
+// our own outgoing typing state
+let typingConversationId = null;
+let typingSentAt = 0;
+let typingIdleTimer = null;
+// `${conversationId}:${userId}` -> timer clearing someone else's indicator
+const typingTimers = new Map();
+
+function notify() {
+  listeners.forEach(fn => {
+    try {
+      fn(state);
+    } catch (err) {
+      console.error('[Chat] Listener failed:', err);
+    }
+  });
+}
+
+function session() {
+  return window.SessionManager;
+}
+
+function resetState() {
+  state.me = null;
+  state.error = null;
+  state.activeId = null;
+  state.conversations.clear();
+  state.messages.clear();
+  state.history.clear();
+  state.unread.clear();
+  state.typing.clear();
+  typingTimers.forEach(clearTimeout);
+  typingTimers.clear();
+  clearTimeout(typingIdleTimer);
+  typingConversationId = null;
+  pendingActiveId = null;
+}
+
+function upsertConversation(summary) {
+  if (!summary?.id) return;
+  const existing = state.conversations.get(summary.id);
+  state.conversations.set(summary.id, { ...existing, ...summary });
+}
+
+function updateMessages(conversationId, update) {
+  const list = state.messages.get(conversationId) || [];
+  state.messages.set(conversationId, update(list));
+}
+
+function isOnline() {
+  return state.status === 'online';
+}
+
+// forget a conversation we were removed from or left
+function dropConversation(conversationId) {
+  state.conversations.delete(conversationId);
+  state.messages.delete(conversationId);
+  state.history.delete(conversationId);
+  state.typing.delete(conversationId);
+  state.unread.delete(conversationId);
+  saveUnread();
+  if (state.activeId === conversationId) state.activeId = null;
+}
+
+/**
+ * Send a management frame (group:create, rename, …). Results come back as
+ * 'message' / 'conversation' frames, failures as an 'error' frame.
+ */
+function sendCommand(frame) {
+  if (!isOnline()) return { success: false, message: 'Chat is offline right now' };
+  socket.send(frame);
+  return { success: true };
+}
+
+/**
+ * Why `user` can't be messaged by us, going by their privacy settings, or
+ * null if they can. The relay checks with the auth server too; asking here
+ * first explains a refusal before a chat is started or a message queued.
+ */
+function messageRefusal(user) {
+  const relationship = friendsService.getRelationship(user.id);
+  // lookups from the auth server carry the settings it enforces; the mock's don't
+  const privacy = user.privacy || SettingsService.getPrivacyFor(user.id);
+  return privacyAllows(privacy, 'messages', relationship)
+    ? null
+    : privacyRefusal('messages', user.username);
+}
+
+/**
+ * Resolve usernames to { id, username } through the auth server, refusing
+ * anyone who doesn't accept messages from us.
+ */
+async function lookupUsers(usernames) {
+  const users = [];
+  for (const name of usernames) {
+    const result = await authAPI.lookupUser(session()?.getToken(), name);
+    if (!result.success) {
+      return { success: false, message: result.message === 'No user with that username' ? `No user called "${name}"` : result.message };
+    }
+
+    const refusal = messageRefusal(result.user);
+    if (refusal) return { success: false, message: refusal };
+    users.push(result.user);
+  }
+  return { success: true, users };
+}
+
+function markFailed(clientId, error) {
+  state.messages.forEach((list, id) => {
+    if (list.some(m => m.clientId === clientId && !m.id)) {
+      updateMessages(id, l => l.map(m => (m.clientId === clientId && !m.id ? { ...m, status: 'failed', error } : m)));
+    }
+  });
+}
+
+/* ============ OUTBOX ============ */
+// Every outgoing message goes through the outbox and stays there until the
+// relay acks it. On reconnect the whole queue is resent in order; the relay
+// drops repeats by clientId, so a message whose ack got lost isn't doubled.
+function sendFromOutbox(entry) {
+  return socket.send({
+    type: 'send',
+    conversationId: entry.conversationId,
+    clientId: entry.clientId,
+    text: entry.text
+  });
+}
+
+function flushOutbox() {
+  if (!outbox || !isOnline()) return;
+  outbox.list().forEach(sendFromOutbox);
+}
+
+// show queued messages from an earlier page load (or another tab)
+function restoreOutbox() {
+  if (!outbox) return;
+
+  const meId = String(session()?.getUser()?.id ?? '');
+  outbox.list().forEach(entry => {
+    updateMessages(entry.conversationId, list => mergeMessages(list, [{ ...entry, from: meId, status: 'sending' }]));
+  });
+}
+
+/* ============ UNREAD ============ */
+function unreadKey() {
+  const id = state.me?.id ?? session()?.getUser()?.id;
+  return id === undefined ? null : `${UNREAD_PREFIX}${id}`;
+}
+
+function loadUnread() {
+  const key = unreadKey();
+  if (!key) return;
+
+  try {
+    const cached = JSON.parse(localStorage.getItem(key) || '{}');
+    Object.entries(cached).forEach(([id, count]) => state.unread.set(id, Number(count) || 0));
+  } catch {
+    // a corrupt cache just means no badge until the relay answers
+  }
+}
+
+function saveUnread() {
+  const key = unreadKey();
+  if (!key) return;
+
+  const counts = Object.fromEntries([...state.unread].filter(([, count]) => count > 0));
+  try {
+    if (Object.keys(counts).length) localStorage.setItem(key, JSON.stringify(counts));
+    else localStorage.removeItem(key);
+  } catch (err) {
+    console.error('[Chat] Could not cache unread counts:', err);
+  }
+}
+
+function setUnread(conversationId, count) {
+  if ((state.unread.get(conversationId) || 0) === count) return;
+  state.unread.set(conversationId, count);
+  saveUnread();
+}
+
+/* ============ TYPING ============ */
+function clearTyping(conversationId, userId) {
+  const key = `${conversationId}:${userId}`;
+  clearTimeout(typingTimers.get(key));
+  typingTimers.delete(key);
+
+  const users = state.typing.get(conversationId);
+  if (!users?.delete(String(userId))) return false;
+  if (users.size === 0) state.typing.delete(conversationId);
+  return true;
+}
+
+function setTyping(conversationId, userId, username) {
+  clearTyping(conversationId, userId);
+
+  if (!state.typing.has(conversationId)) state.typing.set(conversationId, new Map());
+  state.typing.get(conversationId).set(String(userId), username);
+
+  // the sender may vanish without saying "stopped"
+  const key = `${conversationId}:${userId}`;
+  typingTimers.set(key, setTimeout(() => {
+    if (clearTyping(conversationId, userId)) notify();
+  }, TYPING_TIMEOUT));
+}
+
+function stopTyping() {
+  clearTimeout(typingIdleTimer);
+  if (typingConversationId && isOnline()) {
+    socket.send({ type: 'typing', conversationId: typingConversationId, typing: false });
+  }
+  typingConversationId = null;
+  typingSentAt = 0;
+}
+
+/* ============ RECEIPTS ============ */
+function sendReceipt(conversationId, kind, messageId) {
+  const conversation = state.conversations.get(conversationId);
+  const mine = conversation?.receipts?.[state.me?.id] || { delivered: '0', read: '0' };
+  if (Number(messageId) <= Number(mine[kind])) return;
+
+  socket.send({ type: 'receipt', conversationId, kind, messageId });
+}
+
+function acknowledgeDelivery() {
+  state.conversations.forEach(conversation => {
+    const last = conversation.lastMessage;
+    if (last && String(last.from) !== String(state.me.id)) sendReceipt(conversation.id, 'delivered', last.id);
+  });
+}
+
+function markActiveRead() {
+  const id = state.activeId;
+  if (!id || !isOnline() || !state.visible || document.visibilityState !== 'visible') return;
+
+  const latest = latestFromOthers(state.messages.get(id) || [], state.me.id)
+    || latestFromOthers([state.conversations.get(id)?.lastMessage].filter(Boolean), state.me.id);
+  if (latest) sendReceipt(id, 'read', latest.id);
+
+  // the relay will confirm with the real count; don't keep the badge up meanwhile
+  const last = state.conversations.get(id)?.lastMessage;
+  if (!last || !latest || Number(latest.id) >= Number(last.id)) setUnread(id, 0);
+}
+
+function requestHistory(conversationId, before = null) {
+  const history = state.history.get(conversationId) || { loaded: false, loading: false, hasMore: false };
+  if (history.loading) return;
+
+  const sent = socket.send({ type: 'history', conversationId, before, limit: HISTORY_PAGE });
+  state.history.set(conversationId, { ...history, loading: sent });
+}
+
+/* ============ SOCKET EVENTS ============ */
+function wireSocket() {
+  socket.on('status', (status) => {
+    if (status === 'connecting') state.status = 'connecting';
+    else if (status === 'closed') state.status = session()?.isAuthenticated() ? 'offline' : 'signed-out';
+    // 'open' only becomes 'online' once the relay accepts our hello
+    notify();
+  });
+
+  socket.on('open', () => {
+    const user = session()?.getUser();
+    socket.send({
+      type: 'hello',
+      token: session()?.getToken(),
+      user: user ? { id: user.id, username: user.username } : null
+    });
+  });
+
+  socket.on('close', ({ code, willRetry }) => {
+    if (!willRetry && code === 4001) {
+      state.error = 'Chat could not verify your session. Try signing in again.';
+      notify();
+    }
+  });
+
+  socket.on('ready', ({ user, conversations }) => {
+    state.me = user;
+    state.status = 'online';
+    state.error = null;
+
+    conversations.forEach(upsertConversation);
+    state.unread.clear();
+    conversations.forEach(c => state.unread.set(c.id, c.unread || 0));
+    saveUnread();
+
+    // anything may have arrived while we were away: refetch on next view
+    state.history.forEach((history, id) => state.history.set(id, { ...history, loaded: false, loading: false }));
+    if (state.activeId) requestHistory(state.activeId);
+
+    flushOutbox();
+    acknowledgeDelivery();
+    markActiveRead();
+    notify();
+  });
+
+  socket.on('conversation', ({ conversation, clientId }) => {
+    upsertConversation(conversation);
+    setUnread(conversation.id, conversation.unread || 0);
+    if (pendingActiveId && (pendingActiveId === conversation.id || pendingActiveId === clientId)) {
+      pendingActiveId = null;
+      chatService.setActive(conversation.id);
+      return;
+    }
+    notify();
+  });
+
+  socket.on('message', ({ message, conversation }) => {
+    upsertConversation(conversation);
+    updateMessages(message.conversationId, list => mergeMessages(list, [{ ...message, status: 'sent' }]));
+
+    if (String(message.from) === String(state.me?.id)) {
+      // sent from another tab of ours
+      outbox?.remove(message.clientId);
+      setUnread(message.conversationId, 0);
+    } else {
+      clearTyping(message.conversationId, message.from);
+      setUnread(message.conversationId, conversation?.unread ?? (state.unread.get(message.conversationId) || 0) + 1);
+      sendReceipt(message.conversationId, 'delivered', message.id);
+      markActiveRead();
+    }
+    notify();
+  });
+
+  socket.on('ack', ({ message }) => {
+    outbox?.remove(message.clientId);
+    setUnread(message.conversationId, 0);
+    updateMessages(message.conversationId, list => mergeMessages(list, [{ ...message, status: 'sent' }]));
+
+    const conversation = state.conversations.get(message.conversationId);
+    if (conversation) upsertConversation({ ...conversation, lastMessage: message, updatedAt: message.sentAt });
+    notify();
+  });
+
+  socket.on('receipt', ({ conversationId, userId, delivered, read, unread }) => {
+    const conversation = state.conversations.get(conversationId);
+    if (!conversation) return;
+
+    upsertConversation({
+      ...conversation,
+      receipts: { ...conversation.receipts, [userId]: { delivered, read } }
+    });
+    // counted for us by the relay, e.g. after reading in another tab
+    if (typeof unread === 'number') setUnread(conversationId, unread);
+    notify();
+  });
+
+  socket.on('removed', ({ conversationId, reason }) => {
+    const conversation = state.conversations.get(conversationId);
+    dropConversation(conversationId);
+
+    if (reason === 'removed' && conversation) {
+      state.error = `You were removed from ${conversation.name || 'a conversation'}`;
+    }
+    notify();
+  });
+
+  socket.on('typing', ({ conversationId, userId, username, typing }) => {
+    if (typing) setTyping(conversationId, userId, username);
+    else clearTyping(conversationId, userId);
+    notify();
+  });
+
+  socket.on('history', ({ conversationId, messages, hasMore, before }) => {
+    updateMessages(conversationId, list => {
+      // a fresh first page replaces what we had, except messages still in flight
+      const keep = before ? list : list.filter(m => m.status === 'sending' || m.status === 'failed');
+      return mergeMessages(keep, messages.map(m => ({ ...m, status: 'sent' })));
+    });
+
+    state.history.set(conversationId, { loaded: true, loading: false, hasMore });
+    if (conversationId === state.activeId) markActiveRead();
+    notify();
+  });
+
+  socket.on('error', ({ message, clientId, ref }) => {
+    // the relay refused this message; resending won't help
+    if (clientId) {
+      outbox?.remove(clientId);
+      markFailed(clientId, message);
+    }
+
+    if (ref === 'history') state.history.forEach((h, id) => state.history.set(id, { ...h, loading: false }));
+    if (['open', 'group:create', 'channel:open'].includes(ref)) pendingActiveId = null;
+
+    state.error = message;
+    notify();
+  });
+}
+
+/* ============ SESSION ============ */
+function connectForSession() {
+  if (!socket) return;
+
+  socket.disconnect();
+  resetState();
+
+  const user = session()?.isAuthenticated() ? session().getUser() : null;
+  outbox = user ? createOutbox(user.id) : null;
+
+  if (user) {
+    loadUnread();
+    restoreOutbox();
+    socket.connect();
+  } else {
+    state.status = 'signed-out';
+  }
+  notify();
+}
+
+/* ============ PUBLIC API ============ */
+export const chatService = {
+  init() {
+    if (initialized) return;
+    initialized = true;
+
+    socket = createChatSocket({ url: chatConfig.url });
+    wireSocket();
+
+    window.addEventListener('session:login', connectForSession);
+    window.addEventListener('session:logout', connectForSession);
+    window.addEventListener('session:update', (e) => {
+      if (e.detail?.switched) connectForSession();
+    });
+    document.addEventListener('visibilitychange', markActiveRead);
+
+    connectForSession();
+  },
+
+  getState() {
+    return state;
+  },
+
+  /**
+   * Let other realtime features (presence) share the relay connection.
+   * 'ready' fires after every successful sign-in to the relay, which is
+   * when they should (re)send their own state.
+   */
+  onFrame(type, fn) {
+    this.init();
+    return socket.on(type, fn);
+  },
+
+  sendFrame(frame) {
+    return isOnline() && socket.send(frame);
+  },
+
+  subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  },
+
+  getActiveConversation() {
+    return state.conversations.get(state.activeId) || null;
+  },
+
+  getMessages(conversationId = state.activeId) {
+    return state.messages.get(conversationId) || [];
+  },
+
+  getUnreadCount(conversationId) {
+    return state.unread.get(conversationId) || 0;
+  },
+
+  getTotalUnread() {
+    let total = 0;
+    state.unread.forEach(count => { total += count; });
+    return total;
+  },
+
+  getTypingUsers(conversationId = state.activeId) {
+    return [...(state.typing.get(conversationId)?.values() || [])];
+  },
+
+  getHistory(conversationId = state.activeId) {
+    return state.history.get(conversationId) || { loaded: false, loading: false, hasMore: false };
+  },
+
+  /**
+   * Most recently active conversations first.
+   */
+  listConversations() {
+    return [...state.conversations.values()].sort((a, b) => b.updatedAt - a.updatedAt);
+  },
+
+  setActive(conversationId) {
+    if (conversationId !== typingConversationId) stopTyping();
+    state.activeId = conversationId;
+    state.error = null;
+
+    if (conversationId && !this.getHistory(conversationId).loaded) requestHistory(conversationId);
+    markActiveRead();
+    notify();
+  },
+
+  /**
+   * The chat dock calls this when it opens or closes; messages only count
+   * as read while the conversation is actually on screen.
+   */
+  setVisible(visible) {
+    state.visible = Boolean(visible);
+    markActiveRead();
+  },
+
+  loadOlder(conversationId = state.activeId) {
+    const oldest = this.getMessages(conversationId).find(m => m.id);
+    if (!oldest || !this.getHistory(conversationId).hasMore) return;
+
+    requestHistory(conversationId, oldest.id);
+    notify();
+  },
+
+  /**
+   * Open (or create) a direct chat with `username` and make it active.
+   */
+  async startDirectChat(username) {
+    const name = String(username || '').trim();
+    if (!name) return { success: false, message: 'Enter a username' };
+    if (state.status !== 'online') return { success: false, message: 'Chat is offline right now' };
+
+    const result = await authAPI.lookupUser(session()?.getToken(), name);
+    if (!result.success) return result;
+
+    if (String(result.user.id) === String(state.me.id)) {
+      return { success: false, message: "You can't start a chat with yourself" };
+    }
+
+    const id = directConversationId(state.me.id, result.user.id);
+    const existing = state.conversations.has(id);
+    const refusal = existing ? null : messageRefusal(result.user);
+    if (refusal) return { success: false, message: refusal };
+
+    // people you message show up under Recent Users in the Library
+    libraryService.recordView({ kind: 'user', id: result.user.id, title: result.user.username });
+
+    if (existing) {
+      this.setActive(id);
+      return { success: true, conversationId: id };
+    }
+
+    pendingActiveId = id;
+    if (!socket.send({ type: 'open', with: result.user })) {
+      pendingActiveId = null;
+      return { success: false, message: 'Chat is offline right now' };
+    }
+
+    return { success: true, conversationId: id };
+  },
+
+  /**
+   * Create a group with `usernames` (besides us) and make it active.
+   */
+  async createGroup(name, usernames) {
+    if (!String(name || '').trim()) return { success: false, message: 'Give the group a name' };
+    if (!usernames.length) return { success: false, message: 'Add at least one other member' };
+    if (!isOnline()) return { success: false, message: 'Chat is offline right now' };
+
+    const lookup = await lookupUsers(usernames);
+    if (!lookup.success) return lookup;
+
+    const clientId = createClientId();
+    pendingActiveId = clientId;
+    return sendCommand({ type: 'group:create', name, members: lookup.users, clientId });
+  },
+
+  async addMembers(conversationId, usernames) {
+    if (!usernames.length) return { success: false, message: 'Enter at least one username' };
+
+    const lookup = await lookupUsers(usernames);
+    if (!lookup.success) return lookup;
+
+    return sendCommand({ type: 'members:add', conversationId, members: lookup.users });
+  },
+
+  removeMember(conversationId, userId) {
+    return sendCommand({ type: 'members:remove', conversationId, userId });
+  },
+
+  renameConversation(conversationId, name) {
+    if (!String(name || '').trim()) return { success: false, message: 'Give it a name' };
+    return sendCommand({ type: 'rename', conversationId, name });
+  },
+
+  leaveConversation(conversationId) {
+    return sendCommand({ type: 'leave', conversationId });
+  },
+
+  /**
+   * Join (if needed) and open one of a community's channels. `community`
+   * is { id, name, ownerId }; the relay checks membership and the owner,
+   * who is the channel admin, with the auth server (the mock setup takes
+   * the owner from here).
+   */
+  openCommunityChannel(community, channel = 'general') {
+    if (!community?.id) return { success: false, message: 'Community not found' };
+
+    const id = communityChannelId(community.id, channel);
+    if (state.conversations.has(id)) {
+      this.setActive(id);
+      return { success: true, conversationId: id };
+    }
+
+    const result = sendCommand({
+      type: 'channel:open',
+      community: { id: community.id, name: community.name, ownerId: community.ownerId },
+      channel
+    });
+    if (result.success) pendingActiveId = id;
+    return { ...result, conversationId: id };
+  },
+
+  /**
+   * Every conversation the user is in, with its whole history, for the
+   * account data export. Resolves { success, conversations }.
+   */
+  exportHistory() {
+    if (!isOnline()) return Promise.resolve({ success: false, message: 'Chat is offline right now' });
+
+    return new Promise(resolve => {
+      const stop = [];
+      const finish = (result) => {
+        stop.forEach(fn => fn());
+        resolve(result);
+      };
+
+      stop.push(socket.on('export', ({ conversations }) => finish({ success: true, conversations })));
+      stop.push(socket.on('error', ({ ref, message }) => {
+        if (ref === 'export') finish({ success: false, message });
+      }));
+      const timer = setTimeout(() => finish({ success: false, message: 'Chat took too long to answer' }), EXPORT_TIMEOUT);
+      stop.push(() => clearTimeout(timer));
+
+      if (!socket.send({ type: 'export' })) finish({ success: false, message: 'Chat is offline right now' });
+    });
+  },
+
+  /**
+   * Why we can't message the other person in a direct chat (they may have
+   * closed their messages since it was started), or null.
+   */
+  getMessageRefusal(conversationId = state.activeId) {
+    const conversation = state.conversations.get(conversationId);
+    if (conversation?.type !== 'direct') return null;
+
+    const other = otherMembers(conversation, state.me?.id)[0];
+    return other ? messageRefusal(other) : null;
+  },
+
+  /**
+   * Show the message straight away and queue it; it goes out now if we're
+   * connected, otherwise as soon as we reconnect.
+   */
+  sendMessage(text, conversationId = state.activeId) {
+    const body = String(text || '').trim();
+    if (!body) return { success: false, message: 'Message is empty' };
+    if (!conversationId || !outbox) return { success: false, message: 'Pick a conversation first' };
+
+    const refusal = this.getMessageRefusal(conversationId);
+    if (refusal) return { success: false, message: refusal };
+
+    const message = {
+      clientId: createClientId(),
+      conversationId,
+      from: String(state.me?.id ?? session().getUser().id),
+      text: body,
+      sentAt: Date.now(),
+      status: 'sending'
+    };
+
+    stopTyping();
+    outbox.add(message);
+    if (isOnline()) sendFromOutbox(message);
+
+    updateMessages(conversationId, list => mergeMessages(list, [message]));
+    notify();
+
+    return { success: true, queued: !isOnline() };
+  },
+
+  /**
+   * Call on every keystroke in the composer. Tells the other members at
+   * most once per TYPING_THROTTLE, and that we stopped after TYPING_IDLE.
+   */
+  notifyTyping(conversationId = state.activeId) {
+    if (!conversationId || !isOnline()) return;
+
+    const now = Date.now();
+    if (conversationId !== typingConversationId || now - typingSentAt > TYPING_THROTTLE) {
+      if (typingConversationId && typingConversationId !== conversationId) stopTyping();
+      socket.send({ type: 'typing', conversationId, typing: true });
+      typingConversationId = conversationId;
+      typingSentAt = now;
+    }
+
+    clearTimeout(typingIdleTimer);
+    typingIdleTimer = setTimeout(stopTyping, TYPING_IDLE);
+  },
+
+  stopTyping() {
+    stopTyping();
+  },
+
+  retryMessage(clientId, conversationId = state.activeId) {
+    const failed = this.getMessages(conversationId).find(m => m.clientId === clientId && m.status === 'failed');
+    if (!failed || !outbox) return { success: false, message: 'Nothing to retry' };
+
+    const retry = { ...failed, status: 'sending', error: undefined };
+
+    outbox.add(retry);
+    if (isOnline()) sendFromOutbox(retry);
+
+    updateMessages(conversationId, list => mergeMessages(list, [retry]));
+    notify();
+
+    return { success: true, queued: !isOnline() };
+  }
+};
+
+export default chatService;
@@ -0,0 +1,157 @@
+// src/modules/chat/chatSocket.js
+// Reconnecting JSON WebSocket client used by the chat service.
+// Frames are JSON objects with a `type`; listeners subscribe per type.
+
+const BASE_DELAY = 1000;
+const MAX_DELAY = 30 * 1000;
+
+// close codes the relay uses when retrying would not help
+const NO_RETRY_CODES = [4001];
+
+/**
+ * createChatSocket({ url }) → { connect, disconnect, send, on, status }
+ *
+ * Emits every incoming frame under its `type`, plus:
+ *   'status'  'connecting' | 'open' | 'closed'
+ *   'open'    after each (re)connect, before queued work should be resent
+ *   'close'   { code, reason, willRetry }
+ */
+export function createChatSocket({ url }) {
+  const listeners = new Map();
+
+  let ws = null;
+  let status = 'closed';
+  let attempt = 0;
+  let retryTimer = null;
+  let wanted = false;
+
+  function emit(type, detail) {
+    listeners.get(type)?.forEach(fn => {
+      try {
+        fn(detail);
+      } catch (err) {
+        console.error(`[ChatSocket] "${type}" listener failed:`, err);
+      }
+    });
+  }
+
+  function setStatus(next) {
+    if (status === next) return;
+    status = next;
+    emit('status', next);
+  }
+
+  // exponential backoff with jitter so tabs don't reconnect in lockstep
+  function nextDelay() {
+    const delay = Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt);
+    attempt++;
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  function scheduleRetry() {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(open, nextDelay());
+  }
+
+  function open() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (!wanted || ws) return;
+
+    setStatus('connecting');
+
+    let socket;
+    try {
+      socket = new WebSocket(url);
+    } catch (err) {
+      console.error('[ChatSocket] Could not open', url, err);
+      setStatus('closed');
+      scheduleRetry();
+      return;
+    }
+    ws = socket;
+
+    socket.addEventListener('open', () => {
+      if (ws !== socket) return;
+      attempt = 0;
+      setStatus('open');
+      emit('open');
+    });
+
+    socket.addEventListener('message', (event) => {
+      if (ws !== socket) return;
+
+      let frame;
+      try {
+        frame = JSON.parse(event.data);
+      } catch {
+        console.error('[ChatSocket] Ignoring non-JSON frame');
+        return;
+      }
+      if (frame?.type) emit(frame.type, frame);
+    });
+
+    socket.addEventListener('close', (event) => {
+      if (ws !== socket) return;
+      ws = null;
+
+      const willRetry = wanted && !NO_RETRY_CODES.includes(event.code);
+      setStatus('closed');
+      emit('close', { code: event.code, reason: event.reason, willRetry });
+
+      if (willRetry) scheduleRetry();
+      else wanted = false;
+    });
+  }
+
+  function handleOnline() {
+    // the network is back: skip whatever is left of the backoff
+    if (wanted && !ws) {
+      attempt = 0;
+      open();
+    }
+  }
+
+  window.addEventListener('online', handleOnline);
+
+  return {
+    get status() {
+      return status;
+    },
+
+    connect() {
+      wanted = true;
+      open();
+    },
+
+    disconnect() {
+      wanted = false;
+      attempt = 0;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+
+      const socket = ws;
+      ws = null;
+      if (socket) socket.close(1000, 'Client disconnect');
+      setStatus('closed');
+    },
+
+    /**
+     * Send a frame. Returns false when the socket isn't open, so the
+     * caller can decide whether to queue or fail.
+     */
+    send(frame) {
+      if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+      ws.send(JSON.stringify(frame));
+      return true;
+    },
+
+    on(type, fn) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(fn);
+      return () => listeners.get(type)?.delete(fn);
+    }
+  };
+}
+
+export default createChatSocket;
@@ -0,0 +1,822 @@
+// src/modules/chat/server/chatRelay.js
+// Development chat relay: authenticates WebSocket clients, keeps direct
+// chats, groups and community channels in the chat store and fans messages
+// out to every open tab of each member.
+//
+// Frames are JSON objects with a `type`. Client -> relay:
+//   hello          { token, user }                      sign in (must come first)
+//   open           { with: { id, username } }           start / reopen a direct chat
+//   group:create   { name, members: [{ id, username }], clientId }
+//   channel:open   { community: { id, name, ownerId }, channel }
+//   members:add    { conversationId, members: [{ id, username }] }   admins only
+//   members:remove { conversationId, userId }                        admins only
+//   rename         { conversationId, name }                          admins only
+//   leave          { conversationId }
+//   send           { conversationId, clientId, text }   post a message (clientId makes
+//                                                       retries idempotent)
+//   receipt        { conversationId, kind, messageId }  'delivered' | 'read' up to messageId
+//   typing         { conversationId, typing }           relayed to the other members only
+//   history        { conversationId, before?, limit? }  page back through messages
+//   export         {}                                   every conversation the user is
+//                                                       in with all its messages
+//   presence       { status, activity?, hidden }        this tab is 'online' | 'idle';
+//                                                       activity e.g. { type: 'community', id, name }
+//   presence:watch { userIds }                          follow these users' presence
+//                                                       (replaces the previous list)
+// Relay -> client:
+//   ready, conversation, removed, ack, message, receipt, typing, history, export,
+//   presence { users: [{ userId, status, activity, lastSeen }] }, error
+//
+// Conversation summaries carry `unread`, counted for the user they're sent to.
+//
+// Over plain HTTP it answers GET /health, and POST /internal/users/delete
+// { userId } from the auth server (with the shared service key) once an
+// account is deleted: their tabs are closed, their direct chats and messages
+// go, and they leave their groups and channels.
+//
+// Privacy settings, friendships and communities live on the auth server,
+// which the relay asks through `directory` before a direct chat is started
+// or written to, before anyone is put in a group, and before anyone opens or
+// posts in a community channel. Only members get in, and the community's
+// owner is the channels' admin. Without a directory (the insecure setup for
+// the in-browser auth mock) nothing is checked, and whoever first opens a
+// community's chat says who owns it.
+//
+// A tab says whose presence it wants; the relay only lets it follow users
+// whose online status setting lets the viewer in (friends, unless they chose
+// nobody), asking the directory again every minute in case a friendship
+// ended or a setting changed. Users who hide their presence, or whom the
+// viewer may not follow, show as offline.
+
+const http = require('http');
+const crypto = require('crypto');
+const { attachWebSocketServer } = require('./websocket.js');
+
+const MAX_TEXT_LENGTH = 2000;
+const MAX_INTERNAL_BODY_BYTES = 16 * 1024;
+const MAX_HISTORY_PAGE = 100;
+const MAX_NAME_LENGTH = 50;
+const MAX_GROUP_MEMBERS = 50;
+const MAX_WATCHED_USERS = 500;
+const PRESENCE_RECHECK_MS = 60 * 1000;
+const PRESENCE_STATUSES = ['online', 'idle'];
+
+// channels every community gets, and who may post in them
+const COMMUNITY_CHANNELS = {
+  general: 'members',
+  announcements: 'admins'
+};
+
+class ChatError extends Error {}
+
+/**
+ * Both members of a direct chat derive the same id, whoever opens it first.
+ * Keep in step with directConversationId() in ../chatHelpers.js.
+ */
+function directConversationId(a, b) {
+  return `dm:${[String(a), String(b)].sort().join(':')}`;
+}
+
+// keep in step with communityChannelId() in ../chatHelpers.js
+function communityChannelId(communityId, channel) {
+  return `community:${communityId}:${channel}`;
+}
+
+function isAdmin(conversation, userId) {
+  return conversation.ownerId === userId || (conversation.admins || []).includes(userId);
+}
+
+function canPost(conversation, userId) {
+  return conversation.members.includes(userId)
+    && (conversation.postPolicy !== 'admins' || isAdmin(conversation, userId));
+}
+
+function cleanName(name) {
+  const value = String(name || '').trim().replace(/\s+/g, ' ');
+  if (!value) throw new ChatError('Give it a name');
+  if (value.length > MAX_NAME_LENGTH) throw new ChatError(`Names are limited to ${MAX_NAME_LENGTH} characters`);
+  return value;
+}
+
+/**
+ * `verifyUser(hello)` resolves the hello frame to { id, username }, or null
+ * when the client could not be authenticated. `directory.access(viewerId,
+ * userIds)` resolves what the viewer may do to each user:
+ * [{ id, exists, username, message: null | why not, presence }], and
+ * `directory.membership(communityId, userId)` resolves
+ * { community: { id, name, ownerId } | null, role: null | their role }.
+ * `serviceKey()` returns the key the auth server signs its internal calls
+ * with, or null to refuse them.
+ */
+function createChatRelay({ store, verifyUser, directory = null, serviceKey = () => null }) {
+  if (!store || !verifyUser) throw new Error('createChatRelay requires a store and verifyUser');
+
+  // userId -> Set of connections (one per open tab)
+  const online = new Map();
+  // userId -> Set of connections following that user's presence
+  const watchers = new Map();
+  // userId -> when their last tab closed (in memory only)
+  const lastSeen = new Map();
+  // userId -> last presence we told watchers about, to skip repeats
+  const announced = new Map();
+
+  function send(connection, payload) {
+    connection.send(JSON.stringify(payload));
+  }
+
+  function sendToUsers(userIds, payload, except = null) {
+    userIds.forEach(id => {
+      online.get(String(id))?.forEach(connection => {
+        if (connection !== except) send(connection, payload);
+      });
+    });
+  }
+
+  /**
+   * Send each online member of `conversation` the frame `build(memberId)`
+   * returns (skipped when it returns null).
+   */
+  function sendToMembers(conversation, build, except = null) {
+    conversation.members.forEach(memberId => {
+      const tabs = online.get(memberId);
+      if (!tabs) return;
+
+      const payload = build(memberId);
+      if (!payload) return;
+      tabs.forEach(connection => {
+        if (connection !== except) send(connection, payload);
+      });
+    });
+  }
+
+  function summarize(conversation, viewerId) {
+    return {
+      id: conversation.id,
+      type: conversation.type,
+      name: conversation.name,
+      ownerId: conversation.ownerId,
+      admins: conversation.admins || [],
+      postPolicy: conversation.postPolicy || 'members',
+      communityId: conversation.communityId,
+      communityName: conversation.communityName,
+      members: conversation.members.map(id => store.getUser(id) || { id, username: 'Unknown user' }),
+      receipts: conversation.receipts || {},
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      lastMessage: store.lastMessage(conversation.id),
+      unread: store.countUnread(conversation.id, viewerId)
+    };
+  }
+
+  function memberConversation(user, conversationId) {
+    const conversation = store.getConversation(String(conversationId || ''));
+    if (!conversation || !conversation.members.includes(user.id)) {
+      throw new ChatError('Conversation not found');
+    }
+    return conversation;
+  }
+
+  function adminConversation(user, conversationId) {
+    const conversation = memberConversation(user, conversationId);
+    if (conversation.type === 'direct') throw new ChatError('Direct chats have no members to manage');
+    if (!isAdmin(conversation, user.id)) throw new ChatError('Only admins can do that');
+    return conversation;
+  }
+
+  function nameOf(userId) {
+    return store.getUser(userId)?.username || 'Someone';
+  }
+
+  // remember names the client resolved, without overwriting ones we know
+  function rememberUsers(users) {
+    return users
+      .map(u => ({ id: String(u?.id ?? ''), username: String(u?.username || '') }))
+      .filter(u => u.id && u.username)
+      .map(u => store.getUser(u.id) || store.upsertUser(u));
+  }
+
+  /**
+   * The users `me` asked to put in a group, once each has said they accept
+   * messages from `me`; named as the auth server knows them when it can.
+   */
+  async function addable(me, requested) {
+    const ids = [...new Set(requested.map(u => String(u?.id ?? '')).filter(Boolean))];
+    const access = await checkCanMessage(me, ids);
+
+    return rememberUsers(requested.map(u => ({
+      id: u?.id,
+      username: access?.get(String(u?.id ?? ''))?.username || u?.username
+    })));
+  }
+
+  /**
+   * Post a notice ("alice added bob") and push it, with the updated
+   * conversation, to every member including the one who caused it.
+   */
+  function postSystem(conversation, actorId, text) {
+    const message = store.addMessage(conversation.id, { from: actorId, text, system: true });
+    sendToMembers(conversation, memberId => ({
+      type: 'message',
+      message,
+      conversation: summarize(conversation, memberId)
+    }));
+  }
+
+  /**
+   * The directory's answer for each of `userIds` by id, or null without a
+   * directory. Fails closed: if the auth server can't be asked, nobody can
+   * be reached.
+   */
+  async function accessFor(me, userIds) {
+    if (!directory || userIds.length === 0) return null;
+
+    try {
+      const users = await directory.access(me.id, userIds);
+      return new Map(users.map(u => [String(u.id), u]));
+    } catch (err) {
+      console.error('[ChatRelay] Could not check privacy settings:', err.message);
+      throw new ChatError("Chat can't check privacy settings right now, try again soon");
+    }
+  }
+
+  // refuse unless every one of `userIds` exists and accepts messages from `me`
+  async function checkCanMessage(me, userIds) {
+    const access = await accessFor(me, userIds);
+    if (!access) return null;
+
+    userIds.forEach(id => {
+      const entry = access.get(id);
+      if (!entry?.exists) throw new ChatError('No user with that username');
+      if (entry.message) throw new ChatError(entry.message);
+    });
+    return access;
+  }
+
+  /**
+   * The community as the directory knows it, refusing unless `me` is a
+   * member; null without a directory. A member who has since left or been
+   * kicked is dropped from `channel` too.
+   */
+  async function checkCommunityMember(me, communityId, channel = null) {
+    if (!directory) return null;
+
+    let found;
+    try {
+      found = await directory.membership(communityId, me.id);
+    } catch (err) {
+      console.error('[ChatRelay] Could not check community membership:', err.message);
+      throw new ChatError("Chat can't check your communities right now, try again soon");
+    }
+
+    if (!found.community) throw new ChatError('Community not found');
+    if (!found.role) {
+      if (channel?.members.includes(me.id)) {
+        store.removeMember(channel.id, me.id);
+        sendToUsers([me.id], { type: 'removed', conversationId: channel.id, reason: 'removed' });
+      }
+      throw new ChatError(`You're not in ${found.community.name}`);
+    }
+    return found.community;
+  }
+
+  function cleanActivity(activity) {
+    if (!activity || activity.type !== 'community' || activity.id === undefined) return null;
+    return {
+      type: 'community',
+      id: String(activity.id),
+      name: String(activity.name || '').slice(0, MAX_NAME_LENGTH)
+    };
+  }
+
+  function hiddenPresence(userId) {
+    return { userId, status: 'offline', activity: null, lastSeen: null };
+  }
+
+  /**
+   * What watchers see for `userId`: online if any tab is active, idle if
+   * every tab is idle, offline with no tabs or when presence is hidden. The
+   * activity comes from the most recently updated tab that has one.
+   */
+  function presenceOf(userId) {
+    const tabs = [...(online.get(userId) || [])].map(c => c.presence).filter(Boolean);
+
+    if (tabs.some(p => p.hidden)) return hiddenPresence(userId);
+    if (!tabs.length) return { userId, status: 'offline', activity: null, lastSeen: lastSeen.get(userId) || null };
+
+    const withActivity = tabs.filter(p => p.activity).sort((a, b) => b.at - a.at)[0];
+    return {
+      userId,
+      status: tabs.some(p => p.status === 'online') ? 'online' : 'idle',
+      activity: withActivity?.activity || null,
+      lastSeen: null
+    };
+  }
+
+  function announcePresence(userId) {
+    const presence = presenceOf(userId);
+    const key = JSON.stringify(presence);
+    if (announced.get(userId) === key) return;
+    announced.set(userId, key);
+
+    const payload = { type: 'presence', users: [presence] };
+    watchers.get(userId)?.forEach(connection => send(connection, payload));
+  }
+
+  function unwatch(connection, userId) {
+    const set = watchers.get(userId);
+    set?.delete(connection);
+    if (set && set.size === 0) watchers.delete(userId);
+    connection.watching.delete(userId);
+  }
+
+  function unwatchAll(connection) {
+    connection.watching.forEach(userId => unwatch(connection, userId));
+  }
+
+  // the ones among `userIds` whose presence `me` may follow
+  async function watchable(me, userIds) {
+    const access = await accessFor(me, userIds);
+    return new Set(access ? userIds.filter(id => access.get(id)?.presence) : userIds);
+  }
+
+  // friendships end and settings change after a watch starts
+  async function recheckWatches() {
+    const connections = [...online.values()].flatMap(tabs => [...tabs]);
+
+    for (const connection of connections) {
+      const watching = [...connection.watching];
+      if (watching.length === 0) continue;
+
+      let allowed;
+      try {
+        allowed = await watchable(connection.user, watching);
+      } catch {
+        // already logged; keep the watches until the directory answers again
+        continue;
+      }
+
+      const dropped = watching.filter(id => !allowed.has(id));
+      dropped.forEach(id => unwatch(connection, id));
+      if (dropped.length) send(connection, { type: 'presence', users: dropped.map(hiddenPresence) });
+    }
+  }
+
+  const handlers = {
+    async hello(connection, frame) {
+      const verified = await verifyUser(frame);
+      if (!verified) {
+        connection.close(4001, 'Unauthorized');
+        return;
+      }
+
+      // hello again as someone else: stop counting this socket as the
+      // previous user's tab before it becomes the new one's
+      if (connection.user && connection.user.id !== String(verified.id)) {
+        detach(connection);
+        connection.presence = null;
+      }
+
+      const user = store.upsertUser({ id: String(verified.id), username: verified.username });
+      connection.user = user;
+
+      if (!online.has(user.id)) online.set(user.id, new Set());
+      online.get(user.id).add(connection);
+
+      send(connection, {
+        type: 'ready',
+        user,
+        conversations: store.listConversationsFor(user.id).map(c => summarize(c, user.id))
+      });
+    },
+
+    async open(connection, frame) {
+      const me = connection.user;
+      const other = frame.with || {};
+      const otherId = String(other.id ?? '');
+
+      if (!otherId) throw new ChatError('Choose someone to chat with');
+      if (otherId === me.id) throw new ChatError("You can't start a chat with yourself");
+
+      const id = directConversationId(me.id, otherId);
+      let conversation = store.getConversation(id);
+
+      // reopening an old chat is fine; send checks each message
+      if (!conversation) {
+        const access = await checkCanMessage(me, [otherId]);
+        const username = access?.get(otherId).username || String(other.username || 'Unknown user');
+        if (!store.getUser(otherId)) store.upsertUser({ id: otherId, username });
+
+        conversation = store.createConversation({ id, type: 'direct', members: [me.id, otherId] });
+      }
+
+      sendToUsers([me.id], { type: 'conversation', conversation: summarize(conversation, me.id) });
+    },
+
+    async 'group:create'(connection, frame) {
+      const me = connection.user;
+      const name = cleanName(frame.name);
+      const requested = (Array.isArray(frame.members) ? frame.members : [])
+        .filter(u => String(u?.id ?? '') !== me.id);
+
+      if (requested.length === 0) throw new ChatError('Add at least one other member');
+      if (requested.length + 1 > MAX_GROUP_MEMBERS) throw new ChatError(`Groups are limited to ${MAX_GROUP_MEMBERS} members`);
+
+      const others = await addable(me, requested);
+
+      const conversation = store.createConversation({
+        id: `group:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+        type: 'group',
+        members: [me.id, ...others.map(u => u.id)],
+        name,
+        ownerId: me.id,
+        admins: [me.id],
+        postPolicy: 'members'
+      });
+
+      // echo the client's id so it can open the group it just made
+      sendToUsers([me.id], { type: 'conversation', clientId: frame.clientId, conversation: summarize(conversation, me.id) });
+      postSystem(conversation, me.id, `${me.username} created the group "${name}"`);
+    },
+
+    async 'channel:open'(connection, frame) {
+      const me = connection.user;
+      const claimed = frame.community || {};
+      const communityId = String(claimed.id ?? '').trim();
+      const channel = String(frame.channel || 'general');
+
+      if (!communityId) throw new ChatError('Community not found');
+      if (!COMMUNITY_CHANNELS[channel]) throw new ChatError('That channel does not exist');
+
+      const id = communityChannelId(communityId, channel);
+      let conversation = store.getConversation(id);
+
+      // the auth server's word over the client's, when there is one
+      const community = await checkCommunityMember(me, communityId, conversation) || claimed;
+      const ownerId = String(community.ownerId ?? me.id);
+      const communityName = String(community.name || 'Community').slice(0, MAX_NAME_LENGTH);
+
+      if (!conversation) {
+        conversation = store.createConversation({
+          id,
+          type: 'channel',
+          members: [me.id],
+          name: channel,
+          communityId,
+          communityName,
+          ownerId,
+          admins: [ownerId],
+          postPolicy: COMMUNITY_CHANNELS[channel]
+        });
+      } else {
+        if (!conversation.members.includes(me.id)) store.addMembers(id, [me.id]);
+        // renamed since, or first opened with a made-up owner before the relay checked
+        if (directory && (conversation.ownerId !== ownerId || conversation.communityName !== communityName)) {
+          store.updateConversation(id, { ownerId, admins: [ownerId], communityName });
+        }
+      }
+
+      sendToUsers([me.id], { type: 'conversation', conversation: summarize(conversation, me.id) });
+    },
+
+    async 'members:add'(connection, frame) {
+      const me = connection.user;
+      const conversation = adminConversation(me, frame.conversationId);
+      if (conversation.type === 'channel') throw new ChatError('Community channels follow who is in the community');
+
+      const requested = Array.isArray(frame.members) ? frame.members : [];
+      if (conversation.members.length + requested.length > MAX_GROUP_MEMBERS) {
+        throw new ChatError(`Groups are limited to ${MAX_GROUP_MEMBERS} members`);
+      }
+
+      const users = await addable(me, requested);
+
+      const added = store.addMembers(conversation.id, users.map(u => u.id));
+      if (added.length === 0) throw new ChatError('They are already in this conversation');
+
+      postSystem(conversation, me.id, `${me.username} added ${added.map(nameOf).join(', ')}`);
+    },
+
+    'members:remove'(connection, frame) {
+      const me = connection.user;
+      const conversation = adminConversation(me, frame.conversationId);
+      if (conversation.type === 'channel') throw new ChatError('Community channels follow who is in the community');
+      const userId = String(frame.userId ?? '');
+
+      if (userId === me.id) throw new ChatError('Use leave to remove yourself');
+      if (userId === conversation.ownerId) throw new ChatError("The owner can't be removed");
+      if (!store.removeMember(conversation.id, userId)) throw new ChatError('They are not in this conversation');
+
+      sendToUsers([userId], { type: 'removed', conversationId: conversation.id, reason: 'removed' });
+      postSystem(conversation, me.id, `${me.username} removed ${nameOf(userId)}`);
+    },
+
+    rename(connection, frame) {
+      const me = connection.user;
+      const conversation = adminConversation(me, frame.conversationId);
+      if (conversation.type === 'channel') throw new ChatError("Community channels can't be renamed");
+
+      const name = cleanName(frame.name);
+      store.updateConversation(conversation.id, { name });
+      postSystem(conversation, me.id, `${me.username} renamed the group to "${name}"`);
+    },
+
+    leave(connection, frame) {
+      const me = connection.user;
+      const conversation = memberConversation(me, frame.conversationId);
+      if (conversation.type === 'direct') throw new ChatError("You can't leave a direct chat");
+
+      store.removeMember(conversation.id, me.id);
+
+      // a group keeps working without its creator: hand it to the next admin or member
+      if (conversation.type === 'group' && conversation.ownerId === me.id && conversation.members.length) {
+        const ownerId = conversation.admins[0] || conversation.members[0];
+        store.updateConversation(conversation.id, {
+          ownerId,
+          admins: [...new Set([ownerId, ...conversation.admins])]
+        });
+      }
+
+      sendToUsers([me.id], { type: 'removed', conversationId: conversation.id, reason: 'left' });
+      if (conversation.members.length) postSystem(conversation, me.id, `${me.username} left`);
+    },
+
+    async send(connection, frame) {
+      const me = connection.user;
+      const conversation = memberConversation(me, frame.conversationId);
+      const text = String(frame.text || '').trim();
+      const clientId = frame.clientId ? String(frame.clientId) : null;
+
+      // already stored: the client missed our ack, so just ack again
+      const duplicate = store.findMessageByClientId(conversation.id, me.id, clientId);
+      if (duplicate) {
+        send(connection, { type: 'ack', clientId, message: duplicate });
+        return;
+      }
+
+      if (conversation.type === 'channel') await checkCommunityMember(me, conversation.communityId, conversation);
+      if (!canPost(conversation, me.id)) {
+        throw new ChatError(`Only admins can post in #${conversation.name}`);
+      }
+      if (!text) throw new ChatError('Message is empty');
+      if (text.length > MAX_TEXT_LENGTH) throw new ChatError(`Messages are limited to ${MAX_TEXT_LENGTH} characters`);
+      // they may have closed their messages since the chat started
+      if (conversation.type === 'direct') {
+        await checkCanMessage(me, conversation.members.filter(id => id !== me.id));
+      }
+
+      const message = store.addMessage(conversation.id, { from: me.id, text, clientId });
+      // replying means you've seen everything before it
+      store.setReceipt(conversation.id, me.id, 'read', message.id);
+
+      send(connection, { type: 'ack', clientId: message.clientId, message });
+      sendToMembers(conversation, memberId => ({
+        type: 'message',
+        message,
+        conversation: summarize(conversation, memberId)
+      }), connection);
+    },
+
+    receipt(connection, frame) {
+      const me = connection.user;
+      const conversation = memberConversation(me, frame.conversationId);
+      const kind = frame.kind === 'read' ? 'read' : 'delivered';
+
+      // can't have seen more than exists
+      const last = store.lastMessage(conversation.id);
+      const messageId = Math.min(Number(frame.messageId) || 0, Number(last?.id) || 0);
+      if (!messageId) return;
+
+      const receipt = store.setReceipt(conversation.id, me.id, kind, messageId);
+      sendToMembers(conversation, memberId => ({
+        type: 'receipt',
+        conversationId: conversation.id,
+        userId: me.id,
+        ...receipt,
+        unread: store.countUnread(conversation.id, memberId)
+      }));
+    },
+
+    typing(connection, frame) {
+      const me = connection.user;
+      const conversation = memberConversation(me, frame.conversationId);
+
+      sendToMembers(conversation, memberId => (memberId === me.id ? null : {
+        type: 'typing',
+        conversationId: conversation.id,
+        userId: me.id,
+        username: me.username,
+        typing: Boolean(frame.typing)
+      }));
+    },
+
+    history(connection, frame) {
+      const conversation = memberConversation(connection.user, frame.conversationId);
+      const limit = Math.min(Math.max(Number(frame.limit) || 50, 1), MAX_HISTORY_PAGE);
+      const page = store.getMessages(conversation.id, { before: frame.before || null, limit });
+
+      send(connection, {
+        type: 'history',
+        conversationId: conversation.id,
+        before: frame.before || null,
+        ...page
+      });
+    },
+
+    // for the user's account data export
+    export(connection) {
+      const me = connection.user;
+      const conversations = store.listConversationsFor(me.id).map(conversation => ({
+        ...summarize(conversation, me.id),
+        messages: store.getMessages(conversation.id, { limit: Infinity }).messages
+      }));
+
+      send(connection, { type: 'export', conversations });
+    },
+
+    presence(connection, frame) {
+      const status = PRESENCE_STATUSES.includes(frame.status) ? frame.status : 'online';
+      connection.presence = {
+        status,
+        activity: cleanActivity(frame.activity),
+        hidden: Boolean(frame.hidden),
+        at: Date.now()
+      };
+      announcePresence(connection.user.id);
+    },
+
+    async 'presence:watch'(connection, frame) {
+      const userIds = [...new Set((Array.isArray(frame.userIds) ? frame.userIds : []).map(String))]
+        .filter(id => id && id !== connection.user.id);
+      if (userIds.length > MAX_WATCHED_USERS) {
+        throw new ChatError(`You can follow at most ${MAX_WATCHED_USERS} users`);
+      }
+
+      const allowed = await watchable(connection.user, userIds);
+
+      unwatchAll(connection);
+      allowed.forEach(id => {
+        if (!watchers.has(id)) watchers.set(id, new Set());
+        watchers.get(id).add(connection);
+        connection.watching.add(id);
+      });
+
+      send(connection, {
+        type: 'presence',
+        users: userIds.map(id => (allowed.has(id) ? presenceOf(id) : hiddenPresence(id)))
+      });
+    }
+  };
+
+  function onConnection(connection) {
+    connection.user = null;
+    // set by the tab's first presence frame; until then it doesn't count, so a
+    // user hiding their presence never flashes online while connecting
+    connection.presence = null;
+    connection.watching = new Set();
+
+    // one frame at a time per connection: handlers that wait on the auth
+    // server mustn't let a later send overtake an earlier one
+    let handled = Promise.resolve();
+    connection.on('message', (raw) => {
+      handled = handled.then(() => handleFrame(raw));
+    });
+
+    async function handleFrame(raw) {
+      let frame;
+      try {
+        frame = JSON.parse(raw);
+      } catch {
+        return send(connection, { type: 'error', message: 'Invalid JSON frame' });
+      }
+
+      const handler = handlers[frame?.type];
+      if (!handler) return send(connection, { type: 'error', ref: frame?.type, message: 'Unknown frame type' });
+      if (!connection.user && frame.type !== 'hello') {
+        return send(connection, { type: 'error', ref: frame.type, message: 'Say hello first' });
+      }
+
+      try {
+        await handler(connection, frame);
+      } catch (err) {
+        if (err instanceof ChatError) {
+          send(connection, { type: 'error', ref: frame.type, clientId: frame.clientId, message: err.message });
+          return;
+        }
+
+        console.error('[ChatRelay]', frame.type, err);
+        send(connection, { type: 'error', ref: frame.type, clientId: frame.clientId, message: 'Internal relay error' });
+      }
+    }
+
+    connection.on('close', () => detach(connection));
+  }
+
+  // take a connection off its user's open tabs
+  function detach(connection) {
+    const user = connection.user;
+    if (!user) return;
+
+    unwatchAll(connection);
+
+    const tabs = online.get(user.id);
+    tabs?.delete(connection);
+    if (tabs && tabs.size === 0) {
+      online.delete(user.id);
+      lastSeen.set(user.id, Date.now());
+    }
+    announcePresence(user.id);
+  }
+
+  /**
+   * A deleted account: close its tabs and drop it from the store. The
+   * other side of each direct chat loses it; groups and channels carry on
+   * without them.
+   */
+  function forgetUser(userId) {
+    const key = String(userId);
+    online.get(key)?.forEach(connection => connection.close(4001, 'Account deleted'));
+
+    const conversations = store.listConversationsFor(key);
+    const { removed, changed } = store.removeUser(key);
+
+    conversations
+      .filter(conversation => removed.includes(conversation.id))
+      .forEach(conversation => sendToUsers(conversation.members.filter(id => id !== key), {
+        type: 'removed',
+        conversationId: conversation.id,
+        reason: 'removed'
+      }));
+    changed.map(id => store.getConversation(id)).forEach(conversation => {
+      sendToMembers(conversation, memberId => ({ type: 'conversation', conversation: summarize(conversation, memberId) }));
+    });
+  }
+
+  function isService(req) {
+    let key;
+    try {
+      key = serviceKey();
+    } catch {
+      return false;
+    }
+    if (!key) return false;
+
+    const given = Buffer.from(String(req.headers.authorization || ''));
+    const expected = Buffer.from(`Service ${key}`);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  function readJson(req) {
+    return new Promise((resolve, reject) => {
+      let raw = '';
+      req.on('data', chunk => {
+        raw += chunk;
+        if (raw.length > MAX_INTERNAL_BODY_BYTES) reject(new Error('Body too large'));
+      });
+      req.on('end', () => {
+        try {
+          resolve(JSON.parse(raw || '{}'));
+        } catch {
+          reject(new Error('Invalid JSON body'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  function reply(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(body));
+  }
+
+  const server = http.createServer(async (req, res) => {
+    if (req.url === '/health') return reply(res, 200, { success: true, online: online.size });
+    if (req.url !== '/internal/users/delete') return reply(res, 426, { success: false, message: 'Connect with a WebSocket client' });
+
+    if (req.method !== 'POST') return reply(res, 405, { success: false, message: 'Use POST' });
+    if (!isService(req)) return reply(res, 401, { success: false, message: 'Not authenticated' });
+
+    let body;
+    try {
+      body = await readJson(req);
+    } catch (err) {
+      return reply(res, 400, { success: false, message: err.message });
+    }
+
+    const userId = String(body?.userId ?? '');
+    if (!userId) return reply(res, 400, { success: false, message: 'userId is required' });
+
+    forgetUser(userId);
+    reply(res, 200, { success: true });
+  });
+
+  attachWebSocketServer(server, onConnection);
+
+  if (directory) {
+    const recheck = setInterval(recheckWatches, PRESENCE_RECHECK_MS);
+    recheck.unref();
+    server.on('close', () => clearInterval(recheck));
+  }
+  return server;
+}
+
+module.exports = { createChatRelay, directConversationId, communityChannelId, ChatError };
@@ -0,0 +1,258 @@
+// src/modules/chat/server/chatStore.js
+// Conversation and message storage for the development chat relay.
+// Backed by a JSON file when `file` is given, otherwise kept in memory.
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_MESSAGES_PER_CONVERSATION = 1000;
+
+function emptyData() {
+  return { meta: {}, users: {}, conversations: {}, messages: {} };
+}
+
+function loadData(file) {
+  if (!file || !fs.existsSync(file)) return emptyData();
+
+  try {
+    return { ...emptyData(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (err) {
+    console.error(`[ChatStore] Could not read ${file}, starting empty:`, err.message);
+    return emptyData();
+  }
+}
+
+function createChatStore({ file = null } = {}) {
+  const data = loadData(file);
+
+  function save() {
+    if (!file) return;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    save,
+
+    /* ---- users ---- */
+
+    // the relay only learns names from the auth server, so keep the last one seen
+    upsertUser({ id, username }) {
+      const key = String(id);
+      const existing = data.users[key];
+      if (existing && existing.username === username) return existing;
+
+      data.users[key] = { id: key, username };
+      save();
+      return data.users[key];
+    },
+
+    getUser(id) {
+      return data.users[String(id)] || null;
+    },
+
+    /* ---- conversations ---- */
+
+    getConversation(id) {
+      return data.conversations[id] || null;
+    },
+
+    /**
+     * `type` is 'direct', 'group' or 'channel'. Groups and channels also
+     * carry a name, an owner, admins and who may post ('members' | 'admins');
+     * channels belong to a community.
+     */
+    createConversation({ id, type = 'direct', members, ...details }) {
+      const now = Date.now();
+      const conversation = {
+        id,
+        type,
+        members: members.map(String),
+        ...details,
+        // userId -> { delivered, read }: highest message id each member has seen
+        receipts: {},
+        createdAt: now,
+        updatedAt: now
+      };
+
+      data.conversations[id] = conversation;
+      data.messages[id] = [];
+      save();
+      return conversation;
+    },
+
+    updateConversation(id, patch) {
+      const conversation = data.conversations[id];
+      if (!conversation) return null;
+
+      Object.assign(conversation, patch, { updatedAt: Date.now() });
+      save();
+      return conversation;
+    },
+
+    addMembers(id, userIds) {
+      const conversation = data.conversations[id];
+      if (!conversation) return [];
+
+      const added = userIds.map(String).filter(userId => !conversation.members.includes(userId));
+      if (added.length) {
+        conversation.members.push(...added);
+        save();
+      }
+      return added;
+    },
+
+    removeMember(id, userId) {
+      const conversation = data.conversations[id];
+      const key = String(userId);
+      if (!conversation || !conversation.members.includes(key)) return false;
+
+      conversation.members = conversation.members.filter(m => m !== key);
+      conversation.admins = (conversation.admins || []).filter(a => a !== key);
+      delete conversation.receipts?.[key];
+      save();
+      return true;
+    },
+
+    /**
+     * A deleted account: their direct chats and every message they sent
+     * go, and they leave their groups and channels. A group they owned
+     * passes to its next admin or member. Returns the ids of the
+     * conversations that were removed and of those that changed.
+     */
+    removeUser(userId) {
+      const key = String(userId);
+      const removed = [];
+      const changed = [];
+
+      Object.values(data.conversations).forEach(conversation => {
+        if (!conversation.members.includes(key)) return;
+
+        if (conversation.type === 'direct') {
+          delete data.conversations[conversation.id];
+          delete data.messages[conversation.id];
+          removed.push(conversation.id);
+          return;
+        }
+
+        conversation.members = conversation.members.filter(m => m !== key);
+        conversation.admins = (conversation.admins || []).filter(a => a !== key);
+        delete conversation.receipts?.[key];
+        if (conversation.type === 'group' && conversation.ownerId === key && conversation.members.length) {
+          conversation.ownerId = conversation.admins[0] || conversation.members[0];
+          conversation.admins = [...new Set([conversation.ownerId, ...conversation.admins])];
+        }
+        changed.push(conversation.id);
+      });
+
+      // including groups they'd already left
+      Object.keys(data.messages).forEach(id => {
+        data.messages[id] = data.messages[id].filter(m => m.from !== key);
+      });
+      delete data.users[key];
+      save();
+      return { removed, changed };
+    },
+
+    listConversationsFor(userId) {
+      const key = String(userId);
+      return Object.values(data.conversations)
+        .filter(c => c.members.includes(key))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    /* ---- messages ---- */
+
+    // `system` marks notices like "alice added bob" rather than chat
+    addMessage(conversationId, { from, text, clientId = null, system = false }) {
+      const conversation = data.conversations[conversationId];
+      if (!conversation) return null;
+
+      const id = String(data.meta.nextMessageId || 1);
+      data.meta.nextMessageId = Number(id) + 1;
+
+      const message = {
+        id,
+        clientId,
+        conversationId,
+        from: String(from),
+        text,
+        sentAt: Date.now()
+      };
+      if (system) message.system = true;
+
+      const list = data.messages[conversationId] || (data.messages[conversationId] = []);
+      list.push(message);
+      if (list.length > MAX_MESSAGES_PER_CONVERSATION) list.splice(0, list.length - MAX_MESSAGES_PER_CONVERSATION);
+
+      conversation.updatedAt = message.sentAt;
+      save();
+      return message;
+    },
+
+    /**
+     * A retried send carries the same clientId; return the message it
+     * already produced so the retry doesn't post it twice.
+     */
+    findMessageByClientId(conversationId, from, clientId) {
+      if (!clientId) return null;
+      const list = data.messages[conversationId] || [];
+      return list.find(m => m.clientId === clientId && m.from === String(from)) || null;
+    },
+
+    lastMessage(conversationId) {
+      const list = data.messages[conversationId] || [];
+      return list[list.length - 1] || null;
+    },
+
+    /**
+     * Move a member's delivered/read marker forward to `messageId` (never
+     * back). Reading a message implies it was delivered.
+     */
+    setReceipt(conversationId, userId, kind, messageId) {
+      const conversation = data.conversations[conversationId];
+      if (!conversation) return null;
+
+      const receipts = conversation.receipts || (conversation.receipts = {});
+      const current = receipts[userId] || { delivered: '0', read: '0' };
+      const next = { ...current };
+      const id = Number(messageId);
+
+      if (kind === 'read' && id > Number(current.read)) next.read = String(id);
+      if (id > Number(current.delivered)) next.delivered = String(id);
+
+      if (next.read === current.read && next.delivered === current.delivered) return current;
+
+      receipts[userId] = next;
+      save();
+      return next;
+    },
+
+    // messages from other members after this user's read marker
+    countUnread(conversationId, userId) {
+      const key = String(userId);
+      const read = Number(data.conversations[conversationId]?.receipts?.[key]?.read || 0);
+      const list = data.messages[conversationId] || [];
+      return list.filter(m => !m.system && m.from !== key && Number(m.id) > read).length;
+    },
+
+    /**
+     * Page backwards through a conversation: the `limit` messages sent
+     * before message id `before` (or the latest ones), oldest first.
+     */
+    getMessages(conversationId, { before = null, limit = 50 } = {}) {
+      const list = data.messages[conversationId] || [];
+      const end = before ? list.findIndex(m => m.id === String(before)) : list.length;
+      // the cursor was trimmed off the start: there is nothing older left
+      if (end === -1) return { messages: [], hasMore: false };
+
+      const start = Math.max(0, end - limit);
+      return { messages: list.slice(start, end), hasMore: start > 0 };
+    }
+  };
+}
+
+module.exports = { createChatStore };
@@ -0,0 +1,243 @@
+// src/modules/chat/server/websocket.js
+// Minimal RFC 6455 WebSocket server on top of Node's http module, enough for
+// the development chat relay: text frames, fragmentation, ping/pong, close.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1024 * 1024;
+const HEARTBEAT_MS = 30 * 1000;
+
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_BINARY = 0x2;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * One accepted connection. Emits 'message' (string) and 'close'.
+ */
+class WebSocketConnection extends EventEmitter {
+  constructor(socket, req) {
+    super();
+    this.socket = socket;
+    this.req = req;
+    this.open = true;
+    this.alive = true;
+
+    this._buffer = Buffer.alloc(0);
+    this._fragments = [];
+    this._fragmentOpcode = null;
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this._onData(chunk));
+    socket.on('close', () => this._finish());
+    socket.on('error', () => this._finish());
+  }
+
+  send(text) {
+    if (!this.open) return;
+    this.socket.write(encodeFrame(OP_TEXT, Buffer.from(String(text), 'utf8')));
+  }
+
+  ping() {
+    if (!this.open) return;
+    this.socket.write(encodeFrame(OP_PING));
+  }
+
+  close(code = 1000, reason = '') {
+    if (!this.open) return;
+
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+
+    this.socket.end(encodeFrame(OP_CLOSE, payload));
+    this._finish();
+  }
+
+  terminate() {
+    this.socket.destroy();
+    this._finish();
+  }
+
+  _finish() {
+    if (!this.open) return;
+    this.open = false;
+    this.emit('close');
+  }
+
+  _onData(chunk) {
+    this._buffer = Buffer.concat([this._buffer, chunk]);
+
+    while (this.open) {
+      const frame = this._readFrame();
+      if (!frame) return;
+      this._handleFrame(frame);
+    }
+  }
+
+  _readFrame() {
+    const buf = this._buffer;
+    if (buf.length < 2) return null;
+
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let length = buf[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buf.length < 4) return null;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) return null;
+      const big = buf.readBigUInt64BE(2);
+      if (big > BigInt(MAX_PAYLOAD)) {
+        this.close(1009, 'Message too big');
+        return null;
+      }
+      length = Number(big);
+      offset = 10;
+    }
+
+    if (length > MAX_PAYLOAD) {
+      this.close(1009, 'Message too big');
+      return null;
+    }
+
+    // clients must mask every frame
+    if (!masked) {
+      this.close(1002, 'Unmasked frame');
+      return null;
+    }
+
+    if (buf.length < offset + 4 + length) return null;
+
+    const mask = buf.subarray(offset, offset + 4);
+    const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+
+    this._buffer = buf.subarray(offset + 4 + length);
+    return { fin, opcode, payload };
+  }
+
+  _handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OP_TEXT:
+      case OP_BINARY:
+        if (fin) {
+          if (opcode === OP_TEXT) this.emit('message', payload.toString('utf8'));
+        } else {
+          this._fragmentOpcode = opcode;
+          this._fragments = [payload];
+        }
+        break;
+
+      case OP_CONTINUATION: {
+        if (this._fragmentOpcode === null) return this.close(1002, 'Unexpected continuation');
+
+        this._fragments.push(payload);
+        const size = this._fragments.reduce((n, f) => n + f.length, 0);
+        if (size > MAX_PAYLOAD) return this.close(1009, 'Message too big');
+
+        if (fin) {
+          const message = Buffer.concat(this._fragments);
+          const wasText = this._fragmentOpcode === OP_TEXT;
+          this._fragments = [];
+          this._fragmentOpcode = null;
+          if (wasText) this.emit('message', message.toString('utf8'));
+        }
+        break;
+      }
+
+      case OP_PING:
+        this.socket.write(encodeFrame(OP_PONG, payload));
+        break;
+
+      case OP_PONG:
+        this.alive = true;
+        break;
+
+      case OP_CLOSE:
+        this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        break;
+
+      default:
+        this.close(1003, 'Unsupported frame');
+    }
+  }
+}
+
+/**
+ * Accept WebSocket upgrades on `server` (an http.Server).
+ * Calls onConnection(connection) for every accepted client.
+ */
+function attachWebSocketServer(server, onConnection, { path = null } = {}) {
+  const connections = new Set();
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket' || (path && pathname !== path)) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+
+    const connection = new WebSocketConnection(socket, req);
+    connections.add(connection);
+    connection.on('close', () => connections.delete(connection));
+
+    onConnection(connection);
+  });
+
+  // drop clients that stop answering pings
+  const heartbeat = setInterval(() => {
+    connections.forEach(connection => {
+      if (!connection.alive) return connection.terminate();
+      connection.alive = false;
+      connection.ping();
+    });
+  }, HEARTBEAT_MS);
+
+  server.on('close', () => clearInterval(heartbeat));
+
+  return { connections };
+}
+
+module.exports = { attachWebSocketServer, WebSocketConnection };
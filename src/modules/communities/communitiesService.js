@@ -0,0 +1,436 @@
+// src/modules/communities/communitiesService.js
+// Client-side communities state: every community, which ones the signed-in
+// user has joined, join/leave/create, the staff tools (edit, ranks,
+// kick, ban) and shouts. Joining and leaving update the lists straight away and roll
+// back if the source refuses; staff actions are permission-checked against
+// the roles in communitiesHelpers.js. Components subscribe() and re-render
+// from the getters; the data source is pluggable.
+
+import { authAPI, isMockAuth } from '../auth-module/auth.js';
+import { createLocalCommunitiesSource, createServerCommunitiesSource } from './communitiesSource.js';
+import {
+  ROLES, can, isMember, matchesQuery, normalizeName, permissionError, roleLevel, roleOf,
+  sameId, sortByMembers, sortByName, validateCommunity, validateRanks, validateShout
+} from './communitiesHelpers.js';
+
+/* ============ CONFIG ============ */
+// 'auto' uses the auth server's /communities routes, or the local source
+// (shared localStorage) when auth runs on the in-browser mock. Set
+// window.COMMUNITIES_CONFIG = { source } before main.js loads, or call
+// configureCommunities({ source }), with 'server', 'local', 'memory' or an
+// object implementing the interface documented in communitiesSource.js.
+const communitiesConfig = {
+  source: 'auto',
+  ...(window.COMMUNITIES_CONFIG || {})
+};
+
+let source = null;
+let unwatchSource = () => {};
+
+function createSource(option) {
+  if (option === 'auto') return createSource(isMockAuth() ? 'local' : 'server');
+  if (option === 'server') return createServerCommunitiesSource({ api: authAPI, getToken: () => session()?.getToken() });
+  if (option === 'local') return createLocalCommunitiesSource();
+  if (option === 'memory') return createLocalCommunitiesSource({ storage: null });
+  return option;
+}
+
+function useSource(option) {
+  unwatchSource();
+  source = createSource(option);
+  unwatchSource = source.subscribe?.(() => refresh()) || (() => {});
+}
+
+export function configureCommunities(options = {}) {
+  Object.assign(communitiesConfig, options);
+  if (options.source && initialized) {
+    useSource(communitiesConfig.source);
+    loadForSession();
+  }
+  return { ...communitiesConfig };
+}
+
+/* ============ STATE ============ */
+const state = {
+  // 'loading' | 'ready' | 'error'
+  status: 'loading',
+  me: null,
+  error: null,
+  communities: [],
+  // ids with a join or leave still on its way to the source
+  pending: new Set()
+};
+
+const listeners = new Set();
+let initialized = false;
+// bumped on every session change so a slow load for the old user is ignored
+let loadId = 0;
+let loading = null;
+
+function notify() {
+  listeners.forEach(fn => {
+    try {
+      fn(state);
+    } catch (err) {
+      console.error('[Communities] Listener failed:', err);
+    }
+  });
+}
+
+function session() {
+  return window.SessionManager;
+}
+
+function currentUser() {
+  const user = session()?.isAuthenticated() ? session().getUser() : null;
+  return user ? { id: String(user.id), username: user.username } : null;
+}
+
+function refresh() {
+  const id = loadId;
+
+  loading = (async () => {
+    try {
+      const communities = await source.list();
+      if (id !== loadId) return;
+
+      state.communities = communities;
+      state.status = 'ready';
+      state.error = null;
+    } catch (err) {
+      if (id !== loadId) return;
+      console.error('[Communities] Could not load communities:', err);
+      state.status = 'error';
+      state.error = 'Could not load communities';
+    }
+    notify();
+  })();
+
+  return loading;
+}
+
+// communities are public, so they load signed out too; only "joined" changes
+function loadForSession() {
+  loadId++;
+  state.me = currentUser();
+  state.pending.clear();
+  if (state.status !== 'ready') state.status = 'loading';
+  notify();
+
+  return refresh();
+}
+
+async function ensureLoaded() {
+  communitiesService.init();
+  await loading;
+  return state.status === 'ready';
+}
+
+function replaceCommunity(next) {
+  state.communities = state.communities.map(c => (sameId(c.id, next.id) ? next : c));
+}
+
+/**
+ * Apply a join/leave to the local lists right away, then ask the source.
+ * Reloads afterwards either way so the counts match what was stored.
+ */
+async function optimistic(id, { apply, send }) {
+  if (!state.me) return { success: false, message: 'Sign in to join communities' };
+  if (state.pending.has(String(id))) return { success: false, message: 'Hang on, still saving your last change' };
+
+  const before = state.communities.find(c => sameId(c.id, id));
+  if (!before) return { success: false, message: 'Community not found' };
+
+  state.pending.add(String(id));
+  replaceCommunity(apply(before, state.me));
+  notify();
+
+  let result;
+  try {
+    result = await send(state.me);
+  } catch (err) {
+    console.error('[Communities] Request failed:', err);
+    result = { success: false, message: 'Something went wrong, please try again' };
+  }
+
+  state.pending.delete(String(id));
+  if (!result.success) replaceCommunity(before);
+  notify();
+
+  refresh();
+  return result;
+}
+
+/**
+ * Check the signed-in user may do `action` before asking the source (which
+ * checks again), then reload so every view agrees.
+ */
+async function staffAction(id, action, options, send) {
+  if (!state.me) return { success: false, message: 'Sign in to manage communities' };
+
+  const denied = permissionError(communitiesService.getCommunity(id), state.me.id, action, options);
+  if (denied) return { success: false, message: denied };
+
+  let result;
+  try {
+    result = await send(state.me);
+  } catch (err) {
+    console.error('[Communities] Request failed:', err);
+    return { success: false, message: 'Something went wrong, please try again' };
+  }
+
+  if (result.success) await refresh();
+  return result;
+}
+
+/**
+ * Like staffAction, but shouts don't change the community itself, so
+ * listeners are told without reloading every community. `action` is null
+ * when only the source can decide (deleting your own shout).
+ */
+async function shoutAction(id, action, send) {
+  if (!state.me) return { success: false, message: 'Sign in to post shouts' };
+
+  const denied = action && permissionError(communitiesService.getCommunity(id), state.me.id, action);
+  if (denied) return { success: false, message: denied };
+
+  let result;
+  try {
+    result = await send(state.me);
+  } catch (err) {
+    console.error('[Communities] Request failed:', err);
+    return { success: false, message: 'Something went wrong, please try again' };
+  }
+
+  if (result.success) notify();
+  return result;
+}
+
+/* ============ PUBLIC API ============ */
+export const communitiesService = {
+  init() {
+    if (initialized) return;
+    initialized = true;
+
+    useSource(communitiesConfig.source);
+
+    window.addEventListener('session:login', loadForSession);
+    window.addEventListener('session:logout', loadForSession);
+    window.addEventListener('session:update', (e) => {
+      if (e.detail?.switched) loadForSession();
+    });
+
+    loadForSession();
+  },
+
+  getState() {
+    return state;
+  },
+
+  subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  },
+
+  refresh,
+
+  getCommunity(id) {
+    return state.communities.find(c => sameId(c.id, id)) || null;
+  },
+
+  // the signed-in user's communities, A–Z
+  getJoined() {
+    if (!state.me) return [];
+    return sortByName(state.communities.filter(c => isMember(c, state.me.id)));
+  },
+
+  // everything else, biggest first
+  getDiscover() {
+    return sortByMembers(state.communities.filter(c => !state.me || !isMember(c, state.me.id)));
+  },
+
+  isMember(id) {
+    return Boolean(state.me) && isMember(this.getCommunity(id), state.me.id);
+  },
+
+  isPending(id) {
+    return state.pending.has(String(id));
+  },
+
+  // 'owner' | 'admin' | 'moderator' | 'member', or null if not a member
+  getRole(id) {
+    return state.me ? roleOf(this.getCommunity(id), state.me.id) : null;
+  },
+
+  /**
+   * Whether the signed-in user may `action` ('edit', 'setRole', 'kick',
+   * 'ban', 'unban', 'shout', 'pinShout', 'deleteShout') in this community at
+   * all; the service still checks each target when the action runs.
+   */
+  can(id, action) {
+    return can(this.getRole(id), action, this.getCommunity(id));
+  },
+
+  /**
+   * `filter` is 'all' (default), 'joined' or 'discover'.
+   */
+  async list({ filter = 'all', query = '' } = {}) {
+    if (!(await ensureLoaded())) return { success: false, message: state.error };
+
+    const lists = {
+      all: () => sortByName(state.communities),
+      joined: () => this.getJoined(),
+      discover: () => this.getDiscover()
+    };
+    const communities = (lists[filter] || lists.all)().filter(c => matchesQuery(c, query));
+    return { success: true, communities };
+  },
+
+  search(query, { filter = 'all' } = {}) {
+    return this.list({ filter, query });
+  },
+
+  async get(id) {
+    this.init();
+    try {
+      const community = await source.get(id);
+      return community
+        ? { success: true, community }
+        : { success: false, message: 'Community not found' };
+    } catch (err) {
+      console.error('[Communities] Could not load community:', err);
+      return { success: false, message: 'Could not load this community' };
+    }
+  },
+
+  join(id) {
+    return optimistic(id, {
+      apply: (community, me) => ({
+        ...community,
+        members: community.members + 1,
+        memberIds: [...community.memberIds, me.id],
+        memberList: [...community.memberList, { id: me.id, name: me.username, role: 'member', joinedAt: Date.now() }]
+      }),
+      send: me => source.join(me, id)
+    });
+  },
+
+  leave(id) {
+    return optimistic(id, {
+      apply: (community, me) => ({
+        ...community,
+        members: Math.max(0, community.members - 1),
+        memberIds: community.memberIds.filter(m => !sameId(m, me.id)),
+        memberList: community.memberList.filter(m => !sameId(m.id, me.id))
+      }),
+      send: me => source.leave(me, id)
+    });
+  },
+
+  /**
+   * Resolves { success, community } or { success: false, message, errors }
+   * with per-field errors from validateCommunity().
+   */
+  async create({ name, icon = '', description = '', tags = [] } = {}) {
+    if (!state.me) return { success: false, message: 'Sign in to create a community' };
+
+    const errors = validateCommunity({ name, icon, description, tags });
+    if (Object.keys(errors).length) {
+      return { success: false, message: Object.values(errors)[0], errors };
+    }
+
+    let result;
+    try {
+      result = await source.create(state.me, { name: normalizeName(name), icon, description, tags });
+    } catch (err) {
+      console.error('[Communities] Could not create community:', err);
+      return { success: false, message: 'Something went wrong, please try again' };
+    }
+
+    if (!result.success) return { ...result, errors: { name: result.message } };
+    await refresh();
+    return result;
+  },
+
+  /**
+   * Edit details and rank names. `changes` may hold any of name, icon,
+   * description, ranks ({ member: 'Builder', ... }) and shoutRole (the
+   * lowest role that may post shouts). Resolves like
+   * create() on failure, with per-field errors.
+   */
+  async updateCommunity(id, changes = {}) {
+    const community = this.getCommunity(id);
+    if (!community) return { success: false, message: 'Community not found' };
+
+    const errors = {
+      ...validateCommunity({ ...community, ...changes }),
+      ...(changes.ranks ? validateRanks(changes.ranks) : {})
+    };
+    if (Object.keys(errors).length) {
+      return { success: false, message: Object.values(errors)[0], errors };
+    }
+
+    return staffAction(id, 'edit', {}, me => source.update(me, id, changes));
+  },
+
+  setRole(id, userId, role) {
+    return staffAction(id, 'setRole', { targetId: userId, role }, me => source.setRole(me, id, userId, role));
+  },
+
+  // one rank up or down; never to owner, never below member
+  promote(id, userId) {
+    const role = ROLES[roleLevel(roleOf(this.getCommunity(id), userId)) + 1];
+    return this.setRole(id, userId, role);
+  },
+
+  demote(id, userId) {
+    const current = roleLevel(roleOf(this.getCommunity(id), userId));
+    if (current <= 0) return Promise.resolve({ success: false, message: "They're already at the lowest rank" });
+    return this.setRole(id, userId, ROLES[current - 1]);
+  },
+
+  kick(id, userId) {
+    return staffAction(id, 'kick', { targetId: userId }, me => source.kick(me, id, userId));
+  },
+
+  ban(id, userId) {
+    return staffAction(id, 'ban', { targetId: userId }, me => source.ban(me, id, userId));
+  },
+
+  unban(id, userId) {
+    return staffAction(id, 'unban', { targetId: userId }, me => source.unban(me, id, userId));
+  },
+
+  /**
+   * One page of shouts, newest first, plus the pinned one. Pass the oldest
+   * createdAt you have as `before` to get the page after it. Shouts aren't
+   * kept in state; the shout box loads them itself.
+   */
+  async listShouts(id, { before = null, limit = 10 } = {}) {
+    this.init();
+    try {
+      return { success: true, ...(await source.listShouts(id, { before, limit })) };
+    } catch (err) {
+      console.error('[Communities] Could not load shouts:', err);
+      return { success: false, message: 'Could not load shouts' };
+    }
+  },
+
+  // resolves { success, shout } with the stored shout
+  postShout(id, text) {
+    const invalid = validateShout(text);
+    if (invalid) return Promise.resolve({ success: false, message: invalid });
+    return shoutAction(id, 'shout', me => source.postShout(me, id, text));
+  },
+
+  pinShout(id, shoutId, pinned = true) {
+    return shoutAction(id, 'pinShout', me => source.pinShout(me, id, shoutId, pinned));
+  },
+
+  // the source lets authors delete their own shouts whatever their rank
+  deleteShout(id, shoutId) {
+    return shoutAction(id, null, me => source.deleteShout(me, id, shoutId));
+  }
+};
+
+export default communitiesService;
@@ -0,0 +1,467 @@
+// src/modules/communities/communitiesSource.js
+// Data sources for the communities service. The server source talks to the
+// auth server's /communities routes, which hold the record and check every
+// permission, so the chat relay can trust who is in a community. The local
+// source is for the in-browser auth mock: one shared record (localStorage,
+// or memory when `storage` is null), seeded with a few sample communities,
+// so accounts on this device see each other's joins.
+//
+// Any object with the same async methods can be handed to
+// configureCommunities():
+//   list()                 -> [community]
+//   get(id)                -> community | null
+//   create(me, details)    -> { success, community }
+//   join(me, id)
+//   leave(me, id)
+//   update(me, id, changes)   changes: { name, icon, description, ranks, shoutRole }
+//   setRole(me, id, userId, role)
+//   kick(me, id, userId)
+//   ban(me, id, userId)
+//   unban(me, id, userId)
+//   listShouts(id, { before, limit }) -> { shouts, pinned, hasMore }
+//   postShout(me, id, text)        -> { success, shout }
+//   pinShout(me, id, shoutId, pinned)
+//   deleteShout(me, id, shoutId)
+//   subscribe(fn)          -> unsubscribe; optional, fn() on outside changes
+// `me` is { id, username }; `details` is { name, icon, description, tags }.
+// Mutations resolve { success, message? } and check permissions themselves,
+// as a real backend would. A community is
+//   { id, name, icon, description, tags, creator, ownerId, createdAt,
+//     ranks: { owner, admin, moderator, member }, shoutRole, members, memberIds,
+//     memberList: [{ id, name, role, joinedAt }], bans: [{ id, name, at }] }
+// where `members` is the member count and `ranks` the display names. A
+// shout is { id, author: { id, username }, text, createdAt, pinned }; lists
+// are newest first and `before` is the createdAt to page back from.
+
+import { DEFAULT_RANKS, ROLES, normalizeName, permissionError, sameId } from './communitiesHelpers.js';
+
+const STORAGE_KEY = 'communities_db';
+// how often the server source looks for changes made elsewhere
+const SERVER_POLL_MS = 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function key(id) {
+  return String(id);
+}
+
+function person({ id, username }) {
+  return { id: key(id), username };
+}
+
+function sampleMember(id, username, role = 'member') {
+  return { user: { id, username }, role, joinedAt: Date.now() - 30 * DAY };
+}
+
+const SAMPLE_SHOUTS = [
+  'Welcome! Say hi in **#general** and share what you are building.',
+  'Weekly build challenge: make an obby in under an hour. Post screenshots!',
+  'New starter template is up: https://example.com/templates/obby',
+  'Thanks @PixelDev for the low-poly pack, it looks great in our lobby.',
+  'Reminder: be kind, keep it on topic and no spam.',
+  'Anyone up for a team build this weekend?',
+  'Check the [getting started guide](https://example.com/docs/start) if you are new.',
+  'Server maintenance tonight, chat may be quiet for a bit.'
+];
+
+// a few pages of shouts so the sample communities have history to scroll
+function sampleShouts(authors, count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `sample-${i + 1}`,
+    author: authors[i % authors.length],
+    text: SAMPLE_SHOUTS[i % SAMPLE_SHOUTS.length],
+    createdAt: Date.now() - (count - i) * 7 * HOUR,
+    pinned: i === 0
+  }));
+}
+
+// `extraMembers` stands in for everyone who isn't a real account here
+function seedData() {
+  const created = Date.now() - 120 * DAY;
+
+  return {
+    meta: { nextId: 5 },
+    communities: [
+      {
+        id: '1', name: 'Game Builders', icon: '', createdAt: created, extraMembers: 1240,
+        description: 'Share builds, swap tips and find people to make games with.',
+        tags: ['building', 'templates', 'tutorials'],
+        creator: { id: 'sample-1', username: 'BuilderGuy' },
+        members: [sampleMember('sample-1', 'BuilderGuy', 'owner'), sampleMember('sample-2', 'PixelDev')],
+        shouts: sampleShouts([{ id: 'sample-1', username: 'BuilderGuy' }, { id: 'sample-2', username: 'PixelDev' }], 24)
+      },
+      {
+        id: '2', name: 'UI Designers', icon: '', createdAt: created, extraMembers: 380,
+        description: 'Menus, HUDs and everything players click on.',
+        tags: ['ui', 'design', 'assets'],
+        creator: { id: 'sample-3', username: 'Alex' },
+        members: [sampleMember('sample-3', 'Alex', 'owner')]
+      },
+      {
+        id: '3', name: 'Scripting Help', icon: '', createdAt: created, extraMembers: 2105,
+        description: 'Ask questions about scripting, data stores and performance.',
+        tags: ['scripting', 'documentation', 'performance', 'data'],
+        creator: { id: 'sample-4', username: 'DynaBlock Team' },
+        members: [sampleMember('sample-4', 'DynaBlock Team', 'owner'), sampleMember('sample-1', 'BuilderGuy')],
+        shouts: sampleShouts([{ id: 'sample-4', username: 'DynaBlock Team' }], 5)
+      },
+      {
+        id: '4', name: 'PixelDev', icon: '', createdAt: created, extraMembers: 96,
+        description: 'Low-poly art, sound packs and other assets by PixelDev.',
+        tags: ['assets', 'models', 'audio'],
+        creator: { id: 'sample-2', username: 'PixelDev' },
+        members: [sampleMember('sample-2', 'PixelDev', 'owner')]
+      }
+    ]
+  };
+}
+
+function toCommunity(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    icon: record.icon,
+    description: record.description,
+    tags: [...(record.tags || [])],
+    creator: record.creator.username,
+    ownerId: record.creator.id,
+    createdAt: record.createdAt,
+    ranks: { ...DEFAULT_RANKS, ...(record.ranks || {}) },
+    shoutRole: record.shoutRole || 'member',
+    members: record.members.length + (record.extraMembers || 0),
+    memberIds: record.members.map(m => m.user.id),
+    memberList: record.members.map(m => ({
+      id: m.user.id,
+      name: m.user.username,
+      role: m.role,
+      joinedAt: m.joinedAt
+    })),
+    bans: (record.bans || []).map(b => ({ id: b.user.id, name: b.user.username, at: b.at }))
+  };
+}
+
+export function createLocalCommunitiesSource({ storage = localStorage } = {}) {
+  let memory = seedData();
+
+  function load() {
+    if (!storage) return memory;
+
+    try {
+      const saved = JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+      return saved && Array.isArray(saved.communities) ? saved : seedData();
+    } catch {
+      return seedData();
+    }
+  }
+
+  // read, change and write back in one go so two tabs don't interleave
+  function update(change) {
+    const data = load();
+    const result = change(data);
+
+    if (result.success !== false) {
+      if (storage) storage.setItem(STORAGE_KEY, JSON.stringify(data));
+      else memory = data;
+    }
+    return result;
+  }
+
+  function find(data, id) {
+    return data.communities.find(c => c.id === key(id));
+  }
+
+  function membership(record, userId) {
+    return record.members.find(m => sameId(m.user.id, userId));
+  }
+
+  function isBanned(record, userId) {
+    return (record.bans || []).some(b => sameId(b.user.id, userId));
+  }
+
+  function nameTaken(data, name, exceptId = null) {
+    return data.communities.find(c => c.name.toLowerCase() === name.toLowerCase() && c.id !== exceptId);
+  }
+
+  /**
+   * Look the community up and check `me` may do `action` before `change`
+   * runs, so every staff action goes through the same rules.
+   */
+  function staffAction(me, id, action, options, change) {
+    return update(data => {
+      const record = find(data, id);
+      const denied = permissionError(record && toCommunity(record), me.id, action, options);
+      if (denied) return { success: false, message: denied };
+      return change(record, data);
+    });
+  }
+
+  return {
+    async list() {
+      return load().communities.map(toCommunity);
+    },
+
+    async get(id) {
+      const record = find(load(), id);
+      return record ? toCommunity(record) : null;
+    },
+
+    async create(me, { name, icon = '', description = '', tags = [] }) {
+      return update(data => {
+        const cleanName = normalizeName(name);
+        const taken = nameTaken(data, cleanName);
+        if (taken) return { success: false, message: `There's already a community called "${taken.name}"` };
+
+        const id = String(data.meta.nextId || 1);
+        data.meta.nextId = Number(id) + 1;
+
+        const record = {
+          id,
+          name: cleanName,
+          icon: String(icon || '').trim(),
+          description: String(description || '').trim(),
+          tags: tags.map(t => String(t).trim().toLowerCase()).filter(Boolean),
+          creator: person(me),
+          createdAt: Date.now(),
+          ranks: { ...DEFAULT_RANKS },
+          members: [{ user: person(me), role: 'owner', joinedAt: Date.now() }],
+          bans: []
+        };
+        data.communities.push(record);
+        return { success: true, community: toCommunity(record) };
+      });
+    },
+
+    async join(me, id) {
+      return update(data => {
+        const record = find(data, id);
+        if (!record) return { success: false, message: 'Community not found' };
+        if (membership(record, me.id)) return { success: false, message: `You're already in ${record.name}` };
+        if (isBanned(record, me.id)) return { success: false, message: `You've been banned from ${record.name}` };
+
+        record.members.push({ user: person(me), role: 'member', joinedAt: Date.now() });
+        return { success: true };
+      });
+    },
+
+    async leave(me, id) {
+      return update(data => {
+        const record = find(data, id);
+        if (!record) return { success: false, message: 'Community not found' };
+
+        const member = membership(record, me.id);
+        if (!member) return { success: false, message: `You're not in ${record.name}` };
+        if (member.role === 'owner') return { success: false, message: "Owners can't leave their own community" };
+
+        record.members = record.members.filter(m => m !== member);
+        return { success: true };
+      });
+    },
+
+    async update(me, id, { name, icon, description, ranks, shoutRole } = {}) {
+      return staffAction(me, id, 'edit', {}, (record, data) => {
+        if (name !== undefined) {
+          const cleanName = normalizeName(name);
+          const taken = nameTaken(data, cleanName, record.id);
+          if (taken) return { success: false, message: `There's already a community called "${taken.name}"` };
+          record.name = cleanName;
+        }
+        if (icon !== undefined) record.icon = String(icon || '').trim();
+        if (description !== undefined) record.description = String(description || '').trim();
+        if (shoutRole !== undefined) {
+          if (!ROLES.includes(shoutRole)) return { success: false, message: 'Pick a valid rank' };
+          record.shoutRole = shoutRole;
+        }
+        if (ranks) {
+          record.ranks = { ...DEFAULT_RANKS, ...(record.ranks || {}) };
+          ROLES.forEach(role => {
+            if (ranks[role] !== undefined) record.ranks[role] = normalizeName(ranks[role]);
+          });
+        }
+        return { success: true, community: toCommunity(record) };
+      });
+    },
+
+    async setRole(me, id, userId, role) {
+      return staffAction(me, id, 'setRole', { targetId: userId, role }, (record) => {
+        membership(record, userId).role = role;
+        return { success: true };
+      });
+    },
+
+    async kick(me, id, userId) {
+      return staffAction(me, id, 'kick', { targetId: userId }, (record) => {
+        record.members = record.members.filter(m => !sameId(m.user.id, userId));
+        return { success: true };
+      });
+    },
+
+    async ban(me, id, userId) {
+      return staffAction(me, id, 'ban', { targetId: userId }, (record) => {
+        const member = membership(record, userId);
+        record.members = record.members.filter(m => m !== member);
+        record.bans = [...(record.bans || []), { user: member.user, by: key(me.id), at: Date.now() }];
+        return { success: true };
+      });
+    },
+
+    async unban(me, id, userId) {
+      return staffAction(me, id, 'unban', { targetId: userId }, (record) => {
+        if (!isBanned(record, userId)) return { success: false, message: "That user isn't banned" };
+
+        record.bans = record.bans.filter(b => !sameId(b.user.id, userId));
+        return { success: true };
+      });
+    },
+
+    async listShouts(id, { before = null, limit = 10 } = {}) {
+      const record = find(load(), id);
+      if (!record) return { shouts: [], pinned: null, hasMore: false };
+
+      const all = [...(record.shouts || [])].sort((a, b) => b.createdAt - a.createdAt);
+      const older = all.filter(shout => !shout.pinned && (before === null || shout.createdAt < before));
+
+      return {
+        shouts: older.slice(0, limit),
+        pinned: all.find(shout => shout.pinned) || null,
+        hasMore: older.length > limit
+      };
+    },
+
+    async postShout(me, id, text) {
+      return staffAction(me, id, 'shout', {}, (record, data) => {
+        const shout = {
+          id: String(data.meta.nextShoutId || 1),
+          author: person(me),
+          text: String(text).trim(),
+          createdAt: Date.now(),
+          pinned: false
+        };
+        data.meta.nextShoutId = Number(shout.id) + 1;
+        record.shouts = [...(record.shouts || []), shout];
+        return { success: true, shout };
+      });
+    },
+
+    // one pinned shout at a time; pinning another replaces it
+    async pinShout(me, id, shoutId, pinned = true) {
+      return staffAction(me, id, 'pinShout', {}, (record) => {
+        const shout = (record.shouts || []).find(s => s.id === key(shoutId));
+        if (!shout) return { success: false, message: 'That shout was deleted' };
+
+        record.shouts.forEach(s => { s.pinned = false; });
+        shout.pinned = Boolean(pinned);
+        return { success: true };
+      });
+    },
+
+    async deleteShout(me, id, shoutId) {
+      return update(data => {
+        const record = find(data, id);
+        const shout = (record?.shouts || []).find(s => s.id === key(shoutId));
+        if (!shout) return { success: false, message: 'That shout was already deleted' };
+
+        if (!sameId(shout.author.id, me.id)) {
+          const denied = permissionError(toCommunity(record), me.id, 'deleteShout');
+          if (denied) return { success: false, message: denied };
+        }
+
+        record.shouts = record.shouts.filter(s => s !== shout);
+        return { success: true };
+      });
+    },
+
+    // another tab (or account on this device) changed the shared record
+    subscribe(fn) {
+      if (!storage) return () => {};
+
+      const onStorage = (e) => {
+        if (e.key === STORAGE_KEY) fn();
+      };
+      window.addEventListener('storage', onStorage);
+      return () => window.removeEventListener('storage', onStorage);
+    }
+  };
+}
+
+/**
+ * The auth server's /communities routes. `api` is authAPI and `getToken()`
+ * the signed-in user's access token.
+ */
+export function createServerCommunitiesSource({ api, getToken }) {
+  return {
+    async list() {
+      const result = await api.listCommunities();
+      if (!result.success) throw new Error(result.message);
+      return result.communities;
+    },
+
+    async get(id) {
+      const result = await api.getCommunity(id);
+      if (result.success) return result.community;
+      if (result.message === 'Community not found') return null;
+      throw new Error(result.message);
+    },
+
+    create(me, details) {
+      return api.createCommunity(getToken(), details);
+    },
+
+    join(me, id) {
+      return api.joinCommunity(getToken(), id);
+    },
+
+    leave(me, id) {
+      return api.leaveCommunity(getToken(), id);
+    },
+
+    update(me, id, changes) {
+      return api.updateCommunity(getToken(), id, changes);
+    },
+
+    setRole(me, id, userId, role) {
+      return api.setCommunityRole(getToken(), id, userId, role);
+    },
+
+    kick(me, id, userId) {
+      return api.kickFromCommunity(getToken(), id, userId);
+    },
+
+    ban(me, id, userId) {
+      return api.banFromCommunity(getToken(), id, userId);
+    },
+
+    unban(me, id, userId) {
+      return api.unbanFromCommunity(getToken(), id, userId);
+    },
+
+    async listShouts(id, options) {
+      const result = await api.listShouts(id, options);
+      if (!result.success) throw new Error(result.message);
+
+      const { shouts, pinned, hasMore } = result;
+      return { shouts, pinned, hasMore };
+    },
+
+    postShout(me, id, text) {
+      return api.postShout(getToken(), id, text);
+    },
+
+    pinShout(me, id, shoutId, pinned) {
+      return api.pinShout(getToken(), id, shoutId, pinned);
+    },
+
+    deleteShout(me, id, shoutId) {
+      return api.deleteShout(getToken(), id, shoutId);
+    },
+
+    // joins, kicks and edits by other people happen on the server
+    subscribe(fn) {
+      const timer = setInterval(fn, SERVER_POLL_MS);
+      window.addEventListener('focus', fn);
+      return () => {
+        clearInterval(timer);
+        window.removeEventListener('focus', fn);
+      };
+    }
+  };
+}
@@ -0,0 +1,412 @@
+// src/modules/communities/server/communitiesStore.js
+// Communities, their members, bans and shouts for the local auth server,
+// which serves them under /communities. The same record and rules as the
+// browser's local source (../communitiesSource.js): keep the two in step.
+// Backed by a JSON file when `file` is given, otherwise kept in memory;
+// either way it starts with the same sample communities.
+//
+// Requests come straight from clients, so mutations validate what they're
+// given and check permissions themselves. They return { success, message?,
+// status? } where `status` is the HTTP status to answer a failure with (400
+// when missing).
+
+const fs = require('fs');
+const path = require('path');
+const {
+  DEFAULT_RANKS, ROLES, normalizeName, permissionError, sameId, validateCommunity, validateRanks, validateShout
+} = require('./communityRules.js');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const MAX_TAGS = 10;
+const MAX_SHOUT_PAGE = 50;
+
+function key(id) {
+  return String(id);
+}
+
+function person({ id, username }) {
+  return { id: key(id), username };
+}
+
+function sampleMember(id, username, role = 'member') {
+  return { user: { id, username }, role, joinedAt: Date.now() - 30 * DAY };
+}
+
+const SAMPLE_SHOUTS = [
+  'Welcome! Say hi in **#general** and share what you are building.',
+  'Weekly build challenge: make an obby in under an hour. Post screenshots!',
+  'New starter template is up: https://example.com/templates/obby',
+  'Thanks @PixelDev for the low-poly pack, it looks great in our lobby.',
+  'Reminder: be kind, keep it on topic and no spam.',
+  'Anyone up for a team build this weekend?',
+  'Check the [getting started guide](https://example.com/docs/start) if you are new.',
+  'Server maintenance tonight, chat may be quiet for a bit.'
+];
+
+// a few pages of shouts so the sample communities have history to scroll
+function sampleShouts(authors, count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `sample-${i + 1}`,
+    author: authors[i % authors.length],
+    text: SAMPLE_SHOUTS[i % SAMPLE_SHOUTS.length],
+    createdAt: Date.now() - (count - i) * 7 * HOUR,
+    pinned: i === 0
+  }));
+}
+
+// `extraMembers` stands in for everyone who isn't a real account here
+function seedData() {
+  const created = Date.now() - 120 * DAY;
+
+  return {
+    meta: { nextId: 5 },
+    communities: [
+      {
+        id: '1', name: 'Game Builders', icon: '', createdAt: created, extraMembers: 1240,
+        description: 'Share builds, swap tips and find people to make games with.',
+        tags: ['building', 'templates', 'tutorials'],
+        creator: { id: 'sample-1', username: 'BuilderGuy' },
+        members: [sampleMember('sample-1', 'BuilderGuy', 'owner'), sampleMember('sample-2', 'PixelDev')],
+        shouts: sampleShouts([{ id: 'sample-1', username: 'BuilderGuy' }, { id: 'sample-2', username: 'PixelDev' }], 24)
+      },
+      {
+        id: '2', name: 'UI Designers', icon: '', createdAt: created, extraMembers: 380,
+        description: 'Menus, HUDs and everything players click on.',
+        tags: ['ui', 'design', 'assets'],
+        creator: { id: 'sample-3', username: 'Alex' },
+        members: [sampleMember('sample-3', 'Alex', 'owner')]
+      },
+      {
+        id: '3', name: 'Scripting Help', icon: '', createdAt: created, extraMembers: 2105,
+        description: 'Ask questions about scripting, data stores and performance.',
+        tags: ['scripting', 'documentation', 'performance', 'data'],
+        creator: { id: 'sample-4', username: 'DynaBlock Team' },
+        members: [sampleMember('sample-4', 'DynaBlock Team', 'owner'), sampleMember('sample-1', 'BuilderGuy')],
+        shouts: sampleShouts([{ id: 'sample-4', username: 'DynaBlock Team' }], 5)
+      },
+      {
+        id: '4', name: 'PixelDev', icon: '', createdAt: created, extraMembers: 96,
+        description: 'Low-poly art, sound packs and other assets by PixelDev.',
+        tags: ['assets', 'models', 'audio'],
+        creator: { id: 'sample-2', username: 'PixelDev' },
+        members: [sampleMember('sample-2', 'PixelDev', 'owner')]
+      }
+    ]
+  };
+}
+
+function loadData(file) {
+  if (!file || !fs.existsSync(file)) return seedData();
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return saved && Array.isArray(saved.communities) ? saved : seedData();
+  } catch (err) {
+    console.error(`[CommunitiesStore] Could not read ${file}, starting from the samples:`, err.message);
+    return seedData();
+  }
+}
+
+function toCommunity(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    icon: record.icon,
+    description: record.description,
+    tags: [...(record.tags || [])],
+    creator: record.creator.username,
+    ownerId: record.creator.id,
+    createdAt: record.createdAt,
+    ranks: { ...DEFAULT_RANKS, ...(record.ranks || {}) },
+    shoutRole: record.shoutRole || 'member',
+    members: record.members.length + (record.extraMembers || 0),
+    memberIds: record.members.map(m => m.user.id),
+    memberList: record.members.map(m => ({
+      id: m.user.id,
+      name: m.user.username,
+      role: m.role,
+      joinedAt: m.joinedAt
+    })),
+    bans: (record.bans || []).map(b => ({ id: b.user.id, name: b.user.username, at: b.at }))
+  };
+}
+
+function cleanTags(tags) {
+  return (Array.isArray(tags) ? tags : [])
+    .map(t => String(t).trim().toLowerCase())
+    .filter(Boolean)
+    .slice(0, MAX_TAGS);
+}
+
+function invalid(errors) {
+  return { success: false, message: Object.values(errors)[0], errors };
+}
+
+function createCommunitiesStore({ file = null } = {}) {
+  const data = loadData(file);
+
+  function save() {
+    if (!file) return;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function find(id) {
+    return data.communities.find(c => c.id === key(id));
+  }
+
+  function membership(record, userId) {
+    return record.members.find(m => sameId(m.user.id, userId));
+  }
+
+  function isBanned(record, userId) {
+    return (record.bans || []).some(b => sameId(b.user.id, userId));
+  }
+
+  function nameTaken(name, exceptId = null) {
+    return data.communities.find(c => c.name.toLowerCase() === name.toLowerCase() && c.id !== exceptId);
+  }
+
+  // refusals return before changing anything, so only successes need writing
+  function commit(result) {
+    if (result.success !== false) save();
+    return result;
+  }
+
+  /**
+   * Look the community up and check `me` may do `action` before `change`
+   * runs, so every staff action goes through the same rules.
+   */
+  function staffAction(me, id, action, options, change) {
+    const record = find(id);
+    const denied = permissionError(record && toCommunity(record), me.id, action, options);
+    if (denied) return { success: false, status: record ? 403 : 404, message: denied };
+    return commit(change(record));
+  }
+
+  return {
+    save,
+
+    list() {
+      return data.communities.map(toCommunity);
+    },
+
+    get(id) {
+      const record = find(id);
+      return record ? toCommunity(record) : null;
+    },
+
+    // what the chat relay needs to know to let `userId` into the community's channels
+    membership(id, userId) {
+      const record = find(id);
+      if (!record) return { community: null, role: null };
+
+      return {
+        community: { id: record.id, name: record.name, ownerId: record.creator.id },
+        role: membership(record, userId)?.role || null
+      };
+    },
+
+    create(me, { name, icon = '', description = '', tags = [] } = {}) {
+      const errors = validateCommunity({ name, icon, description, tags });
+      if (Object.keys(errors).length) return invalid(errors);
+
+      const cleanName = normalizeName(name);
+      const taken = nameTaken(cleanName);
+      if (taken) return { success: false, status: 409, message: `There's already a community called "${taken.name}"` };
+
+      const id = String(data.meta.nextId || 1);
+      data.meta.nextId = Number(id) + 1;
+
+      const record = {
+        id,
+        name: cleanName,
+        icon: String(icon || '').trim(),
+        description: String(description || '').trim(),
+        tags: cleanTags(tags),
+        creator: person(me),
+        createdAt: Date.now(),
+        ranks: { ...DEFAULT_RANKS },
+        members: [{ user: person(me), role: 'owner', joinedAt: Date.now() }],
+        bans: []
+      };
+      data.communities.push(record);
+      return commit({ success: true, community: toCommunity(record) });
+    },
+
+    join(me, id) {
+      const record = find(id);
+      if (!record) return { success: false, status: 404, message: 'Community not found' };
+      if (membership(record, me.id)) return { success: false, status: 409, message: `You're already in ${record.name}` };
+      if (isBanned(record, me.id)) return { success: false, status: 403, message: `You've been banned from ${record.name}` };
+
+      record.members.push({ user: person(me), role: 'member', joinedAt: Date.now() });
+      return commit({ success: true });
+    },
+
+    leave(me, id) {
+      const record = find(id);
+      if (!record) return { success: false, status: 404, message: 'Community not found' };
+
+      const member = membership(record, me.id);
+      if (!member) return { success: false, message: `You're not in ${record.name}` };
+      if (member.role === 'owner') return { success: false, status: 403, message: "Owners can't leave their own community" };
+
+      record.members = record.members.filter(m => m !== member);
+      return commit({ success: true });
+    },
+
+    update(me, id, { name, icon, description, ranks, shoutRole } = {}) {
+      return staffAction(me, id, 'edit', {}, (record) => {
+        const errors = {
+          ...validateCommunity({
+            name: name ?? record.name,
+            icon: icon ?? record.icon,
+            description: description ?? record.description
+          }),
+          ...(ranks ? validateRanks(ranks) : {})
+        };
+        if (Object.keys(errors).length) return invalid(errors);
+        if (shoutRole !== undefined && !ROLES.includes(shoutRole)) return { success: false, message: 'Pick a valid rank' };
+
+        const taken = name !== undefined && nameTaken(normalizeName(name), record.id);
+        if (taken) return { success: false, status: 409, message: `There's already a community called "${taken.name}"` };
+
+        if (name !== undefined) record.name = normalizeName(name);
+        if (icon !== undefined) record.icon = String(icon || '').trim();
+        if (description !== undefined) record.description = String(description || '').trim();
+        if (shoutRole !== undefined) record.shoutRole = shoutRole;
+        if (ranks) {
+          record.ranks = { ...DEFAULT_RANKS, ...(record.ranks || {}) };
+          ROLES.forEach(role => {
+            if (ranks[role] !== undefined) record.ranks[role] = normalizeName(ranks[role]);
+          });
+        }
+        return { success: true, community: toCommunity(record) };
+      });
+    },
+
+    setRole(me, id, userId, role) {
+      return staffAction(me, id, 'setRole', { targetId: userId, role }, (record) => {
+        membership(record, userId).role = role;
+        return { success: true };
+      });
+    },
+
+    kick(me, id, userId) {
+      return staffAction(me, id, 'kick', { targetId: userId }, (record) => {
+        record.members = record.members.filter(m => !sameId(m.user.id, userId));
+        return { success: true };
+      });
+    },
+
+    ban(me, id, userId) {
+      return staffAction(me, id, 'ban', { targetId: userId }, (record) => {
+        const member = membership(record, userId);
+        record.members = record.members.filter(m => m !== member);
+        record.bans = [...(record.bans || []), { user: member.user, by: key(me.id), at: Date.now() }];
+        return { success: true };
+      });
+    },
+
+    unban(me, id, userId) {
+      return staffAction(me, id, 'unban', { targetId: userId }, (record) => {
+        if (!isBanned(record, userId)) return { success: false, message: "That user isn't banned" };
+
+        record.bans = record.bans.filter(b => !sameId(b.user.id, userId));
+        return { success: true };
+      });
+    },
+
+    listShouts(id, { before = null, limit = 10 } = {}) {
+      const record = find(id);
+      if (!record) return { shouts: [], pinned: null, hasMore: false };
+
+      const size = Math.min(Math.max(Number(limit) || 10, 1), MAX_SHOUT_PAGE);
+      const all = [...(record.shouts || [])].sort((a, b) => b.createdAt - a.createdAt);
+      const older = all.filter(shout => !shout.pinned && (before === null || shout.createdAt < before));
+
+      return {
+        shouts: older.slice(0, size),
+        pinned: all.find(shout => shout.pinned) || null,
+        hasMore: older.length > size
+      };
+    },
+
+    postShout(me, id, text) {
+      const error = validateShout(text);
+      if (error) return { success: false, message: error };
+
+      return staffAction(me, id, 'shout', {}, (record) => {
+        const shout = {
+          id: String(data.meta.nextShoutId || 1),
+          author: person(me),
+          text: String(text).trim(),
+          createdAt: Date.now(),
+          pinned: false
+        };
+        data.meta.nextShoutId = Number(shout.id) + 1;
+        record.shouts = [...(record.shouts || []), shout];
+        return { success: true, shout };
+      });
+    },
+
+    // one pinned shout at a time; pinning another replaces it
+    pinShout(me, id, shoutId, pinned = true) {
+      return staffAction(me, id, 'pinShout', {}, (record) => {
+        const shout = (record.shouts || []).find(s => s.id === key(shoutId));
+        if (!shout) return { success: false, status: 404, message: 'That shout was deleted' };
+
+        record.shouts.forEach(s => { s.pinned = false; });
+        shout.pinned = Boolean(pinned);
+        return { success: true };
+      });
+    },
+
+    deleteShout(me, id, shoutId) {
+      const record = find(id);
+      const shout = (record?.shouts || []).find(s => s.id === key(shoutId));
+      if (!shout) return { success: false, status: 404, message: 'That shout was already deleted' };
+
+      if (!sameId(shout.author.id, me.id)) {
+        const denied = permissionError(toCommunity(record), me.id, 'deleteShout');
+        if (denied) return { success: false, status: 403, message: denied };
+      }
+
+      record.shouts = record.shouts.filter(s => s !== shout);
+      return commit({ success: true });
+    },
+
+    /**
+     * A deleted account: their memberships, bans and shouts go. Communities
+     * they owned pass to the highest-ranked member who joined first, or are
+     * removed when nobody is left.
+     */
+    removeUser(userId) {
+      data.communities = data.communities.filter(record => {
+        record.members = record.members.filter(m => !sameId(m.user.id, userId));
+        record.bans = (record.bans || [])
+          .filter(b => !sameId(b.user.id, userId))
+          .map(b => (sameId(b.by, userId) ? { ...b, by: null } : b));
+        record.shouts = (record.shouts || []).filter(s => !sameId(s.author.id, userId));
+
+        if (!sameId(record.creator.id, userId)) return true;
+
+        const heir = [...record.members]
+          .sort((a, b) => ROLES.indexOf(b.role) - ROLES.indexOf(a.role) || a.joinedAt - b.joinedAt)[0];
+        if (!heir) return false;
+
+        heir.role = 'owner';
+        record.creator = person(heir.user);
+        return true;
+      });
+      save();
+    }
+  };
+}
+
+module.exports = { createCommunitiesStore };
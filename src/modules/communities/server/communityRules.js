@@ -0,0 +1,173 @@
+// src/modules/communities/server/communityRules.js
+// Community validation and the role rules, for the auth server. A copy of
+// the same parts of ../communitiesHelpers.js (an ES module, so it can't be
+// required here): keep the two in step.
+
+const NAME_MIN = 3;
+const NAME_MAX = 40;
+const DESCRIPTION_MAX = 500;
+
+function sameId(a, b) {
+  return a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ');
+}
+
+// a field left out, or a string; anything else (an object, an array) is
+// refused rather than stringified
+function isText(value) {
+  return value === undefined || value === null || typeof value === 'string';
+}
+
+// icons are shown as <img src>, so only links that can't run script
+function isIconUrl(icon) {
+  return /^(https?:\/\/|data:image\/)/i.test(String(icon || '').trim());
+}
+
+/**
+ * Field errors for a new or edited community, keyed like the form fields.
+ * Empty object when valid.
+ */
+function validateCommunity({ name, description = '', icon = '', tags = [] } = {}) {
+  const errors = {};
+  const cleanName = normalizeName(name);
+
+  if (!isText(name)) errors.name = 'Names must be text';
+  else if (!cleanName) errors.name = 'Give your community a name';
+  else if (cleanName.length < NAME_MIN) errors.name = `Names need at least ${NAME_MIN} characters`;
+  else if (cleanName.length > NAME_MAX) errors.name = `Names can be at most ${NAME_MAX} characters`;
+
+  if (!isText(description)) errors.description = 'Descriptions must be text';
+  else if (String(description || '').length > DESCRIPTION_MAX) {
+    errors.description = `Descriptions can be at most ${DESCRIPTION_MAX} characters`;
+  }
+
+  const cleanIcon = String(icon || '').trim();
+  if (!isText(icon) || (cleanIcon && !isIconUrl(cleanIcon))) {
+    errors.icon = 'Icons must be an http(s) image link';
+  }
+
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    errors.tags = 'Tags must be a list of words';
+  }
+
+  return errors;
+}
+
+/* ============ ROLES ============ */
+// lowest to highest; each role can do everything the ones below it can
+const ROLES = ['member', 'moderator', 'admin', 'owner'];
+
+const DEFAULT_RANKS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  moderator: 'Moderator',
+  member: 'Member'
+};
+
+const RANK_MAX = 24;
+
+// the lowest role allowed to do each thing
+const REQUIRED_ROLE = {
+  // details, rank names and who may shout
+  edit: 'admin',
+  setRole: 'admin',
+  kick: 'moderator',
+  ban: 'admin',
+  unban: 'admin',
+  pinShout: 'admin',
+  // anyone's shout; authors can always delete their own
+  deleteShout: 'admin',
+  // add, edit and remove store items
+  manageStore: 'admin'
+};
+
+const SHOUT_MAX = 500;
+
+function roleLevel(role) {
+  return ROLES.indexOf(role);
+}
+
+function roleOf(community, userId) {
+  return community?.memberList?.find(m => sameId(m.id, userId))?.role || null;
+}
+
+/**
+ * The community's name for a role, e.g. "Builder" for 'member' if the
+ * owner renamed it.
+ */
+function rankName(community, role) {
+  return community?.ranks?.[role] || DEFAULT_RANKS[role] || '';
+}
+
+// posting shouts is the one rule each community sets for itself
+function requiredRole(community, action) {
+  return action === 'shout' ? community?.shoutRole || 'member' : REQUIRED_ROLE[action];
+}
+
+function can(role, action, community = null) {
+  return roleLevel(role) >= 0 && roleLevel(role) >= roleLevel(requiredRole(community, action));
+}
+
+/**
+ * Why `actorId` may not do `action` in `community`, or null if they may.
+ * Actions on another member (kick, ban, setRole) need a higher role than
+ * theirs, and nobody can hand out a role as high as their own, so only the
+ * owner makes admins.
+ */
+function permissionError(community, actorId, action, { targetId = null, role = null } = {}) {
+  if (!community) return 'Community not found';
+
+  const actorRole = roleOf(community, actorId);
+  if (!actorRole) return `You're not in ${community.name}`;
+  if (!can(actorRole, action, community)) {
+    return action === 'shout'
+      ? `Only ${rankName(community, requiredRole(community, action))} and above can post shouts`
+      : `You don't have permission to do that in ${community.name}`;
+  }
+
+  if (targetId === null) return null;
+  if (sameId(targetId, actorId)) return "You can't do that to yourself";
+
+  const targetRole = roleOf(community, targetId);
+  // unban works on people who are no longer members
+  if (action !== 'unban') {
+    if (!targetRole) return "That user isn't a member";
+    if (roleLevel(targetRole) >= roleLevel(actorRole)) return `Only someone ranked above ${rankName(community, targetRole)} can do that`;
+  }
+
+  if (action === 'setRole') {
+    if (!ROLES.includes(role) || role === 'owner') return 'Pick a valid rank';
+    if (roleLevel(role) >= roleLevel(actorRole)) return `You can't give out the ${rankName(community, role)} rank`;
+  }
+  return null;
+}
+
+/**
+ * Field errors for custom rank names; empty object when valid.
+ */
+function validateRanks(ranks = {}) {
+  const errors = {};
+  Object.entries(ranks).forEach(([role, name]) => {
+    if (!ROLES.includes(role)) return;
+    const clean = normalizeName(name);
+    if (!clean) errors[role] = "Rank names can't be empty";
+    else if (clean.length > RANK_MAX) errors[role] = `Rank names can be at most ${RANK_MAX} characters`;
+  });
+  return errors;
+}
+
+function validateShout(text) {
+  const clean = String(text || '').trim();
+  if (!clean) return 'Write something first';
+  if (clean.length > SHOUT_MAX) return `Shouts can be at most ${SHOUT_MAX} characters`;
+  return null;
+}
+
+module.exports = {
+  NAME_MIN, NAME_MAX, DESCRIPTION_MAX, ROLES, DEFAULT_RANKS, RANK_MAX, SHOUT_MAX,
+  sameId, normalizeName, isIconUrl, validateCommunity, roleLevel, roleOf, rankName, can,
+  permissionError, validateRanks, validateShout
+};
@@ -0,0 +1,43 @@
+// src/modules/friends/friendsHelpers.js
+// Pure helpers shared by the friends service and components.
+
+export function sameUser(a, b) {
+  return a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+}
+
+// case-insensitive, so "Alice" and "alice" sort together
+export function sortByUsername(entries) {
+  return [...entries].sort((a, b) =>
+    a.user.username.localeCompare(b.user.username, undefined, { sensitivity: 'base' })
+  );
+}
+
+export function newestFirst(requests) {
+  return [...requests].sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Where we stand with `userId`, given the service state:
+ * 'self' | 'friend' | 'incoming' | 'outgoing' | 'blocked' | 'none'.
+ */
+export function relationshipWith(state, userId) {
+  if (sameUser(state.me?.id, userId)) return 'self';
+  if (state.blocked.some(b => sameUser(b.user.id, userId))) return 'blocked';
+  if (state.friends.some(f => sameUser(f.user.id, userId))) return 'friend';
+  if (state.incoming.some(r => sameUser(r.from.id, userId))) return 'incoming';
+  if (state.outgoing.some(r => sameUser(r.to.id, userId))) return 'outgoing';
+  return 'none';
+}
+
+/**
+ * "Friends since March 2026"
+ */
+export function formatFriendSince(timestamp) {
+  const date = new Date(timestamp);
+  return `Friends since ${date.toLocaleDateString([], { month: 'long', year: 'numeric' })}`;
+}
+
+// "1 friend" / "3 friends"
+export function countLabel(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,278 @@
+// src/modules/friends/friendsService.js
+// Client-side friends state: the friend list, pending requests both ways and
+// blocked users for whoever is signed in. Components subscribe() and
+// re-render from getState(); the data source behind it is pluggable.
+
+import { authAPI, isMockAuth } from '../auth-module/auth.js';
+import { createLocalFriendsSource, createServerFriendsSource } from './friendsSource.js';
+import SettingsService from '../settings/settingsService.js';
+import { sameUser, sortByUsername, newestFirst, relationshipWith } from './friendsHelpers.js';
+
+/* ============ CONFIG ============ */
+// 'auto' uses the auth server's /friends routes, or the local source (shared
+// localStorage) when auth runs on the in-browser mock. Set
+// window.FRIENDS_CONFIG = { source } before main.js loads, or call
+// configureFriends({ source }), with 'server', 'local', 'memory' or an object
+// implementing the interface documented in friendsSource.js.
+const friendsConfig = {
+  source: 'auto',
+  ...(window.FRIENDS_CONFIG || {})
+};
+
+let source = null;
+let unwatchSource = () => {};
+
+// the local source checks friend requests against the other user's privacy settings
+const privacy = {
+  async get(userId) {
+    return SettingsService.getPrivacyFor(userId);
+  }
+};
+
+function createSource(option) {
+  if (option === 'auto') return createSource(isMockAuth() ? 'local' : 'server');
+  if (option === 'server') return createServerFriendsSource({ api: authAPI, getToken: () => session()?.getToken() });
+  if (option === 'local') return createLocalFriendsSource({ privacy });
+  if (option === 'memory') return createLocalFriendsSource({ storage: null, privacy });
+  return option;
+}
+
+function useSource(option) {
+  unwatchSource();
+  source = createSource(option);
+  unwatchSource = source.subscribe?.(() => refresh()) || (() => {});
+}
+
+export function configureFriends(options = {}) {
+  Object.assign(friendsConfig, options);
+  if (options.source && initialized) {
+    useSource(friendsConfig.source);
+    loadForSession();
+  }
+  return { ...friendsConfig };
+}
+
+/* ============ STATE ============ */
+const state = {
+  // 'signed-out' | 'loading' | 'ready' | 'error'
+  status: 'signed-out',
+  me: null,
+  error: null,
+  friends: [],
+  incoming: [],
+  outgoing: [],
+  blocked: []
+};
+
+const listeners = new Set();
+let initialized = false;
+// bumped on every session change so a slow load for the old user is ignored
+let loadId = 0;
+
+function notify() {
+  listeners.forEach(fn => {
+    try {
+      fn(state);
+    } catch (err) {
+      console.error('[Friends] Listener failed:', err);
+    }
+  });
+}
+
+function session() {
+  return window.SessionManager;
+}
+
+function currentUser() {
+  const user = session()?.isAuthenticated() ? session().getUser() : null;
+  return user ? { id: String(user.id), username: user.username } : null;
+}
+
+function resetLists() {
+  state.friends = [];
+  state.incoming = [];
+  state.outgoing = [];
+  state.blocked = [];
+}
+
+async function refresh() {
+  if (!state.me) return;
+
+  const id = loadId;
+  try {
+    const lists = await source.list(state.me);
+    if (id !== loadId) return;
+
+    state.friends = sortByUsername(lists.friends);
+    state.incoming = newestFirst(lists.incoming);
+    state.outgoing = newestFirst(lists.outgoing);
+    state.blocked = sortByUsername(lists.blocked);
+    state.status = 'ready';
+    state.error = null;
+  } catch (err) {
+    if (id !== loadId) return;
+    console.error('[Friends] Could not load friends:', err);
+    state.status = 'error';
+    state.error = 'Could not load your friends';
+  }
+  notify();
+}
+
+function loadForSession() {
+  loadId++;
+  state.me = currentUser();
+  state.error = null;
+  resetLists();
+  state.status = state.me ? 'loading' : 'signed-out';
+  notify();
+
+  if (state.me) refresh();
+}
+
+/**
+ * Run a mutation against the source for the signed-in user, then reload
+ * the lists so every view agrees.
+ */
+async function mutate(action) {
+  if (!state.me) return { success: false, message: 'Sign in to manage friends' };
+
+  let result;
+  try {
+    result = await action(state.me);
+  } catch (err) {
+    console.error('[Friends] Request failed:', err);
+    return { success: false, message: 'Something went wrong, please try again' };
+  }
+
+  if (result.success) await refresh();
+  return result;
+}
+
+async function resolveUser(username) {
+  const name = String(username || '').trim().replace(/^@/, '');
+  if (!name) return { success: false, message: 'Enter a username' };
+
+  let result;
+  try {
+    result = await authAPI.lookupUser(session()?.getToken(), name);
+  } catch (err) {
+    console.error('[Friends] Lookup failed:', err);
+    return { success: false, message: 'Something went wrong, please try again' };
+  }
+
+  if (!result.success) {
+    return { success: false, message: result.message === 'No user with that username' ? `No user called "${name}"` : result.message };
+  }
+  return { success: true, user: { id: String(result.user.id), username: result.user.username } };
+}
+
+/* ============ PUBLIC API ============ */
+export const friendsService = {
+  init() {
+    if (initialized) return;
+    initialized = true;
+
+    useSource(friendsConfig.source);
+
+    window.addEventListener('session:login', loadForSession);
+    window.addEventListener('session:logout', loadForSession);
+    window.addEventListener('session:update', (e) => {
+      if (e.detail?.switched) loadForSession();
+    });
+
+    loadForSession();
+  },
+
+  getState() {
+    return state;
+  },
+
+  subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  },
+
+  refresh,
+
+  getFriends() {
+    return state.friends;
+  },
+
+  getIncoming() {
+    return state.incoming;
+  },
+
+  getOutgoing() {
+    return state.outgoing;
+  },
+
+  getBlocked() {
+    return state.blocked;
+  },
+
+  getRelationship(userId) {
+    return relationshipWith(state, userId);
+  },
+
+  isFriend(userId) {
+    return relationshipWith(state, userId) === 'friend';
+  },
+
+  /**
+   * Send a request by username. If they had already asked us, this accepts
+   * theirs instead and resolves with status 'accepted'.
+   */
+  async sendRequest(username) {
+    if (!state.me) return { success: false, message: 'Sign in to add friends' };
+
+    const found = await resolveUser(username);
+    if (!found.success) return found;
+
+    if (sameUser(found.user.id, state.me.id)) {
+      return { success: false, message: "You can't add yourself" };
+    }
+
+    const result = await mutate(me => source.sendRequest(me, found.user));
+    return result.success ? { ...result, user: found.user } : result;
+  },
+
+  acceptRequest(requestId) {
+    return mutate(me => source.respond(me, requestId, true));
+  },
+
+  declineRequest(requestId) {
+    return mutate(me => source.respond(me, requestId, false));
+  },
+
+  cancelRequest(requestId) {
+    return mutate(me => source.cancel(me, requestId));
+  },
+
+  removeFriend(userId) {
+    return mutate(me => source.unfriend(me, userId));
+  },
+
+  /**
+   * Block by user ({ id, username }) or by username. Blocking also ends the
+   * friendship and drops pending requests either way.
+   */
+  async blockUser(userOrUsername) {
+    if (!state.me) return { success: false, message: 'Sign in to manage friends' };
+
+    let user = userOrUsername;
+    if (typeof userOrUsername === 'string') {
+      const found = await resolveUser(userOrUsername);
+      if (!found.success) return found;
+      user = found.user;
+    }
+
+    if (sameUser(user.id, state.me.id)) return { success: false, message: "You can't block yourself" };
+    return mutate(me => source.block(me, user));
+  },
+
+  unblockUser(userId) {
+    return mutate(me => source.unblock(me, userId));
+  }
+};
+
+export default friendsService;
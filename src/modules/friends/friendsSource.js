@@ -0,0 +1,276 @@
+// src/modules/friends/friendsSource.js
+// Data sources for the friends service. The server source talks to the auth
+// server's /friends routes, which hold the record and enforce everyone's
+// privacy settings. The local source is for the in-browser auth mock: it
+// keeps one shared record (localStorage, or memory when `storage` is null),
+// so accounts signed in on this device can send each other requests through
+// the account switcher.
+//
+// Any object with the same async methods can be handed to configureFriends():
+//   list(me)                     -> { friends, incoming, outgoing, blocked }
+//   sendRequest(me, user)        -> { success, status: 'sent' | 'accepted' }
+//   respond(me, requestId, accept)
+//   cancel(me, requestId)
+//   unfriend(me, userId)
+//   block(me, user)
+//   unblock(me, userId)
+//   subscribe(fn)                -> unsubscribe; optional, fn() on outside changes
+// `me` and `user` are { id, username }. Mutations resolve { success, message? }.
+//
+// `privacy.get(userId)` returns that user's privacy settings; the local
+// sendRequest() turns people away the way their friend request setting says,
+// as the server does. Without it everyone can be asked.
+
+import { privacyAllows, privacyRefusal } from '../settings/settingsHelpers.js';
+
+const STORAGE_KEY = 'friends_db';
+// how often the server source looks for requests sent from elsewhere
+const SERVER_POLL_MS = 30000;
+
+function emptyData() {
+  return { meta: {}, requests: [], friendships: [], blocks: [] };
+}
+
+function key(id) {
+  return String(id);
+}
+
+function person({ id, username }) {
+  return { id: key(id), username };
+}
+
+export function createLocalFriendsSource({ storage = localStorage, privacy = null } = {}) {
+  let memory = emptyData();
+
+  function load() {
+    if (!storage) return memory;
+
+    try {
+      return { ...emptyData(), ...JSON.parse(storage.getItem(STORAGE_KEY) || '{}') };
+    } catch {
+      return emptyData();
+    }
+  }
+
+  // read, change and write back in one go so two tabs don't interleave
+  function update(change) {
+    const data = load();
+    const result = change(data);
+
+    if (result.success !== false) {
+      if (storage) storage.setItem(STORAGE_KEY, JSON.stringify(data));
+      else memory = data;
+    }
+    return result;
+  }
+
+  function nextId(data) {
+    const id = data.meta.nextRequestId || 1;
+    data.meta.nextRequestId = id + 1;
+    return String(id);
+  }
+
+  function isBlocked(data, by, userId) {
+    return data.blocks.some(b => b.by === key(by) && b.user.id === key(userId));
+  }
+
+  function friendshipBetween(data, a, b) {
+    return data.friendships.find(f => f.users.some(u => u.id === key(a)) && f.users.some(u => u.id === key(b)));
+  }
+
+  function friendIds(data, id) {
+    return data.friendships
+      .filter(f => f.users.some(u => u.id === key(id)))
+      .map(f => f.users.find(u => u.id !== key(id)).id);
+  }
+
+  function shareFriend(data, a, b) {
+    const theirs = friendIds(data, b);
+    return friendIds(data, a).some(id => theirs.includes(id));
+  }
+
+  function requestBetween(data, fromId, toId) {
+    return data.requests.find(r => r.from.id === key(fromId) && r.to.id === key(toId));
+  }
+
+  // drop everything linking two users, in either direction
+  function unlink(data, a, b) {
+    data.friendships = data.friendships.filter(f => f !== friendshipBetween(data, a, b));
+    data.requests = data.requests.filter(r => r !== requestBetween(data, a, b) && r !== requestBetween(data, b, a));
+  }
+
+  function befriend(data, a, b) {
+    unlink(data, a.id, b.id);
+    data.friendships.push({ users: [person(a), person(b)], since: Date.now() });
+  }
+
+  return {
+    async list(me) {
+      const data = load();
+      const id = key(me.id);
+
+      return {
+        friends: data.friendships
+          .filter(f => f.users.some(u => u.id === id))
+          .map(f => ({ user: f.users.find(u => u.id !== id), since: f.since })),
+        incoming: data.requests.filter(r => r.to.id === id),
+        outgoing: data.requests.filter(r => r.from.id === id),
+        blocked: data.blocks
+          .filter(b => b.by === id)
+          .map(({ user, createdAt }) => ({ user, createdAt }))
+      };
+    },
+
+    async sendRequest(me, user) {
+      const settings = privacy ? await privacy.get(user.id) : null;
+
+      return update(data => {
+        if (isBlocked(data, me.id, user.id)) {
+          return { success: false, message: `Unblock ${user.username} first` };
+        }
+        // don't tell them they're blocked, just refuse
+        if (isBlocked(data, user.id, me.id)) {
+          return { success: false, message: `You can't send ${user.username} a friend request` };
+        }
+        if (friendshipBetween(data, me.id, user.id)) {
+          return { success: false, message: `You're already friends with ${user.username}` };
+        }
+        if (requestBetween(data, me.id, user.id)) {
+          return { success: false, message: `You've already sent ${user.username} a request` };
+        }
+
+        // they already asked us, so this is a yes
+        if (requestBetween(data, user.id, me.id)) {
+          befriend(data, me, user);
+          return { success: true, status: 'accepted' };
+        }
+
+        const relationship = shareFriend(data, me.id, user.id) ? 'friend-of-friend' : 'none';
+        if (settings && !privacyAllows(settings, 'friendRequests', relationship)) {
+          return { success: false, message: privacyRefusal('friendRequests', user.username) };
+        }
+
+        data.requests.push({
+          id: nextId(data),
+          from: person(me),
+          to: person(user),
+          createdAt: Date.now()
+        });
+        return { success: true, status: 'sent' };
+      });
+    },
+
+    async respond(me, requestId, accept) {
+      return update(data => {
+        const request = data.requests.find(r => r.id === key(requestId) && r.to.id === key(me.id));
+        if (!request) return { success: false, message: 'That request is no longer pending' };
+
+        if (accept) {
+          befriend(data, request.to, request.from);
+        } else {
+          data.requests = data.requests.filter(r => r !== request);
+        }
+        return { success: true };
+      });
+    },
+
+    async cancel(me, requestId) {
+      return update(data => {
+        const request = data.requests.find(r => r.id === key(requestId) && r.from.id === key(me.id));
+        if (!request) return { success: false, message: 'That request is no longer pending' };
+
+        data.requests = data.requests.filter(r => r !== request);
+        return { success: true };
+      });
+    },
+
+    async unfriend(me, userId) {
+      return update(data => {
+        if (!friendshipBetween(data, me.id, userId)) return { success: false, message: "You're not friends" };
+
+        unlink(data, me.id, userId);
+        return { success: true };
+      });
+    },
+
+    async block(me, user) {
+      return update(data => {
+        if (isBlocked(data, me.id, user.id)) return { success: true };
+
+        unlink(data, me.id, user.id);
+        data.blocks.push({ by: key(me.id), user: person(user), createdAt: Date.now() });
+        return { success: true };
+      });
+    },
+
+    async unblock(me, userId) {
+      return update(data => {
+        if (!isBlocked(data, me.id, userId)) return { success: false, message: "That user isn't blocked" };
+
+        data.blocks = data.blocks.filter(b => !(b.by === key(me.id) && b.user.id === key(userId)));
+        return { success: true };
+      });
+    },
+
+    // another tab (or account on this device) changed the shared record
+    subscribe(fn) {
+      if (!storage) return () => {};
+
+      const onStorage = (e) => {
+        if (e.key === STORAGE_KEY) fn();
+      };
+      window.addEventListener('storage', onStorage);
+      return () => window.removeEventListener('storage', onStorage);
+    }
+  };
+}
+
+/**
+ * The auth server's /friends routes. `api` is authAPI and `getToken()` the
+ * signed-in user's access token.
+ */
+export function createServerFriendsSource({ api, getToken }) {
+  return {
+    async list() {
+      const result = await api.listFriends(getToken());
+      if (!result.success) throw new Error(result.message);
+
+      const { friends, incoming, outgoing, blocked } = result;
+      return { friends, incoming, outgoing, blocked };
+    },
+
+    sendRequest(me, user) {
+      return api.sendFriendRequest(getToken(), user.id);
+    },
+
+    respond(me, requestId, accept) {
+      return api.respondToFriendRequest(getToken(), requestId, accept);
+    },
+
+    cancel(me, requestId) {
+      return api.cancelFriendRequest(getToken(), requestId);
+    },
+
+    unfriend(me, userId) {
+      return api.unfriend(getToken(), userId);
+    },
+
+    block(me, user) {
+      return api.blockUser(getToken(), user.id);
+    },
+
+    unblock(me, userId) {
+      return api.unblockUser(getToken(), userId);
+    },
+
+    // other people's requests arrive on the server, so look again now and then
+    subscribe(fn) {
+      const timer = setInterval(fn, SERVER_POLL_MS);
+      window.addEventListener('focus', fn);
+      return () => {
+        clearInterval(timer);
+        window.removeEventListener('focus', fn);
+      };
+    }
+  };
+}
@@ -0,0 +1,208 @@
+// src/modules/friends/server/friendsStore.js
+// Friend requests, friendships and blocks for the local auth server, which
+// serves them under /friends. The same record and rules as the browser's
+// local source (../friendsSource.js): keep the two in step.
+// Backed by a JSON file when `file` is given, otherwise kept in memory.
+//
+// Mutations return { success, message?, status? } where `status` is the HTTP
+// status to answer a failure with (400 when missing).
+
+const fs = require('fs');
+const path = require('path');
+
+function emptyData() {
+  return { meta: {}, requests: [], friendships: [], blocks: [] };
+}
+
+function loadData(file) {
+  if (!file || !fs.existsSync(file)) return emptyData();
+
+  try {
+    return { ...emptyData(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (err) {
+    console.error(`[FriendsStore] Could not read ${file}, starting empty:`, err.message);
+    return emptyData();
+  }
+}
+
+function key(id) {
+  return String(id);
+}
+
+function person({ id, username }) {
+  return { id: key(id), username };
+}
+
+function createFriendsStore({ file = null } = {}) {
+  const data = loadData(file);
+
+  function save() {
+    if (!file) return;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function nextId() {
+    const id = data.meta.nextRequestId || 1;
+    data.meta.nextRequestId = id + 1;
+    return String(id);
+  }
+
+  function isBlocked(by, userId) {
+    return data.blocks.some(b => b.by === key(by) && b.user.id === key(userId));
+  }
+
+  function friendshipBetween(a, b) {
+    return data.friendships.find(f => f.users.some(u => u.id === key(a)) && f.users.some(u => u.id === key(b)));
+  }
+
+  function friendIds(id) {
+    return data.friendships
+      .filter(f => f.users.some(u => u.id === key(id)))
+      .map(f => f.users.find(u => u.id !== key(id)).id);
+  }
+
+  function shareFriend(a, b) {
+    const theirs = friendIds(b);
+    return friendIds(a).some(id => theirs.includes(id));
+  }
+
+  function requestBetween(fromId, toId) {
+    return data.requests.find(r => r.from.id === key(fromId) && r.to.id === key(toId));
+  }
+
+  // drop everything linking two users, in either direction
+  function unlink(a, b) {
+    data.friendships = data.friendships.filter(f => f !== friendshipBetween(a, b));
+    data.requests = data.requests.filter(r => r !== requestBetween(a, b) && r !== requestBetween(b, a));
+  }
+
+  function befriend(a, b) {
+    unlink(a.id, b.id);
+    data.friendships.push({ users: [person(a), person(b)], since: Date.now() });
+  }
+
+  return {
+    save,
+
+    list(userId) {
+      const id = key(userId);
+
+      return {
+        friends: data.friendships
+          .filter(f => f.users.some(u => u.id === id))
+          .map(f => ({ user: f.users.find(u => u.id !== id), since: f.since })),
+        incoming: data.requests.filter(r => r.to.id === id),
+        outgoing: data.requests.filter(r => r.from.id === id),
+        blocked: data.blocks
+          .filter(b => b.by === id)
+          .map(({ user, createdAt }) => ({ user, createdAt }))
+      };
+    },
+
+    /**
+     * Where `viewerId` stands with `userId` for the privacy policy: 'self',
+     * 'blocked' (by either of them), 'friend', 'friend-of-friend' or 'none'.
+     */
+    relationship(viewerId, userId) {
+      if (key(viewerId) === key(userId)) return 'self';
+      if (isBlocked(viewerId, userId) || isBlocked(userId, viewerId)) return 'blocked';
+      if (friendshipBetween(viewerId, userId)) return 'friend';
+      return shareFriend(viewerId, userId) ? 'friend-of-friend' : 'none';
+    },
+
+    /**
+     * `allows(relationship)` says whether `user`'s privacy settings let
+     * someone standing there ask; it isn't consulted when `user` already
+     * asked `me`, since then this accepts theirs.
+     */
+    sendRequest(me, user, { allows = () => true } = {}) {
+      if (isBlocked(me.id, user.id)) {
+        return { success: false, message: `Unblock ${user.username} first` };
+      }
+      // don't tell them they're blocked, just refuse
+      if (isBlocked(user.id, me.id)) {
+        return { success: false, status: 403, message: `You can't send ${user.username} a friend request` };
+      }
+      if (friendshipBetween(me.id, user.id)) {
+        return { success: false, status: 409, message: `You're already friends with ${user.username}` };
+      }
+      if (requestBetween(me.id, user.id)) {
+        return { success: false, status: 409, message: `You've already sent ${user.username} a request` };
+      }
+
+      // they already asked us, so this is a yes
+      if (requestBetween(user.id, me.id)) {
+        befriend(me, user);
+        save();
+        return { success: true, status: 'accepted' };
+      }
+
+      if (!allows(shareFriend(me.id, user.id) ? 'friend-of-friend' : 'none')) {
+        return { success: false, status: 403, message: `${user.username} isn't accepting friend requests from you` };
+      }
+
+      data.requests.push({ id: nextId(), from: person(me), to: person(user), createdAt: Date.now() });
+      save();
+      return { success: true, status: 'sent' };
+    },
+
+    respond(me, requestId, accept) {
+      const request = data.requests.find(r => r.id === key(requestId) && r.to.id === key(me.id));
+      if (!request) return { success: false, status: 404, message: 'That request is no longer pending' };
+
+      if (accept) befriend(request.to, request.from);
+      else data.requests = data.requests.filter(r => r !== request);
+      save();
+      return { success: true };
+    },
+
+    cancel(me, requestId) {
+      const request = data.requests.find(r => r.id === key(requestId) && r.from.id === key(me.id));
+      if (!request) return { success: false, status: 404, message: 'That request is no longer pending' };
+
+      data.requests = data.requests.filter(r => r !== request);
+      save();
+      return { success: true };
+    },
+
+    unfriend(me, userId) {
+      if (!friendshipBetween(me.id, userId)) return { success: false, message: "You're not friends" };
+
+      unlink(me.id, userId);
+      save();
+      return { success: true };
+    },
+
+    block(me, user) {
+      if (isBlocked(me.id, user.id)) return { success: true };
+
+      unlink(me.id, user.id);
+      data.blocks.push({ by: key(me.id), user: person(user), createdAt: Date.now() });
+      save();
+      return { success: true };
+    },
+
+    unblock(me, userId) {
+      if (!isBlocked(me.id, userId)) return { success: false, message: "That user isn't blocked" };
+
+      data.blocks = data.blocks.filter(b => !(b.by === key(me.id) && b.user.id === key(userId)));
+      save();
+      return { success: true };
+    },
+
+    // a deleted account: every request, friendship and block it was part of
+    removeUser(userId) {
+      const id = key(userId);
+      data.requests = data.requests.filter(r => r.from.id !== id && r.to.id !== id);
+      data.friendships = data.friendships.filter(f => !f.users.some(u => u.id === id));
+      data.blocks = data.blocks.filter(b => b.by !== id && b.user.id !== id);
+      save();
+    }
+  };
+}
+
+module.exports = { createFriendsStore };
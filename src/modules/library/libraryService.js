@@ -0,0 +1,94 @@
+// src/modules/library/libraryService.js
+// The signed-in user's recently viewed resources, communities and users,
+// kept per user in localStorage. Feeds the Library and recommendations.
+// Users who hide from recently viewed (a privacy setting) are left out.
+
+import SettingsService from '../settings/settingsService.js';
+import { privacyAllows } from '../settings/settingsHelpers.js';
+
+/* ============ STATE ============ */
+const RECENT_PREFIX = 'library_recent_';
+const MAX_RECENT = 50;
+export const VIEW_KINDS = ['resource', 'community', 'user'];
+
+const listeners = new Set();
+
+function notify() {
+  listeners.forEach(fn => {
+    try {
+      fn();
+    } catch (err) {
+      console.error('[Library] Listener failed:', err);
+    }
+  });
+}
+
+function currentUserId() {
+  const session = window.SessionManager;
+  return session?.isAuthenticated() ? session.getUser()?.id ?? null : null;
+}
+
+// [{ kind, id, title, at }], newest first
+function readRecent(userId = currentUserId()) {
+  if (userId === null) return [];
+
+  try {
+    const list = JSON.parse(localStorage.getItem(RECENT_PREFIX + userId) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+// people can ask not to show up in anyone's recently viewed, even if they
+// were recorded before they did
+function isListable({ kind, id }) {
+  return kind !== 'user' || privacyAllows(SettingsService.getPrivacyFor(id), 'recentUsers');
+}
+
+['session:login', 'session:logout', 'session:update'].forEach(type => window.addEventListener(type, notify));
+
+/* ============ PUBLIC API ============ */
+export const libraryService = {
+  subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  },
+
+  /**
+   * Remember that the user opened something. Viewing it again moves it to
+   * the front rather than adding a second entry.
+   */
+  recordView({ kind, id, title = '' }) {
+    const userId = currentUserId();
+    if (userId === null || !VIEW_KINDS.includes(kind) || id === undefined || id === null) return;
+    if (!isListable({ kind, id })) return;
+
+    const key = String(id);
+    const list = readRecent(userId).filter(v => !(v.kind === kind && v.id === key));
+    list.unshift({ kind, id: key, title: String(title), at: Date.now() });
+
+    try {
+      localStorage.setItem(RECENT_PREFIX + userId, JSON.stringify(list.slice(0, MAX_RECENT)));
+    } catch (err) {
+      console.warn('[Library] Could not save recent views:', err);
+      return;
+    }
+    notify();
+  },
+
+  listRecentViews({ kind = null, limit = null } = {}) {
+    const list = readRecent().filter(v => (!kind || v.kind === kind) && isListable(v));
+    return limit ? list.slice(0, limit) : list;
+  },
+
+  clearRecentViews() {
+    const userId = currentUserId();
+    if (userId === null) return;
+
+    localStorage.removeItem(RECENT_PREFIX + userId);
+    notify();
+  }
+};
+
+export default libraryService;
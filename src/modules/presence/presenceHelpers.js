@@ -0,0 +1,30 @@
+// src/modules/presence/presenceHelpers.js
+// Pure helpers for showing presence.
+
+import { formatRelativeTime } from '../../utils/formatters.js';
+
+export const OFFLINE = { status: 'offline', activity: null, lastSeen: null };
+
+/**
+ * "In Builders", "Online", "Idle", "Last seen 5m ago" or "Offline".
+ */
+export function presenceLabel(presence = OFFLINE) {
+  if (presence.status === 'offline') {
+    return presence.lastSeen ? `Last seen ${formatRelativeTime(presence.lastSeen)}` : 'Offline';
+  }
+  if (presence.activity?.type === 'community' && presence.activity.name) {
+    return `In ${presence.activity.name}`;
+  }
+  return presence.status === 'idle' ? 'Idle' : 'Online';
+}
+
+// class for the status dot: 'online' | 'idle' | 'offline'
+export function presenceClass(presence = OFFLINE) {
+  return presence.status || 'offline';
+}
+
+// online first, then idle, then offline; stable otherwise
+export function byPresence(getPresence) {
+  const rank = { online: 0, idle: 1, offline: 2 };
+  return (a, b) => rank[getPresence(a).status] - rank[getPresence(b).status];
+}
@@ -0,0 +1,186 @@
+// src/modules/presence/presenceService.js
+// Online / idle / offline presence over the chat relay connection. Publishes
+// this tab's status (idle after a few minutes without input) and what the
+// user is doing, and follows the presence of everyone on their friend list.
+// Whether friends see it at all is the "online status" privacy setting.
+
+import { chatService } from '../chat/chatService.js';
+import { friendsService } from '../friends/friendsService.js';
+import SettingsService from '../settings/settingsService.js';
+import { OFFLINE } from './presenceHelpers.js';
+
+/* ============ STATE ============ */
+// no input for this long and the tab reports 'idle'
+const IDLE_AFTER = 5 * 60 * 1000;
+const IDLE_CHECK = 30 * 1000;
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'focus'];
+
+const state = {
+  // what this tab publishes
+  me: { status: 'online', activity: null, hidden: false },
+  // userId -> { status, activity, lastSeen }
+  users: new Map()
+};
+
+const listeners = new Set();
+let initialized = false;
+let lastActive = Date.now();
+// the friend ids the relay currently has, so we only resend on change
+let watchedKey = null;
+
+function notify() {
+  listeners.forEach(fn => {
+    try {
+      fn(state);
+    } catch (err) {
+      console.error('[Presence] Listener failed:', err);
+    }
+  });
+}
+
+function currentUserId() {
+  const session = window.SessionManager;
+  return session?.isAuthenticated() ? session.getUser()?.id ?? null : null;
+}
+
+function loadHidden() {
+  return currentUserId() !== null && SettingsService.getSettings('privacy').onlineStatus === 'nobody';
+}
+
+// the setting changed, here or in another tab
+function syncHidden() {
+  const hidden = loadHidden();
+  if (hidden === state.me.hidden) return;
+
+  state.me.hidden = hidden;
+  publish();
+  notify();
+}
+
+function publish() {
+  const { status, activity, hidden } = state.me;
+  chatService.sendFrame({ type: 'presence', status, activity, hidden });
+}
+
+function watchFriends() {
+  const userIds = friendsService.getFriends().map(f => String(f.user.id)).sort();
+  const key = userIds.join(',');
+  if (key === watchedKey) return;
+
+  if (chatService.sendFrame({ type: 'presence:watch', userIds })) watchedKey = key;
+}
+
+function setStatus(status) {
+  if (state.me.status === status) return;
+  state.me.status = status;
+  publish();
+  notify();
+}
+
+/* ============ IDLE DETECTION ============ */
+function markActive() {
+  lastActive = Date.now();
+  if (state.me.status === 'idle') setStatus('online');
+}
+
+function checkIdle() {
+  if (Date.now() - lastActive >= IDLE_AFTER) setStatus('idle');
+}
+
+function onVisibility() {
+  if (!document.hidden) markActive();
+}
+
+/* ============ SESSION ============ */
+function resetForSession() {
+  state.me.hidden = loadHidden();
+  state.me.activity = null;
+  state.users.clear();
+  watchedKey = null;
+  notify();
+}
+
+/* ============ PUBLIC API ============ */
+export const presenceService = {
+  init() {
+    if (initialized) return;
+    initialized = true;
+
+    friendsService.init();
+    state.me.hidden = loadHidden();
+
+    // (re)connected: the relay knows nothing about this tab yet
+    chatService.onFrame('ready', () => {
+      watchedKey = null;
+      publish();
+      watchFriends();
+    });
+
+    chatService.onFrame('presence', ({ users }) => {
+      (users || []).forEach(({ userId, ...presence }) => state.users.set(String(userId), presence));
+      notify();
+    });
+
+    // whatever we knew is stale until the relay is back
+    chatService.onFrame('close', () => {
+      if (!state.users.size) return;
+      state.users.clear();
+      notify();
+    });
+
+    friendsService.subscribe(watchFriends);
+    SettingsService.subscribe(syncHidden);
+
+    ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, markActive, { passive: true }));
+    document.addEventListener('visibilitychange', onVisibility);
+    setInterval(checkIdle, IDLE_CHECK);
+
+    window.addEventListener('session:login', resetForSession);
+    window.addEventListener('session:logout', resetForSession);
+    window.addEventListener('session:update', (e) => {
+      if (e.detail?.switched) resetForSession();
+    });
+  },
+
+  getState() {
+    return state;
+  },
+
+  subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  },
+
+  getPresence(userId) {
+    return state.users.get(String(userId)) || OFFLINE;
+  },
+
+  /**
+   * What the user is doing, shown to friends as "In <name>". Pass null when
+   * they leave, e.g. from the page's cleanup.
+   */
+  setActivity(activity) {
+    const next = activity ? { type: activity.type, id: String(activity.id), name: activity.name } : null;
+    if (JSON.stringify(next) === JSON.stringify(state.me.activity)) return;
+
+    state.me.activity = next;
+    publish();
+    notify();
+  },
+
+  isHidden() {
+    return state.me.hidden;
+  },
+
+  /**
+   * Hide presence from everyone: friends see this user as offline, with no
+   * "last seen". Saved as the online status privacy setting.
+   */
+  async setHidden(hidden) {
+    const result = await SettingsService.saveSettings('privacy', { onlineStatus: hidden ? 'nobody' : 'friends' });
+    syncHidden();
+    return result;
+  }
+};
+
+export default presenceService;
@@ -0,0 +1,220 @@
+// src/modules/recommendations/recommendationEngine.js
+// Pure ranking for "Recommended For You". Every point a candidate scores
+// comes with the sentence that explains it, so the top reasons can be shown
+// next to the recommendation.
+//
+// Candidates:
+//   resources    [{ id, title, category, tags, author, rating, updatedAt }]
+//   communities  [{ id, name, tags, members, memberIds }]
+// Signals:
+//   meId, friends [{ id, username }], favourites [resource],
+//   views [{ kind, id, title, at }] (newest first)
+// Feedback:
+//   dismissed    Set of keys ("resource:<id>" / "community:<id>")
+//   notInterested  Map of term -> times the user said "not interested"
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const WEIGHTS = {
+  favouriteTerm: 3,
+  joinedTerm: 2,
+  viewedTerm: 1,
+  fromJoinedCommunity: 3,
+  friendJoined: 4,
+  recentlyViewed: 1,
+  notInterested: 2,
+  fresh: 0.5
+};
+
+// how many recent views count as a signal
+const VIEW_WINDOW = 20;
+
+export function recommendationKey(kind, id) {
+  return `${kind}:${id}`;
+}
+
+function normalize(term) {
+  return String(term || '').trim().toLowerCase();
+}
+
+function termsOfResource(resource) {
+  return [resource.category, ...(resource.tags || [])].map(normalize).filter(Boolean);
+}
+
+function termsOfCommunity(community) {
+  return (community.tags || []).map(normalize).filter(Boolean);
+}
+
+/**
+ * What the user seems to like: term -> { weight, source } where `source` is
+ * the item that taught us the term, for the explanation.
+ */
+function buildInterests({ favourites, views, resourcesById, joined }) {
+  const interests = new Map();
+
+  function add(terms, weight, source) {
+    terms.forEach(term => {
+      const current = interests.get(term);
+      if (current) current.weight += weight;
+      // the first (strongest) source wins the explanation
+      else interests.set(term, { weight, source });
+    });
+  }
+
+  favourites.forEach(r => add(termsOfResource(r), WEIGHTS.favouriteTerm, { kind: 'favourite', id: r.id, title: r.title }));
+  joined.forEach(c => add(termsOfCommunity(c), WEIGHTS.joinedTerm, { kind: 'joined', title: c.name }));
+  views.slice(0, VIEW_WINDOW)
+    .filter(v => v.kind === 'resource' && resourcesById.has(v.id))
+    .forEach(v => {
+      const resource = resourcesById.get(v.id);
+      add(termsOfResource(resource), WEIGHTS.viewedTerm, { kind: 'viewed', id: resource.id, title: resource.title });
+    });
+
+  return interests;
+}
+
+function explainInterest(source, term) {
+  if (source.kind === 'favourite') return `Similar to "${source.title}" in your favourites`;
+  if (source.kind === 'joined') return `Popular with ${source.title} members`;
+  if (source.kind === 'viewed') return `Because you viewed "${source.title}"`;
+  return `Matches your interest in ${term}`;
+}
+
+/**
+ * Score overlapping terms: one reason per source, weighted by the terms it
+ * contributed. A resource is never "similar to" itself. Returns
+ * [{ points, text }].
+ */
+function interestReasons(terms, interests, selfId = null) {
+  const bySource = new Map();
+
+  terms.forEach(term => {
+    const interest = interests.get(term);
+    if (!interest || (selfId !== null && String(interest.source.id) === String(selfId))) return;
+
+    const text = explainInterest(interest.source, term);
+    bySource.set(text, (bySource.get(text) || 0) + interest.weight);
+  });
+
+  return [...bySource].map(([text, points]) => ({ points, text }));
+}
+
+function penalty(terms, notInterested) {
+  return terms.reduce((sum, term) => sum + (notInterested.get(term) || 0) * WEIGHTS.notInterested, 0);
+}
+
+function friendsLabel(names) {
+  if (names.length === 1) return `${names[0]} joined`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} joined`;
+  return `${names.length} friends joined`;
+}
+
+function finish(kind, item, reasons, fallback, extra) {
+  const sorted = reasons.filter(r => r.points > 0).sort((a, b) => b.points - a.points);
+  const score = sorted.reduce((sum, r) => sum + r.points, 0) + extra;
+
+  return {
+    kind,
+    id: item.id,
+    key: recommendationKey(kind, item.id),
+    item,
+    score,
+    reasons: sorted.length ? sorted.map(r => r.text) : [fallback]
+  };
+}
+
+function scoreResource(resource, ctx) {
+  const terms = termsOfResource(resource);
+  const reasons = interestReasons(terms, ctx.interests, resource.id);
+
+  const community = ctx.joinedByName.get(normalize(resource.author));
+  if (community) reasons.push({ points: WEIGHTS.fromJoinedCommunity, text: `From ${community.name}, which you joined` });
+
+  const fresh = ctx.now - resource.updatedAt < 7 * DAY;
+  if (fresh) reasons.push({ points: WEIGHTS.fresh, text: 'New this week' });
+
+  const fallback = resource.rating >= 90 ? 'Highly rated by creators' : 'Popular right now';
+  // rating breaks ties between otherwise equal picks
+  const base = (resource.rating || 0) / 100 - penalty(terms, ctx.notInterested);
+
+  return finish('resource', resource, reasons, fallback, base);
+}
+
+function scoreCommunity(community, ctx) {
+  const terms = termsOfCommunity(community);
+  const reasons = interestReasons(terms, ctx.interests);
+
+  const friendNames = (community.memberIds || [])
+    .map(String)
+    .filter(id => ctx.friendsById.has(id))
+    .map(id => ctx.friendsById.get(id).username);
+  if (friendNames.length) {
+    reasons.push({ points: WEIGHTS.friendJoined * friendNames.length, text: friendsLabel(friendNames) });
+  }
+
+  if (ctx.viewedCommunities.has(String(community.id))) {
+    reasons.push({ points: WEIGHTS.recentlyViewed, text: 'You looked at this recently' });
+  }
+
+  const base = Math.log10((community.members || 0) + 1) * 0.5 - penalty(terms, ctx.notInterested);
+  return finish('community', community, reasons, 'Growing community', base);
+}
+
+/**
+ * Rank resources and communities together. Joined communities, favourites
+ * and anything dismissed are left out.
+ */
+export function rankRecommendations({
+  resources = [],
+  communities = [],
+  signals = {},
+  feedback = {},
+  limit = 4,
+  now = Date.now()
+} = {}) {
+  const meId = String(signals.meId ?? '');
+  const favourites = signals.favourites || [];
+  const views = signals.views || [];
+  const dismissed = feedback.dismissed || new Set();
+  const notInterested = feedback.notInterested || new Map();
+
+  const joined = communities.filter(c => (c.memberIds || []).map(String).includes(meId));
+  const joinedIds = new Set(joined.map(c => String(c.id)));
+  const favouriteIds = new Set(favourites.map(r => String(r.id)));
+
+  const ctx = {
+    now,
+    notInterested,
+    interests: buildInterests({
+      favourites,
+      views,
+      resourcesById: new Map(resources.map(r => [String(r.id), r])),
+      joined
+    }),
+    joinedByName: new Map(joined.map(c => [normalize(c.name), c])),
+    friendsById: new Map((signals.friends || []).map(f => [String(f.id), f])),
+    viewedCommunities: new Set(views.slice(0, VIEW_WINDOW).filter(v => v.kind === 'community').map(v => String(v.id)))
+  };
+
+  const ranked = [
+    ...resources
+      .filter(r => !favouriteIds.has(String(r.id)))
+      .map(r => scoreResource(r, ctx)),
+    ...communities
+      .filter(c => !joinedIds.has(String(c.id)))
+      .map(c => scoreCommunity(c, ctx))
+  ]
+    .filter(rec => !dismissed.has(rec.key))
+    .sort((a, b) => b.score - a.score);
+
+  return limit ? ranked.slice(0, limit) : ranked;
+}
+
+/**
+ * The terms a "not interested" on this recommendation should count against.
+ */
+export function termsFor(recommendation) {
+  return recommendation.kind === 'resource'
+    ? termsOfResource(recommendation.item)
+    : termsOfCommunity(recommendation.item);
+}
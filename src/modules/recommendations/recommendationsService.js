@@ -0,0 +1,205 @@
+// src/modules/recommendations/recommendationsService.js
+// "Recommended For You": gathers the signals (favourites, friends, recent
+// Library views, community memberships), ranks with recommendationEngine.js
+// and remembers what the user dismissed so it stops coming back.
+
+import { resourcesService } from '../resources/resourcesService.js';
+import { friendsService } from '../friends/friendsService.js';
+import { libraryService } from '../library/libraryService.js';
+import { rankRecommendations, recommendationKey, termsFor } from './recommendationEngine.js';
+
+/* ============ CONFIG ============ */
+// `communities` is an object with an async list() resolving
+// [{ id, name, tags, members, memberIds }] and an optional subscribe(fn)
+// returning an unsubscribe. Until one is configured only resources are
+// recommended; main.js plugs in the communities service.
+const recommendationsConfig = {
+  communities: null,
+  ...(window.RECOMMENDATIONS_CONFIG || {})
+};
+
+export function configureRecommendations(options = {}) {
+  Object.assign(recommendationsConfig, options);
+  notify();
+  return { ...recommendationsConfig };
+}
+
+/* ============ FEEDBACK ============ */
+const FEEDBACK_PREFIX = 'recs_feedback_';
+
+const listeners = new Set();
+
+function notify() {
+  listeners.forEach(fn => {
+    try {
+      fn();
+    } catch (err) {
+      console.error('[Recommendations] Listener failed:', err);
+    }
+  });
+}
+
+function currentUserId() {
+  const session = window.SessionManager;
+  return session?.isAuthenticated() ? session.getUser()?.id ?? null : null;
+}
+
+// { dismissed: [key], notInterested: { term: count } }
+function readFeedback(userId = currentUserId()) {
+  const empty = { dismissed: [], notInterested: {} };
+  if (userId === null) return empty;
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(FEEDBACK_PREFIX + userId) || 'null');
+    return {
+      dismissed: Array.isArray(saved?.dismissed) ? saved.dismissed : [],
+      notInterested: saved?.notInterested && typeof saved.notInterested === 'object' ? saved.notInterested : {}
+    };
+  } catch {
+    return empty;
+  }
+}
+
+function writeFeedback(feedback, userId = currentUserId()) {
+  try {
+    localStorage.setItem(FEEDBACK_PREFIX + userId, JSON.stringify(feedback));
+    return true;
+  } catch (err) {
+    console.warn('[Recommendations] Could not save feedback:', err);
+    return false;
+  }
+}
+
+['session:login', 'session:logout', 'session:update'].forEach(type => window.addEventListener(type, notify));
+
+/* ============ SIGNALS ============ */
+async function loadCommunities() {
+  const provider = recommendationsConfig.communities;
+  if (!provider) return [];
+
+  try {
+    return (await provider.list()) || [];
+  } catch (err) {
+    // resources alone still make a useful section
+    console.warn('[Recommendations] Could not load communities:', err);
+    return [];
+  }
+}
+
+async function gather() {
+  const [catalog, favourites, communities] = await Promise.all([
+    resourcesService.listResources(),
+    resourcesService.listFavourites(),
+    loadCommunities()
+  ]);
+  if (!catalog.success) throw new Error(catalog.message);
+
+  return {
+    resources: catalog.resources,
+    communities,
+    signals: {
+      meId: currentUserId(),
+      friends: friendsService.getFriends().map(f => f.user),
+      favourites: favourites.success ? favourites.resources : [],
+      views: libraryService.listRecentViews()
+    }
+  };
+}
+
+// the last ranking, so feedback can find the item a key refers to
+let lastRanked = [];
+
+/* ============ PUBLIC API ============ */
+export const recommendationsService = {
+  /**
+   * Fires when anything that feeds the ranking changes: favourites, friends,
+   * recent views, communities, feedback or the signed-in user.
+   */
+  subscribe(fn) {
+    listeners.add(fn);
+    const unsubscribe = [
+      resourcesService.subscribe(fn),
+      friendsService.subscribe(fn),
+      libraryService.subscribe(fn),
+      recommendationsConfig.communities?.subscribe?.(fn) || (() => {})
+    ];
+    return () => {
+      listeners.delete(fn);
+      unsubscribe.forEach(off => off());
+    };
+  },
+
+  /**
+   * Resolves { success, recommendations: [{ kind, id, key, item, score,
+   * reasons }] } with the strongest reason first.
+   */
+  async getRecommendations(limit = 4) {
+    try {
+      const { resources, communities, signals } = await gather();
+      const saved = readFeedback();
+
+      const ranked = rankRecommendations({
+        resources,
+        communities,
+        signals,
+        feedback: {
+          dismissed: new Set(saved.dismissed),
+          notInterested: new Map(Object.entries(saved.notInterested))
+        },
+        limit: 0
+      });
+      lastRanked = ranked;
+
+      return { success: true, recommendations: ranked.slice(0, limit) };
+    } catch (err) {
+      console.error('[Recommendations] Could not rank recommendations:', err);
+      return { success: false, message: 'Could not load recommendations' };
+    }
+  },
+
+  /**
+   * Hide one recommendation for good.
+   */
+  dismiss(key) {
+    if (currentUserId() === null) return { success: false, message: 'Sign in to tune your recommendations' };
+
+    const feedback = readFeedback();
+    if (!feedback.dismissed.includes(key)) feedback.dismissed.push(key);
+    if (!writeFeedback(feedback)) return { success: false, message: 'Could not save your choice' };
+
+    notify();
+    return { success: true };
+  },
+
+  /**
+   * Hide it and rank down everything that shares its category and tags.
+   */
+  notInterested(key) {
+    if (currentUserId() === null) return { success: false, message: 'Sign in to tune your recommendations' };
+
+    const feedback = readFeedback();
+    if (!feedback.dismissed.includes(key)) feedback.dismissed.push(key);
+
+    const recommendation = lastRanked.find(r => r.key === key);
+    if (recommendation) {
+      termsFor(recommendation).forEach(term => {
+        feedback.notInterested[term] = (feedback.notInterested[term] || 0) + 1;
+      });
+    }
+    if (!writeFeedback(feedback)) return { success: false, message: 'Could not save your choice' };
+
+    notify();
+    return { success: true };
+  },
+
+  resetFeedback() {
+    const userId = currentUserId();
+    if (userId === null) return;
+
+    localStorage.removeItem(FEEDBACK_PREFIX + userId);
+    notify();
+  }
+};
+
+export { recommendationKey };
+export default recommendationsService;
@@ -0,0 +1,54 @@
+// src/modules/resources/resourcesCatalog.js
+// Built-in resource catalog used until there is a resources backend. A
+// source only needs two async methods, so a real one can be dropped in with
+// configureResources({ source }):
+//   list()    -> [resource]
+//   get(id)   -> resource | null
+// A resource is { id, title, category, icon, description, author, rating,
+// updatedAt, tags }.
+
+const DAY = 24 * 60 * 60 * 1000;
+// pretend to be a network call so loading states get exercised
+const LATENCY = 300;
+
+const RESOURCES = [
+  { id: 'getting-started', title: 'Getting Started with DynaBlock', category: 'Documentation', icon: '📚', description: 'Set up your first project and learn the editor basics.', author: 'DynaBlock Team', rating: 96, age: 2, tags: ['beginner', 'editor'] },
+  { id: 'scripting-api', title: 'Scripting API Reference', category: 'Documentation', icon: '📖', description: 'Every built-in service, event and type in one place.', author: 'DynaBlock Team', rating: 92, age: 9, tags: ['scripting', 'reference'] },
+  { id: 'first-obby', title: 'Build Your First Obby', category: 'Tutorials', icon: '🎓', description: 'A step-by-step obstacle course, from blank baseplate to publish.', author: 'PixelDev', rating: 94, age: 4, tags: ['beginner', 'building'] },
+  { id: 'ui-layouts', title: 'Responsive UI Layouts', category: 'Tutorials', icon: '🖥️', description: 'Menus and HUDs that work on phones and desktops alike.', author: 'UI Designers', rating: 89, age: 12, tags: ['ui', 'design'] },
+  { id: 'datastores', title: 'Saving Player Data', category: 'Tutorials', icon: '💾', description: 'Persist progress safely, with retries and session locking.', author: 'BuilderGuy', rating: 91, age: 20, tags: ['scripting', 'data'] },
+  { id: 'tycoon-kit', title: 'Tycoon Starter Kit', category: 'Templates', icon: '📦', description: 'Droppers, conveyors and upgrades wired up and ready to theme.', author: 'Game Builders', rating: 88, age: 6, tags: ['template', 'tycoon'] },
+  { id: 'round-system', title: 'Round-Based Game Template', category: 'Templates', icon: '⏱️', description: 'Lobby, intermission and rounds with team balancing.', author: 'Game Builders', rating: 85, age: 30, tags: ['template', 'multiplayer'] },
+  { id: 'low-poly-pack', title: 'Low-Poly Nature Pack', category: 'Assets', icon: '🌲', description: 'Trees, rocks and terrain props in a consistent style.', author: 'Alex', rating: 93, age: 3, tags: ['models', 'environment'] },
+  { id: 'sfx-pack', title: 'UI Sound Effects', category: 'Assets', icon: '🔊', description: 'Clicks, pops and notifications, free to use.', author: 'PixelDev', rating: 87, age: 15, tags: ['audio', 'ui'] },
+  { id: 'profiler', title: 'Performance Profiler', category: 'Tools', icon: '🔧', description: 'Find the scripts and parts slowing your game down.', author: 'DynaBlock Team', rating: 90, age: 7, tags: ['tools', 'performance'] },
+  { id: 'terrain-tools', title: 'Terrain Generator', category: 'Tools', icon: '⛰️', description: 'Generate landscapes from noise settings and paint biomes.', author: 'BuilderGuy', rating: 84, age: 25, tags: ['tools', 'environment'] },
+  { id: 'dev-forum', title: 'Creator Forum Guidelines', category: 'Community', icon: '👥', description: 'How to ask good questions and share your work.', author: 'DynaBlock Team', rating: 80, age: 40, tags: ['community'] }
+];
+
+function delay() {
+  return new Promise(resolve => setTimeout(resolve, LATENCY));
+}
+
+// `age` (days old) keeps the sample data fresh relative to today
+function withDates({ age, ...resource }, now) {
+  return { ...resource, updatedAt: now - age * DAY };
+}
+
+export function createCatalogSource() {
+  const now = Date.now();
+  const resources = RESOURCES.map(r => withDates(r, now));
+
+  return {
+    async list() {
+      await delay();
+      return resources.map(r => ({ ...r }));
+    },
+
+    async get(id) {
+      await delay();
+      const resource = resources.find(r => r.id === String(id));
+      return resource ? { ...resource } : null;
+    }
+  };
+}
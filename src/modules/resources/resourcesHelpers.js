@@ -0,0 +1,30 @@
+// src/modules/resources/resourcesHelpers.js
+// Pure helpers for resource lists.
+
+export const RESOURCE_CATEGORIES = ['Documentation', 'Tutorials', 'Templates', 'Assets', 'Tools', 'Community'];
+
+export function sortByRecent(resources) {
+  return [...resources].sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function sortByRating(resources) {
+  return [...resources].sort((a, b) => b.rating - a.rating || b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Filter by category and a free-text query over title, description and tags.
+ */
+export function filterResources(resources, { category = null, query = '' } = {}) {
+  const q = String(query || '').trim().toLowerCase();
+
+  return resources.filter(r => {
+    if (category && r.category !== category) return false;
+    if (!q) return true;
+    return [r.title, r.description, ...(r.tags || [])].some(text => text.toLowerCase().includes(q));
+  });
+}
+
+// "96%" — share of positive ratings
+export function formatRating(rating) {
+  return `${Math.round(rating)}%`;
+}
@@ -0,0 +1,183 @@
+// src/modules/resources/resourcesService.js
+// Resource catalog lookups plus the signed-in user's favourites. Lists are
+// fetched on demand; favourites are kept per user in localStorage and
+// subscribe() fires whenever they change.
+
+import { createCatalogSource } from './resourcesCatalog.js';
+import { filterResources, sortByRating, sortByRecent } from './resourcesHelpers.js';
+
+/* ============ CONFIG ============ */
+// Uses the built-in catalog by default. Set window.RESOURCES_CONFIG =
+// { source } before main.js loads, or call configureResources({ source }),
+// with an object implementing the interface in resourcesCatalog.js.
+const resourcesConfig = {
+  source: null,
+  ...(window.RESOURCES_CONFIG || {})
+};
+
+let source = resourcesConfig.source || createCatalogSource();
+// the whole catalog, fetched once and shared by every list
+let catalog = null;
+
+export function configureResources(options = {}) {
+  Object.assign(resourcesConfig, options);
+  if (options.source) {
+    source = options.source;
+    catalog = null;
+  }
+  return { ...resourcesConfig };
+}
+
+function loadCatalog() {
+  if (!catalog) {
+    catalog = source.list().catch(err => {
+      // let the next call try again
+      catalog = null;
+      throw err;
+    });
+  }
+  return catalog;
+}
+
+/* ============ FAVOURITES ============ */
+const FAVOURITES_PREFIX = 'resource_favourites_';
+
+const listeners = new Set();
+
+function notify() {
+  listeners.forEach(fn => {
+    try {
+      fn();
+    } catch (err) {
+      console.error('[Resources] Listener failed:', err);
+    }
+  });
+}
+
+function currentUserId() {
+  const session = window.SessionManager;
+  return session?.isAuthenticated() ? session.getUser()?.id ?? null : null;
+}
+
+// [{ id, addedAt }], newest first
+function readFavourites(userId = currentUserId()) {
+  if (userId === null) return [];
+
+  try {
+    const list = JSON.parse(localStorage.getItem(FAVOURITES_PREFIX + userId) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeFavourites(list, userId = currentUserId()) {
+  try {
+    localStorage.setItem(FAVOURITES_PREFIX + userId, JSON.stringify(list));
+    return true;
+  } catch (err) {
+    console.warn('[Resources] Could not save favourites:', err);
+    return false;
+  }
+}
+
+// favourites belong to whoever is signed in, so views re-render on switch
+['session:login', 'session:logout', 'session:update'].forEach(type => window.addEventListener(type, notify));
+window.addEventListener('storage', (e) => {
+  if (e.key?.startsWith(FAVOURITES_PREFIX)) notify();
+});
+
+/* ============ PUBLIC API ============ */
+export const resourcesService = {
+  subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  },
+
+  /**
+   * `sort` is 'recent' (default) or 'rating'.
+   */
+  async listResources({ category = null, query = '', sort = 'recent', limit = null } = {}) {
+    try {
+      const all = filterResources(await loadCatalog(), { category, query });
+      const sorted = sort === 'rating' ? sortByRating(all) : sortByRecent(all);
+      return { success: true, resources: limit ? sorted.slice(0, limit) : sorted };
+    } catch (err) {
+      console.error('[Resources] Could not load resources:', err);
+      return { success: false, message: 'Could not load resources' };
+    }
+  },
+
+  async getResource(id) {
+    try {
+      const resource = await source.get(id);
+      return resource
+        ? { success: true, resource }
+        : { success: false, message: 'Resource not found' };
+    } catch (err) {
+      console.error('[Resources] Could not load resource:', err);
+      return { success: false, message: 'Could not load this resource' };
+    }
+  },
+
+  // highest rated first
+  getFeatured(limit = 4) {
+    return this.listResources({ sort: 'rating', limit });
+  },
+
+  getLatest(limit = 4) {
+    return this.listResources({ sort: 'recent', limit });
+  },
+
+  isFavourite(id) {
+    return readFavourites().some(f => f.id === String(id));
+  },
+
+  /**
+   * The user's favourite resources, most recently added first. Favourites
+   * whose resource has since disappeared are skipped.
+   */
+  async listFavourites({ limit = null } = {}) {
+    if (currentUserId() === null) return { success: true, resources: [], signedOut: true };
+
+    try {
+      const byId = new Map((await loadCatalog()).map(r => [r.id, r]));
+      const resources = readFavourites()
+        .map(f => byId.get(f.id))
+        .filter(Boolean);
+      return { success: true, resources: limit ? resources.slice(0, limit) : resources };
+    } catch (err) {
+      console.error('[Resources] Could not load favourites:', err);
+      return { success: false, message: 'Could not load your favourites' };
+    }
+  },
+
+  addFavourite(id) {
+    if (currentUserId() === null) return { success: false, message: 'Sign in to save favourites' };
+
+    const key = String(id);
+    const list = readFavourites().filter(f => f.id !== key);
+    if (!writeFavourites([{ id: key, addedAt: Date.now() }, ...list])) {
+      return { success: false, message: 'Could not save your favourite' };
+    }
+    notify();
+    return { success: true, favourite: true };
+  },
+
+  removeFavourite(id) {
+    if (currentUserId() === null) return { success: false, message: 'Sign in to save favourites' };
+
+    const key = String(id);
+    if (!writeFavourites(readFavourites().filter(f => f.id !== key))) {
+      return { success: false, message: 'Could not update your favourites' };
+    }
+    notify();
+    return { success: true, favourite: false };
+  },
+
+  toggleFavourite(id) {
+    return this.isFavourite(id) ? this.removeFavourite(id) : this.addFavourite(id);
+  }
+};
+
+export default resourcesService;
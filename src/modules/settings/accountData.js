@@ -0,0 +1,143 @@
+// src/modules/settings/accountData.js
+// "Download your data": gathers what the app holds on the signed-in user
+// from each service (profile, settings, friends, communities, chat history,
+// favourites) and saves it as one JSON file or a ZIP with a file per part.
+
+import { getUser } from '../auth-module/session-manager/session.js';
+import { getSettings } from './settingsService.js';
+import { SETTINGS_KEYS } from './settingsHelpers.js';
+import { friendsService } from '../friends/friendsService.js';
+import { communitiesService } from '../communities/communitiesService.js';
+import { sameId } from '../communities/communitiesHelpers.js';
+import { chatService } from '../chat/chatService.js';
+import { resourcesService } from '../resources/resourcesService.js';
+import { createZip } from '../../utils/zip.js';
+
+export const EXPORT_FORMATS = ['json', 'zip'];
+
+const EXPORT_VERSION = 1;
+
+/* ============ PARTS ============ */
+// Each part resolves { data } or { error }; one part failing (chat while
+// offline, say) leaves a note in the export instead of stopping it.
+
+function profilePart(user) {
+  const { id, username, email, createdAt } = user;
+  return { data: { id, username, email, createdAt, ...getSettings('profile') } };
+}
+
+function settingsPart() {
+  return {
+    data: Object.fromEntries(SETTINGS_KEYS.filter(s => s !== 'profile').map(s => [s, getSettings(s)]))
+  };
+}
+
+async function friendsPart() {
+  friendsService.init();
+  await friendsService.refresh();
+
+  const { status, error, friends, incoming, outgoing, blocked } = friendsService.getState();
+  return status === 'error' ? { error } : { data: { friends, incoming, outgoing, blocked } };
+}
+
+async function communitiesPart(user) {
+  communitiesService.init();
+  await communitiesService.refresh();
+
+  const { status, error } = communitiesService.getState();
+  if (status === 'error') return { error };
+
+  return {
+    data: communitiesService.getJoined().map(community => {
+      const member = community.memberList.find(m => sameId(m.id, user.id));
+      return { id: community.id, name: community.name, role: member?.role || null, joinedAt: member?.joinedAt || null };
+    })
+  };
+}
+
+async function chatPart() {
+  const result = await chatService.exportHistory();
+  return result.success ? { data: result.conversations } : { error: result.message };
+}
+
+async function favouritesPart() {
+  const result = await resourcesService.listFavourites();
+  if (!result.success) return { error: result.message };
+  return { data: result.resources.map(({ id, title, category }) => ({ id, title, category })) };
+}
+
+/* ============ EXPORT ============ */
+
+/**
+ * Everything we hold on the signed-in user. Resolves { success, data,
+ * missing } where `missing` names the parts that could not be fetched.
+ */
+export async function collectAccountData() {
+  const user = getUser();
+  if (!user) return { success: false, message: 'Sign in to download your data' };
+
+  const parts = {
+    profile: profilePart(user),
+    settings: settingsPart(),
+    friends: await friendsPart(),
+    communities: await communitiesPart(user),
+    chat: await chatPart(),
+    favourites: await favouritesPart()
+  };
+
+  const missing = Object.keys(parts).filter(key => parts[key].error);
+  return {
+    success: true,
+    missing,
+    data: {
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      ...Object.fromEntries(Object.entries(parts).map(([key, part]) => [
+        key,
+        part.error ? { unavailable: part.error } : part.data
+      ]))
+    }
+  };
+}
+
+function saveFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Collect the signed-in user's data and save it as `format` ('json' or
+ * 'zip'). Resolves like collectAccountData(), with a message to show.
+ */
+export async function downloadAccountData(format = 'json') {
+  if (!EXPORT_FORMATS.includes(format)) return { success: false, message: 'Unknown export format' };
+
+  const result = await collectAccountData();
+  if (!result.success) return result;
+
+  const { data, missing } = result;
+  const name = `dynablocks-${data.profile.username}-${data.exportedAt.slice(0, 10)}`;
+  const json = (value) => JSON.stringify(value, null, 2);
+
+  const blob = format === 'zip'
+    ? createZip(Object.entries(data)
+      .filter(([, value]) => typeof value === 'object')
+      .map(([key, value]) => ({ name: `${name}/${key}.json`, content: json(value) }))
+      .concat({ name: `${name}/export.json`, content: json({ version: data.version, exportedAt: data.exportedAt }) }))
+    : new Blob([json(data)], { type: 'application/json' });
+
+  saveFile(blob, `${name}.${format}`);
+  return {
+    success: true,
+    missing,
+    message: missing.length
+      ? `Downloaded, without your ${missing.join(' and ')}: we couldn't reach them just now.`
+      : 'Downloaded.'
+  };
+}
@@ -0,0 +1,124 @@
+// src/modules/settings/settingsHelpers.js
+// Defaults and validation for the per-user settings kept by settingsService,
+// and the privacy policy the friends, chat, presence and library code consult.
+
+export const DISPLAY_NAME_MAX = 40;
+export const BIO_MAX = 200;
+
+export const PROFILE_COLOURS = ['#4a90e2', '#7c3aed', '#db2777', '#ea580c', '#16a34a', '#0891b2'];
+
+// who each privacy setting can be opened up to, widest first
+export const PRIVACY_AUDIENCES = {
+  friendRequests: ['everyone', 'friends-of-friends', 'nobody'],
+  messages: ['everyone', 'friends', 'nobody'],
+  profileVisibility: ['everyone', 'friends', 'nobody'],
+  onlineStatus: ['friends', 'nobody']
+};
+
+export const AUDIENCE_LABELS = {
+  everyone: 'Everyone',
+  'friends-of-friends': 'Friends of friends',
+  friends: 'Friends',
+  nobody: 'Nobody'
+};
+
+// every section a user can have, with what a new account starts with
+export const DEFAULT_SETTINGS = {
+  profile: {
+    displayName: '',
+    bio: '',
+    website: '',
+    colour: PROFILE_COLOURS[0]
+  },
+  privacy: {
+    friendRequests: 'everyone',
+    messages: 'everyone',
+    profileVisibility: 'everyone',
+    onlineStatus: 'friends',
+    hideFromRecent: false
+  }
+};
+
+export const SETTINGS_KEYS = Object.keys(DEFAULT_SETTINGS);
+
+/**
+ * Stored settings filled in with defaults, dropping keys that no longer
+ * exist so old saves can't smuggle anything in.
+ */
+export function withDefaults(saved = {}) {
+  return Object.fromEntries(SETTINGS_KEYS.map(section => {
+    const defaults = DEFAULT_SETTINGS[section];
+    const values = saved?.[section] || {};
+    return [section, Object.fromEntries(Object.keys(defaults).map(key => [key, values[key] ?? defaults[key]]))];
+  }));
+}
+
+export function validateProfile({ displayName = '', bio = '', website = '', colour = '' } = {}) {
+  const errors = {};
+
+  if (String(displayName).trim().length > DISPLAY_NAME_MAX) {
+    errors.displayName = `Display names can be at most ${DISPLAY_NAME_MAX} characters`;
+  }
+  if (String(bio).length > BIO_MAX) errors.bio = `Your bio can be at most ${BIO_MAX} characters`;
+
+  const link = String(website).trim();
+  if (link && !/^https?:\/\/[^\s]+\.[^\s]+$/i.test(link)) errors.website = 'Enter a full http(s) link';
+
+  if (!PROFILE_COLOURS.includes(colour)) errors.colour = 'Pick one of the colours';
+
+  return errors;
+}
+
+export function validatePrivacy(values = {}) {
+  const errors = {};
+
+  Object.entries(PRIVACY_AUDIENCES).forEach(([setting, audiences]) => {
+    if (!audiences.includes(values[setting])) errors[setting] = 'Pick one of the options';
+  });
+  if (typeof values.hideFromRecent !== 'boolean') errors.hideFromRecent = 'Pick one of the options';
+
+  return errors;
+}
+
+// per-section validators; sections without one accept anything
+export const VALIDATORS = {
+  profile: validateProfile,
+  privacy: validatePrivacy
+};
+
+/* ---- privacy policy ---- */
+
+const REFUSALS = {
+  friendRequests: username => `${username} isn't accepting friend requests from you`,
+  messages: username => `${username} isn't accepting messages from you`
+};
+
+/**
+ * Whether someone may reach a user whose privacy settings are `privacy`.
+ * `setting` is one of PRIVACY_AUDIENCES' keys, or 'recentUsers' for showing
+ * up in other people's recently viewed. `relationship` is where the viewer
+ * stands with that user, as relationshipWith() in friendsHelpers.js says,
+ * or 'friend-of-friend' when they share a friend.
+ */
+export function privacyAllows(privacy, setting, relationship = 'none') {
+  if (relationship === 'self') return true;
+
+  const settings = { ...DEFAULT_SETTINGS.privacy, ...privacy };
+  if (setting === 'recentUsers') return !settings.hideFromRecent;
+
+  switch (settings[setting]) {
+    case 'everyone':
+      return true;
+    case 'friends-of-friends':
+      return relationship === 'friend' || relationship === 'friend-of-friend';
+    case 'friends':
+      return relationship === 'friend';
+    default:
+      return false;
+  }
+}
+
+// what to tell someone privacyAllows() turned away
+export function privacyRefusal(setting, username) {
+  return REFUSALS[setting]?.(username) || `${username} has limited who can do that`;
+}
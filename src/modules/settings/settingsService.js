@@ -1,4 +1,36 @@
-// Simple settings service to load and save account info from the SessionManager
+// Settings service: the signed-in user's account details, changed through the
+// auth backend and handed to SessionManager, and their per-user settings
+// (profile, privacy), kept in localStorage. Privacy is also saved on the auth
+// backend, which enforces it; its copy comes back on the session user.
+// initSettings renders the account fields.
+import { createScope } from '../../utils/helpers.js';
+import {
+	validateUsername,
+	validateEmail,
+	validatePassword,
+	validateConfirm,
+	validateRequired,
+	validateFields
+} from '../../utils/validators.js';
+import { escapeHtml } from '../../utils/formatters.js';
+import { showFieldErrors, clearOnInput } from '../../components/common/fieldErrors.js';
+import initTwoFactorSettings from '../../components/settings/TwoFactorSettings.js';
+import { authAPI } from '../auth-module/auth.js';
+import { VALIDATORS, withDefaults, privacyAllows } from './settingsHelpers.js';
+
+const SETTINGS_PREFIX = 'settings_';
+const listeners = new Set();
+
+function notify() {
+	listeners.forEach(fn => {
+		try {
+			fn();
+		} catch (err) {
+			console.error('[Settings] Listener failed:', err);
+		}
+	});
+}
+
 function getStoredUser() {
 	try {
 		return window.SessionManager?.getUser() || null;
@@ -7,79 +39,345 @@ function getStoredUser() {
 	}
 }
 
-function _writeUserToStorage(user) {
+function readSettings(userId) {
+	if (userId === null || userId === undefined) return withDefaults();
+
 	try {
-		const remember = localStorage.getItem('remember_me') === '1';
-		const storage = remember ? localStorage : sessionStorage;
-		storage.setItem('user_data', JSON.stringify(user));
-		if (window.SessionManager) {
-			// update in-memory user if possible
-			window.SessionManager._user = user;
-		}
-	} catch (e) {
-		console.warn('Could not persist user:', e);
+		return withDefaults(JSON.parse(localStorage.getItem(SETTINGS_PREFIX + userId) || '{}'));
+	} catch {
+		return withDefaults();
+	}
+}
+
+['session:login', 'session:logout', 'session:update'].forEach(type => window.addEventListener(type, notify));
+
+// another tab saved this user's settings
+window.addEventListener('storage', (e) => {
+	const user = getStoredUser();
+	if (user && e.key === SETTINGS_PREFIX + user.id) notify();
+});
+
+/**
+ * One section of the signed-in user's settings ('profile', ...), with
+ * defaults filled in. Signed out, the defaults.
+ */
+export function getSettings(section) {
+	const user = getStoredUser();
+	const settings = readSettings(user?.id);
+	// the auth backend's copy is the one it enforces
+	if (section === 'privacy' && user?.privacy) return { ...settings.privacy, ...user.privacy };
+	return { ...settings[section] };
+}
+
+/**
+ * Another user's privacy settings as saved on this device, for
+ * privacyAllows() in settingsHelpers.js. Only the auth mock relies on these;
+ * with the auth server, lookups carry each user's `privacy`. Accounts that
+ * never signed in here get the defaults.
+ */
+export function getPrivacyFor(userId) {
+	return { ...readSettings(userId).privacy };
+}
+
+/**
+ * The profile settings of `userId` if their profile visibility lets someone
+ * who stands in `relationship` to them see it, otherwise null.
+ */
+export function getVisibleProfile(userId, relationship) {
+	const settings = readSettings(userId);
+	return privacyAllows(settings.privacy, 'profileVisibility', relationship) ? { ...settings.profile } : null;
+}
+
+/**
+ * Validate and store one section. Resolves { success, settings } or
+ * { success: false, message, errors } with per-field errors.
+ */
+export async function saveSettings(section, values = {}) {
+	const user = getStoredUser();
+	if (!user) return { success: false, message: 'Sign in to change your settings' };
+
+	const all = readSettings(user.id);
+	if (!all[section]) return { success: false, message: `Unknown settings section "${section}"` };
+
+	const next = { ...(section === 'privacy' ? getSettings('privacy') : all[section]), ...values };
+	const errors = VALIDATORS[section]?.(next) || {};
+	if (Object.keys(errors).length) {
+		return { success: false, message: Object.values(errors)[0], errors };
+	}
+
+	// privacy only counts once the auth backend, which enforces it, has it
+	if (section === 'privacy') {
+		const result = await authRequest(token => authAPI.updateAccount(token, { privacy: next }));
+		if (!result.success) return result;
+		window.SessionManager.updateUser(result.user);
+	}
+
+	try {
+		localStorage.setItem(SETTINGS_PREFIX + user.id, JSON.stringify(withDefaults({ ...all, [section]: next })));
+	} catch (err) {
+		console.warn('[Settings] Could not save settings:', err);
+		return { success: false, message: 'Could not save your settings on this device' };
+	}
+
+	notify();
+	return { success: true, settings: { ...next } };
+}
+
+async function authRequest(send) {
+	try {
+		return await send(window.SessionManager.getToken());
+	} catch (err) {
+		console.error('[Settings] Auth request failed:', err);
+		return { success: false, message: 'Something went wrong, please try again' };
+	}
+}
+
+// put an auth backend error next to the field it is about, when we know which
+function withFieldError(result, fieldsByMessage) {
+	const field = fieldsByMessage[result.message];
+	return field ? { ...result, errors: { [field]: result.message } } : result;
+}
+
+function invalid(errors) {
+	return { success: false, message: Object.values(errors)[0], errors };
+}
+
+/**
+ * Change account details on the auth backend, then update the session with
+ * what it accepted. Resolves like saveSettings().
+ */
+export async function saveAccount({ username } = {}) {
+	const user = getStoredUser();
+	if (!user) return { success: false, message: 'Sign in to change your account' };
+
+	const clean = String(username || '').trim();
+	const { valid, errors } = validateFields({ username: validateUsername(clean) });
+	if (!valid) return { success: false, message: errors.username, errors };
+	if (clean === user.username) return { success: true, user };
+
+	const result = await authRequest(token => authAPI.updateAccount(token, { username: clean }));
+	if (!result.success) return { ...result, errors: { username: result.message } };
+
+	window.SessionManager.updateUser(result.user);
+	return { success: true, user: result.user };
+}
+
+/**
+ * Change the password, re-checking the current one. The auth backend signs
+ * out the user's other sessions. Resolves like saveSettings().
+ */
+export async function changePassword({ currentPassword = '', newPassword = '', confirm = '' } = {}) {
+	const user = getStoredUser();
+	if (!user) return { success: false, message: 'Sign in to change your password' };
+
+	const { valid, errors } = validateFields({
+		currentPassword: validateRequired(currentPassword, 'Current password'),
+		newPassword: validatePassword(newPassword, user),
+		confirm: validateConfirm(newPassword, confirm)
+	});
+	if (!valid) return invalid(errors);
+
+	const result = await authRequest(token => authAPI.changePassword(token, currentPassword, newPassword));
+	return result.success ? result : withFieldError(result, {
+		'Incorrect password': 'currentPassword',
+		'Choose a password different from your current one': 'newPassword'
+	});
+}
+
+/**
+ * Ask to move the account to a new email, re-checking the password. The
+ * auth backend sends that address a confirmation link; until it is opened
+ * the session user carries it as `pendingEmail` and the old one stays.
+ */
+export async function changeEmail({ email = '', password = '' } = {}) {
+	const user = getStoredUser();
+	if (!user) return { success: false, message: 'Sign in to change your email' };
+
+	const clean = String(email).trim();
+	const { valid, errors } = validateFields({
+		email: validateEmail(clean),
+		password: validateRequired(password, 'Password')
+	});
+	if (!valid) return invalid(errors);
+
+	const result = await authRequest(token => authAPI.requestEmailChange(token, password, clean));
+	if (!result.success) {
+		return withFieldError(result, {
+			'Incorrect password': 'password',
+			'Invalid email address': 'email',
+			"That's already your email": 'email',
+			'Email already registered': 'email'
+		});
 	}
+
+	window.SessionManager.updateUser(result.user);
+	return result;
 }
 
-export function initSettings(container) {
-	if (!container) return;
+/**
+ * Open the link from a confirmation email. If it is for the account signed
+ * in here, the session picks up the new address straight away.
+ */
+export async function confirmEmailChange(verificationToken) {
+	if (!verificationToken) return { success: false, message: 'This confirmation link is invalid or has expired' };
+
+	const result = await authRequest(() => authAPI.confirmEmailChange(verificationToken));
+	// ignored unless it is the account signed in here
+	if (result.success) window.SessionManager?.updateUser(result.user);
+	return result;
+}
+
+/**
+ * Schedule the account for deletion, re-checking the password. The auth
+ * backend signs the user out everywhere, so this device logs out too;
+ * signing back in during the grace period lets them cancel.
+ */
+export async function deleteAccount({ password = '' } = {}) {
+	const user = getStoredUser();
+	if (!user) return { success: false, message: 'Sign in to delete your account' };
+
+	const { valid, errors } = validateFields({ password: validateRequired(password, 'Password') });
+	if (!valid) return invalid(errors);
+
+	const result = await authRequest(token => authAPI.deleteAccount(token, password));
+	if (!result.success) return withFieldError(result, { 'Incorrect password': 'password' });
+
+	// only this account: the switcher moves on to the next one, if any
+	await window.SessionManager.removeAccount(user.id);
+	return result;
+}
+
+/**
+ * Keep an account that is scheduled for deletion.
+ */
+export async function cancelAccountDeletion() {
+	if (!getStoredUser()) return { success: false, message: 'Sign in to keep your account' };
+
+	const result = await authRequest(token => authAPI.cancelAccountDeletion(token));
+	if (result.success) window.SessionManager.updateUser(result.user);
+	return result;
+}
+
+export function subscribe(fn) {
+	listeners.add(fn);
+	return () => listeners.delete(fn);
+}
+
+/**
+ * Account fields (username, email) and two-factor settings. `onDirtyChange`
+ * is called with true/false as the fields drift from what is saved.
+ * Returns a cleanup function that removes the listeners again.
+ */
+export function initSettings(container, { scope = createScope(), onDirtyChange = () => {} } = {}) {
+	if (!container) return () => {};
 
 	const user = getStoredUser() || { username: '', email: '' };
 
 	container.innerHTML = `
-		<h1>Account Settings</h1>
+		<h2>Account</h2>
 		<div class="settings-account">
-			<label>Username</label>
-			<input id="settings-username" value="${user.username || ''}" />
+			<label for="settings-username">Username</label>
+			<input id="settings-username" value="${escapeHtml(user.username || '')}" autocomplete="username" />
 
-			<label>Email</label>
-			<input id="settings-email" value="${user.email || ''}" />
+			<label for="settings-email">Email</label>
+			<input id="settings-email" value="${escapeHtml(user.email || '')}" readonly />
 
-			<button id="settings-save">Save</button>
-			<div id="settings-msg" style="margin-top:8px"></div>
+			<div class="settings-actions">
+				<button type="button" id="settings-discard">Discard</button>
+				<button type="button" id="settings-save">Save</button>
+			</div>
+			<div id="settings-msg" role="status"></div>
 		</div>
+
+		<h2>Two-factor authentication</h2>
+		<div id="settings-2fa" class="settings-2fa"></div>
 	`;
 
 	const usernameEl = container.querySelector('#settings-username');
 	const emailEl = container.querySelector('#settings-email');
 	const saveBtn = container.querySelector('#settings-save');
+	const discardBtn = container.querySelector('#settings-discard');
 	const msgEl = container.querySelector('#settings-msg');
+	const fields = { username: usernameEl };
+
+	let dirty = false;
+
+	function checkDirty() {
+		const saved = getStoredUser()?.username || '';
+		const next = usernameEl.value.trim() !== saved;
+		saveBtn.disabled = !next;
+		discardBtn.disabled = !next;
+		if (next !== dirty) {
+			dirty = next;
+			onDirtyChange(dirty);
+		}
+	}
 
 	function refreshFromSession() {
 		const u = getStoredUser();
-		if (!u) return;
-		usernameEl.value = u.username || '';
-		emailEl.value = u.email || '';
+		usernameEl.value = u?.username || '';
+		emailEl.value = u?.email || '';
+		showFieldErrors(fields, {});
+		checkDirty();
 	}
 
-	saveBtn.onclick = () => {
-		const updated = {
-			...(getStoredUser() || {}),
-			username: usernameEl.value.trim(),
-			email: emailEl.value.trim()
-		};
+	clearOnInput(usernameEl);
+	scope.on(usernameEl, 'input', checkDirty);
+	scope.on(discardBtn, 'click', refreshFromSession);
 
-		_writeUserToStorage(updated);
+	scope.on(saveBtn, 'click', async () => {
+		saveBtn.disabled = true;
+		const result = await saveAccount({ username: usernameEl.value });
+		if (scope.disposed) return;
 
-		// notify others that account updated
-		window.dispatchEvent(new CustomEvent('session:update', { detail: { user: updated } }));
+		showFieldErrors(fields, result.errors || {});
+		if (!result.success) {
+			msgEl.textContent = result.errors ? '' : result.message;
+			checkDirty();
+			return;
+		}
 
+		refreshFromSession();
 		msgEl.textContent = 'Saved.';
-		setTimeout(() => (msgEl.textContent = ''), 2000);
-	};
-
-	// Listen for session changes and refresh fields
-	window.addEventListener('session:login', refreshFromSession);
-	window.addEventListener('session:logout', () => {
-		usernameEl.value = '';
-		emailEl.value = '';
+		scope.timeout(() => (msgEl.textContent = ''), 2000);
 	});
+
+	if (getStoredUser()) {
+		initTwoFactorSettings(container.querySelector('#settings-2fa'), { scope });
+	} else {
+		container.querySelector('#settings-2fa').textContent = 'Sign in to manage two-factor authentication.';
+	}
+
+	// a different account never keeps the last one's typing; an update to
+	// this one is picked up unless that would throw typing away
+	scope.on(window, 'session:login', refreshFromSession);
+	scope.on(window, 'session:logout', refreshFromSession);
+	scope.on(window, 'session:update', (e) => {
+		if (e.detail?.switched || !dirty) refreshFromSession();
+	});
+
+	checkDirty();
+	return () => scope.dispose();
 }
 
 export function loadAccount() {
 	return getStoredUser();
 }
 
-const SettingsService = { initSettings, loadAccount };
+const SettingsService = {
+	initSettings,
+	loadAccount,
+	getSettings,
+	saveSettings,
+	saveAccount,
+	changePassword,
+	changeEmail,
+	confirmEmailChange,
+	deleteAccount,
+	cancelAccountDeletion,
+	getPrivacyFor,
+	getVisibleProfile,
+	subscribe
+};
 window.SettingsService = SettingsService;
 export default SettingsService;
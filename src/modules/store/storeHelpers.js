@@ -0,0 +1,66 @@
+// src/modules/store/storeHelpers.js
+// Small, pure helpers shared by the store service and its views.
+
+import { isIconUrl, normalizeName } from '../communities/communitiesHelpers.js';
+
+export const CURRENCY = 'Blox';
+// every wallet starts with this much, so there is something to spend
+export const STARTING_BALANCE = 500;
+
+export const ITEM_NAME_MIN = 2;
+export const ITEM_NAME_MAX = 40;
+export const PRICE_MAX = 100000;
+export const STOCK_MAX = 9999;
+
+export function formatPrice(amount) {
+  return `${Number(amount || 0).toLocaleString()} ${CURRENCY}`;
+}
+
+// transactions are signed: positive for money in, negative for money out
+export function formatAmount(amount) {
+  return `${amount > 0 ? '+' : amount < 0 ? '−' : ''}${formatPrice(Math.abs(amount))}`;
+}
+
+// `stock` is null for items that never run out
+export function isSoldOut(item) {
+  return item.stock !== null && item.stock <= 0;
+}
+
+export function formatStock(item) {
+  if (item.stock === null) return 'Unlimited';
+  if (item.stock <= 0) return 'Sold out';
+  return `${item.stock} left`;
+}
+
+// form values arrive as strings; empty stock means unlimited
+export function parseItem({ name, image = '', price, stock = '' } = {}) {
+  const blank = value => value === null || value === undefined || String(value).trim() === '';
+  return {
+    name: normalizeName(name),
+    image: String(image || '').trim(),
+    price: blank(price) ? NaN : Number(price),
+    stock: blank(stock) ? null : Number(stock)
+  };
+}
+
+/**
+ * Field errors for a new or edited store item, keyed like the form fields.
+ * Takes parseItem() output. Empty object when valid.
+ */
+export function validateItem({ name, image, price, stock }) {
+  const errors = {};
+
+  if (!name) errors.name = 'Give the item a name';
+  else if (name.length < ITEM_NAME_MIN) errors.name = `Names need at least ${ITEM_NAME_MIN} characters`;
+  else if (name.length > ITEM_NAME_MAX) errors.name = `Names can be at most ${ITEM_NAME_MAX} characters`;
+
+  if (image && !isIconUrl(image)) errors.image = 'Images must be an http(s) image link';
+
+  if (!Number.isInteger(price) || price < 0) errors.price = 'Prices are whole numbers, 0 or more';
+  else if (price > PRICE_MAX) errors.price = `Prices can be at most ${formatPrice(PRICE_MAX)}`;
+
+  if (stock !== null && (!Number.isInteger(stock) || stock < 0)) errors.stock = 'Stock is a whole number, or empty for unlimited';
+  else if (stock > STOCK_MAX) errors.stock = `Stock can be at most ${STOCK_MAX}`;
+
+  return errors;
+}
@@ -0,0 +1,288 @@
+// src/modules/store/storeService.js
+// Client-side store state: each community's items, and the signed-in user's
+// wallet (balance, inventory and transaction history). Items load per
+// community as stores are opened; the wallet loads with the session. Admins
+// manage items through the permission rules in communitiesHelpers.js.
+// Components subscribe() and re-render from the getters; the data source is
+// pluggable.
+
+import { createLocalStoreSource } from './storeSource.js';
+import { isSoldOut, parseItem, validateItem } from './storeHelpers.js';
+import { communitiesService } from '../communities/communitiesService.js';
+import { sameId } from '../communities/communitiesHelpers.js';
+
+/* ============ CONFIG ============ */
+// Uses the local mock backend (shared localStorage) by default. Set
+// window.STORE_CONFIG = { source } before main.js loads, or call
+// configureStore({ source }), with 'memory' or an object implementing the
+// interface documented in storeSource.js.
+const storeConfig = {
+  source: 'local',
+  ...(window.STORE_CONFIG || {})
+};
+
+let source = null;
+let unwatchSource = () => {};
+
+// the mock backend checks roles and membership against the communities data
+const communities = {
+  async get(id) {
+    const result = await communitiesService.get(id);
+    return result.success ? result.community : null;
+  }
+};
+
+function createSource(option) {
+  if (option === 'local') return createLocalStoreSource({ communities });
+  if (option === 'memory') return createLocalStoreSource({ storage: null, communities });
+  return option;
+}
+
+function useSource(option) {
+  unwatchSource();
+  source = createSource(option);
+  unwatchSource = source.subscribe?.(() => refresh()) || (() => {});
+}
+
+export function configureStore(options = {}) {
+  Object.assign(storeConfig, options);
+  if (options.source && initialized) {
+    useSource(storeConfig.source);
+    loadForSession();
+  }
+  return { ...storeConfig };
+}
+
+/* ============ STATE ============ */
+const state = {
+  // the wallet's status: 'signed-out' | 'loading' | 'ready' | 'error'
+  status: 'signed-out',
+  me: null,
+  error: null,
+  wallet: null,
+  // communityId -> items, for stores opened so far
+  items: {},
+  // item ids with a purchase on its way to the source
+  pending: new Set()
+};
+
+const listeners = new Set();
+let initialized = false;
+// bumped on every session change so a slow load for the old user is ignored
+let loadId = 0;
+
+function notify() {
+  listeners.forEach(fn => {
+    try {
+      fn(state);
+    } catch (err) {
+      console.error('[Store] Listener failed:', err);
+    }
+  });
+}
+
+function session() {
+  return window.SessionManager;
+}
+
+function currentUser() {
+  const user = session()?.isAuthenticated() ? session().getUser() : null;
+  return user ? { id: String(user.id), username: user.username } : null;
+}
+
+async function loadWallet() {
+  const id = loadId;
+  if (!state.me) return;
+
+  try {
+    const wallet = await source.getWallet(state.me);
+    if (id !== loadId) return;
+
+    state.wallet = wallet;
+    state.status = 'ready';
+    state.error = null;
+  } catch (err) {
+    if (id !== loadId) return;
+    console.error('[Store] Could not load wallet:', err);
+    state.status = 'error';
+    state.error = 'Could not load your wallet';
+  }
+  notify();
+}
+
+async function loadItems(communityId) {
+  try {
+    state.items[String(communityId)] = await source.listItems(communityId);
+    notify();
+    return { success: true, items: state.items[String(communityId)] };
+  } catch (err) {
+    console.error('[Store] Could not load items:', err);
+    return { success: false, message: 'Could not load this store' };
+  }
+}
+
+// the wallet and every store opened so far
+function refresh() {
+  return Promise.all([loadWallet(), ...Object.keys(state.items).map(loadItems)]);
+}
+
+function loadForSession() {
+  loadId++;
+  state.me = currentUser();
+  state.wallet = null;
+  state.error = null;
+  state.pending.clear();
+  state.status = state.me ? 'loading' : 'signed-out';
+  notify();
+
+  return loadWallet();
+}
+
+async function request(send) {
+  try {
+    return await send();
+  } catch (err) {
+    console.error('[Store] Request failed:', err);
+    return { success: false, message: 'Something went wrong, please try again' };
+  }
+}
+
+function staffError(communityId) {
+  if (!state.me) return 'Sign in to manage the store';
+  if (!communitiesService.can(communityId, 'manageStore')) return "You don't have permission to manage this store";
+  return null;
+}
+
+/**
+ * Validate an item form before asking the source (which checks again).
+ * Resolves like communitiesService.create() on failure, with per-field
+ * errors, and reloads the community's items on success.
+ */
+async function itemAction(communityId, details, send) {
+  const denied = staffError(communityId);
+  if (denied) return { success: false, message: denied };
+
+  const item = parseItem(details);
+  const errors = validateItem(item);
+  if (Object.keys(errors).length) {
+    return { success: false, message: Object.values(errors)[0], errors };
+  }
+
+  const result = await request(() => send(state.me, item));
+  if (result.success) await loadItems(communityId);
+  return result;
+}
+
+/* ============ PUBLIC API ============ */
+export const storeService = {
+  init() {
+    if (initialized) return;
+    initialized = true;
+
+    communitiesService.init();
+    useSource(storeConfig.source);
+
+    window.addEventListener('session:login', loadForSession);
+    window.addEventListener('session:logout', loadForSession);
+    window.addEventListener('session:update', (e) => {
+      if (e.detail?.switched) loadForSession();
+    });
+
+    loadForSession();
+  },
+
+  getState() {
+    return state;
+  },
+
+  subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  },
+
+  refresh,
+
+  getBalance() {
+    return state.wallet?.balance ?? 0;
+  },
+
+  getInventory() {
+    return state.wallet?.inventory || [];
+  },
+
+  getTransactions() {
+    return state.wallet?.transactions || [];
+  },
+
+  // null until loadItems() has run for this community
+  getItems(communityId) {
+    return state.items[String(communityId)] || null;
+  },
+
+  owns(communityId, itemId) {
+    return this.getInventory().some(owned => sameId(owned.communityId, communityId) && sameId(owned.itemId, itemId));
+  },
+
+  isPending(itemId) {
+    return state.pending.has(String(itemId));
+  },
+
+  canManage(communityId) {
+    return communitiesService.can(communityId, 'manageStore');
+  },
+
+  loadItems(communityId) {
+    this.init();
+    return loadItems(communityId);
+  },
+
+  /**
+   * `details` are the item form's values: { name, image, price, stock },
+   * with an empty stock meaning unlimited.
+   */
+  createItem(communityId, details) {
+    return itemAction(communityId, details, (me, item) => source.createItem(me, communityId, item));
+  },
+
+  updateItem(communityId, itemId, details) {
+    return itemAction(communityId, details, (me, item) => source.updateItem(me, communityId, itemId, item));
+  },
+
+  async removeItem(communityId, itemId) {
+    const denied = staffError(communityId);
+    if (denied) return { success: false, message: denied };
+
+    const result = await request(() => source.removeItem(state.me, communityId, itemId));
+    if (result.success) await loadItems(communityId);
+    return result;
+  },
+
+  /**
+   * Buy at the price currently shown. Resolves { success, wallet }; the
+   * inventory and history update with it.
+   */
+  async buy(communityId, itemId) {
+    if (!state.me) return { success: false, message: 'Sign in to buy items' };
+    if (state.pending.has(String(itemId))) return { success: false, message: 'Hang on, still buying that' };
+
+    const item = (this.getItems(communityId) || []).find(i => sameId(i.id, itemId));
+    if (!item) return { success: false, message: 'That item is no longer for sale' };
+    if (isSoldOut(item)) return { success: false, message: `${item.name} is sold out` };
+    if (this.owns(communityId, itemId)) return { success: false, message: `You already own ${item.name}` };
+
+    state.pending.add(String(itemId));
+    notify();
+
+    const result = await request(() => source.purchase(state.me, communityId, itemId, { price: item.price }));
+
+    state.pending.delete(String(itemId));
+    if (result.success) state.wallet = result.wallet;
+    notify();
+
+    // stock changed either way, and a refused price means it moved
+    await loadItems(communityId);
+    return result;
+  }
+};
+
+export default storeService;
@@ -0,0 +1,249 @@
+// src/modules/store/storeSource.js
+// Local data source for the store service: the mock backend that holds
+// community store items and every user's wallet until there is a real one.
+// Everything lives in one shared record (localStorage, or memory when
+// `storage` is null), so accounts on this device share stock.
+//
+// Any object with the same async methods can be handed to configureStore():
+//   listItems(communityId)                 -> [item]
+//   createItem(me, communityId, details)   -> { success, item }
+//   updateItem(me, communityId, itemId, details) -> { success, item }
+//   removeItem(me, communityId, itemId)
+//   getWallet(me)                          -> wallet
+//   purchase(me, communityId, itemId, { price }) -> { success, wallet }
+//   subscribe(fn)          -> unsubscribe; optional, fn() on outside changes
+// `me` is { id, username } and `details` is { name, image, price, stock }.
+// Mutations resolve { success, message? } and check permissions themselves,
+// as a real backend would; `price` in purchase() is what the buyer was shown,
+// so a price change in between is refused rather than charged. Shapes:
+//   item        { id, communityId, name, image, price, stock, sold, createdAt }
+//   wallet      { balance, inventory: [owned], transactions: [transaction] }
+//   owned       { itemId, communityId, communityName, name, image, price, acquiredAt }
+//   transaction { id, type: 'grant' | 'purchase', amount, balance, description,
+//                 itemId, communityId, at }
+// `stock` is null for unlimited items, `amount` is signed and `balance` is
+// the balance after it; lists are newest first.
+
+import { isMember, permissionError, sameId } from '../communities/communitiesHelpers.js';
+import { STARTING_BALANCE, formatPrice, isSoldOut, parseItem, validateItem } from './storeHelpers.js';
+
+const STORAGE_KEY = 'store_db';
+const DAY = 24 * 60 * 60 * 1000;
+
+function key(id) {
+  return String(id);
+}
+
+function sampleItem(id, communityId, name, price, stock) {
+  return { id, communityId, name, image: '', price, stock, sold: 0, createdBy: 'sample', createdAt: Date.now() - 20 * DAY };
+}
+
+function seedData() {
+  return {
+    meta: { nextItemId: 6, nextTransactionId: 1 },
+    items: [
+      sampleItem('1', '1', 'Builder Badge', 50, null),
+      sampleItem('2', '1', 'Golden Hammer', 250, 10),
+      sampleItem('3', '1', 'Founders Hat', 1000, 1),
+      sampleItem('4', '4', 'Low-poly Tree Pack', 120, null),
+      sampleItem('5', '4', 'Retro Sound Kit', 80, 25)
+    ],
+    wallets: {}
+  };
+}
+
+function toItem(record) {
+  return {
+    id: record.id,
+    communityId: record.communityId,
+    name: record.name,
+    image: record.image,
+    price: record.price,
+    stock: record.stock,
+    sold: record.sold || 0,
+    createdAt: record.createdAt
+  };
+}
+
+function toWallet(record) {
+  const newestFirst = (a, b) => b - a;
+  return {
+    balance: record.balance,
+    inventory: [...record.inventory].sort((a, b) => newestFirst(a.acquiredAt, b.acquiredAt)),
+    transactions: [...record.transactions].sort((a, b) => newestFirst(a.at, b.at) || newestFirst(Number(a.id), Number(b.id)))
+  };
+}
+
+/**
+ * `communities` looks communities up for permission and membership checks;
+ * anything with an async get(id) -> community | null, like the communities
+ * source.
+ */
+export function createLocalStoreSource({ storage = localStorage, communities } = {}) {
+  let memory = seedData();
+
+  function load() {
+    if (!storage) return memory;
+
+    try {
+      const saved = JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+      return saved && Array.isArray(saved.items) ? saved : seedData();
+    } catch {
+      return seedData();
+    }
+  }
+
+  // read, change and write back in one go so two tabs don't interleave
+  function update(change) {
+    const data = load();
+    const result = change(data);
+
+    if (result.success !== false) {
+      if (storage) storage.setItem(STORAGE_KEY, JSON.stringify(data));
+      else memory = data;
+    }
+    return result;
+  }
+
+  function findItem(data, communityId, itemId) {
+    return data.items.find(i => i.id === key(itemId) && i.communityId === key(communityId));
+  }
+
+  function addTransaction(data, type, wallet, fields) {
+    const id = String(data.meta.nextTransactionId || 1);
+    data.meta.nextTransactionId = Number(id) + 1;
+    wallet.transactions.push({ id, type, balance: wallet.balance, itemId: null, communityId: null, at: Date.now(), ...fields });
+  }
+
+  // wallets open on first use, with the starting balance as a grant
+  function walletFor(data, me) {
+    let wallet = data.wallets[key(me.id)];
+    if (!wallet) {
+      wallet = { balance: STARTING_BALANCE, inventory: [], transactions: [] };
+      data.wallets[key(me.id)] = wallet;
+      addTransaction(data, 'grant', wallet, { amount: STARTING_BALANCE, description: 'Welcome bonus' });
+    }
+    return wallet;
+  }
+
+  async function staffAction(me, communityId, change) {
+    const community = await communities.get(communityId);
+    const denied = permissionError(community, me.id, 'manageStore');
+    if (denied) return { success: false, message: denied };
+    return update(data => change(data, community));
+  }
+
+  function checkItem(details) {
+    const item = parseItem(details);
+    const errors = validateItem(item);
+    const message = Object.values(errors)[0];
+    return message ? { success: false, message } : { success: true, item };
+  }
+
+  return {
+    async listItems(communityId) {
+      return load().items
+        .filter(i => i.communityId === key(communityId))
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(toItem);
+    },
+
+    async createItem(me, communityId, details) {
+      const checked = checkItem(details);
+      if (!checked.success) return checked;
+
+      return staffAction(me, communityId, (data) => {
+        const id = String(data.meta.nextItemId || 1);
+        data.meta.nextItemId = Number(id) + 1;
+
+        const item = { id, communityId: key(communityId), ...checked.item, sold: 0, createdBy: key(me.id), createdAt: Date.now() };
+        data.items.push(item);
+        return { success: true, item: toItem(item) };
+      });
+    },
+
+    async updateItem(me, communityId, itemId, details) {
+      const checked = checkItem(details);
+      if (!checked.success) return checked;
+
+      return staffAction(me, communityId, (data) => {
+        const item = findItem(data, communityId, itemId);
+        if (!item) return { success: false, message: 'That item was removed' };
+
+        Object.assign(item, checked.item);
+        return { success: true, item: toItem(item) };
+      });
+    },
+
+    // owners keep what they bought; inventories hold their own copy
+    async removeItem(me, communityId, itemId) {
+      return staffAction(me, communityId, (data) => {
+        const item = findItem(data, communityId, itemId);
+        if (!item) return { success: false, message: 'That item was already removed' };
+
+        data.items = data.items.filter(i => i !== item);
+        return { success: true };
+      });
+    },
+
+    async getWallet(me) {
+      return update(data => toWallet(walletFor(data, me)));
+    },
+
+    async purchase(me, communityId, itemId, { price } = {}) {
+      const community = await communities.get(communityId);
+      if (!community) return { success: false, message: 'Community not found' };
+      if (!isMember(community, me.id)) return { success: false, message: `Join ${community.name} to buy from its store` };
+
+      return update(data => {
+        const item = findItem(data, communityId, itemId);
+        if (!item) return { success: false, message: 'That item is no longer for sale' };
+        if (price !== undefined && price !== item.price) {
+          return { success: false, message: `The price of ${item.name} changed to ${formatPrice(item.price)}` };
+        }
+        if (isSoldOut(item)) return { success: false, message: `${item.name} is sold out` };
+
+        const wallet = walletFor(data, me);
+        if (wallet.inventory.some(owned => sameId(owned.itemId, item.id) && sameId(owned.communityId, item.communityId))) {
+          return { success: false, message: `You already own ${item.name}` };
+        }
+        if (wallet.balance < item.price) {
+          return { success: false, message: `You need ${formatPrice(item.price - wallet.balance)} more for ${item.name}` };
+        }
+
+        if (item.stock !== null) item.stock -= 1;
+        item.sold = (item.sold || 0) + 1;
+
+        wallet.balance -= item.price;
+        wallet.inventory.push({
+          itemId: item.id,
+          communityId: item.communityId,
+          communityName: community.name,
+          name: item.name,
+          image: item.image,
+          price: item.price,
+          acquiredAt: Date.now()
+        });
+        addTransaction(data, 'purchase', wallet, {
+          amount: -item.price,
+          description: `${item.name} from ${community.name}`,
+          itemId: item.id,
+          communityId: item.communityId
+        });
+
+        return { success: true, wallet: toWallet(wallet) };
+      });
+    },
+
+    // another tab (or account on this device) changed the shared record
+    subscribe(fn) {
+      if (!storage) return () => {};
+
+      const onStorage = (e) => {
+        if (e.key === STORAGE_KEY) fn();
+      };
+      window.addEventListener('storage', onStorage);
+      return () => window.removeEventListener('storage', onStorage);
+    }
+  };
+}
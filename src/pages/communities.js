@@ -1,3 +1,21 @@
+import { createScope } from "../utils/helpers.js";
+import { escapeHtml, getUserInitials } from "../utils/formatters.js";
+import { chatService } from "../modules/chat/chatService.js";
+import { COMMUNITY_CHANNELS } from "../modules/chat/chatHelpers.js";
+import { requireAuth } from "../modules/auth-module/session-manager/session.js";
+import { presenceService } from "../modules/presence/presenceService.js";
+import { libraryService } from "../modules/library/libraryService.js";
+import { communitiesService } from "../modules/communities/communitiesService.js";
+import { communityIcon, formatMembers, rankName } from "../modules/communities/communitiesHelpers.js";
+import initCommunityList from "../components/communities/CommunityList.js";
+import initCreateCommunityButton from "../components/communities/CreateCommunityWizard.js";
+import initCommunityAdminPanel from "../components/communities/CommunityAdminPanel.js";
+import initShoutBox from "../components/communities/ShoutBox.js";
+import initCommunityStore from "../components/communities/CommunityStore.js";
+import initWalletPanel from "../components/store/WalletPanel.js";
+import { renderJoinButton, bindJoinButtons } from "../components/communities/essentials/JoinButton.js";
+import { renderEmpty, renderError } from "../components/common/sectionState.js";
+
 // Load CSS once
 if (!document.getElementById("communities-css")) {
   const link = document.createElement("link");
@@ -7,24 +25,37 @@ if (!document.getElementById("communities-css")) {
   document.head.appendChild(link);
 }
 
-let communities = [];
 let currentCommunity = null;
 
-export function initCommunities(container) {
+// the community view's tabs, each its own route so they can be linked to
+const TABS = [
+  { id: "about", label: "About", path: "" },
+  { id: "store", label: "Store", path: "/store" }
+];
+
+/**
+ * "communities" shows the discover view; "communities/:id" shows one
+ * community, "communities/:id/store" its store and "communities/:id/manage"
+ * its admin panel. The sidebar lists the communities you've joined either
+ * way.
+ */
+export function initCommunities(container, { params = {}, route = null, scope = createScope() } = {}) {
   if (!container) return;
 
+  communitiesService.init();
+  currentCommunity = null;
+
   container.innerHTML = `
     <div id="userBanner" style="margin-bottom:12px"></div>
     <div class="communities-layout">
 
       <aside class="communities-sidebar">
-        <div class="sidebar-header">Communities</div>
-
-        <div class="search-communities">
-          <input type="text" placeholder="Search communities" />
+        <div class="sidebar-header">
+          Communities
+          <button type="button" class="create-community-btn">+ Create</button>
         </div>
-
-        <div class="communities-list"></div>
+        <a class="sidebar-discover ${params.id ? "" : "active"}" href="#communities">Discover communities</a>
+        <div class="communities-joined"></div>
       </aside>
 
       <main class="community-content"></main>
@@ -32,105 +63,210 @@ export function initCommunities(container) {
     </div>
   `;
 
-  setupEvents();
-  renderSidebar();
-  renderEmptyState();
-}
+  initCommunityList(container.querySelector(".communities-joined"), {
+    scope,
+    filter: "joined",
+    activeId: params.id ?? null,
+    placeholder: "Search your communities",
+    empty: (query) => `<div class="empty">${query ? "No matches" : "No joined communities"}</div>`
+  });
 
-function setupEvents() {
-  const search = document.querySelector(".search-communities input");
-  if (!search) return;
+  initCreateCommunityButton(container.querySelector(".create-community-btn"), { scope });
 
-  search.addEventListener("input", () => {
-    renderSidebar(search.value.toLowerCase());
-  });
+  const content = container.querySelector(".community-content");
+  if (params.id) {
+    const view = { "community-manage": "manage", "community-store": "store" }[route?.name] || "about";
+    initCommunityView(content, params.id, scope, { view });
+  } else {
+    initDiscover(content, scope);
+  }
+
+  // friends see "In <community>" only while this page is open
+  scope.add(() => presenceService.setActivity(null));
+
+  return () => scope.dispose();
 }
 
-function renderSidebar(filter = "") {
-  const list = document.querySelector(".communities-list");
-  if (!list) return;
+function initDiscover(content, scope) {
+  content.innerHTML = `
+    <div class="discover-header">
+      <h1>Discover communities</h1>
+      <p>Find people building the same kind of things you are.</p>
+    </div>
+    <div class="discover-list"></div>
+  `;
 
-  let filtered = communities;
+  initCommunityList(content.querySelector(".discover-list"), {
+    scope,
+    filter: "discover",
+    layout: "grid",
+    placeholder: "Search all communities",
+    empty: (query) => query
+      ? renderEmpty(`No communities match "${query}"`)
+      : renderEmpty("You've joined every community there is")
+  });
+}
 
-  if (filter) {
-    filtered = communities.filter(c =>
-      c.name.toLowerCase().includes(filter)
-    );
+function initCommunityView(content, id, scope, { view = "about" } = {}) {
+  let seen = false;
+  // the panel, shout box or store for this view, kept across re-renders
+  let node = null;
+
+  function render() {
+    const { status, error } = communitiesService.getState();
+    currentCommunity = communitiesService.getCommunity(id);
+
+    if (!currentCommunity) {
+      if (status === "loading") content.innerHTML = `<div class="empty-state"><p>Loading community…</p></div>`;
+      else if (status === "error") content.innerHTML = renderError(error);
+      else renderNotFound(content);
+      return;
+    }
+
+    // once per visit, not on every re-render
+    if (!seen) {
+      seen = true;
+      presenceService.setActivity({ type: "community", id: currentCommunity.id, name: currentCommunity.name });
+      libraryService.recordView({ kind: "community", id: currentCommunity.id, title: currentCommunity.name });
+    }
+
+    const renderers = { manage: renderManage, store: renderStore, about: renderCommunity };
+    node = renderers[view](content, scope, node);
   }
 
-  if (filtered.length === 0) {
-    list.innerHTML = `<div class="empty">No joined communities</div>`;
-    return;
-  }
+  bindJoinButtons(content, scope);
 
-  list.innerHTML = filtered.map(c => `
-    <div class="community-item ${currentCommunity?.id === c.id ? "active" : ""}" data-id="${c.id}">
-      <img src="${c.icon}" alt="${c.name}" />
-      <div class="community-meta">
-        <div class="community-name">${c.name}</div>
-        <div class="community-members">${formatMembers(c.members)} members</div>
-      </div>
-    </div>
-  `).join("");
+  scope.on(content, "click", (e) => {
+    if (e.target.closest(".section-retry")) {
+      communitiesService.refresh();
+      return;
+    }
 
-  list.querySelectorAll(".community-item").forEach(item => {
-    item.onclick = () => selectCommunity(item.dataset.id);
+    const button = e.target.closest("[data-chat-channel]");
+    if (button && currentCommunity) openChannel(button.dataset.chatChannel);
   });
+
+  scope.add(communitiesService.subscribe(render));
+  render();
 }
 
-function renderEmptyState() {
-  const content = document.querySelector(".community-content");
-  if (!content) return;
+function openChannel(channel) {
+  if (!requireAuth()) return;
+
+  const result = chatService.openCommunityChannel(currentCommunity, channel);
+  if (result.success) window.dispatchEvent(new CustomEvent("chat:open"));
+  else alert(result.message);
+}
 
+function renderNotFound(content) {
   content.innerHTML = `
     <div class="empty-state">
-      <h2>Not in any communities</h2>
-      <p>Join a community to see its content here</p>
+      <h2>Community not found</h2>
+      <p>It may have been removed. <a href="#communities">Discover other communities</a></p>
     </div>
   `;
 }
 
-function selectCommunity(id) {
-  currentCommunity = communities.find(c => c.id === id);
-  renderSidebar();
-  renderCommunity();
+// the signed-in user's rank name here, or "" if not a member
+function myRank() {
+  const role = communitiesService.getRole(currentCommunity.id);
+  return role ? rankName(currentCommunity, role) : "";
 }
 
-function renderCommunity() {
-  const content = document.querySelector(".community-content");
-  if (!content) return;
-
-  if (!currentCommunity) {
-    renderEmptyState();
-    return;
-  }
+function renderBanner({ manage = false } = {}) {
+  const joined = communitiesService.isMember(currentCommunity.id);
+  const rank = myRank();
+  const staff = communitiesService.can(currentCommunity.id, "kick");
 
-  content.innerHTML = `
+  return `
     <div class="community-banner">
-      <img class="community-avatar" src="${currentCommunity.icon}" alt="${currentCommunity.name}" />
+      <img class="community-avatar" src="${escapeHtml(communityIcon(currentCommunity))}" alt="" />
       <div class="community-info">
-        <h1>${currentCommunity.name}</h1>
-        <div class="community-creator">By ${currentCommunity.creator}</div>
+        <h1>${escapeHtml(currentCommunity.name)}</h1>
+        <div class="community-creator">By ${escapeHtml(currentCommunity.creator)}</div>
         <div class="community-stats">
           <span>${formatMembers(currentCommunity.members)} Members</span>
-          ${currentCommunity.rank ? `<span>${currentCommunity.rank}</span>` : ""}
+          ${rank ? `<span>${escapeHtml(rank)}</span>` : ""}
+        </div>
+        <div class="community-actions">
+          ${renderJoinButton(currentCommunity)}
+          ${staff ? `
+            <a class="community-manage-link" href="#communities/${encodeURIComponent(currentCommunity.id)}${manage ? "" : "/manage"}">
+              ${manage ? "Back to community" : "Manage"}
+            </a>
+          ` : ""}
+          ${joined ? `
+            <div class="community-chat">
+              ${COMMUNITY_CHANNELS.map(channel => `
+                <button class="community-chat-btn" data-chat-channel="${channel}">#${channel}</button>
+              `).join("")}
+            </div>
+          ` : ""}
         </div>
       </div>
     </div>
+  `;
+}
 
-    <div class="community-tabs">
-      <button class="active">About</button>
-      <button>Store</button>
-    </div>
+function renderTabs(active) {
+  const base = `#communities/${encodeURIComponent(currentCommunity.id)}`;
+  return `
+    <nav class="community-tabs" role="tablist">
+      ${TABS.map(tab => `
+        <a href="${base}${tab.path}" role="tab" class="${tab.id === active ? "active" : ""}"
+          aria-selected="${tab.id === active}">${tab.label}</a>
+      `).join("")}
+    </nav>
+  `;
+}
+
+/**
+ * The admin panel keeps its own state (half-typed forms), so the same node
+ * is put back under a freshly rendered banner. The shout box and the store
+ * work the same way.
+ */
+function renderManage(content, scope, panel) {
+  content.innerHTML = renderBanner({ manage: true });
+
+  if (!panel) {
+    panel = document.createElement("div");
+    panel.className = "community-admin";
+    initCommunityAdminPanel(panel, { scope, communityId: currentCommunity.id });
+  }
+  content.appendChild(panel);
+  return panel;
+}
+
+function renderStore(content, scope, store) {
+  content.innerHTML = `${renderBanner()}${renderTabs("store")}`;
+
+  if (!store) {
+    store = document.createElement("div");
+    store.className = "store-layout";
+    store.innerHTML = `
+      <section class="community-section community-store"><h3>Store</h3><div class="store-body"></div></section>
+      <aside class="community-section wallet-panel"><h3>Your wallet</h3><div class="wallet-body"></div></aside>
+    `;
+    initCommunityStore(store.querySelector(".store-body"), { scope, communityId: currentCommunity.id });
+    initWalletPanel(store.querySelector(".wallet-body"), { scope });
+  }
+  content.appendChild(store);
+  return store;
+}
+
+function renderCommunity(content, scope, shoutBox) {
+  content.innerHTML = `
+    ${renderBanner()}
+    ${renderTabs("about")}
 
     <section class="community-section">
       <h3>Description</h3>
-      <p>${currentCommunity.description || "No description provided."}</p>
+      <p>${escapeHtml(currentCommunity.description || "No description provided.")}</p>
     </section>
 
     <section class="community-section">
-      <h3>Shout</h3>
-      ${renderShouts()}
+      <h3>Shouts</h3>
+      <div class="shouts-slot"></div>
     </section>
 
     <section class="community-section">
@@ -140,42 +276,25 @@ function renderCommunity() {
       </div>
     </section>
   `;
-}
 
-function renderShouts() {
-  if (!currentCommunity.shouts || currentCommunity.shouts.length === 0) {
-    return `<div class="empty">No shouts yet</div>`;
+  if (!shoutBox) {
+    shoutBox = document.createElement("div");
+    shoutBox.className = "shout-box";
+    initShoutBox(shoutBox, { scope, communityId: currentCommunity.id });
   }
-
-  return currentCommunity.shouts.map(s => `
-    <div class="shout-item">
-      <img src="${s.avatar}" alt="${s.author}" />
-      <div>
-        <div class="shout-header">
-          <strong>${s.author}</strong>
-          <span>${s.time}</span>
-        </div>
-        <div>${s.text}</div>
-      </div>
-    </div>
-  `).join("");
+  content.querySelector(".shouts-slot").replaceWith(shoutBox);
+  return shoutBox;
 }
 
 function renderMembers() {
-  if (!currentCommunity.members_list || currentCommunity.members_list.length === 0) {
+  if (!currentCommunity.memberList || currentCommunity.memberList.length === 0) {
     return `<div class="empty">No members</div>`;
   }
 
-  return currentCommunity.members_list.slice(0, 20).map(m => `
-    <img class="member-avatar" src="${m.avatar}" title="${m.name}" alt="${m.name}" />
+  return currentCommunity.memberList.slice(0, 20).map(m => `
+    <span class="member-avatar" title="${escapeHtml(`${m.name} · ${rankName(currentCommunity, m.role)}`)}">${escapeHtml(getUserInitials(m.name))}</span>
   `).join("");
 }
 
-function formatMembers(n) {
-  if (n >= 1_000_000) return (n / 1_000_000).toFixed(1) + "M";
-  if (n >= 1_000) return (n / 1_000).toFixed(1) + "K";
-  return String(n);
-}
-
 window.initCommunities = initCommunities;
-export default initCommunities;
\ No newline at end of file
+export default initCommunities;
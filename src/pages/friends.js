@@ -0,0 +1,63 @@
+// src/pages/friends.js
+
+import { createScope } from "../utils/helpers.js";
+import initFriendRequests, { initSendRequestForm } from "../components/friends/FriendRequests.js";
+import initFriendsList from "../components/friends/FriendsList.js";
+import { presenceService } from "../modules/presence/presenceService.js";
+
+// Load CSS once
+if (!document.getElementById("home-friend-css")) {
+  const link = document.createElement("link");
+  link.id = "home-friend-css";
+  link.rel = "stylesheet";
+  link.href = "src/utils/css/friends.css/friend.css";
+  document.head.appendChild(link);
+}
+
+export default function initFriends(container, { scope = createScope() } = {}) {
+  container.innerHTML = `
+    <h1 class="page-title">Friends</h1>
+
+    <section class="section">
+      <div class="section-header">
+        <h2 class="section-title">Add a friend</h2>
+      </div>
+      <div id="friendRequestForm"></div>
+    </section>
+
+    <section class="section">
+      <div class="section-header">
+        <h2 class="section-title">Requests</h2>
+      </div>
+      <div id="friendRequests"></div>
+    </section>
+
+    <section class="section">
+      <div class="section-header">
+        <h2 class="section-title">Your friends</h2>
+        <label class="presence-toggle">
+          <input type="checkbox" id="showPresence" />
+          Show friends when I'm online
+        </label>
+      </div>
+      <div id="friendsList"></div>
+    </section>
+  `;
+
+  initSendRequestForm(container.querySelector("#friendRequestForm"), { scope });
+  initFriendRequests(container.querySelector("#friendRequests"), { scope });
+  initFriendsList(container.querySelector("#friendsList"), { scope });
+
+  const showPresence = container.querySelector("#showPresence");
+  const syncPresenceToggle = () => { showPresence.checked = !presenceService.isHidden(); };
+
+  // the same setting as "Online status" under Settings → Privacy
+  scope.on(showPresence, "change", async () => {
+    await presenceService.setHidden(!showPresence.checked);
+    if (!scope.disposed) syncPresenceToggle();
+  });
+  scope.add(presenceService.subscribe(syncPresenceToggle));
+  syncPresenceToggle();
+
+  return () => scope.dispose();
+}
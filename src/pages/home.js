@@ -1,5 +1,12 @@
 // src/pages/home.js
 
+import { createScope } from "../utils/helpers.js";
+import initAddFriendButton from "../components/home/AddFriendButton.js";
+import initFriendsSection from "../components/home/FriendsSection.js";
+import initRecommendedSection from "../components/home/RecommendedSection.js";
+import initResourcesPreview from "../components/home/ResourcesPreview.js";
+import initFavouritesList from "../components/resources/FavouritesList.js";
+
 function loadHomeCSS() {
   if (document.getElementById("home-friend-css")) return;
 
@@ -10,7 +17,7 @@ function loadHomeCSS() {
   document.head.appendChild(link);
 }
 
-function initHome(container) {
+function initHome(container, { scope = createScope() } = {}) {
   loadHomeCSS();
 
   container.innerHTML = `
@@ -20,6 +27,7 @@ function initHome(container) {
     <section class="section">
       <div class="section-header">
         <h2 class="section-title">Friends</h2>
+        <a href="#friends" class="see-all">See all</a>
       </div>
 
       <div class="friends-container" id="friendsContainer">
@@ -47,6 +55,7 @@ function initHome(container) {
     <section class="section">
       <div class="section-header">
         <h2 class="section-title">Resources</h2>
+        <a href="#resources" class="see-all">See all</a>
       </div>
       <div class="continue-grid" id="resourcesGrid"></div>
     </section>
@@ -60,13 +69,13 @@ function initHome(container) {
     </section>
   `;
 
-  setTimeout(() => {
-    loadFriends();
-    loadRecommended();
-    loadResources();
-    loadFavourites();
-    setupEventListeners();
-  }, 0);
+  initAddFriendButton(container.querySelector(".friend-item.add-friend"), { scope });
+  initFriendsSection(container.querySelector("#friendsContainer"), { scope });
+  initRecommendedSection(container.querySelector("#recommendedGrid"), { scope });
+  initResourcesPreview(container.querySelector("#resourcesGrid"), { scope });
+  initFavouritesList(container.querySelector("#favouritesGrid"), { scope, limit: 8 });
+
+  return () => scope.dispose();
 }
 
 window.initHome = initHome;
@@ -1,5 +1,11 @@
 // src/pages/library.js
 
+import { createScope } from "../utils/helpers.js";
+import { escapeHtml } from "../utils/formatters.js";
+import { libraryService } from "../modules/library/libraryService.js";
+
+const RECENT_USERS = 6;
+
 // Load CSS once
 if (!document.getElementById("library-css")) {
   const link = document.createElement("link");
@@ -9,9 +15,11 @@ if (!document.getElementById("library-css")) {
   document.head.appendChild(link);
 }
 
-export default function initLibrary(container) {
+export default function initLibrary(container, { scope = createScope() } = {}) {
   if (!container) return;
 
+  const recentUsers = libraryService.listRecentViews({ kind: "user", limit: RECENT_USERS });
+
   container.innerHTML = `
     <div id="userBanner" style="margin-bottom:12px"></div>
     <div class="library-page">
@@ -29,9 +37,9 @@ export default function initLibrary(container) {
         </div>
 
         <div class="card-row">
-          ${renderUserCard("Alex")}
-          ${renderUserCard("BuilderGuy")}
-          ${renderUserCard("PixelDev")}
+          ${recentUsers.length
+            ? recentUsers.map(view => renderUserCard(view.title)).join("")
+            : `<p class="library-empty">People you message show up here.</p>`}
         </div>
       </section>
 
@@ -65,7 +73,9 @@ export default function initLibrary(container) {
     </div>
   `;
 
-  setupLibraryEvents();
+  setupLibraryEvents(container, scope);
+
+  return () => scope.dispose();
 }
 
 /* Card Helpers */
@@ -74,7 +84,7 @@ function renderUserCard(name) {
   return `
     <div class="library-card user-card">
       <div class="avatar"></div>
-      <span>${name}</span>
+      <span>${escapeHtml(name)}</span>
     </div>
   `;
 }
@@ -99,21 +109,21 @@ function renderGenericCard(label) {
 
 /* Events */
 
-function setupLibraryEvents() {
-  const seeAllButtons = document.querySelectorAll('.see-all');
+function setupLibraryEvents(container, scope) {
+  const seeAllButtons = container.querySelectorAll('.see-all');
   
   seeAllButtons.forEach(btn => {
-    btn.addEventListener('click', (e) => {
+    scope.on(btn, 'click', (e) => {
       const section = e.target.closest('.library-section');
       const title = section.querySelector('h2').textContent;
       alert(`Viewing all ${title}...`);
     });
   });
 
-  const cards = document.querySelectorAll('.library-card');
+  const cards = container.querySelectorAll('.library-card');
   
   cards.forEach(card => {
-    card.addEventListener('click', () => {
+    scope.on(card, 'click', () => {
       const name = card.querySelector('span').textContent;
       alert(`Opening ${name}...`);
     });
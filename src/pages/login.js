@@ -0,0 +1,8 @@
+// src/pages/login.js
+
+import { bootLogin } from "../modules/auth-module/auth.js";
+
+export default function initLogin(container) {
+  if (!container) return;
+  return bootLogin(container);
+}
@@ -0,0 +1,14 @@
+// src/pages/passwordReset.js
+// Serves both #forgot-password and #reset-password?token=...
+
+import { bootForgotPassword, bootResetPassword } from "../modules/auth-module/auth.js";
+
+export default function initPasswordReset(container, { route, query = {}, scope } = {}) {
+  if (!container) return;
+
+  if (route?.name === "reset-password") {
+    return bootResetPassword(container, query.token || "", { scope });
+  }
+
+  return bootForgotPassword(container);
+}
@@ -0,0 +1,8 @@
+// src/pages/register.js
+
+import { bootRegister } from "../modules/auth-module/auth.js";
+
+export default function initRegister(container) {
+  if (!container) return;
+  return bootRegister(container);
+}
@@ -1,3 +1,5 @@
+import { createScope } from "../utils/helpers.js";
+
 // Load CSS once
 if (!document.getElementById("resources-css")) {
   const link = document.createElement("link");
@@ -7,7 +9,7 @@ if (!document.getElementById("resources-css")) {
   document.head.appendChild(link);
 }
 
-export default function initResources(container) {
+export default function initResources(container, { scope = createScope() } = {}) {
   if (!container) return;
 
   container.innerHTML = `
@@ -30,7 +32,9 @@ export default function initResources(container) {
     </div>
   `;
 
-  setupResourceEvents();
+  setupResourceEvents(container, scope);
+
+  return () => scope.dispose();
 }
 
 function renderResourceCard(title, icon, description) {
@@ -44,10 +48,10 @@ function renderResourceCard(title, icon, description) {
   `;
 }
 
-function setupResourceEvents() {
-  const buttons = document.querySelectorAll('.resource-btn');
+function setupResourceEvents(container, scope) {
+  const buttons = container.querySelectorAll('.resource-btn');
   buttons.forEach(btn => {
-    btn.addEventListener('click', (e) => {
+    scope.on(btn, 'click', (e) => {
       const card = e.target.closest('.resource-card');
       const title = card.querySelector('h3').textContent;
       alert(`Opening ${title}...`);
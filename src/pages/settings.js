@@ -1,4 +1,11 @@
 // src/pages/settings.js
+// The settings page ("settings", "settings/:section" and "account") and the
+// settings dropdown opened from the nav bar.
+
+import { getUserInitials, escapeHtml } from "../utils/formatters.js";
+import { createScope } from "../utils/helpers.js";
+import { openAccountSwitcher } from "../components/settings/AccountSwitcher.js";
+import initSettingPanel from "../components/settings/SettingPanel.js";
 
 /* load css once */
 if (!document.getElementById("settings-css")) {
@@ -11,6 +18,19 @@ if (!document.getElementById("settings-css")) {
 
 let settingsOpen = false;
 
+/**
+ * Routed settings page. "account" opens the Account section, "settings"
+ * the first one.
+ */
+export default function initSettingsPage(container, { params = {}, route = null, scope = createScope() } = {}) {
+  if (!container) return;
+
+  const section = route?.name === "account" ? "account" : params.section;
+  initSettingPanel(container, { scope, section });
+
+  return () => scope.dispose();
+}
+
 /**
  * Get current user from session
  */
@@ -139,7 +159,7 @@ function handleAction(e) {
       window.navigateToPage?.('help');
       break;
     case "switch":
-      alert('Account switcher coming soon!');
+      openAccountSwitcher(document.getElementById("settingsButton"));
       break;
     case "logout":
       handleLogout();
@@ -205,15 +225,3 @@ function outsideClose(e) {
 function escClose(e) {
   if (e.key === "Escape") closeSettings();
 }
-
-function getUserInitials(username) {
-  if (!username) return "U";
-  const parts = username.split(' ');
-  return (parts[0][0] + (parts[1]?.[0] || '')).toUpperCase();
-}
-
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
@@ -0,0 +1,35 @@
+// src/pages/verifyEmail.js
+// #verify-email?token=... — the link sent when someone changes their email.
+// Works signed in or out; the token is the proof.
+
+import SettingsService from "../modules/settings/settingsService.js";
+import { isAuthenticated } from "../modules/auth-module/session-manager/session.js";
+import { escapeHtml } from "../utils/formatters.js";
+import { createScope } from "../utils/helpers.js";
+
+export default function initVerifyEmail(container, { query = {}, scope = createScope() } = {}) {
+  if (!container) return;
+
+  container.innerHTML = `
+    <section class="section verify-email">
+      <h1 class="page-title">Confirm your email</h1>
+      <p class="verify-email-status">Checking your link…</p>
+    </section>
+  `;
+
+  const status = container.querySelector(".verify-email-status");
+
+  SettingsService.confirmEmailChange(query.token).then((result) => {
+    if (scope.disposed) return;
+
+    const next = isAuthenticated()
+      ? `<a href="#settings/account">Back to your account settings</a>`
+      : `<a href="#login">Sign in</a>`;
+
+    status.innerHTML = result.success
+      ? `Your account now uses <strong>${escapeHtml(result.user.email)}</strong>. ${next}`
+      : `${escapeHtml(result.message)} ${isAuthenticated() ? `<a href="#settings/account">Ask for a new link</a>` : ""}`;
+  });
+
+  return () => scope.dispose();
+}
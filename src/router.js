@@ -1,66 +1,332 @@
 // src/router.js
-export default function initRouter() {
-  const container = document.getElementById("mainContent");
-  const links = document.querySelectorAll(".nav-link");
+import { isAuthenticated, requireAuth } from "./modules/auth-module/session-manager/session.js";
+import { createScope } from "./utils/helpers.js";
 
-  if (!container) {
-    console.error("Router: #mainContent missing");
-    return;
+const DEFAULT_ROUTE = "home";
+const REDIRECT_KEY = "redirect_after_login";
+
+/*
+ * Route table. `path` segments starting with ":" are params, `page` is the
+ * module under ./pages/ (defaults to the first path segment) and its default
+ * export is called as page(container, { params, query, route, scope }).
+ *
+ * A page may return a cleanup function (or an object with `unmount`), or
+ * export `{ mount, unmount }` instead of a function. Listeners added through
+ * `scope.on(...)` are removed automatically when the page is left.
+ *
+ * `requireAuth` routes bounce signed-out users to login, `guestOnly` routes
+ * bounce signed-in users back to where they came from.
+ */
+export const routes = [
+  { name: "home", path: "home" },
+  { name: "library", path: "library" },
+  { name: "communities", path: "communities" },
+  { name: "community", path: "communities/:id", page: "communities" },
+  { name: "community-store", path: "communities/:id/store", page: "communities" },
+  { name: "community-manage", path: "communities/:id/manage", page: "communities", requireAuth: true },
+  { name: "resources", path: "resources" },
+  { name: "friends", path: "friends", requireAuth: true },
+  { name: "settings", path: "settings", requireAuth: true },
+  { name: "settings-section", path: "settings/:section", page: "settings", requireAuth: true },
+  { name: "account", path: "account", page: "settings", requireAuth: true },
+  { name: "login", path: "login", guestOnly: true },
+  { name: "register", path: "register", guestOnly: true },
+  { name: "forgot-password", path: "forgot-password", page: "passwordReset", guestOnly: true },
+  { name: "reset-password", path: "reset-password", page: "passwordReset" },
+  { name: "verify-email", path: "verify-email", page: "verifyEmail" },
+  { name: "dashboard", path: "dashboard", redirect: "home" },
+  { name: "help", path: "help", redirect: "resources" }
+];
+
+let container = null;
+let links = [];
+let renderId = 0;
+let teardown = null;
+// last location that was not a guestOnly page, used to return after login
+let lastPath = null;
+
+/* ---- matching ---- */
+
+function splitPath(path) {
+  return path.split("/").filter(Boolean);
+}
+
+function parseHash(hash = location.hash) {
+  const raw = hash.replace(/^#\/?/, "");
+  const [path, search = ""] = raw.split("?");
+  return {
+    path: path || DEFAULT_ROUTE,
+    query: Object.fromEntries(new URLSearchParams(search))
+  };
+}
+
+// a malformed escape like "%E0%A4%A" would throw; keep the segment as typed
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
   }
+}
+
+export function matchRoute(path) {
+  const segments = splitPath(path);
+
+  for (const route of routes) {
+    const parts = splitPath(route.path);
+    if (parts.length !== segments.length) continue;
 
-  function setActive(page) {
-    links.forEach(link => {
-      link.classList.toggle("active", link.dataset.page === page);
+    const params = {};
+    const matched = parts.every((part, i) => {
+      if (part.startsWith(":")) {
+        params[part.slice(1)] = decodeSegment(segments[i]);
+        return true;
+      }
+      return part === segments[i];
     });
+
+    if (matched) return { route, params };
+  }
+
+  return null;
+}
+
+/**
+ * Build a hash path for a named route. Params that are not part of the
+ * path end up in the query string.
+ */
+export function buildPath(name, params = {}) {
+  const route = routes.find(r => r.name === name);
+  if (!route) return name;
+
+  const query = { ...params };
+  const path = splitPath(route.path).map(part => {
+    if (!part.startsWith(":")) return part;
+
+    const key = part.slice(1);
+    const value = query[key];
+    delete query[key];
+
+    if (value === undefined || value === null) {
+      throw new Error(`Router: missing param "${key}" for route "${name}"`);
+    }
+    return encodeURIComponent(value);
+  }).join("/");
+
+  const search = new URLSearchParams(
+    Object.entries(query).filter(([, v]) => v !== undefined && v !== null)
+  ).toString();
+
+  return search ? `${path}?${search}` : path;
+}
+
+/* ---- redirect after login ---- */
+
+function savePendingRedirect(target) {
+  sessionStorage.setItem(REDIRECT_KEY, target);
+}
+
+function currentPath() {
+  return location.hash.replace(/^#/, "") || DEFAULT_ROUTE;
+}
+
+/**
+ * Returns (and forgets) the location a guard bounced the user away from.
+ */
+export function takePendingRedirect() {
+  const target = sessionStorage.getItem(REDIRECT_KEY);
+  sessionStorage.removeItem(REDIRECT_KEY);
+  return target;
+}
+
+/* ---- navigation ---- */
+
+/**
+ * Navigate to a named route, e.g. navigateToPage("community", { id: 5 }).
+ * Unknown names are treated as raw paths ("communities/5?tab=store").
+ */
+export function navigateToPage(name, params = {}) {
+  let target;
+  try {
+    target = buildPath(name, params);
+  } catch (err) {
+    console.error(err.message);
+    return;
+  }
+
+  if (location.hash !== `#${target}`) {
+    location.hash = target;
+  } else {
+    render();
+  }
+}
+
+/* ---- page lifecycle ---- */
+
+function runTeardown() {
+  const fn = teardown;
+  teardown = null;
+  if (!fn) return;
+
+  try {
+    fn();
+  } catch (err) {
+    console.error("Router: page cleanup failed", err);
+  }
+}
+
+/**
+ * Mount a page module and return a function that tears it down again.
+ */
+async function mountPage(module, ctx) {
+  const page = module.default;
+  const { scope } = ctx;
+
+  let result;
+  if (typeof page === "function") {
+    result = await page(container, ctx);
+  } else if (page && typeof page.mount === "function") {
+    await page.mount(container, ctx);
+    result = page;
+  } else {
+    throw new Error("Page module has no default export to mount");
+  }
+
+  return () => {
+    try {
+      if (typeof result === "function") result();
+      else if (result && typeof result.unmount === "function") result.unmount(container);
+    } finally {
+      scope.dispose();
+    }
+  };
+}
+
+function setActive(route) {
+  const section = route ? splitPath(route.path)[0] : null;
+  links.forEach(link => {
+    link.classList.toggle("active", link.dataset.page === section);
+  });
+}
+
+async function render() {
+  if (!container) return;
+
+  const id = ++renderId;
+  const { path, query } = parseHash();
+  const match = matchRoute(path);
+
+  if (match?.route.redirect) {
+    navigateToPage(match.route.redirect, query);
+    return;
+  }
+
+  if (match?.route.requireAuth) {
+    savePendingRedirect(currentPath());
+    if (!requireAuth()) return;
+    sessionStorage.removeItem(REDIRECT_KEY);
+  }
+
+  if (match?.route.guestOnly) {
+    // ?add=1 lets a signed-in user sign in to another account
+    if (isAuthenticated() && !query.add) {
+      navigateToPage(takePendingRedirect() || DEFAULT_ROUTE);
+      return;
+    }
+
+    if (lastPath && !sessionStorage.getItem(REDIRECT_KEY)) savePendingRedirect(lastPath);
+  } else if (match) {
+    lastPath = currentPath();
   }
 
-  async function render(page) {
-    setActive(page);
+  setActive(match?.route);
+
+  try {
+    if (!match) throw new Error(`No route for "${path}"`);
+
+    const page = match.route.page || splitPath(match.route.path)[0];
+    const module = await import(`./pages/${page}.js`);
+
+    // a newer navigation started while the module was loading
+    if (id !== renderId) return;
 
+    runTeardown();
+    container.innerHTML = "";
+
+    const scope = createScope();
+    let cleanup;
     try {
-      const module = await import(`./pages/${page}.js`);
-      container.innerHTML = "";
-      module.default(container);
+      cleanup = await mountPage(module, { params: match.params, query, route: match.route, scope });
     } catch (err) {
-      // 404 handler T-T
-      try {
-        const { default: render404 } = await import(
-          "./pages/other-modules/Page-Not-Found/renders/render404.js"
-        );
-
-        container.innerHTML = "";
-        render404(container, page);
-      } catch (e) {
-        // fallback
-        container.innerHTML = `
-          <h1>404</h1>
-          <p>Page "${page}" not found.</p>
-        `;
-      }
+      scope.dispose();
+      throw err;
+    }
+
+    // navigated away while an async page was mounting
+    if (id !== renderId) {
+      cleanup();
+      return;
     }
-  }
 
-  function navigate(page) {
-    if (location.hash !== `#${page}`) {
-      location.hash = page;
-    } else {
-      render(page);
+    teardown = cleanup;
+  } catch (err) {
+    if (match) console.error(`Router: failed to render "${path}"`, err);
+    if (id !== renderId) return;
+
+    runTeardown();
+
+    // 404 handler T-T
+    try {
+      const { default: render404 } = await import(
+        "./pages/other-modules/Page-Not-Found/renders/render404.js"
+      );
+
+      container.innerHTML = "";
+      render404(container, path);
+    } catch (e) {
+      // fallback
+      container.innerHTML = `
+        <h1>404</h1>
+        <p>Page "${path}" not found.</p>
+      `;
     }
   }
+}
+
+export default function initRouter() {
+  container = document.getElementById("mainContent");
+  links = Array.from(document.querySelectorAll(".nav-link"));
+
+  if (!container) {
+    console.error("Router: #mainContent missing");
+    return;
+  }
 
   // navbar clicks
   links.forEach(link => {
-    link.addEventListener("click", () => {
-      navigate(link.dataset.page);
+    link.addEventListener("click", (e) => {
+      e.preventDefault();
+      navigateToPage(link.dataset.page);
     });
   });
 
   // back / forward / direct URL
-  window.addEventListener("hashchange", () => {
-    const page = location.hash.replace("#", "") || "home";
-    render(page);
+  window.addEventListener("hashchange", render);
+
+  // send the user back to wherever they were before signing in
+  window.addEventListener("session:login", () => {
+    const onGuestPage = matchRoute(parseHash().path)?.route.guestOnly;
+    const target = takePendingRedirect() || (onGuestPage ? DEFAULT_ROUTE : null);
+    if (target) navigateToPage(target);
+  });
+
+  // re-run guards for the current page
+  window.addEventListener("session:logout", () => {
+    if (matchRoute(parseHash().path)?.route.requireAuth) render();
   });
 
   // initial load
-  render(location.hash.replace("#", "") || "home");
+  render();
 }
+
+window.navigateToPage = navigateToPage;
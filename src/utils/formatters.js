@@ -0,0 +1,35 @@
+// src/utils/formatters.js
+
+/**
+ * One or two letter initials for an avatar placeholder.
+ */
+export function getUserInitials(username) {
+  if (!username) return "U";
+  const parts = username.split(' ');
+  return (parts[0][0] + (parts[1]?.[0] || '')).toUpperCase();
+}
+
+export function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * "just now", "5m ago", "3h ago", "2d ago", then a date like "12 Mar".
+ */
+export function formatRelativeTime(timestamp, now = Date.now()) {
+  const seconds = Math.max(0, Math.round((now - timestamp) / 1000));
+
+  if (seconds < 60) return "just now";
+  if (seconds < 60 * 60) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 24 * 60 * 60) return `${Math.floor(seconds / 3600)}h ago`;
+  if (seconds < 7 * 24 * 60 * 60) return `${Math.floor(seconds / 86400)}d ago`;
+
+  const date = new Date(timestamp);
+  return date.toLocaleDateString([], {
+    day: "numeric",
+    month: "short",
+    year: date.getFullYear() === new Date(now).getFullYear() ? undefined : "numeric"
+  });
+}
@@ -0,0 +1,62 @@
+// src/utils/helpers.js
+
+/**
+ * Collects listeners, timers and cleanup callbacks so they can all be
+ * released at once. The router hands one to every page as `ctx.scope`.
+ */
+export function createScope() {
+  let disposers = [];
+  let disposed = false;
+
+  function add(fn) {
+    if (disposed) {
+      fn();
+      return () => {};
+    }
+
+    disposers.push(fn);
+    return () => {
+      disposers = disposers.filter(d => d !== fn);
+      fn();
+    };
+  }
+
+  return {
+    add,
+
+    on(target, type, handler, options) {
+      if (!target) return () => {};
+      target.addEventListener(type, handler, options);
+      return add(() => target.removeEventListener(type, handler, options));
+    },
+
+    timeout(fn, ms) {
+      const id = setTimeout(fn, ms);
+      return add(() => clearTimeout(id));
+    },
+
+    interval(fn, ms) {
+      const id = setInterval(fn, ms);
+      return add(() => clearInterval(id));
+    },
+
+    get disposed() {
+      return disposed;
+    },
+
+    dispose() {
+      if (disposed) return;
+      disposed = true;
+
+      const pending = disposers.reverse();
+      disposers = [];
+      pending.forEach(fn => {
+        try {
+          fn();
+        } catch (err) {
+          console.error("Scope cleanup failed", err);
+        }
+      });
+    }
+  };
+}
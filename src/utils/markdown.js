@@ -0,0 +1,59 @@
+// src/utils/markdown.js
+// A deliberately small markdown subset for user-written text (community
+// shouts): **bold**, [label](https://link), bare https:// links, @mentions
+// and line breaks. Everything else is escaped, so the output is safe to put
+// in innerHTML.
+
+import { escapeHtml } from "./formatters.js";
+
+const LINK = /\[([^\]\n]{1,200})\]\((https?:\/\/[^\s()<>"']+)\)|(https?:\/\/[^\s()<>"']+)/g;
+const BOLD = /\*\*([^*\n]+?)\*\*/g;
+const MENTION = /(^|[^\w@])@([A-Za-z0-9_]{2,32})\b/g;
+
+// innerHTML escaping leaves quotes alone, which matters inside attributes
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+function renderInline(text, { me }) {
+  return escapeHtml(text)
+    .replace(BOLD, "<strong>$1</strong>")
+    .replace(MENTION, (_, before, name) => {
+      const self = me && name.toLowerCase() === me.toLowerCase();
+      return `${before}<span class="mention${self ? " me" : ""}">@${name}</span>`;
+    });
+}
+
+function renderLink(url, label, options) {
+  return `<a href="${escapeAttribute(url)}" target="_blank" rel="noopener noreferrer nofollow">${renderInline(label, options)}</a>`;
+}
+
+/**
+ * `me` is the signed-in username, so mentions of them can be highlighted.
+ */
+export function renderMarkdown(text, { me = null } = {}) {
+  const source = String(text ?? "");
+  const options = { me };
+  let html = "";
+  let last = 0;
+
+  // links are cut out first so bold and mentions never reach inside an href
+  for (const match of source.matchAll(LINK)) {
+    const [whole, label, url, bare] = match;
+    html += renderInline(source.slice(last, match.index), options);
+    html += bare ? renderLink(bare, bare, options) : renderLink(url, label, options);
+    last = match.index + whole.length;
+  }
+  html += renderInline(source.slice(last), options);
+
+  return html.replace(/\r?\n/g, "<br>");
+}
+
+/**
+ * Usernames @mentioned in `text`, lower-cased and without duplicates.
+ */
+export function extractMentions(text) {
+  const names = new Set();
+  for (const [, , name] of String(text ?? "").matchAll(MENTION)) names.add(name.toLowerCase());
+  return [...names];
+}
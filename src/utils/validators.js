@@ -0,0 +1,150 @@
+// src/utils/validators.js
+// Field rules shared by the auth forms and account settings.
+// Each validate* function returns an error message, or null when valid.
+
+export const USERNAME_MIN = 3;
+export const USERNAME_MAX = 20;
+export const PASSWORD_MIN = 8;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USERNAME_RE = /^[A-Za-z0-9_]+$/;
+
+// the auth server keeps its own copy in server/authServer.js: keep them in step
+export const RESERVED_USERNAMES = [
+  'admin',
+  'administrator',
+  'root',
+  'system',
+  'support',
+  'moderator',
+  'mod',
+  'staff',
+  'dynablocks',
+  'official',
+  'help',
+  'settings',
+  'account',
+  'login',
+  'register',
+  'me',
+  'null',
+  'undefined'
+];
+
+const COMMON_PASSWORDS = [
+  'password',
+  'password1',
+  '12345678',
+  '123456789',
+  'qwerty123',
+  'iloveyou',
+  'letmein1',
+  'welcome1',
+  'abc12345',
+  'dynablocks'
+];
+
+/* ============ FIELDS ============ */
+
+export function validateEmail(email) {
+  const value = String(email || '').trim();
+  if (!value) return 'Email is required';
+  if (value.length > 254 || !EMAIL_RE.test(value)) return 'Enter a valid email address';
+  return null;
+}
+
+export function validateUsername(username) {
+  const value = String(username || '').trim();
+  if (!value) return 'Username is required';
+  if (value.length < USERNAME_MIN) return `Username must be at least ${USERNAME_MIN} characters`;
+  if (value.length > USERNAME_MAX) return `Username must be at most ${USERNAME_MAX} characters`;
+  if (!USERNAME_RE.test(value)) return 'Username can only contain letters, numbers and underscores';
+  if (RESERVED_USERNAMES.includes(value.toLowerCase())) return 'That username is reserved';
+  return null;
+}
+
+/**
+ * Rate a password from 0 (very weak) to 4 (strong). `reasons` lists what
+ * would make it stronger, in order of importance.
+ */
+export function scorePassword(password, { username = '', email = '' } = {}) {
+  const value = String(password || '');
+  const lower = value.toLowerCase();
+  const reasons = [];
+  let score = 0;
+
+  if (value.length >= PASSWORD_MIN) score++;
+  else reasons.push(`Use at least ${PASSWORD_MIN} characters`);
+
+  if (value.length >= 12) score++;
+  else if (value.length >= PASSWORD_MIN) reasons.push('Longer passwords (12+) are harder to guess');
+
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(re => re.test(value)).length;
+  if (classes >= 3) score++;
+  if (classes === 4) score++;
+  if (classes < 3) reasons.push('Mix upper and lower case letters, numbers and symbols');
+
+  if (/(.)\1{2,}/.test(value)) {
+    score--;
+    reasons.unshift('Avoid repeating the same character');
+  }
+
+  const handle = String(username).trim().toLowerCase();
+  const mailbox = String(email).split('@')[0].trim().toLowerCase();
+  if ((handle.length >= 3 && lower.includes(handle)) || (mailbox.length >= 3 && lower.includes(mailbox))) {
+    score = Math.min(score, 1);
+    reasons.unshift("Don't include your username or email");
+  }
+
+  if (COMMON_PASSWORDS.includes(lower)) {
+    score = 0;
+    reasons.unshift('This password is too common');
+  }
+
+  score = Math.max(0, Math.min(4, score));
+  const label = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'][score];
+
+  return { score, label, reasons };
+}
+
+/**
+ * New passwords must meet the minimum length and score at least "Fair".
+ */
+export function validatePassword(password, context = {}) {
+  const value = String(password || '');
+  if (!value) return 'Password is required';
+  if (value.length < PASSWORD_MIN) return `Password must be at least ${PASSWORD_MIN} characters`;
+
+  const { score, reasons } = scorePassword(value, context);
+  if (score < 2) return `Password is too weak. ${reasons[0] || ''}`.trim();
+  return null;
+}
+
+export function validateConfirm(password, confirm) {
+  if (!confirm) return 'Please confirm your password';
+  if (password !== confirm) return 'Passwords do not match';
+  return null;
+}
+
+export function validateRequired(value, label = 'This field') {
+  return String(value || '').trim() ? null : `${label} is required`;
+}
+
+/**
+ * Run several rules at once: validateFields({ email: validateEmail(v), ... })
+ * Returns { valid, errors } with only the failing fields in `errors`.
+ */
+export function validateFields(results) {
+  const errors = Object.fromEntries(Object.entries(results).filter(([, error]) => error));
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+export default {
+  validateEmail,
+  validateUsername,
+  validatePassword,
+  validateConfirm,
+  validateRequired,
+  validateFields,
+  scorePassword
+};
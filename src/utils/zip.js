@@ -0,0 +1,69 @@
+// src/utils/zip.js
+// Just enough of the ZIP format to bundle a few text files for download:
+// entries are stored uncompressed, which every unzip tool reads.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time, as ZIP headers want them
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function header(size, fields) {
+  const view = new DataView(new ArrayBuffer(size));
+  fields.forEach(([offset, bytes, value]) => {
+    if (bytes === 4) view.setUint32(offset, value, true);
+    else view.setUint16(offset, value, true);
+  });
+  return new Uint8Array(view.buffer);
+}
+
+/**
+ * Build a ZIP from [{ name, content }] where content is a string. Returns
+ * a Blob ready for a download link.
+ */
+export function createZip(files, { date = new Date() } = {}) {
+  const encoder = new TextEncoder();
+  const { time, date: day } = dosDateTime(date);
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    // version 2.0, UTF-8 names (flag bit 11), stored (method 0)
+    const common = [[4, 2, 20], [6, 2, 0x0800], [8, 2, 0], [10, 2, time], [12, 2, day],
+      [14, 4, crc], [18, 4, data.length], [22, 4, data.length], [26, 2, nameBytes.length]];
+
+    const local = header(30, [[0, 4, 0x04034b50], ...common]);
+    parts.push(local, nameBytes, data);
+
+    const central = header(46, [[0, 4, 0x02014b50], [4, 2, 20],
+      ...common.map(([at, bytes, value]) => [at + 2, bytes, value]), [42, 4, offset]]);
+    directory.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  });
+
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+  const end = header(22, [[0, 4, 0x06054b50], [8, 2, files.length], [10, 2, files.length],
+    [12, 4, directorySize], [16, 4, offset]]);
+
+  return new Blob([...parts, ...directory, end], { type: "application/zip" });
+}